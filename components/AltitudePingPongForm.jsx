@@ -5,18 +5,79 @@
  * and readiness status tracking.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useRouter } from 'next/router';
 import styles from '../styles/AltitudePingPongForm.module.css';
 import { useChecklistState } from '../utils/useChecklistState.js';
 import ChecklistGuardrail from './ChecklistGuardrail.jsx';
+import SessionManager from './SessionManager.jsx';
+import BranchExplorer from './BranchExplorer.jsx';
+import RederivePanel from './RederivePanel.jsx';
+import ReadinessBreakdown from './ReadinessBreakdown.jsx';
+import BranchProposals from './BranchProposals.jsx';
+import ExecutionPlanEditor from './ExecutionPlanEditor.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import DocumentImport from './DocumentImport.jsx';
+import DriftResolution from './DriftResolution.jsx';
+import DriftTimeline from './DriftTimeline.jsx';
+import DependencyViolations from './DependencyViolations.jsx';
 import { withComponentErrorHandling } from '../utils/errorHandler.js';
+import { fetchEventStream } from '../utils/streaming.js';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+import { loadJourneySession, saveJourneySession } from '../utils/sessionClient.js';
+import {
+  getAltitudeIds,
+  getAltitudeName,
+  getAltitudeColor,
+  getNextAltitude,
+  getPreviousAltitude,
+  getTopAltitude,
+  getExecutionAltitude,
+  isExecutionAltitude
+} from '../utils/altitudeLadder.js';
+import {
+  createTreeNode,
+  addChildNode,
+  addNodeChain,
+  forkNode,
+  promoteNode,
+  getNodePath,
+  getNodeLine,
+  getLatestChild,
+  getStaleNodeIds,
+  getStaleLine,
+  applyRederivation,
+  getDerivationSource,
+  toIdeaTree,
+  normaliseTreeNodes,
+  keyByNodeId
+} from '../utils/ideaTree.js';
+import { getRevertTarget, resolveDriftFlags, createPivot, createDecisionEntry, getFlagType } from '../utils/driftResolution.js';
 
-import { checkForDrift, validateAltitudeDependencies, generateAltitudeSummary } from '../utils/driftDetector.js';
+import { analyzeAltitudeDrift, checkAltitudeDependencies, generateAltitudeSummary } from '../utils/driftDetector.js';
+
+/**
+ * Explain why a refinement came from the mock provider (shown as a tooltip)
+ */
+const describeFailover = (llmMetadata) => {
+  const reasons = (llmMetadata.attempts || [])
+    .filter(attempt => attempt.status !== 'success')
+    .map(attempt => `${attempt.provider}: ${attempt.reason}`);
+
+  return reasons.length > 0
+    ? `No real provider answered:\n${reasons.join('\n')}`
+    : 'Answered by the mock provider';
+};
+
+// Wait for a pause in edits before saving the journey
+const AUTOSAVE_DELAY_MS = 1500;
 
 const AltitudePingPongForm = withComponentErrorHandling(() => {
-  const [blocks, setBlocks] = useState([]);
+  const router = useRouter();
+  const [blocks, setBlocks] = useState([]); // Idea tree nodes, every branch included (see utils/ideaTree.js)
   const [currentBlockId, setCurrentBlockId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const refinementAbortRef = useRef(null); // Aborts the in-flight refinement request
   const [selectedTemplate] = useState(process.env.NEXT_PUBLIC_DEFAULT_TEMPLATE || 'career'); // Fixed template, configured via env vars
   const [userResponses, setUserResponses] = useState({});
   const [showChecklist, setShowChecklist] = useState(true);
@@ -25,19 +86,23 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
   const [driftAnalysis, setDriftAnalysis] = useState({});
   const [dependencyViolations, setDependencyViolations] = useState({});
 
-  const createNewBlock = (altitude = '30k') => {
-    const newBlock = {
-      id: Date.now(),
-      altitude,
-      prompt: '',
-      refinedPrompt: '',
-      context: '',
-      suggestedQuestions: [],
-      readiness: 'red',
-      iterations: 0
-    };
+  // Saved journey: every refinement and the user's checklist checks per altitude
+  const [checklistChecks, setChecklistChecks] = useState({});
+  const [yoloReport, setYoloReport] = useState(null); // { levels, stopped } of the last yolo run
+  const [iterationLog, setIterationLog] = useState([]);
+  const [journeySessionId, setJourneySessionId] = useState(null);
+  const [journeyTitle, setJourneyTitle] = useState('');
+  const [saveStatus, setSaveStatus] = useState('idle');
+  const [isRestoring, setIsRestoring] = useState(true);
+  const journeySessionIdRef = useRef(null); // Read by queued saves, which outlive renders
+  const journeyGenerationRef = useRef(0); // Bumped on resume/new so stale queued saves are dropped
+  const saveQueueRef = useRef(Promise.resolve()); // Saves run one at a time, in order
+  const lastSavedRef = useRef(null); // Serialised title + journey of the last save or restore
+
+  const createNewBlock = (altitude = getTopAltitude()) => {
+    const newBlock = createTreeNode({ altitude });
     
-    // Replace all blocks with just this new one
+    // A new journey starts a new tree
     setBlocks([newBlock]);
     setCurrentBlockId(newBlock.id);
     return newBlock.id;
@@ -49,102 +114,314 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
     ));
   };
 
+  // Append streamed refinement text to a block as it arrives
+  const streamIntoBlock = (blockId) => (text) => {
+    setBlocks(prev => prev.map(block => 
+      block.id === blockId ? { ...block, refinedPrompt: block.refinedPrompt + text } : block
+    ));
+  };
+
+  // Start a cancellable refinement request
+  const beginRefinement = () => {
+    const controller = new AbortController();
+    refinementAbortRef.current = controller;
+    return controller.signal;
+  };
+
+  const cancelRefinement = () => {
+    refinementAbortRef.current?.abort();
+  };
+
+  // Keep every refinement, since a block only shows its latest one
+  const recordIteration = (block, input, refinedPrompt, result) => {
+    setIterationLog(prev => [...prev, {
+      blockId: block.id,
+      altitude: block.altitude,
+      input,
+      refinedPrompt,
+      questions: result.conversational_questions || result.suggested_questions || [],
+      readiness: result.readiness_status || result.readinessStatus || null,
+      timestamp: new Date().toISOString()
+    }]);
+  };
+
   const refineBlock = async (blockId) => {
     const block = blocks.find(b => b.id === blockId);
     if (!block || !block.prompt.trim()) return;
 
     setIsLoading(true);
+    updateBlock(blockId, { refinedPrompt: '', isStreaming: true });
+    const signal = beginRefinement();
     
     try {
-      const response = await fetch('/api/refine-prompt-chatgpt', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          prompt: block.prompt,
-          ideaTree: blocks.map(b => ({ value: b.prompt, altitude: b.altitude })),
-          coreIdea: blocks[0]?.prompt || '',
-          isDirectionChange: false,
-          altitude: block.altitude,
-          template: selectedTemplate
-        })
-      });
-
-      const result = await response.json();
+      const result = await fetchEventStream('/api/refine-prompt-chatgpt', {
+        prompt: block.prompt,
+        ideaTree: toIdeaTree(blocks, blockId),
+        coreIdea: getNodePath(blocks, blockId)[0]?.prompt || '',
+        isDirectionChange: false,
+        altitude: block.altitude,
+        template: selectedTemplate,
+        history: block.history || [],
+        sessionId: getClientSessionId(),
+        llm: getClientLLMSelection()
+      }, { onToken: streamIntoBlock(blockId), signal });
       
+      const refinedPrompt = result.conversational_response || result.refined_prompt || 'Conversational refinement completed';
+      recordIteration(block, block.prompt, refinedPrompt, result);
       updateBlock(blockId, {
-        refinedPrompt: result.conversational_response || result.refined_prompt || 'Conversational refinement completed',
+        refinedPrompt,
         context: result.altitude_context || result.context || '',
         suggestedQuestions: result.conversational_questions || result.suggested_questions || [],
         readiness: result.readiness_status || result.readinessStatus,
-        iterations: block.iterations + 1
+        readinessDetails: result.readiness || null,
+        iterations: block.iterations + 1,
+        llmMetadata: result.llm_metadata || null,
+        history: [
+          ...(block.history || []),
+          { role: 'user', content: block.prompt },
+          { role: 'assistant', content: refinedPrompt }
+        ]
       });
       
     } catch (error) {
-      console.error('Error refining block:', error);
+      // Drop the partial text and keep the previous refinement
+      updateBlock(blockId, { refinedPrompt: block.refinedPrompt });
+      if (error.name !== 'AbortError') {
+        console.error('Error refining block:', error);
+      }
+    } finally {
+      refinementAbortRef.current = null;
+      updateBlock(blockId, { isStreaming: false });
+      setIsLoading(false);
+    }
+  };
+
+  // Yolo: generate every level below this block in one go. The answers to each
+  // level's questions are assumed (and marked so), and the run stops at the first
+  // red flag; the generated blocks are added below this one for review. With
+  // overrideBlocks the run does not stop at blocking dependency rules.
+  const runYolo = async (blockId, { overrideBlocks = false } = {}) => {
+    const block = blocks.find(b => b.id === blockId);
+    if (!block || !block.prompt.trim()) return;
+
+    setIsLoading(true);
+    setYoloReport(null);
+    const signal = beginRefinement();
+    try {
+      const response = await fetch('/api/refine-prompt-altitude', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          prompt: block.prompt,
+          ideaTree: toIdeaTree(blocks, blockId),
+          coreIdea: getNodePath(blocks, blockId)[0]?.prompt || '',
+          yoloMode: true,
+          overrideBlocks,
+          history: block.history || [],
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        }),
+        signal
+      });
+      const result = await response.json();
+      if (!result.success || !result.yolo) {
+        throw new Error(result.error?.message || result.error || 'Yolo refinement failed');
+      }
+
+      const { levels, stopped } = result.yolo;
+      const levelFields = level => ({
+        refinedPrompt: level.refined_prompt,
+        suggestedQuestions: level.suggested_questions,
+        readiness: level.readiness_status,
+        readinessDetails: level.readiness,
+        executionPlan: level.execution_plan,
+        llmMetadata: level.llm_metadata
+      });
+
+      const [first, ...rest] = levels;
+      const updated = blocks.map(b => (b.id === blockId ? { ...b, ...levelFields(first), iterations: b.iterations + 1 } : b));
+      const { nodes, node } = addNodeChain(updated, blockId, rest.map(level => ({
+        altitude: level.altitude,
+        prompt: level.prompt,
+        history: block.history || [],
+        ...levelFields(level),
+        branches: level.branches.map(({ label, value, confidence, source_span }) => ({ label, value, confidence, source_span })),
+        iterations: level.refined_prompt ? 1 : 0
+      })));
+      const levelNodeIds = [blockId, ...nodes.slice(updated.length).map(added => added.id)];
+
+      setBlocks(nodes);
+      setCurrentBlockId(node.id);
+      setUserResponses(prev => ({
+        ...prev,
+        ...Object.fromEntries(levels.map((level, i) => [levelNodeIds[i], level.responses]).filter(([, text]) => text))
+      }));
+      setDriftAnalysis(prev => ({
+        ...prev,
+        ...Object.fromEntries(levels.map((level, i) => [levelNodeIds[i], level.drift]).filter(([, drift]) => drift))
+      }));
+      setDependencyViolations(prev => ({
+        ...prev,
+        ...Object.fromEntries(levels.map((level, i) => [levelNodeIds[i], level.dependencies]).filter(([, dependencies]) => dependencies))
+      }));
+      setIterationLog(prev => [...prev, ...levels
+        .map((level, i) => ({
+          blockId: levelNodeIds[i],
+          altitude: level.altitude,
+          input: level.prompt,
+          refinedPrompt: level.refined_prompt,
+          questions: level.suggested_questions,
+          readiness: level.readiness_status,
+          timestamp: new Date().toISOString()
+        }))
+        .filter(entry => entry.refinedPrompt)]);
+      setYoloReport({ levels: levels.length, stopped, stoppedBlockId: stopped ? node.id : null });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error in yolo refinement:', error);
+        alert(`Yolo refinement failed: ${error.message}`);
+      }
     } finally {
+      refinementAbortRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  // Act on a drift flag (see utils/driftResolution.js); the decision is logged
+  // in the iteration log with the block text it left behind
+  const resolveDrift = async (blockId, flagIndex, action, proposal = null) => {
+    const block = blocks.find(b => b.id === blockId);
+    const analysis = block && driftAnalysis[blockId];
+    if (!analysis) return;
+
+    const flag = analysis.flags[flagIndex];
+    const decision = { action, driftType: getFlagType(analysis, flag), details: flag.details };
+    let after = { prompt: block.prompt, refinedPrompt: block.refinedPrompt };
+
+    if (action === 'revert') {
+      const target = getRevertTarget(block, iterationLog);
+      if (!target) return;
+      after = target;
+      decision.revertedFrom = getDerivationSource(block);
+      updateBlock(blockId, after);
+    } else if (action === 'accept_pivot') {
+      // Lower levels are checked against the vision, so it moves with the pivot
+      const root = getNodePath(blocks, blockId)[0];
+      const previousAnchor = altitudeSummaries[root.id] || null;
+      setIsLoading(true);
+      const anchor = await generateAltitudeSummary(getDerivationSource(block), root.altitude);
       setIsLoading(false);
+
+      setAltitudeSummaries(prev => ({ ...prev, [root.id]: anchor }));
+      updateBlock(blockId, { pivot: createPivot(block, decision.driftType, { anchor, previousAnchor }) });
+      decision.anchor = anchor;
+      decision.previousAnchor = previousAnchor;
+    } else if (action === 'reanchor') {
+      after = { prompt: proposal.prompt, refinedPrompt: proposal.refined_prompt };
+      decision.changes = proposal.changes;
+      updateBlock(blockId, { ...after, iterations: block.iterations + 1, llmMetadata: proposal.llm_metadata || null });
     }
+
+    setDriftAnalysis(prev => ({
+      ...prev,
+      [blockId]: resolveDriftFlags(prev[blockId], flagIndex, action)
+    }));
+    setIterationLog(prev => [...prev, createDecisionEntry(block, after, decision)]);
   };
 
-  const moveToNextAltitude = async (blockId) => {
+  // With overrideBlock the user chose to continue past blocking dependency
+  // rules; the checks already ran on this text, so they are not repeated
+  const moveToNextAltitude = async (blockId, { overrideBlock = false } = {}) => {
     const block = blocks.find(b => b.id === blockId);
     if (!block) return;
 
-    // Generate summary for current altitude before moving
-    if (block.prompt || block.refinedPrompt) {
+    if (overrideBlock) {
+      setDependencyViolations(prev => ({
+        ...prev,
+        [blockId]: { ...prev[blockId], overridden: true }
+      }));
+    } else if (block.prompt || block.refinedPrompt) {
+      // Generate summary for current altitude before moving
       const contentToSummarize = block.refinedPrompt || block.prompt;
       const summary = await generateAltitudeSummary(contentToSummarize, block.altitude);
       
       setAltitudeSummaries(prev => ({
         ...prev,
-        [block.altitude]: summary
+        [blockId]: summary
       }));
 
-      // Check for drift if we have a previous summary
-      const previousAltitude = getPreviousAltitude(block.altitude);
-      if (previousAltitude && altitudeSummaries[previousAltitude]) {
-        const drift = checkForDrift(altitudeSummaries[previousAltitude], summary, block.altitude);
+      // Check for drift from the vision and the level before on this block's own
+      // path, if we have their summaries; a pivot the user accepted is not
+      // flagged again until its text changes
+      const path = getNodePath(blocks, blockId);
+      const parent = path[path.length - 2];
+      if (parent && altitudeSummaries[parent.id] && block.pivot?.content !== contentToSummarize) {
+        const drift = await analyzeAltitudeDrift({
+          vision: altitudeSummaries[path[0].id],
+          previous: altitudeSummaries[parent.id],
+          current: summary,
+          altitude: block.altitude
+        });
         setDriftAnalysis(prev => ({
           ...prev,
-          [block.altitude]: drift
+          [blockId]: drift
         }));
       }
 
-      // Validate altitude dependencies
-      const validation = validateAltitudeDependencies(block.altitude, contentToSummarize);
+      // Validate altitude dependencies; the checked text is kept so the
+      // violations' spans can be highlighted in it
+      const checkedContent = contentToSummarize.trim();
+      const validation = await checkAltitudeDependencies(block.altitude, checkedContent);
       setDependencyViolations(prev => ({
         ...prev,
-        [block.altitude]: validation
+        [blockId]: { ...validation, content: checkedContent }
       }));
+
+      // A broken rule of block severity keeps the journey at this level until overridden
+      if (validation.blocked) return;
     }
 
-    const altitudeOrder = ['30k', '20k', '10k', '5k'];
-    const currentIndex = altitudeOrder.indexOf(block.altitude);
-    const nextAltitude = altitudeOrder[currentIndex + 1];
+    const nextAltitude = getNextAltitude(block.altitude);
+
+    // Coming back down the way we climbed up: return to that block rather than
+    // starting another one (fork it to explore an alternative)
+    const existingChild = getLatestChild(blocks, block.id);
+    if (existingChild) {
+      setCurrentBlockId(existingChild.id);
+      return;
+    }
 
     if (nextAltitude) {
-      // Create new block at next altitude with the refined prompt as input
-      const newBlock = {
-        id: Date.now(),
+      // Derive a node at the next altitude with the refined prompt as input
+      const { nodes, node } = addChildNode(blocks, block.id, {
         altitude: nextAltitude,
         prompt: block.refinedPrompt || block.prompt,
-        refinedPrompt: '',
-        context: '',
-        suggestedQuestions: [],
-        readiness: 'red',
-        iterations: 0
-      };
+        history: block.history || [] // Keep the conversation going across altitudes
+      });
       
-      // Replace current block with new one
-      setBlocks([newBlock]);
-      setCurrentBlockId(newBlock.id);
+      setBlocks(nodes);
+      setCurrentBlockId(node.id);
     }
   };
 
-  const getPreviousAltitude = (currentAltitude) => {
-    const altitudeOrder = ['30k', '20k', '10k', '5k'];
-    const currentIndex = altitudeOrder.indexOf(currentAltitude);
-    return currentIndex > 0 ? altitudeOrder[currentIndex - 1] : null;
+  // Explore an alternative at a node's altitude, keeping the original branch
+  const forkBranch = (nodeId) => {
+    const { nodes, node } = forkNode(blocks, nodeId);
+    if (!node) return;
+
+    setBlocks(nodes);
+    setCurrentBlockId(node.id);
+  };
+
+  // Rewrite (or, with null updates, confirm) the stale blocks below a changed one
+  const resolveStaleLine = (staleLine, updates) => {
+    setBlocks(prev => applyRederivation(prev, staleLine.upstream.id, staleLine.chain, updates));
+  };
+
+  // Settle on a branch; its alternatives are archived, not deleted
+  const promoteBranch = (nodeId) => {
+    setBlocks(prev => promoteNode(prev, nodeId));
+    setCurrentBlockId(nodeId);
   };
 
   const refineWithResponses = async (blockId) => {
@@ -161,86 +438,229 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
     });
 
     setIsLoading(true);
+    updateBlock(blockId, { refinedPrompt: '', isStreaming: true });
+    const signal = beginRefinement();
     try {
       const requestBody = {
         prompt: block.prompt,
-        ideaTreeLength: block.ideaTree?.length || 0,
-        coreIdea: block.prompt,
+        ideaTree: toIdeaTree(blocks, blockId),
+        coreIdea: getNodePath(blocks, blockId)[0]?.prompt || '',
         isDirectionChange: false,
         altitude: block.altitude,
         template: selectedTemplate,
-        userResponses: userResponses[blockId]
+        userResponses: userResponses[blockId],
+        history: block.history || [],
+        sessionId: getClientSessionId(),
+        llm: getClientLLMSelection()
       };
 
       console.log('Sending request:', requestBody);
 
-      const response = await fetch('/api/refine-prompt-chatgpt', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
+      const result = await fetchEventStream('/api/refine-prompt-chatgpt', requestBody, {
+        onToken: streamIntoBlock(blockId),
+        signal
       });
+      console.log('Refinement result:', result);
+      
+      const refinedPrompt = result.refined_prompt || result.conversational_response;
+      recordIteration(block, requestBody.userResponses, refinedPrompt, result);
+      setBlocks(prev => prev.map(b => 
+        b.id === blockId 
+          ? { 
+              ...b, 
+              refinedPrompt,
+              suggestedQuestions: result.conversational_questions || result.suggested_questions,
+              readiness: result.readiness_status || b.readiness,
+              readinessDetails: result.readiness || b.readinessDetails || null,
+              iterations: b.iterations + 1,
+              llmMetadata: result.llm_metadata || null,
+              history: [
+                ...(b.history || []),
+                { role: 'user', content: requestBody.userResponses },
+                { role: 'assistant', content: refinedPrompt }
+              ]
+            }
+          : b
+      ));
 
-      console.log('Response status:', response.status);
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log('Refinement result:', result);
-        
-        setBlocks(prev => prev.map(b => 
-          b.id === blockId 
-            ? { 
-                ...b, 
-                refinedPrompt: result.refined_prompt || result.conversational_response,
-                suggestedQuestions: result.conversational_questions || result.suggested_questions,
-                iterations: b.iterations + 1
-              }
-            : b
-        ));
-
-        // Don't clear the response - keep it visible for reference
-        // setUserResponses(prev => ({ ...prev, [blockId]: '' }));
+      // Don't clear the response - keep it visible for reference
+      // setUserResponses(prev => ({ ...prev, [blockId]: '' }));
+    } catch (error) {
+      // Drop the partial text and keep the previous refinement
+      updateBlock(blockId, { refinedPrompt: block.refinedPrompt });
+      if (error.name === 'AbortError') {
+        console.log('Refinement cancelled');
       } else {
-        console.error('Response not ok:', response.status, response.statusText);
+        console.error('Error refining with responses:', error);
       }
-    } catch (error) {
-      console.error('Error refining with responses:', error);
     } finally {
+      refinementAbortRef.current = null;
+      updateBlock(blockId, { isStreaming: false });
       setIsLoading(false);
       console.log('Refinement completed, loading set to false');
     }
   };
 
-  const getAltitudeColor = (altitude) => {
-    const colors = { '30k': '#4A90E2', '20k': '#7ED321', '10k': '#F5A623', '5k': '#D0021B' };
-    return colors[altitude] || '#999';
-  };
-
   const getReadinessColor = (status) => {
     const colors = { red: '#D0021B', yellow: '#F5A623', green: '#7ED321' };
     return colors[status] || '#999';
   };
 
-  const getAltitudeName = (altitude) => {
-    const names = { '30k': 'Vision', '20k': 'Category', '10k': 'Specialization', '5k': 'Execution' };
-    return names[altitude] || altitude;
+  const getNextAltitudeName = (currentAltitude) => getAltitudeName(getNextAltitude(currentAltitude) || currentAltitude);
+
+  // Switch to another journey (null for a new, unsaved one)
+  const setJourneySession = (id) => {
+    journeyGenerationRef.current++;
+    journeySessionIdRef.current = id;
+    setJourneySessionId(id);
+  };
+
+  // Point the URL at the current journey (or at none), so it can be refreshed or shared
+  const setJourneyQuery = useCallback((id) => {
+    const { journey, ...query } = router.query;
+    router.replace({ pathname: router.pathname, query: id ? { ...query, journey: id } : query }, undefined, { shallow: true });
+  }, [router]);
+
+  // Everything needed to resume the journey exactly where it was left
+  const buildJourney = useCallback(() => ({
+    template: selectedTemplate,
+    blocks: blocks.map(({ isStreaming, ...block }) => block),
+    currentBlockId,
+    userResponses,
+    altitudeSummaries,
+    driftAnalysis,
+    dependencyViolations,
+    checklistChecks,
+    iterationLog
+  }), [selectedTemplate, blocks, currentBlockId, userResponses, altitudeSummaries, driftAnalysis, dependencyViolations, checklistChecks, iterationLog]);
+
+  const restoreJourney = (session) => {
+    const { journey } = session;
+    lastSavedRef.current = JSON.stringify({ title: session.title, journey });
+
+    const nodes = normaliseTreeNodes(journey.blocks);
+    const currentId = journey.currentBlockId ?? journey.blocks[0]?.id ?? null;
+    setBlocks(nodes);
+    setCurrentBlockId(currentId);
+    setUserResponses(journey.userResponses || {});
+    setAltitudeSummaries(keyByNodeId(nodes, currentId, journey.altitudeSummaries));
+    setDriftAnalysis(keyByNodeId(nodes, currentId, journey.driftAnalysis));
+    setDependencyViolations(keyByNodeId(nodes, currentId, journey.dependencyViolations));
+    setChecklistChecks(journey.checklistChecks || {});
+    setIterationLog(journey.iterationLog || []);
+    setYoloReport(null);
+    setJourneyTitle(session.title);
+    setJourneySession(session.id);
+    setSaveStatus('saved');
+
+    if (journey.blocks.length === 0) {
+      createNewBlock();
+    }
+  };
+
+  // A journey built from an imported document: opened like a saved one, saved as a new one
+  const openImportedJourney = ({ title, journey }) => {
+    cancelRefinement();
+    restoreJourney({ id: null, title, journey });
+    lastSavedRef.current = null;
+    setSaveStatus('idle');
+    setJourneyQuery(null);
+  };
+
+  const startNewJourney = () => {
+    cancelRefinement();
+    createNewBlock();
+    setUserResponses({});
+    setAltitudeSummaries({});
+    setDriftAnalysis({});
+    setDependencyViolations({});
+    setChecklistChecks({});
+    setIterationLog([]);
+    setYoloReport(null);
+    setJourneyTitle('');
+    setJourneySession(null);
+    setSaveStatus('idle');
+    lastSavedRef.current = null;
+    setJourneyQuery(null);
   };
 
-  const getNextAltitudeName = (currentAltitude) => {
-    const altitudeOrder = ['30k', '20k', '10k', '5k'];
-    const currentIndex = altitudeOrder.indexOf(currentAltitude);
-    const nextIndex = Math.min(currentIndex + 1, altitudeOrder.length - 1);
-    return getAltitudeName(altitudeOrder[nextIndex]);
+  const resumeJourney = async (id) => {
+    cancelRefinement();
+    setIsRestoring(true);
+    try {
+      restoreJourney(await loadJourneySession(id));
+      setJourneyQuery(id);
+    } catch (error) {
+      console.error('Error loading journey:', error);
+      alert(`Could not open the saved journey: ${error.message}`);
+      if (!journeySessionIdRef.current) {
+        startNewJourney();
+      }
+    } finally {
+      setIsRestoring(false);
+    }
   };
 
-  // Create initial block if none exist
+  // Open the journey in the URL, or start a fresh one. Runs once, when the
+  // router is ready on mount; later URL changes are our own (setJourneyQuery)
+  // and must not reload the journey being edited.
   useEffect(() => {
-    if (blocks.length === 0) {
+    if (!router.isReady) return;
+
+    if (router.query.journey) {
+      resumeJourney(String(router.query.journey));
+    } else {
       createNewBlock();
+      setIsRestoring(false);
     }
-  }, []);
+  }, [router.isReady]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Autosave once the journey has an idea in it
+  useEffect(() => {
+    if (isRestoring || blocks.some(block => block.isStreaming)) return;
+    if (!blocks.some(block => block.prompt.trim())) return;
+
+    const title = journeyTitle.trim() || blocks[0].prompt.trim().slice(0, 60);
+    const journey = buildJourney();
+    const snapshot = JSON.stringify({ title, journey });
+    if (snapshot === lastSavedRef.current) return;
+    setSaveStatus('pending');
+
+    const timeoutId = setTimeout(() => {
+      const generation = journeyGenerationRef.current;
+      setSaveStatus('saving');
+      saveQueueRef.current = saveQueueRef.current.then(async () => {
+        // Another journey was opened while this save waited its turn
+        if (generation !== journeyGenerationRef.current) return;
+
+        try {
+          const isNew = !journeySessionIdRef.current;
+          const session = await saveJourneySession(journeySessionIdRef.current, { title, journey });
+          lastSavedRef.current = snapshot;
+
+          if (isNew) {
+            journeySessionIdRef.current = session.id;
+            setJourneySessionId(session.id);
+            setJourneyTitle(title);
+            setJourneyQuery(session.id);
+          }
+          setSaveStatus('saved');
+        } catch (error) {
+          console.warn('Journey save error:', error);
+          setSaveStatus('error');
+        }
+      });
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [blocks, buildJourney, journeyTitle, isRestoring, setJourneyQuery]);
 
   // Get current block for checklist integration
   const currentBlock = blocks.find(b => b.id === currentBlockId) || blocks[0];
+  const currentLine = currentBlock ? getNodeLine(blocks, currentBlock.id) : [];
+  const currentPath = currentBlock ? getNodePath(blocks, currentBlock.id) : [];
+  const staleIds = getStaleNodeIds(blocks);
+  const staleLine = currentBlock ? getStaleLine(blocks, currentBlock.id, staleIds) : null;
   
   // Initialize checklist state for current altitude
   const {
@@ -255,10 +675,23 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
   } = useChecklistState(
     currentBlock?.altitude,
     currentBlock?.prompt || '',
-    blocks.map(b => ({ value: b.prompt, altitude: b.altitude })),
-    'blueprint_logic' // Default mode
+    toIdeaTree(blocks, currentBlock?.id),
+    'blueprint_logic', // Default mode
+    checklistChecks[currentBlock?.altitude]
   );
 
+  // Keep the user's checks in the journey so they survive a reload
+  useEffect(() => {
+    if (!checklist?.altitude) return;
+
+    const checkedIds = checklist.checklist_items.filter(item => item.user_checked).map(item => item.id);
+    setChecklistChecks(prev => (
+      JSON.stringify(prev[checklist.altitude] || []) === JSON.stringify(checkedIds)
+        ? prev
+        : { ...prev, [checklist.altitude]: checkedIds }
+    ));
+  }, [checklist]);
+
   // Check if promotion is ready
   const promotionStatus = getPromotionStatus();
 
@@ -490,6 +923,9 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
             </div>
           </div>
           <div className={styles.headerControls}>
+            <DocumentImport onImport={openImportedJourney} disabled={isLoading} />
+            <ExportMenu title={journeyTitle} buildJourney={buildJourney} disabled={blocks.length === 0} />
+            <DriftTimeline line={currentLine} anchor={currentLine.filter(node => node.pivot).pop()?.pivot.anchor} disabled={isLoading} />
             <div className={styles.checklistToggle}>
               <button 
                 onClick={() => setShowChecklist(!showChecklist)}
@@ -505,6 +941,57 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
 
 
 
+        <SessionManager
+          sessionId={journeySessionId}
+          title={journeyTitle}
+          onTitleChange={setJourneyTitle}
+          saveStatus={saveStatus}
+          onResume={resumeJourney}
+          onNewJourney={startNewJourney}
+        />
+
+        <BranchExplorer
+          nodes={blocks}
+          currentNodeId={currentBlock?.id}
+          staleIds={staleIds}
+          onSelect={setCurrentBlockId}
+          onFork={forkBranch}
+          onPromote={promoteBranch}
+          disabled={isLoading}
+        />
+
+        {yoloReport && (
+          <div className={yoloReport.stopped ? styles.yoloStopped : styles.yoloReport}>
+            <span>
+              {yoloReport.stopped
+                ? `Yolo stopped at ${getAltitudeName(yoloReport.stopped.altitude)}: ${yoloReport.stopped.reasons.join('; ')}. Review it and carry on from there.`
+                : `Yolo generated ${yoloReport.levels} levels down to ${getAltitudeName(getExecutionAltitude())}.`}
+              {' '}Answers marked ASSUMPTION were not given by you; review them.
+              {yoloReport.stopped?.blocked && (
+                <button
+                  onClick={() => runYolo(yoloReport.stoppedBlockId, { overrideBlocks: true })}
+                  disabled={isLoading}
+                  className={styles.yoloButton}
+                >
+                  Continue past blocking rules
+                </button>
+              )}
+            </span>
+            <button onClick={() => setYoloReport(null)} className={styles.dismissButton} title="Dismiss">×</button>
+          </div>
+        )}
+
+        {staleLine && (
+          <RederivePanel
+            upstream={staleLine.upstream}
+            chain={staleLine.chain}
+            getAltitudeName={getAltitudeName}
+            onAccept={(updates) => resolveStaleLine(staleLine, updates)}
+            onKeep={() => resolveStaleLine(staleLine, staleLine.chain.map(() => null))}
+            disabled={isLoading}
+          />
+        )}
+
         {/* Guardrail Checklist */}
         {showChecklist && currentBlock && (
           <ChecklistGuardrail
@@ -517,14 +1004,14 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
         )}
 
         <div className={styles.blocksContainer}>
-          {blocks.map((block, index) => (
+          {currentPath.slice(-1).map((block) => (
             <div 
               key={block.id} 
               className={styles.block}
             >
               <div className={styles.blockHeader}>
                 <div className={styles.blockMeta}>
-                  <span className={styles.blockNumber}>#{index + 1}</span>
+                  <span className={styles.blockNumber}>#{currentPath.length}</span>
                   <span 
                     className={styles.altitudeBadge} 
                     style={{ backgroundColor: getAltitudeColor(block.altitude) }}
@@ -544,6 +1031,8 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
               </div>
               
               <div className={styles.blockContent}>
+                <ReadinessBreakdown readiness={block.readinessDetails} />
+
                 <div className={styles.inputSection}>
                   <label>Your Idea:</label>
                   <textarea
@@ -560,8 +1049,30 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
                   >
                     {isLoading ? 'Refining...' : 'Refine with AI'}
                   </button>
+                  {!isExecutionAltitude(block.altitude) && (
+                    <button
+                      onClick={() => runYolo(block.id)}
+                      disabled={isLoading || !block.prompt.trim()}
+                      className={styles.yoloButton}
+                      title="Generate every level below this one, assuming the answers to each level's questions"
+                    >
+                      🚀 Yolo to {getAltitudeName(getExecutionAltitude())}
+                    </button>
+                  )}
+                  {isLoading && (
+                    <button onClick={cancelRefinement} className={styles.cancelButton}>
+                      Cancel
+                    </button>
+                  )}
                 </div>
 
+                <BranchProposals
+                  block={block}
+                  ideaTree={toIdeaTree(blocks, block.id)}
+                  onChange={(branches) => updateBlock(block.id, { branches })}
+                  disabled={isLoading}
+                />
+
                 {block.suggestedQuestions && block.suggestedQuestions.length > 0 && (
                   <div className={styles.responseSection}>
                     <label>AI's Questions:</label>
@@ -596,16 +1107,31 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
                     >
                       {isLoading ? 'Refining...' : 'Refine with AI'}
                     </button>
+                    {isLoading && (
+                      <button onClick={cancelRefinement} className={styles.cancelButton}>
+                        Cancel
+                      </button>
+                    )}
                   </div>
                 )}
 
                 {block.refinedPrompt && (
                   <div className={styles.outputSection}>
-                    <label>AI Refinement ({getNextAltitudeName(block.altitude)} Level):</label>
-                    <div className={styles.refinedDisplay}>
+                    <label>
+                      AI Refinement ({getNextAltitudeName(block.altitude)} Level):
+                      {block.llmMetadata?.is_mock && (
+                        <span
+                          className={styles.mockBadge}
+                          title={describeFailover(block.llmMetadata)}
+                        >
+                          Mock response
+                        </span>
+                      )}
+                    </label>
+                    <div className={`${styles.refinedDisplay} ${block.isStreaming ? styles.streaming : ''}`}>
                       {block.refinedPrompt}
                     </div>
-                    <div className={styles.refinementActions}>
+                    {!block.isStreaming && <div className={styles.refinementActions}>
                       <button 
                         onClick={() => updateBlock(block.id, { prompt: block.refinedPrompt })}
                         className={styles.useSuggestionButton}
@@ -618,142 +1144,75 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
                       >
                         Clear Refinement
                       </button>
-                    </div>
+                    </div>}
                   </div>
                 )}
 
-                {/* Execution Output Display - Show when at 5k ft level */}
-                {block.altitude === '5k' && block.refinedPrompt && (
-                  <div className={styles.executionOutputSection}>
-                    <label>🎯 Execution Plan (Ready to Implement):</label>
-                    <div className={styles.executionDisplay}>
-                      <div className={styles.executionSection}>
-                        <h4>📋 Immediate Actions:</h4>
-                        <ul>
-                          <li>Research state licensing requirements</li>
-                          <li>Choose insurance company to work with</li>
-                          <li>Complete pre-licensing education</li>
-                          <li>Schedule licensing exam</li>
-                          <li>Prepare business cards and marketing materials</li>
-                        </ul>
-                      </div>
-                      
-                      <div className={styles.executionSection}>
-                        <h4>⏰ Timeline:</h4>
-                        <div className={styles.timeline}>
-                          <div><strong>Week 1-2:</strong> Research and planning</div>
-                          <div><strong>Week 3-4:</strong> Setup and preparation</div>
-                          <div><strong>Month 2:</strong> Launch and initial execution</div>
-                          <div><strong>Month 3+:</strong> Iterate and scale</div>
-                        </div>
-                      </div>
-                      
-                      <div className={styles.executionSection}>
-                        <h4>📊 Success Metrics:</h4>
-                        <ul>
-                          <li>Complete initial setup and preparation</li>
-                          <li>Achieve first milestone or goal</li>
-                          <li>Establish consistent progress tracking</li>
-                          <li>Build initial network or client base</li>
-                          <li>Measure and adjust based on results</li>
-                        </ul>
-                      </div>
-                      
-                      <div className={styles.executionSection}>
-                        <h4>🛠️ Resources Needed:</h4>
-                        <ul>
-                          <li>Time for daily/weekly execution</li>
-                          <li>Financial resources for startup costs</li>
-                          <li>Skills and knowledge development</li>
-                          <li>Support network and mentors</li>
-                          <li>Tools and technology needed</li>
-                        </ul>
-                      </div>
-                    </div>
-                    
-                    <div className={styles.executionActions}>
-                      <button 
-                        onClick={() => {
-                          const executionData = {
-                            plan: block.refinedPrompt,
-                            actions: [
-                              'Research state licensing requirements',
-                              'Choose insurance company to work with',
-                              'Complete pre-licensing education'
-                            ],
-                            timeline: 'Week 1-2: Research and planning\nWeek 3-4: Setup and preparation\nMonth 2: Launch and initial execution\nMonth 3+: Iterate and scale',
-                            metrics: [
-                              'Complete initial setup and preparation',
-                              'Achieve first milestone or goal',
-                              'Establish consistent progress tracking'
-                            ]
-                          };
-                          const dataStr = JSON.stringify(executionData, null, 2);
-                          const dataBlob = new Blob([dataStr], {type: 'application/json'});
-                          const url = URL.createObjectURL(dataBlob);
-                          const link = document.createElement('a');
-                          link.href = url;
-                          link.download = 'execution-plan.json';
-                          link.click();
-                        }}
-                        className={styles.exportExecutionButton}
-                      >
-                        📥 Export Execution Plan
-                      </button>
-                    </div>
-                  </div>
+                {/* Execution plan - the output layer */}
+                {isExecutionAltitude(block.altitude) && (
+                  <ExecutionPlanEditor
+                    block={block}
+                    ideaTree={toIdeaTree(blocks, block.id)}
+                    userResponses={Object.fromEntries(
+                      getNodePath(blocks, block.id)
+                        .filter(node => userResponses[node.id]?.trim())
+                        .map(node => [node.altitude, userResponses[node.id]])
+                    )}
+                    onChange={(executionPlan) => updateBlock(block.id, { executionPlan })}
+                    disabled={isLoading}
+                  />
                 )}
                 
-                {/* Drift Analysis Display */}
-                {driftAnalysis[block.altitude] && driftAnalysis[block.altitude].hasDrift && (
-                  <div className={styles.driftWarning}>
-                    <div className={styles.driftHeader}>
-                      <span className={styles.driftIcon}>🚨</span>
-                      <span className={styles.driftTitle}>Drift Detected</span>
-                    </div>
-                    <div className={styles.driftDetails}>
-                      {driftAnalysis[block.altitude].details}
-                    </div>
-                  </div>
+                {/* Drift Analysis Display, with a revert / accept / re-anchor choice per flag */}
+                {driftAnalysis[block.id] && driftAnalysis[block.id].hasDrift && (
+                  <DriftResolution
+                    analysis={driftAnalysis[block.id]}
+                    block={block}
+                    vision={altitudeSummaries[currentPath[0].id] || getDerivationSource(currentPath[0])}
+                    canRevert={getRevertTarget(block, iterationLog) !== null}
+                    onResolve={(flagIndex, action, proposal) => resolveDrift(block.id, flagIndex, action, proposal)}
+                    disabled={isLoading}
+                  />
                 )}
 
-                {/* Dependency Violations Display */}
-                {dependencyViolations[block.altitude] && !dependencyViolations[block.altitude].isValid && (
-                  <div className={styles.dependencyWarning}>
-                    <div className={styles.dependencyHeader}>
-                      <span className={styles.dependencyIcon}>⚠️</span>
-                      <span className={styles.dependencyTitle}>Dependency Violations</span>
-                    </div>
-                    <div className={styles.dependencyDetails}>
-                      {dependencyViolations[block.altitude].violations.map((violation, index) => (
-                        <div key={index} className={styles.violation}>
-                          {violation.message}
-                        </div>
-                      ))}
-                    </div>
-                  </div>
+                {/* Dependency Violations Display, offending text highlighted */}
+                {dependencyViolations[block.id]?.violations.length > 0 && (
+                  <DependencyViolations
+                    validation={dependencyViolations[block.id]}
+                    onOverride={() => moveToNextAltitude(block.id, { overrideBlock: true })}
+                    disabled={isLoading}
+                  />
                 )}
 
                 {/* Altitude Summary Display */}
-                {altitudeSummaries[block.altitude] && (
+                {altitudeSummaries[block.id] && (
                   <div className={styles.altitudeSummary}>
                     <div className={styles.summaryHeader}>
                       <span className={styles.summaryIcon}>📝</span>
                       <span className={styles.summaryTitle}>Altitude Summary</span>
                     </div>
                     <div className={styles.summaryContent}>
-                      {altitudeSummaries[block.altitude]}
+                      {altitudeSummaries[block.id]}
                     </div>
                   </div>
                 )}
 
                 <div className={styles.blockActions}>
+                  {block.parentId !== null && (
+                    <button 
+                      onClick={() => setCurrentBlockId(block.parentId)}
+                      disabled={isLoading}
+                      className={styles.previousLevelButton}
+                    >
+                      ⬆ Back to {getAltitudeName(getPreviousAltitude(block.altitude))}
+                    </button>
+                  )}
                   <button 
                     onClick={() => moveToNextAltitude(block.id)}
                     disabled={!block.refinedPrompt.trim() || !isPromotionReady()}
                     className={`${styles.nextLevelButton} ${!isPromotionReady() ? styles.disabled : ''}`}
                   >
-                    {block.altitude === '5k' ? '✅ Execution Complete' : 
+                    {isExecutionAltitude(block.altitude) ? '✅ Execution Complete' : 
                      isPromotionReady() ? 'Next Level' : `Complete Guardrails (${promotionStatus.checked}/${promotionStatus.required})`}
                   </button>
                 </div>
@@ -811,10 +1270,10 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
         <div className={styles.progressContainer}>
           <h3>Altitude Journey</h3>
           <div className={styles.altitudeProgress}>
-            {['30k', '20k', '10k', '5k'].map((altitude, index) => {
-              const blockAtLevel = blocks.find(b => b.altitude === altitude);
-              const isCurrent = blockAtLevel && blockAtLevel.id === currentBlockId;
-              const isCompleted = blocks.some(b => b.altitude === altitude && b.id !== currentBlockId);
+            {getAltitudeIds().map((altitude, index) => {
+              const blockAtLevel = currentPath.find(b => b.altitude === altitude);
+              const isCurrent = blockAtLevel && blockAtLevel.id === currentBlock.id;
+              const isCompleted = currentPath.some(b => b.altitude === altitude && b.id !== currentBlock.id);
               
               return (
                 <div 
@@ -849,14 +1308,14 @@ const AltitudePingPongForm = withComponentErrorHandling(() => {
           </div>
           
           <div className={styles.progressStats}>
-            <p>Current Level: {blocks[0]?.altitude || 'None'}</p>
-            <p>Current Iterations: {blocks[0]?.iterations || 0}</p>
+            <p>Current Level: {currentBlock?.altitude || 'None'}</p>
+            <p>Current Iterations: {currentBlock?.iterations || 0}</p>
             <p>Total Iterations: {blocks.reduce((sum, b) => sum + b.iterations, 0)}</p>
           </div>
           
           <div className={styles.addBlockSection}>
             <button 
-              onClick={() => createNewBlock()}
+              onClick={startNewJourney}
               className={styles.addBlockButton}
             >
               + Start New Session
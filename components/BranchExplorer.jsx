@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import styles from '../styles/BranchExplorer.module.css';
+import { getNodePath, getSiblings } from '../utils/ideaTree.js';
+
+const READINESS_COLORS = { red: '#D0021B', yellow: '#F5A623', green: '#7ED321' };
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+/**
+ * The current branch of the idea tree, with a fork action at every altitude,
+ * and the alternatives at the current altitude compared side by side.
+ * Any altitude on the branch can be opened to climb back up and edit it.
+ */
+const BranchExplorer = ({ nodes, currentNodeId, staleIds = new Set(), onSelect, onFork, onPromote, disabled }) => {
+  const [showArchived, setShowArchived] = useState(false);
+
+  const path = getNodePath(nodes, currentNodeId);
+  const siblings = getSiblings(nodes, currentNodeId);
+  const archivedCount = siblings.filter(node => node.status === 'archived').length;
+  const visibleSiblings = siblings.filter(node => showArchived || node.status !== 'archived' || node.id === currentNodeId);
+  const activeCount = siblings.length - archivedCount;
+
+  if (path.length === 0) return null;
+
+  return (
+    <div className={styles.branchExplorer}>
+      <div className={styles.pathRow}>
+        {path.map(node => {
+          const alternatives = getSiblings(nodes, node.id).length - 1;
+          return (
+            <div key={node.id} className={`${styles.pathNode} ${node.id === currentNodeId ? styles.currentPathNode : ''}`}>
+              <button
+                className={styles.pathLink}
+                onClick={() => onSelect(node.id)}
+                disabled={disabled || node.id === currentNodeId}
+                title={node.prompt}
+              >
+                <span className={styles.pathAltitude}>{node.altitude}</span>
+                <span className={styles.pathPrompt}>{truncate(node.prompt || 'No idea yet', 40)}</span>
+              </button>
+              {staleIds.has(node.id) && <span className={styles.staleBadge}>Out of date</span>}
+              {alternatives > 0 && (
+                <span className={styles.alternativeCount}>
+                  +{alternatives} alternative{alternatives === 1 ? '' : 's'}
+                </span>
+              )}
+              <button
+                className={styles.forkButton}
+                onClick={() => onFork(node.id)}
+                disabled={disabled || !node.prompt.trim()}
+                title={`Explore another direction at ${node.altitude}`}
+              >
+                ⑂ Fork
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {siblings.length > 1 && (
+        <div className={styles.compareSection}>
+          <div className={styles.compareHeader}>
+            <h4>Alternatives at {siblings[0].altitude}</h4>
+            {archivedCount > 0 && (
+              <button className={styles.archiveToggle} onClick={() => setShowArchived(!showArchived)}>
+                {showArchived ? 'Hide archived' : `Show archived (${archivedCount})`}
+              </button>
+            )}
+          </div>
+
+          <div className={styles.compareGrid}>
+            {visibleSiblings.map((node, index) => (
+              <div
+                key={node.id}
+                className={`${styles.branchCard} ${node.id === currentNodeId ? styles.currentBranch : ''} ${node.status === 'archived' ? styles.archivedBranch : ''}`}
+              >
+                <div className={styles.branchMeta}>
+                  <span className={styles.branchLabel}>Branch {index + 1}</span>
+                  <span
+                    className={styles.readinessDot}
+                    style={{ backgroundColor: READINESS_COLORS[node.readiness] || '#999' }}
+                  ></span>
+                  <span>{node.iterations} iteration{node.iterations === 1 ? '' : 's'}</span>
+                  {node.status === 'archived' && <span className={styles.archivedBadge}>Archived</span>}
+                </div>
+
+                <div className={styles.branchPrompt}>{node.prompt || 'No idea yet'}</div>
+                {node.refinedPrompt && (
+                  <div className={styles.branchRefinement}>{node.refinedPrompt}</div>
+                )}
+
+                <div className={styles.branchActions}>
+                  {node.id === currentNodeId ? (
+                    <span className={styles.currentLabel}>Viewing</span>
+                  ) : (
+                    <button className={styles.branchButton} onClick={() => onSelect(node.id)} disabled={disabled}>
+                      Open
+                    </button>
+                  )}
+                  {(node.status === 'archived' || activeCount > 1) && (
+                    <button className={styles.branchButton} onClick={() => onPromote(node.id)} disabled={disabled}>
+                      {node.status === 'archived' ? 'Restore & promote' : 'Promote'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BranchExplorer;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import styles from '../styles/BranchProposals.module.css';
+import { IDEA_TREE_CONFIG } from '../utils/config.js';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+
+/**
+ * Typed branches of a block (Market, Focus, Revenue Model, ...). Extraction
+ * proposes branches from the block's text with a confidence and the words
+ * they came from; each proposal can be edited, then accepted or rejected.
+ *
+ * onChange receives the block's full list of accepted branches.
+ */
+const BranchProposals = ({ block, ideaTree, onChange, disabled }) => {
+  const [proposals, setProposals] = useState([]);
+  const [method, setMethod] = useState(null);
+  const [limitReached, setLimitReached] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Proposals only apply to the block they were made for
+  useEffect(() => {
+    setProposals([]);
+    setMethod(null);
+    setLimitReached(false);
+    setError(null);
+  }, [block.id]);
+
+  const branches = block.branches || [];
+  const text = [block.prompt, block.refinedPrompt].filter(Boolean).join('\n\n');
+
+  const requestProposals = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/extract-branches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text,
+          altitude: block.altitude,
+          ideaTree: ideaTree.filter(branch => branch.value?.trim()),
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Branch extraction failed');
+      }
+      setProposals(data.proposals);
+      setMethod(data.method);
+      setLimitReached(data.limit_reached);
+    } catch (err) {
+      console.warn('Branch extraction error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const editProposal = (index, updates) => {
+    setProposals(prev => prev.map((proposal, i) => (i === index ? { ...proposal, ...updates } : proposal)));
+  };
+
+  const removeProposal = (index) => {
+    setProposals(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const acceptProposal = (index) => {
+    const { label, value, confidence, source_span } = proposals[index];
+    onChange([...branches, { label, value: value.trim(), confidence, source_span }]);
+    removeProposal(index);
+  };
+
+  const removeBranch = (index) => {
+    onChange(branches.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className={styles.branchProposals}>
+      <div className={styles.header}>
+        <label>Branches:</label>
+        <button
+          className={styles.extractButton}
+          onClick={requestProposals}
+          disabled={disabled || isLoading || !text.trim()}
+        >
+          {isLoading ? 'Extracting…' : 'Extract branches'}
+        </button>
+        {method === 'keywords' && <span className={styles.methodBadge}>Keyword matches</span>}
+      </div>
+
+      {branches.length > 0 && (
+        <div className={styles.chips}>
+          {branches.map((branch, index) => (
+            <span key={`${branch.label}-${branch.value}`} className={styles.chip} title={branch.source_span?.text}>
+              <span className={styles.chipType}>{branch.label}</span>
+              {branch.value}
+              <button className={styles.chipRemove} onClick={() => removeBranch(index)} disabled={disabled} title="Remove branch">
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {error && <div className={styles.error}>{error}</div>}
+      {method && proposals.length === 0 && !error && (
+        <div className={styles.empty}>No new branches found.</div>
+      )}
+      {limitReached && (
+        <div className={styles.empty}>
+          Only {IDEA_TREE_CONFIG.maxBranches} branches fit on the tree; remove one to make room for more.
+        </div>
+      )}
+
+      {proposals.map((proposal, index) => (
+        <div key={index} className={styles.proposal}>
+          <select
+            className={styles.typeSelect}
+            value={proposal.label}
+            onChange={(e) => editProposal(index, { label: e.target.value })}
+          >
+            {IDEA_TREE_CONFIG.branchTypes.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <input
+            className={styles.valueInput}
+            value={proposal.value}
+            onChange={(e) => editProposal(index, { value: e.target.value })}
+          />
+          <span className={styles.confidence}>{Math.round(proposal.confidence * 100)}%</span>
+          <button
+            className={styles.acceptButton}
+            onClick={() => acceptProposal(index)}
+            disabled={disabled || !proposal.value.trim()}
+          >
+            Accept
+          </button>
+          <button className={styles.rejectButton} onClick={() => removeProposal(index)}>
+            Reject
+          </button>
+          {proposal.source_span && (
+            <div className={styles.sourceSpan}>“{proposal.source_span.text}”</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BranchProposals;
@@ -1,4 +1,5 @@
 import React from 'react';
+import Link from 'next/link';
 import styles from '../styles/ChecklistGuardrail.module.css';
 import { withComponentErrorHandling } from '../utils/errorHandler.js';
 
@@ -59,6 +60,9 @@ const ChecklistGuardrail = withComponentErrorHandling(({
         >
           Reset All
         </button>
+        <Link href="/checklist-builder" className={`${styles.actionButton} ${styles.editLink}`} title="Author or edit checklist profiles">
+          Edit Checklists
+        </Link>
       </div>
 
       {/* Checklist Items */}
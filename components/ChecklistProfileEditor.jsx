@@ -0,0 +1,445 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styles from '../styles/ChecklistProfileEditor.module.css';
+import { ALTITUDE_CONFIG, APP_CONFIG } from '../utils/config.js';
+import { getAltitudeName } from '../utils/altitudeLadder.js';
+import { validateChecklistProfile } from '../utils/validation.js';
+import {
+  listChecklistProfiles,
+  loadChecklistProfile,
+  saveChecklistProfile,
+  deleteChecklistProfile,
+  lintChecklistProfiles
+} from '../utils/checklistClient.js';
+
+const SOURCE_LABELS = {
+  built_in: 'Built-in',
+  customised: 'Customised',
+  custom: 'Custom'
+};
+
+const ISSUE_ICONS = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+
+const formatSaved = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Editable copy of a loaded profile: every level's checklist, with `own`
+ * marking the levels the profile has its own checklist for (the rest show
+ * the level's default and are not saved)
+ */
+function toDraft(loaded, { asNew = false } = {}) {
+  const { profile } = loaded;
+  return {
+    id: asNew ? '' : loaded.id,
+    name: asNew ? '' : profile.name,
+    description: asNew ? '' : profile.description || '',
+    icon: asNew ? '' : profile.icon || '',
+    color: asNew ? '' : profile.color || '',
+    tags: asNew ? '' : (profile.tags || []).join(', '),
+    altitudes: Object.fromEntries(ALTITUDE_CONFIG.levels.map(altitude => [altitude, profile.altitudes[altitude]])),
+    own: Object.fromEntries(ALTITUDE_CONFIG.levels.map(altitude => [altitude, !asNew && !loaded.fallbacks[altitude]]))
+  };
+}
+
+/**
+ * The profile as the API takes it: only the levels with their own checklist
+ */
+function fromDraft(draft) {
+  return {
+    name: draft.name,
+    description: draft.description,
+    icon: draft.icon,
+    color: draft.color,
+    tags: draft.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    altitudes: Object.fromEntries(
+      ALTITUDE_CONFIG.levels
+        .filter(altitude => draft.own[altitude] && draft.altitudes[altitude])
+        .map(altitude => [altitude, { ...draft.altitudes[altitude], altitude }])
+    )
+  };
+}
+
+const parseNumber = (value) => (value === '' ? undefined : Number(value));
+
+/**
+ * One level's checklist: its name and description, the items and the
+ * promotion criteria
+ */
+const ChecklistEditor = ({ checklist, onChange, errors }) => {
+  const updateItem = (index, field, value) => onChange({
+    ...checklist,
+    checklist_items: checklist.checklist_items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+  });
+  const removeItem = (index) => onChange({
+    ...checklist,
+    checklist_items: checklist.checklist_items.filter((_, i) => i !== index)
+  });
+  const addItem = () => onChange({
+    ...checklist,
+    checklist_items: [...checklist.checklist_items, { id: `item_${checklist.checklist_items.length + 1}`, label: '', description: '', category: '' }]
+  });
+  const updateCriteria = (field, value) => onChange({
+    ...checklist,
+    promotion_criteria: { ...checklist.promotion_criteria, [field]: value }
+  });
+
+  return (
+    <div className={styles.checklistEditor}>
+      <div className={styles.fieldRow}>
+        <label className={styles.field}>
+          <span>Checklist name</span>
+          <input value={checklist.name} onChange={(e) => onChange({ ...checklist, name: e.target.value })} />
+        </label>
+        <label className={`${styles.field} ${styles.wide}`}>
+          <span>Description</span>
+          <input value={checklist.description || ''} onChange={(e) => onChange({ ...checklist, description: e.target.value })} />
+        </label>
+      </div>
+
+      <div className={styles.items}>
+        {checklist.checklist_items.map((item, index) => (
+          <div key={index} className={styles.item}>
+            <input className={styles.itemId} value={item.id} placeholder="id" onChange={(e) => updateItem(index, 'id', e.target.value)} />
+            <input value={item.label} placeholder="Label" onChange={(e) => updateItem(index, 'label', e.target.value)} />
+            <input className={styles.itemDescription} value={item.description || ''} placeholder="What the LLM and the user check for" onChange={(e) => updateItem(index, 'description', e.target.value)} />
+            <input className={styles.itemCategory} value={item.category || ''} placeholder="Category" onChange={(e) => updateItem(index, 'category', e.target.value)} />
+            <button className={styles.removeButton} onClick={() => removeItem(index)} title="Remove item">✕</button>
+          </div>
+        ))}
+        <button className={styles.secondaryButton} onClick={addItem}>+ Add item</button>
+      </div>
+
+      <div className={styles.fieldRow}>
+        <label className={styles.field}>
+          <span>Checks required to move on</span>
+          <input
+            type="number"
+            min="1"
+            value={checklist.promotion_criteria?.required_checks ?? ''}
+            onChange={(e) => updateCriteria('required_checks', parseNumber(e.target.value))}
+          />
+        </label>
+        <label className={styles.field}>
+          <span>Minimum LLM confidence (0–1)</span>
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={checklist.promotion_criteria?.minimum_llm_confidence ?? ''}
+            onChange={(e) => updateCriteria('minimum_llm_confidence', parseNumber(e.target.value))}
+          />
+        </label>
+        <label className={styles.checkboxField}>
+          <input
+            type="checkbox"
+            checked={checklist.promotion_criteria?.user_override_allowed ?? false}
+            onChange={(e) => updateCriteria('user_override_allowed', e.target.checked)}
+          />
+          <span>User may override</span>
+        </label>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className={styles.errors}>
+          {errors.map((error, index) => <li key={index}>{error.message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Result of linting every profile, errors first
+ */
+const LintReport = ({ report, onOpen }) => (
+  <div className={styles.lintReport}>
+    <div className={styles.lintSummary}>
+      {report.valid ? '✅ No missing or malformed checklists' : '❌ Some profiles have missing or malformed checklists'}
+    </div>
+    {report.profiles.map(profile => {
+      const issues = profile.issues.filter(issue => issue.severity !== 'info');
+      const defaults = profile.issues.filter(issue => issue.severity === 'info').map(issue => issue.altitude);
+      return (
+        <div key={profile.id} className={styles.lintProfile}>
+          <button className={styles.linkButton} onClick={() => onOpen(profile.id)}>{profile.name || profile.id}</button>
+          <span className={styles.source}>{SOURCE_LABELS[profile.source]}</span>
+          {issues.length === 0 && <span className={styles.ok}>OK</span>}
+          <ul>
+            {issues.map((issue, index) => (
+              <li key={index} className={styles[issue.severity]}>
+                {ISSUE_ICONS[issue.severity]} {issue.altitude && <strong>{issue.altitude}: </strong>}{issue.message}
+              </li>
+            ))}
+            {defaults.length > 0 && (
+              <li className={styles.info}>{ISSUE_ICONS.info} Default checklist at {defaults.join(', ')}</li>
+            )}
+          </ul>
+        </div>
+      );
+    })}
+  </div>
+);
+
+/**
+ * Checklist builder: create, edit, version and delete mode profiles and the
+ * checklist they show at each altitude (see utils/checklistProfiles.js).
+ * Saving validates the profile here first so mistakes show next to the level
+ * they are in; the server validates it again.
+ */
+const ChecklistProfileEditor = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [loaded, setLoaded] = useState(null); // The profile as last loaded from the server
+  const [draft, setDraft] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [activeAltitude, setActiveAltitude] = useState(ALTITUDE_CONFIG.levels[0]);
+  const [errors, setErrors] = useState([]);
+  const [lintReport, setLintReport] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.warn('Checklist builder error:', err);
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const refreshProfiles = useCallback(async () => {
+    setProfiles(await listChecklistProfiles());
+  }, []);
+
+  const openProfile = (id, version = null) => run(async () => {
+    const profile = await loadChecklistProfile(id, version);
+    setLoaded(profile);
+    setDraft(toDraft(profile));
+    setIsNew(false);
+    setErrors([]);
+    setStatus(version !== null && version !== profile.versions[profile.versions.length - 1]?.version
+      ? `Viewing version ${version}. Save to restore it as the latest version.`
+      : null);
+  });
+
+  // New profiles start from the default mode's checklists, none of them their own yet
+  const newProfile = () => run(async () => {
+    const template = await loadChecklistProfile(APP_CONFIG.defaultMode);
+    setLoaded(null);
+    setDraft(toDraft(template, { asNew: true }));
+    setIsNew(true);
+    setErrors([]);
+    setStatus(null);
+  });
+
+  useEffect(() => {
+    run(refreshProfiles);
+  }, [refreshProfiles]);
+
+  const updateDraft = (fields) => setDraft(prev => ({ ...prev, ...fields }));
+  const updateChecklist = (altitude, checklist) => setDraft(prev => ({
+    ...prev,
+    altitudes: { ...prev.altitudes, [altitude]: checklist }
+  }));
+  // A level without even a default checklist starts from an empty one
+  const toggleOwn = (altitude) => setDraft(prev => ({
+    ...prev,
+    altitudes: {
+      ...prev.altitudes,
+      [altitude]: prev.altitudes[altitude] || {
+        altitude,
+        name: `${getAltitudeName(altitude)} Checklist`,
+        description: '',
+        checklist_items: [],
+        promotion_criteria: { required_checks: 1, minimum_llm_confidence: 0.7, user_override_allowed: true }
+      }
+    },
+    own: { ...prev.own, [altitude]: !prev.own[altitude] }
+  }));
+
+  const save = () => {
+    const profile = fromDraft(draft);
+    const validation = validateChecklistProfile(isNew ? { ...profile, id: draft.id } : profile, { requireId: isNew });
+    setErrors(validation.errors);
+    if (!validation.valid) {
+      setStatus('Fix the problems below before saving.');
+      return;
+    }
+
+    run(async () => {
+      const saved = await saveChecklistProfile(draft.id, profile, { create: isNew });
+      setLoaded(saved);
+      setDraft(toDraft(saved));
+      setIsNew(false);
+      setStatus(`Saved version ${saved.version}.`);
+      await refreshProfiles();
+    });
+  };
+
+  const remove = () => {
+    const message = loaded.source === 'customised'
+      ? 'Discard your changes and go back to the built-in profile?'
+      : 'Delete this profile and all its versions?';
+    if (!window.confirm(message)) return;
+
+    run(async () => {
+      await deleteChecklistProfile(loaded.id);
+      await refreshProfiles();
+      if (loaded.source === 'customised') {
+        const restored = await loadChecklistProfile(loaded.id);
+        setLoaded(restored);
+        setDraft(toDraft(restored));
+        setStatus('Back to the built-in profile.');
+      } else {
+        setLoaded(null);
+        setDraft(null);
+        setStatus('Profile deleted.');
+      }
+    });
+  };
+
+  const lint = () => run(async () => {
+    setLintReport(await lintChecklistProfiles());
+  });
+
+  const fieldErrors = (prefix) => errors.filter(err => err.field?.startsWith(prefix));
+  const profileErrors = errors.filter(err => !err.field?.startsWith('altitudes.'));
+
+  return (
+    <div className={styles.builder}>
+      <aside className={styles.sidebar}>
+        <div className={styles.sidebarActions}>
+          <button className={styles.primaryButton} onClick={newProfile} disabled={isBusy}>+ New profile</button>
+          <button className={styles.secondaryButton} onClick={lint} disabled={isBusy}>🔍 Lint all profiles</button>
+        </div>
+        <ul className={styles.profileList}>
+          {profiles.map(profile => (
+            <li key={profile.id}>
+              <button
+                className={loaded?.id === profile.id && !isNew ? `${styles.profileButton} ${styles.active}` : styles.profileButton}
+                onClick={() => openProfile(profile.id)}
+                disabled={isBusy}
+              >
+                <span>{profile.icon || '🎯'} {profile.name}</span>
+                <span className={styles.source}>
+                  {SOURCE_LABELS[profile.source]}{profile.version ? ` · v${profile.version}` : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+
+      <section className={styles.main}>
+        {error && <div className={styles.errorBanner}>{error}</div>}
+        {status && <div className={styles.status}>{status}</div>}
+        {lintReport && <LintReport report={lintReport} onOpen={(id) => { setLintReport(null); openProfile(id); }} />}
+
+        {!draft && !lintReport && (
+          <div className={styles.empty}>Pick a profile to edit, or create a new one.</div>
+        )}
+
+        {draft && (
+          <>
+            <div className={styles.fieldRow}>
+              {isNew && (
+                <label className={styles.field}>
+                  <span>Id</span>
+                  <input value={draft.id} placeholder="my_mode" onChange={(e) => updateDraft({ id: e.target.value })} />
+                </label>
+              )}
+              <label className={styles.field}>
+                <span>Name</span>
+                <input value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} />
+              </label>
+              <label className={styles.narrowField}>
+                <span>Icon</span>
+                <input value={draft.icon} placeholder="🎯" onChange={(e) => updateDraft({ icon: e.target.value })} />
+              </label>
+              <label className={styles.narrowField}>
+                <span>Color</span>
+                <input value={draft.color} placeholder="#3498db" onChange={(e) => updateDraft({ color: e.target.value })} />
+              </label>
+            </div>
+            <div className={styles.fieldRow}>
+              <label className={`${styles.field} ${styles.wide}`}>
+                <span>Description</span>
+                <input value={draft.description} onChange={(e) => updateDraft({ description: e.target.value })} />
+              </label>
+              <label className={styles.field}>
+                <span>Tags (comma-separated)</span>
+                <input value={draft.tags} onChange={(e) => updateDraft({ tags: e.target.value })} />
+              </label>
+            </div>
+            {profileErrors.length > 0 && (
+              <ul className={styles.errors}>
+                {profileErrors.map((err, index) => <li key={index}>{err.message}</li>)}
+              </ul>
+            )}
+
+            <div className={styles.tabs}>
+              {ALTITUDE_CONFIG.levels.map(altitude => (
+                <button
+                  key={altitude}
+                  className={altitude === activeAltitude ? `${styles.tab} ${styles.activeTab}` : styles.tab}
+                  onClick={() => setActiveAltitude(altitude)}
+                >
+                  {altitude} {getAltitudeName(altitude)}
+                  {!draft.own[altitude] && <span className={styles.defaultBadge}>default</span>}
+                  {fieldErrors(`altitudes.${altitude}`).length > 0 && ' ❌'}
+                </button>
+              ))}
+            </div>
+
+            <label className={styles.checkboxField}>
+              <input type="checkbox" checked={draft.own[activeAltitude]} onChange={() => toggleOwn(activeAltitude)} />
+              <span>This profile has its own checklist at {activeAltitude}</span>
+            </label>
+            {!draft.own[activeAltitude] && loaded?.fallbacks?.[activeAltitude] && (
+              <div className={styles.fallbackNote}>{loaded.fallbacks[activeAltitude]}</div>
+            )}
+
+            {draft.altitudes[activeAltitude] && draft.own[activeAltitude] && (
+              <ChecklistEditor
+                checklist={draft.altitudes[activeAltitude]}
+                onChange={(checklist) => updateChecklist(activeAltitude, checklist)}
+                errors={fieldErrors(`altitudes.${activeAltitude}`)}
+              />
+            )}
+
+            <div className={styles.footer}>
+              <button className={styles.primaryButton} onClick={save} disabled={isBusy}>
+                {isNew ? 'Create profile' : 'Save new version'}
+              </button>
+              {loaded && loaded.source !== 'built_in' && !isNew && (
+                <button className={styles.dangerButton} onClick={remove} disabled={isBusy}>
+                  {loaded.source === 'customised' ? 'Reset to built-in' : 'Delete profile'}
+                </button>
+              )}
+              {loaded?.versions.length > 1 && !isNew && (
+                <select
+                  className={styles.versionSelect}
+                  value={loaded.version}
+                  onChange={(e) => openProfile(loaded.id, Number(e.target.value))}
+                  disabled={isBusy}
+                >
+                  {[...loaded.versions].reverse().map(version => (
+                    <option key={version.version} value={version.version}>
+                      Version {version.version} · {formatSaved(version.savedAt)}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default ChecklistProfileEditor;
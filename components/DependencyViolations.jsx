@@ -0,0 +1,104 @@
+import React from 'react';
+import styles from '../styles/DependencyViolations.module.css';
+
+const SEVERITY_RANK = { info: 0, warn: 1, block: 2 };
+const SEVERITY_ICONS = { info: 'ℹ️', warn: '⚠️', block: '⛔' };
+const SEVERITY_LABELS = { info: 'Note', warn: 'Warning', block: 'Blocking' };
+
+const worstSeverity = severities => severities.reduce(
+  (worst, severity) => (SEVERITY_RANK[severity] > SEVERITY_RANK[worst] ? severity : worst),
+  'info'
+);
+
+/**
+ * The checked text cut at every span boundary, each piece tagged with the
+ * violations covering it, so overlapping spans highlight once at the worst
+ * severity
+ */
+function segmentText(text, violations) {
+  const spans = violations.flatMap(violation => violation.spans.map(span => ({ ...span, violation })));
+  const cuts = [...new Set([0, text.length, ...spans.flatMap(span => [span.start, span.end])])]
+    .filter(cut => cut >= 0 && cut <= text.length)
+    .sort((a, b) => a - b);
+
+  return cuts.slice(1).map((end, index) => {
+    const start = cuts[index];
+    return {
+      text: text.slice(start, end),
+      violations: spans.filter(span => span.start <= start && span.end >= end).map(span => span.violation)
+    };
+  });
+}
+
+/**
+ * Broken altitude dependency rules for a level (see utils/dependencyRules.js):
+ * the text that was checked with every cited span highlighted, then one line
+ * per broken rule. A blocking rule keeps the journey at this level until the
+ * user fixes the text or continues anyway (`onOverride`).
+ */
+const DependencyViolations = ({ validation, onOverride, disabled = false }) => {
+  const { content, blocked, overridden, skipped = [] } = validation;
+  // Journeys saved before the rule language have violations without severity or spans
+  const violations = validation.violations.map(violation => ({ severity: 'warn', spans: [], ...violation }));
+  const severity = worstSeverity(violations.map(violation => violation.severity));
+  const hasSpans = content && violations.some(violation => violation.spans.length > 0);
+
+  return (
+    <div className={[styles.dependencyWarning, styles[severity]].filter(Boolean).join(' ')}>
+      <div className={styles.dependencyHeader}>
+        <span className={styles.dependencyIcon}>{SEVERITY_ICONS[severity]}</span>
+        <span className={styles.dependencyTitle}>Dependency Violations</span>
+      </div>
+
+      {blocked && !overridden && (
+        <div className={styles.blockedNote}>
+          Fix the blocking issues before moving to the next altitude, or continue anyway.
+          {onOverride && (
+            <button onClick={onOverride} disabled={disabled} className={styles.overrideButton}>
+              Continue anyway
+            </button>
+          )}
+        </div>
+      )}
+      {blocked && overridden && (
+        <div className={styles.overriddenNote}>You continued past the blocking issues.</div>
+      )}
+
+      {hasSpans && (
+        <div className={styles.checkedText}>
+          {segmentText(content, violations).map((segment, index) => (segment.violations.length > 0 ? (
+            <mark
+              key={index}
+              className={styles[`highlight_${worstSeverity(segment.violations.map(violation => violation.severity))}`]}
+              title={segment.violations.map(violation => violation.message).join('\n')}
+            >
+              {segment.text}
+            </mark>
+          ) : (
+            <span key={index}>{segment.text}</span>
+          )))}
+        </div>
+      )}
+
+      <div className={styles.dependencyDetails}>
+        {violations.map((violation, index) => (
+          <div key={index} className={[styles.violation, styles[`violation_${violation.severity}`]].filter(Boolean).join(' ')}>
+            <span className={styles.severity}>{SEVERITY_LABELS[violation.severity]}</span>
+            {violation.message}
+            {violation.type === 'semantic' && violation.reason && violation.reason !== violation.message && (
+              <div className={styles.reason}>{violation.reason}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {skipped.length > 0 && (
+        <div className={styles.skipped}>
+          {skipped.length} rule{skipped.length === 1 ? '' : 's'} judged by the AI could not be checked.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DependencyViolations;
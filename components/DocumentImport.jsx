@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import styles from '../styles/DocumentImport.module.css';
+import { IMPORT_CONFIG } from '../utils/config.js';
+import { getAltitudeName } from '../utils/altitudeLadder.js';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+
+/**
+ * Start a journey from an existing document: paste it or pick a .md, .txt or
+ * .json file (a journey exported as JSON included). The server places each
+ * part of it on the altitude ladder; the placements are listed after import.
+ *
+ * onImport receives { title, journey }.
+ */
+const DocumentImport = ({ onImport, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setResult(null);
+    setFileName(file.name);
+    setContent(await file.text());
+  };
+
+  const importDocument = async () => {
+    setIsImporting(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/import-document', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          content,
+          fileName,
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.details?.[0]?.message || data.error?.message || 'Import failed');
+      }
+      onImport({ title: data.title, journey: data.journey });
+      setResult(data);
+      setContent('');
+      setFileName('');
+    } catch (err) {
+      console.warn('Import error:', err);
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className={styles.documentImport}>
+      <button className={styles.toggleButton} onClick={() => setIsOpen(!isOpen)} disabled={disabled || isImporting}>
+        {isImporting ? 'Importing…' : '📥 Import ▾'}
+      </button>
+      {isOpen && (
+        <div className={styles.panel}>
+          <textarea
+            className={styles.textarea}
+            value={content}
+            onChange={(e) => {
+              setContent(e.target.value);
+              setFileName('');
+            }}
+            placeholder="Paste a plan, brief or notes…"
+            rows={8}
+            maxLength={IMPORT_CONFIG.maxDocumentLength}
+          />
+          <div className={styles.actions}>
+            <input
+              type="file"
+              accept={IMPORT_CONFIG.fileTypes.map(type => `.${type}`).join(',')}
+              onChange={(e) => readFile(e.target.files[0])}
+            />
+            <button className={styles.importButton} onClick={importDocument} disabled={isImporting || !content.trim()}>
+              {isImporting ? 'Placing on the ladder…' : 'Import as new journey'}
+            </button>
+          </div>
+          {fileName && <div className={styles.fileName}>{fileName}</div>}
+          {error && <div className={styles.error}>{error}</div>}
+
+          {result && (
+            <div className={styles.result}>
+              <div>
+                Imported “{result.title}”
+                {result.method === 'keywords' && <span className={styles.methodBadge}>Placed by keywords — no LLM available</span>}
+              </div>
+              <ul className={styles.placements}>
+                {result.placements.map(placement => (
+                  <li key={placement.chunk} title={placement.reason}>
+                    <span className={styles.altitude}>{getAltitudeName(placement.altitude)}</span>
+                    {placement.preview}
+                  </li>
+                ))}
+              </ul>
+              {result.warnings.map(warning => <div key={warning} className={styles.error}>{warning}</div>)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentImport;
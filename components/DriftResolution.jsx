@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import styles from '../styles/DriftResolution.module.css';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+import { DRIFT_ACTIONS, DRIFT_TYPE_LABELS, getFlagType } from '../utils/driftResolution.js';
+
+/**
+ * Drift found at a block, one row per flag, each with the three ways to act on
+ * it (see utils/driftResolution.js). Re-anchoring asks the AI for a rewrite
+ * towards the vision, shown for the user to apply or discard.
+ *
+ * onResolve receives (flagIndex, action, proposal) where proposal is the
+ * applied re-anchor rewrite ({ prompt, refined_prompt, changes, llm_metadata }).
+ */
+const DriftResolution = ({ analysis, block, vision, canRevert, onResolve, disabled }) => {
+  const [proposal, setProposal] = useState(null); // { flagIndex, ...rewrite }
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A proposal only applies to the text it was made for
+  const blockText = block.refinedPrompt || block.prompt;
+  useEffect(() => {
+    setProposal(null);
+    setError(null);
+  }, [block.id, blockText]);
+
+  const requestReanchor = async (flagIndex) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/reanchor', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vision,
+          block: { altitude: block.altitude, prompt: block.prompt, refinedPrompt: block.refinedPrompt },
+          drift: { details: analysis.flags[flagIndex].details, concepts: analysis.concepts },
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.details?.[0]?.message || data.error?.message || 'Re-anchoring failed');
+      }
+      setProposal({ flagIndex, ...data.proposal });
+    } catch (err) {
+      console.warn('Re-anchor error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const applyProposal = () => {
+    const { flagIndex, ...rewrite } = proposal;
+    onResolve(flagIndex, 'reanchor', rewrite);
+    setProposal(null);
+  };
+
+  const { distances } = analysis;
+
+  return (
+    <div className={analysis.resolved ? `${styles.driftWarning} ${styles.resolved}` : styles.driftWarning}>
+      <div className={styles.driftHeader}>
+        <span className={styles.driftIcon}>{analysis.resolved ? '✅' : '🚨'}</span>
+        <span className={styles.driftTitle}>{analysis.resolved ? 'Drift Resolved' : 'Drift Detected'}</span>
+      </div>
+
+      {analysis.flags.map((flag, index) => (
+        <div key={index} className={styles.flag}>
+          <div className={styles.driftDetails}>
+            <strong>{DRIFT_TYPE_LABELS[getFlagType(analysis, flag)] || 'Drift'}:</strong> {flag.details}
+          </div>
+          {flag.resolution ? (
+            <div className={styles.resolution}>{DRIFT_ACTIONS[flag.resolution.action]}</div>
+          ) : (
+            <div className={styles.actions}>
+              <button
+                className={styles.secondaryButton}
+                onClick={() => onResolve(index, 'revert')}
+                disabled={disabled || isLoading || !canRevert}
+                title={canRevert ? 'Restore the text from before this change' : 'No earlier text to go back to'}
+              >
+                ↩ {DRIFT_ACTIONS.revert}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => onResolve(index, 'accept_pivot')} disabled={disabled || isLoading}>
+                ↪ {DRIFT_ACTIONS.accept_pivot}
+              </button>
+              <button className={styles.primaryButton} onClick={() => requestReanchor(index)} disabled={disabled || isLoading || !vision}>
+                {isLoading ? 'Re-anchoring…' : `⚓ ${DRIFT_ACTIONS.reanchor}`}
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {block.pivot && (
+        <div className={styles.pivot}>↪ Accepted as a pivot. The vision anchor now reads: {block.pivot.anchor}</div>
+      )}
+
+      {distances && distances.previous !== null && (
+        <div className={styles.driftDistances}>
+          Distance from the vision: {distances.vision?.toFixed(2) ?? '–'}
+          {' · '}from the level before: {distances.previous.toFixed(2)}
+          {' · '}{analysis.engine === 'provider'
+            ? `embeddings (${analysis.embeddingModel})`
+            : 'bundled model, no embedding provider available'}
+        </div>
+      )}
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      {proposal && (
+        <div className={styles.proposal}>
+          <div className={styles.proposalTitle}>Re-anchored to the vision</div>
+          {proposal.changes.length > 0 && (
+            <ul className={styles.changes}>
+              {proposal.changes.map((change, index) => <li key={index}>{change}</li>)}
+            </ul>
+          )}
+          <div className={styles.proposalText}>{proposal.refined_prompt || proposal.prompt}</div>
+          <div className={styles.actions}>
+            <button className={styles.primaryButton} onClick={applyProposal} disabled={disabled}>
+              Apply rewrite
+            </button>
+            <button className={styles.secondaryButton} onClick={() => setProposal(null)}>
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriftResolution;
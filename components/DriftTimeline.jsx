@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import styles from '../styles/DriftTimeline.module.css';
+import { getAltitudeName } from '../utils/altitudeLadder.js';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+import { DRIFT_TYPE_LABELS } from '../utils/driftResolution.js';
+
+const CHART = { width: 396, height: 170, left: 34, right: 12, top: 12, bottom: 36 };
+
+const formatPercent = value => (value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`);
+
+/**
+ * Per level below the vision: drift confidence as a bar, distance from the
+ * vision as a line against its threshold, so a slow slide is visible as the
+ * line climbing even while no bar goes red
+ */
+const TimelineChart = ({ levels, thresholds }) => {
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const step = plotWidth / levels.length;
+  const x = index => CHART.left + step * (index + 0.5);
+  const y = value => CHART.top + (1 - Math.min(1, value)) * plotHeight;
+  const measured = levels.map((level, index) => ({ level, index })).filter(({ level }) => level.distances.vision !== null);
+
+  return (
+    <svg className={styles.chart} viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img" aria-label="Drift timeline">
+      {[0, 0.5, 1].map(tick => (
+        <g key={tick}>
+          <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(tick)} y2={y(tick)} className={styles.gridLine} />
+          <text x={CHART.left - 6} y={y(tick) + 4} className={styles.axisLabel} textAnchor="end">{tick}</text>
+        </g>
+      ))}
+
+      {levels.map((level, index) => (
+        <g key={level.altitude}>
+          <rect
+            x={x(index) - step * 0.2}
+            y={y(level.confidence)}
+            width={step * 0.4}
+            height={CHART.top + plotHeight - y(level.confidence)}
+            className={level.hasDrift ? styles.driftBar : styles.bar}
+          >
+            <title>{`${level.altitude}: drift confidence ${formatPercent(level.confidence)}`}</title>
+          </rect>
+          <text x={x(index)} y={CHART.height - 20} className={styles.levelLabel} textAnchor="middle">{level.altitude}</text>
+          <text x={x(index)} y={CHART.height - 6} className={styles.axisLabel} textAnchor="middle">{formatPercent(level.confidence)}</text>
+        </g>
+      ))}
+
+      {thresholds && (
+        <line
+          x1={CHART.left}
+          x2={CHART.width - CHART.right}
+          y1={y(thresholds.vision)}
+          y2={y(thresholds.vision)}
+          className={styles.thresholdLine}
+        />
+      )}
+
+      {measured.length > 0 && (
+        <polyline
+          points={measured.map(({ level, index }) => `${x(index)},${y(level.distances.vision)}`).join(' ')}
+          className={styles.visionLine}
+        />
+      )}
+      {measured.map(({ level, index }) => (
+        <circle key={level.altitude} cx={x(index)} cy={y(level.distances.vision)} r={4} className={styles.visionPoint}>
+          <title>{`${level.altitude}: ${level.distances.vision} from the vision, ${level.distances.previous} from the level before`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * Journey-wide drift: every level on the current line compared with the 30k
+ * vision and its neighbour (/api/analyze-drift), shown as a timeline with the
+ * journey's alignment score.
+ *
+ * line is the blocks from the root down; anchor, when set, replaces the top
+ * block as the vision (it moves with accepted pivots).
+ */
+const DriftTimeline = ({ line, anchor, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [analysis, setAnalysis] = useState(null);
+  const [error, setError] = useState(null);
+
+  const analyzeJourney = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/analyze-drift', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          blocks: line.map(node => ({ altitude: node.altitude, prompt: node.prompt, refinedPrompt: node.refinedPrompt })),
+          vision: anchor || null,
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.details?.[0]?.message || data.error?.message || 'Drift analysis failed');
+      }
+      setAnalysis(data);
+    } catch (err) {
+      console.warn('Drift analysis error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggle = () => {
+    if (!isOpen && !analysis) analyzeJourney();
+    setIsOpen(!isOpen);
+  };
+
+  return (
+    <div className={styles.driftTimeline}>
+      <button className={styles.toggleButton} onClick={toggle} disabled={disabled || line.length < 2}>
+        📈 Drift ▾
+      </button>
+      {isOpen && (
+        <div className={styles.panel}>
+          <div className={styles.header}>
+            <span className={styles.score}>
+              Alignment: {analysis ? formatPercent(analysis.alignment_score) : '…'}
+            </span>
+            <button className={styles.refreshButton} onClick={analyzeJourney} disabled={isLoading}>
+              {isLoading ? 'Analysing…' : '↻ Re-analyse'}
+            </button>
+          </div>
+          {error && <div className={styles.error}>{error}</div>}
+
+          {analysis && (
+            <>
+              <TimelineChart levels={analysis.levels} thresholds={analysis.thresholds} />
+              <div className={styles.legend}>
+                Bars: drift confidence · Line: distance from the vision{analysis.thresholds ? ' (dashed: threshold)' : ''}
+                {' · '}{analysis.engine === 'provider'
+                  ? `embeddings (${analysis.embedding_model})`
+                  : analysis.engine === 'local' ? 'bundled model' : 'keyword checks only'}
+              </div>
+              <ul className={styles.levels}>
+                {analysis.levels.map(level => (
+                  <li key={level.altitude} className={level.hasDrift ? styles.drifted : undefined}>
+                    <span className={styles.altitude}>{getAltitudeName(level.altitude)}</span>
+                    {level.alignment !== null && <span className={styles.alignment}>{formatPercent(level.alignment)} aligned</span>}
+                    <div className={styles.details}>
+                      {level.hasDrift && <strong>{DRIFT_TYPE_LABELS[level.driftType] || 'Multiple'}: </strong>}
+                      {level.details}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriftTimeline;
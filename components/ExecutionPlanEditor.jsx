@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import styles from '../styles/ExecutionPlanEditor.module.css';
+import { checkExecutionPlan } from '../utils/executionPlanner.js';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+
+const LEVELS = ['low', 'medium', 'high'];
+
+// Editable columns per plan section; `ids` is a comma-separated list of milestone ids
+const SECTIONS = [
+  {
+    key: 'milestones',
+    title: 'Milestones',
+    fields: [
+      { key: 'id', label: 'Id', type: 'text', width: 50 },
+      { key: 'title', label: 'Milestone', type: 'text' },
+      { key: 'due_date', label: 'Due', type: 'date' },
+      { key: 'depends_on', label: 'After', type: 'ids', width: 70 },
+      { key: 'deliverable', label: 'Deliverable', type: 'text' }
+    ],
+    blank: plan => ({ id: `m${plan.milestones.length + 1}`, title: '', due_date: '', depends_on: [], deliverable: '' })
+  },
+  {
+    key: 'success_metrics',
+    title: 'Success metrics',
+    fields: [
+      { key: 'metric', label: 'Metric', type: 'text' },
+      { key: 'target', label: 'Target', type: 'text' },
+      { key: 'measured_by', label: 'Measured by', type: 'text' }
+    ],
+    blank: () => ({ metric: '', target: '', measured_by: '' })
+  },
+  {
+    key: 'resources',
+    title: 'Resources',
+    fields: [
+      { key: 'item', label: 'Resource', type: 'text' },
+      { key: 'category', label: 'Category', type: 'select', options: ['people', 'tools', 'money', 'time', 'knowledge'] },
+      { key: 'estimated_cost', label: 'Cost', type: 'number', width: 90 }
+    ],
+    blank: () => ({ item: '', category: 'tools', estimated_cost: 0 })
+  },
+  {
+    key: 'risks',
+    title: 'Risks',
+    fields: [
+      { key: 'risk', label: 'Risk', type: 'text' },
+      { key: 'likelihood', label: 'Likelihood', type: 'select', options: LEVELS },
+      { key: 'impact', label: 'Impact', type: 'select', options: LEVELS },
+      { key: 'mitigation', label: 'Mitigation', type: 'text' }
+    ],
+    blank: () => ({ risk: '', likelihood: 'medium', impact: 'medium', mitigation: '' })
+  },
+  {
+    key: 'first_week',
+    title: 'First week',
+    fields: [
+      { key: 'day', label: 'Day', type: 'select', options: [1, 2, 3, 4, 5, 6, 7] },
+      { key: 'task', label: 'Task', type: 'text' },
+      { key: 'hours', label: 'Hours', type: 'number', width: 70 }
+    ],
+    blank: () => ({ day: 1, task: '', hours: 1 })
+  }
+];
+
+const parseIds = text => text.split(',').map(id => id.trim()).filter(Boolean);
+
+// Keeps the typed text so a trailing comma survives until the next id is typed
+const IdListInput = ({ style, value, onChange }) => {
+  const [text, setText] = useState(value.join(', '));
+
+  useEffect(() => {
+    setText(current => (parseIds(current).join(',') === value.join(',') ? current : value.join(', ')));
+  }, [value]);
+
+  return (
+    <input
+      className={styles.input}
+      style={style}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(parseIds(e.target.value));
+      }}
+      placeholder="m1, m2"
+    />
+  );
+};
+
+const FieldInput = ({ field, value, onChange }) => {
+  const style = field.width ? { width: field.width } : undefined;
+
+  switch (field.type) {
+    case 'select':
+      return (
+        <select className={styles.input} style={style} value={value} onChange={(e) => {
+          const option = field.options.find(candidate => String(candidate) === e.target.value);
+          onChange(option);
+        }}>
+          {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    case 'number':
+      return <input className={styles.input} style={style} type="number" min="0" value={value} onChange={(e) => onChange(Number(e.target.value))} />;
+    case 'date':
+      return <input className={styles.input} style={style} type="date" value={value} onChange={(e) => onChange(e.target.value)} />;
+    case 'ids':
+      return <IdListInput style={style} value={value} onChange={onChange} />;
+    default:
+      return <input className={styles.input} style={style} value={value} onChange={(e) => onChange(e.target.value)} />;
+  }
+};
+
+/**
+ * The execution plan at the output layer: generated from the journey, then
+ * edited in place. Problems in the edited plan (missing fields, bad dates,
+ * unknown or circular dependencies) are listed as the user types.
+ *
+ * onChange receives the whole updated plan.
+ */
+const ExecutionPlanEditor = ({ block, ideaTree, userResponses, onChange, disabled }) => {
+  const [method, setMethod] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setMethod(null);
+    setError(null);
+  }, [block.id]);
+
+  const plan = block.executionPlan;
+  const problems = plan ? checkExecutionPlan(plan) : [];
+
+  const requestPlan = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/execution-plan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          idea: [block.prompt, block.refinedPrompt].filter(Boolean).join('\n\n'),
+          ideaTree: ideaTree.filter(branch => branch.value?.trim()),
+          userResponses,
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Execution plan failed');
+      }
+      setMethod(data.method);
+      onChange(data.execution_plan);
+    } catch (err) {
+      console.warn('Execution plan error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const updateRow = (sectionKey, index, fieldKey, value) => {
+    onChange({
+      ...plan,
+      [sectionKey]: plan[sectionKey].map((row, i) => (i === index ? { ...row, [fieldKey]: value } : row))
+    });
+  };
+
+  const addRow = (section) => {
+    onChange({ ...plan, [section.key]: [...plan[section.key], section.blank(plan)] });
+  };
+
+  const removeRow = (sectionKey, index) => {
+    onChange({ ...plan, [sectionKey]: plan[sectionKey].filter((_, i) => i !== index) });
+  };
+
+  const exportPlan = () => {
+    const dataStr = JSON.stringify({ idea: block.prompt, ...plan }, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'execution-plan.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={styles.executionPlan}>
+      <div className={styles.header}>
+        <label>🎯 Execution Plan</label>
+        <button className={styles.primaryButton} onClick={requestPlan} disabled={disabled || isLoading || !block.prompt.trim()}>
+          {isLoading ? 'Planning…' : plan ? 'Regenerate plan' : 'Generate plan'}
+        </button>
+        {plan && (
+          <button className={styles.secondaryButton} onClick={exportPlan}>
+            📥 Export
+          </button>
+        )}
+        {method === 'template' && <span className={styles.methodBadge}>Template — no LLM available</span>}
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+      {plan && (
+        <>
+          <textarea
+            className={styles.summary}
+            value={plan.summary}
+            onChange={(e) => onChange({ ...plan, summary: e.target.value })}
+            rows={2}
+          />
+
+          {SECTIONS.map(section => (
+            <div key={section.key} className={styles.section}>
+              <h4>{section.title}</h4>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    {section.fields.map(field => <th key={field.key}>{field.label}</th>)}
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan[section.key].map((row, index) => (
+                    <tr key={index}>
+                      {section.fields.map(field => (
+                        <td key={field.key}>
+                          <FieldInput
+                            field={field}
+                            value={row[field.key]}
+                            onChange={(value) => updateRow(section.key, index, field.key, value)}
+                          />
+                        </td>
+                      ))}
+                      <td>
+                        <button className={styles.removeButton} onClick={() => removeRow(section.key, index)} title="Remove">×</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button className={styles.addButton} onClick={() => addRow(section)}>+ Add</button>
+            </div>
+          ))}
+
+          <div className={styles.section}>
+            <h4>Budget</h4>
+            <div className={styles.budget}>
+              <input
+                className={styles.input}
+                type="number"
+                min="0"
+                value={plan.budget.total}
+                onChange={(e) => onChange({ ...plan, budget: { ...plan.budget, total: Number(e.target.value) } })}
+              />
+              <input
+                className={styles.input}
+                style={{ width: 70 }}
+                value={plan.budget.currency}
+                onChange={(e) => onChange({ ...plan, budget: { ...plan.budget, currency: e.target.value } })}
+              />
+              <input
+                className={styles.input}
+                value={plan.budget.notes}
+                onChange={(e) => onChange({ ...plan, budget: { ...plan.budget, notes: e.target.value } })}
+                placeholder="Notes"
+              />
+            </div>
+          </div>
+
+          {problems.length > 0 && (
+            <ul className={styles.problems}>
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExecutionPlanEditor;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import styles from '../styles/ExportMenu.module.css';
+import { EXPORT_FORMATS } from '../utils/journeyExport.js';
+
+/**
+ * Export menu for the current journey. The journey on screen is exported, so
+ * unsaved changes are included; the printable report opens in a new tab,
+ * ready to print or save as PDF.
+ */
+const ExportMenu = ({ title, buildJourney, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exportJourney = async (format) => {
+    setIsExporting(true);
+    setError(null);
+    // Open the tab before the request so popup blockers allow it
+    const reportWindow = format === 'html' ? window.open('', '_blank') : null;
+    try {
+      const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title, journey: buildJourney(), format })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error?.message || 'Export failed');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      if (reportWindow) {
+        reportWindow.location.href = url;
+      } else {
+        const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1];
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName || `journey.${EXPORT_FORMATS[format].extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+      setIsOpen(false);
+    } catch (err) {
+      console.warn('Export error:', err);
+      reportWindow?.close();
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className={styles.exportMenu}>
+      <button className={styles.toggleButton} onClick={() => setIsOpen(!isOpen)} disabled={disabled || isExporting}>
+        {isExporting ? 'Exporting…' : '📤 Export ▾'}
+      </button>
+      {isOpen && (
+        <ul className={styles.menu}>
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <li key={format}>
+              <button className={styles.menuItem} onClick={() => exportJourney(format)} disabled={isExporting}>
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <div className={styles.error}>{error}</div>}
+    </div>
+  );
+};
+
+export default ExportMenu;
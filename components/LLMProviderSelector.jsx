@@ -1,7 +1,63 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import styles from '../styles/LLMProviderSelector.module.css';
 
-const LLMProviderSelector = ({ selectedProvider, onProviderChange }) => {
+const formatContext = (tokens) => (tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : String(tokens));
+
+const describeModel = (model) => [
+  model.id,
+  `${formatContext(model.contextWindow)} context`,
+  model.pricing ? `$${model.pricing.inputPer1M}/$${model.pricing.outputPer1M} per 1M` : null
+].filter(Boolean).join(' · ');
+
+const JSON_MODE_LABELS = {
+  json_object: 'JSON mode',
+  json_schema: 'Schema-constrained JSON',
+  mime_type: 'JSON mode'
+};
+
+const describeLocalHealth = (health) => {
+  if (!health) return 'Checking server…';
+  if (!health.configured) return 'Not configured (set LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL)';
+  if (!health.healthy) return `Offline: ${health.error}`;
+  if (!health.modelAvailable) return `Online, but ${health.model} is not loaded`;
+  return `Online · ${health.models.length} model${health.models.length === 1 ? '' : 's'} · ${health.latencyMs}ms`;
+};
+
+/**
+ * Provider, model and sampling settings for LLM requests
+ * `selection` is { provider, model, temperature, maxTokens } or null for the server default.
+ */
+const LLMProviderSelector = ({ selection, onSelectionChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [availability, setAvailability] = useState(null);
+  const [localHealth, setLocalHealth] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/providers')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setAvailability(Object.fromEntries(data.providers.map(provider => [provider.id, provider])));
+        }
+      })
+      .catch(err => console.warn('Provider availability error:', err));
+
+    fetch('/api/local-llm')
+      .then(response => response.json())
+      .then(data => setLocalHealth(data.success ? data : { configured: true, healthy: false, error: data.error?.message }))
+      .catch(err => setLocalHealth({ configured: true, healthy: false, error: err.message }));
+  }, []);
+
+  // Drop a saved selection the server no longer accepts (provider unconfigured or model removed)
+  useEffect(() => {
+    if (!availability || !selection) return;
+
+    const provider = availability[selection.provider];
+    if (!provider?.configured || (selection.model && !provider.models.some(model => model.id === selection.model))) {
+      onSelectionChange(null);
+    }
+  }, [availability, selection, onSelectionChange]);
+
   const providers = [
     {
       id: 'openai',
@@ -38,6 +94,13 @@ const LLMProviderSelector = ({ selectedProvider, onProviderChange }) => {
       icon: '🏢',
       color: '#3b82f6'
     },
+    {
+      id: 'local',
+      name: 'Local / Self-hosted',
+      description: 'llama.cpp, vLLM, Ollama or LM Studio — no API key, data stays on your servers',
+      icon: '🖥️',
+      color: '#0f766e'
+    },
     {
       id: 'mock',
       name: 'Mock Provider',
@@ -47,32 +110,140 @@ const LLMProviderSelector = ({ selectedProvider, onProviderChange }) => {
     }
   ];
 
+  const defaultProvider = availability && Object.values(availability).find(provider => provider.isDefault);
+  const selectedProvider = selection?.provider || defaultProvider?.id;
+  const selectedInfo = availability?.[selectedProvider];
+  const selectedModel = selectedInfo?.models.find(model => model.id === (selection?.model || selectedInfo.defaultModel));
+
+  const isDisabled = (providerId) => Boolean(availability) && !availability[providerId]?.configured;
+
+  const handleProviderClick = (providerId) => {
+    if (isDisabled(providerId)) return;
+    onSelectionChange({ provider: providerId, model: null, temperature: null, maxTokens: null });
+  };
+
+  const updateSetting = (key, value) => {
+    onSelectionChange({
+      provider: selectedProvider,
+      model: null,
+      temperature: null,
+      maxTokens: null,
+      ...selection,
+      [key]: value
+    });
+  };
+
+  const parseNumber = (value, parse) => (value === '' ? null : parse(value));
+
+  const summary = selection
+    ? `${providers.find(provider => provider.id === selection.provider)?.name || selection.provider} · ${selection.model || selectedInfo?.defaultModel || 'default model'}`
+    : `Server default${defaultProvider ? ` (${defaultProvider.name})` : ''}`;
+
   return (
-    <div className={styles.providerSelector}>
-      <h3>Choose Your AI Provider</h3>
-      <p>Select which AI service to use for refinement:</p>
-      
-      <div className={styles.providerGrid}>
-        {providers.map((provider) => (
-          <div
-            key={provider.id}
-            className={`${styles.providerCard} ${selectedProvider === provider.id ? styles.selected : ''}`}
-            onClick={() => onProviderChange(provider.id)}
-            style={{ '--provider-color': provider.color }}
-          >
-            <div className={styles.providerIcon}>{provider.icon}</div>
-            <div className={styles.providerContent}>
-              <h4>{provider.name}</h4>
-              <p>{provider.description}</p>
-            </div>
-            {selectedProvider === provider.id && (
-              <div className={styles.selectedIndicator}>✓</div>
-            )}
+    <div className={styles.selectorPanel}>
+      <button className={styles.toggleButton} onClick={() => setIsOpen(!isOpen)}>
+        🤖 AI Provider: {summary} {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className={styles.providerSelector}>
+          <h3>Choose Your AI Provider</h3>
+          <p>Select which AI service to use for refinement:</p>
+
+          <div className={styles.providerGrid}>
+            {providers.map((provider) => (
+              <div
+                key={provider.id}
+                className={`${styles.providerCard} ${selectedProvider === provider.id ? styles.selected : ''} ${isDisabled(provider.id) ? styles.disabled : ''}`}
+                onClick={() => handleProviderClick(provider.id)}
+                title={isDisabled(provider.id) ? availability[provider.id]?.reason || 'Not available on this server' : undefined}
+                style={{ '--provider-color': provider.color }}
+              >
+                <div className={styles.providerIcon}>{provider.icon}</div>
+                <div className={styles.providerContent}>
+                  <h4>{provider.name}</h4>
+                  <p>{provider.description}</p>
+                  {provider.id === 'local' && (
+                    <p className={`${styles.providerStatus} ${localHealth?.healthy && localHealth?.modelAvailable ? styles.statusOnline : ''}`}>
+                      {describeLocalHealth(localHealth)}
+                    </p>
+                  )}
+                  {provider.id !== 'local' && isDisabled(provider.id) && (
+                    <p className={styles.providerStatus}>Not configured on this server</p>
+                  )}
+                  {availability?.[provider.id]?.circuitState === 'open' && (
+                    <p className={styles.providerStatus}>Temporarily skipped after repeated failures</p>
+                  )}
+                </div>
+                {selectedProvider === provider.id && (
+                  <div className={styles.selectedIndicator}>✓</div>
+                )}
+              </div>
+            ))}
           </div>
-        ))}
-      </div>
+
+          {selectedInfo && (
+            <div className={styles.settingsRow}>
+              <label className={styles.setting}>
+                Model
+                <select
+                  value={selection?.model || ''}
+                  onChange={(e) => updateSetting('model', e.target.value || null)}
+                >
+                  <option value="">Default ({selectedInfo.defaultModel || 'provider default'})</option>
+                  {selectedInfo.models.map(model => (
+                    <option key={model.id} value={model.id}>{describeModel(model)}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className={styles.setting}>
+                Temperature
+                <input
+                  type="number"
+                  min="0"
+                  max={selectedModel?.maxTemperature}
+                  step="0.1"
+                  placeholder="Default"
+                  value={selection?.temperature ?? ''}
+                  onChange={(e) => updateSetting('temperature', parseNumber(e.target.value, parseFloat))}
+                />
+              </label>
+
+              <label className={styles.setting}>
+                Max tokens
+                <input
+                  type="number"
+                  min="1"
+                  max={selectedModel?.maxOutputTokens}
+                  step="100"
+                  placeholder="Default"
+                  value={selection?.maxTokens ?? ''}
+                  onChange={(e) => updateSetting('maxTokens', parseNumber(e.target.value, value => parseInt(value, 10)))}
+                />
+              </label>
+
+              {selectedModel && (
+                <div className={styles.modelFeatures}>
+                  <span>{formatContext(selectedModel.contextWindow)} context</span>
+                  <span>up to {formatContext(selectedModel.maxOutputTokens)} output</span>
+                  <span>{JSON_MODE_LABELS[selectedModel.jsonMode] || 'JSON via prompt'}</span>
+                  <span>{selectedModel.streaming ? 'Streaming' : 'No streaming'}</span>
+                  {!selectedModel.catalogued && <span>Limits assumed</span>}
+                </div>
+              )}
+
+              {selection && (
+                <button className={styles.resetButton} onClick={() => onSelectionChange(null)}>
+                  Use server default
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-export default LLMProviderSelector; 
\ No newline at end of file
+export default LLMProviderSelector;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import styles from '../styles/ModeSelector.module.css';
 import { withComponentErrorHandling } from '../utils/errorHandler.js';
+import { listChecklistProfiles } from '../utils/checklistClient.js';
 
 const ModeSelector = withComponentErrorHandling(({ selectedMode, onModeChange }) => {
   const [modeProfiles, setModeProfiles] = useState(null);
@@ -9,8 +10,12 @@ const ModeSelector = withComponentErrorHandling(({ selectedMode, onModeChange })
   useEffect(() => {
     const loadModeProfiles = async () => {
       try {
-        const profiles = await import('../checklists/mode_profiles.json');
-        setModeProfiles(profiles.default || profiles);
+        // Built-in and authored profiles (see utils/checklistProfiles.js)
+        const profiles = await listChecklistProfiles();
+        setModeProfiles({
+          mode_profiles: Object.fromEntries(profiles.map(profile => [profile.id, profile])),
+          mode_metadata: Object.fromEntries(profiles.map(({ id, icon, color, tags }) => [id, { icon, color, tags }]))
+        });
       } catch (error) {
         console.error('Error loading mode profiles:', error);
         // Fallback to default profiles
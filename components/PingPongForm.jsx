@@ -5,8 +5,9 @@
  * Core elements: input, submit, display, export.
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { refinePrompt } from '../utils/refinePrompt';
+import { getClientSessionId } from '../utils/clientSession';
 
 /**
  * Create clean STAMPED/SPVPET/STACKED compliant export entry
@@ -25,6 +26,23 @@ export default function PingPongForm() {
   const [isProcessing, setIsProcessing] = useState(false);
   const [pingPongHistory, setPingPongHistory] = useState([]);
   const [isClarifyingQuestion, setIsClarifyingQuestion] = useState(false);
+  const requestAbortRef = useRef(null); // Aborts the in-flight request
+
+  /**
+   * Start a cancellable request and return its signal
+   */
+  const beginRequest = () => {
+    const controller = new AbortController();
+    requestAbortRef.current = controller;
+    return controller.signal;
+  };
+
+  /**
+   * Cancel the in-flight request
+   */
+  const handleCancel = useCallback(() => {
+    requestAbortRef.current?.abort();
+  }, []);
 
   /**
    * Handle prompt refinement
@@ -40,13 +58,15 @@ export default function PingPongForm() {
     setIsProcessing(true);
     setCurrentPong(''); // Clear previous pong
     setIsClarifyingQuestion(false);
+    const signal = beginRequest();
 
     try {
       // Use the refine-prompt endpoint for prompt refinement
       const response = await fetch('/api/refine-prompt', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt: pingInput })
+        body: JSON.stringify({ prompt: pingInput }),
+        signal
       });
       
       const data = await response.json();
@@ -66,9 +86,14 @@ export default function PingPongForm() {
       setPingInput(''); // Clear input after successful submission
       
     } catch (error) {
-      console.error('Error refining prompt:', error);
-      alert(`Error refining prompt: ${error.message}`);
+      if (error.name === 'AbortError') {
+        console.log('Prompt refinement cancelled');
+      } else {
+        console.error('Error refining prompt:', error);
+        alert(`Error refining prompt: ${error.message}`);
+      }
     } finally {
+      requestAbortRef.current = null;
       setIsProcessing(false);
     }
   }, [pingInput]);
@@ -87,13 +112,21 @@ export default function PingPongForm() {
     setIsProcessing(true);
     setCurrentPong(''); // Clear previous pong
     setIsClarifyingQuestion(false);
+    const signal = beginRequest();
 
     try {
       // Use the OpenAI endpoint for conversational responses
+      // Send earlier exchanges so the conversation keeps its context
+      const history = pingPongHistory.flatMap(entry => [
+        { role: 'user', content: entry.ping },
+        { role: 'assistant', content: entry.pong }
+      ]);
+
       const response = await fetch('/api/refine-prompt-openai', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt: pingInput })
+        body: JSON.stringify({ prompt: pingInput, history, sessionId: getClientSessionId() }),
+        signal
       });
       
       const data = await response.json();
@@ -124,12 +157,17 @@ export default function PingPongForm() {
       }
       
     } catch (error) {
-      console.error('Error asking question:', error);
-      alert(`Error asking question: ${error.message}`);
+      if (error.name === 'AbortError') {
+        console.log('Question cancelled');
+      } else {
+        console.error('Error asking question:', error);
+        alert(`Error asking question: ${error.message}`);
+      }
     } finally {
+      requestAbortRef.current = null;
       setIsProcessing(false);
     }
-  }, [pingInput]);
+  }, [pingInput, pingPongHistory]);
 
   /**
    * Export ping-pong history as clean STAMPED/SPVPET/STACKED compliant JSON
@@ -342,6 +380,23 @@ export default function PingPongForm() {
           >
             {isProcessing ? 'Processing...' : '💬 Ask Question'}
           </button>
+
+          {isProcessing && (
+            <button
+              type="button"
+              onClick={handleCancel}
+              style={{
+                padding: '10px 20px',
+                backgroundColor: 'white',
+                color: '#dc3545',
+                border: '1px solid #dc3545',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              ✖ Cancel
+            </button>
+          )}
         </div>
       </form>
 
@@ -0,0 +1,39 @@
+import React from 'react';
+import styles from '../styles/ReadinessBreakdown.module.css';
+import { READINESS_RUBRIC } from '../utils/readinessEvaluator.js';
+
+const READINESS_COLORS = { red: '#D0021B', yellow: '#F5A623', green: '#7ED321' };
+
+/**
+ * Per-factor readiness scores for a block, with the grader's rationale.
+ * Keyword-scored readiness has no factors, so only the overall result shows.
+ */
+const ReadinessBreakdown = ({ readiness }) => {
+  if (!readiness) return null;
+
+  return (
+    <div className={styles.readinessBreakdown}>
+      <div className={styles.summary}>
+        <span className={styles.statusDot} style={{ backgroundColor: READINESS_COLORS[readiness.status] || '#999' }}></span>
+        <span className={styles.statusLabel}>Readiness{readiness.score !== null ? ` ${Math.round(readiness.score * 100)}%` : ''}</span>
+        {readiness.method === 'keywords' && <span className={styles.methodBadge}>Keyword estimate</span>}
+      </div>
+      {readiness.rationale && <div className={styles.rationale}>{readiness.rationale}</div>}
+      {readiness.factors && (
+        <ul className={styles.factors}>
+          {Object.entries(readiness.factors).map(([factor, { score, rationale }]) => (
+            <li key={factor} className={styles.factor} title={rationale}>
+              <span className={styles.factorLabel}>{READINESS_RUBRIC[factor]?.label || factor}</span>
+              <span className={styles.factorBar}>
+                <span className={styles.factorFill} style={{ width: `${Math.round(score * 100)}%` }}></span>
+              </span>
+              <span className={styles.factorScore}>{Math.round(score * 100)}%</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReadinessBreakdown;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import styles from '../styles/RederivePanel.module.css';
+import { getClientSessionId, getClientLLMSelection } from '../utils/clientSession.js';
+import { diffWords, hasChanges } from '../utils/textDiff.js';
+
+const DiffText = ({ before, after }) => {
+  const parts = diffWords(before, after);
+  if (!hasChanges(parts)) {
+    return <div className={styles.diffText}><span className={styles.unchanged}>No change</span></div>;
+  }
+
+  return (
+    <div className={styles.diffText}>
+      {parts.map((part, index) => (
+        <span key={index} className={styles[part.type]}>{part.text}</span>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Shown when a higher altitude changed after lower blocks were derived from it.
+ * Offers an AI re-derivation of the stale blocks, shown as a diff to accept or
+ * discard, or confirming the blocks still hold as they are.
+ *
+ * onAccept receives one { prompt, refinedPrompt } per chain block; onKeep takes no arguments.
+ */
+const RederivePanel = ({ upstream, chain, getAltitudeName, onAccept, onKeep, disabled }) => {
+  const [proposals, setProposals] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Proposals only apply to the chain they were made for
+  const chainKey = chain.map(node => node.id).join(',');
+  useEffect(() => {
+    setProposals(null);
+    setError(null);
+  }, [upstream.id, chainKey]);
+
+  const requestRederivation = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/rederive', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          upstream: { altitude: upstream.altitude, content: upstream.refinedPrompt || upstream.prompt },
+          blocks: chain.map(node => ({ altitude: node.altitude, prompt: node.prompt, refinedPrompt: node.refinedPrompt })),
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Re-derivation failed');
+      }
+      setProposals(data.proposals);
+    } catch (err) {
+      console.warn('Re-derivation error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const acceptProposals = () => {
+    onAccept(proposals.map(proposal => ({ prompt: proposal.prompt, refinedPrompt: proposal.refined_prompt })));
+    setProposals(null);
+  };
+
+  const levels = chain.map(node => node.altitude).join(', ');
+
+  return (
+    <div className={styles.rederivePanel}>
+      <div className={styles.header}>
+        <span className={styles.icon}>↻</span>
+        <div>
+          <div className={styles.title}>
+            {upstream.altitude} {getAltitudeName(upstream.altitude)} changed
+          </div>
+          <div className={styles.description}>
+            {levels} {chain.length === 1 ? 'was' : 'were'} derived from the earlier version and may no longer follow from it.
+          </div>
+        </div>
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      {!proposals && (
+        <div className={styles.actions}>
+          <button className={styles.primaryButton} onClick={requestRederivation} disabled={disabled || isLoading}>
+            {isLoading ? 'Re-deriving…' : `Re-derive ${levels} with AI`}
+          </button>
+          <button className={styles.secondaryButton} onClick={onKeep} disabled={disabled || isLoading}>
+            Keep as is
+          </button>
+        </div>
+      )}
+
+      {proposals && (
+        <>
+          {proposals.map((proposal, index) => (
+            <div key={chain[index].id} className={styles.proposal}>
+              <h4>{proposal.altitude} - {getAltitudeName(proposal.altitude)}</h4>
+              {proposal.changes.length > 0 && (
+                <ul className={styles.changes}>
+                  {proposal.changes.map((change, changeIndex) => <li key={changeIndex}>{change}</li>)}
+                </ul>
+              )}
+              <label>Idea</label>
+              <DiffText before={chain[index].prompt} after={proposal.prompt} />
+              {(chain[index].refinedPrompt || proposal.refined_prompt) && (
+                <>
+                  <label>Refinement</label>
+                  <DiffText before={chain[index].refinedPrompt} after={proposal.refined_prompt} />
+                </>
+              )}
+            </div>
+          ))}
+
+          <div className={styles.actions}>
+            <button className={styles.primaryButton} onClick={acceptProposals} disabled={disabled}>
+              Accept changes
+            </button>
+            <button className={styles.secondaryButton} onClick={() => setProposals(null)}>
+              Discard
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RederivePanel;
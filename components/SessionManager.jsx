@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styles from '../styles/SessionManager.module.css';
+import {
+  listJourneySessions,
+  duplicateJourneySession,
+  deleteJourneySession,
+  getJourneyShareUrl
+} from '../utils/sessionClient.js';
+
+const SAVE_STATUS_LABELS = {
+  idle: 'Not saved yet',
+  pending: 'Unsaved changes',
+  saving: 'Saving…',
+  saved: 'All changes saved',
+  error: 'Save failed, will retry on the next change'
+};
+
+const formatUpdated = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Title and save status of the current journey, and the list of saved
+ * journeys to resume, duplicate, share or delete
+ */
+const SessionManager = ({ sessionId, title, onTitleChange, saveStatus, onResume, onNewJourney }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await listJourneySessions());
+      setError(null);
+    } catch (err) {
+      console.warn('Session list error:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  // Refresh when opened and after each save, so titles and timestamps stay current
+  useEffect(() => {
+    if (isOpen && (saveStatus === 'saved' || saveStatus === 'idle')) {
+      loadSessions();
+    }
+  }, [isOpen, saveStatus, loadSessions]);
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadSessions();
+    } catch (err) {
+      console.warn('Session action error:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDuplicate = (id) => runAction(async () => {
+    const copy = await duplicateJourneySession(id);
+    onResume(copy.id);
+  });
+
+  const handleDelete = (id) => {
+    if (!window.confirm('Delete this saved journey?')) return;
+
+    runAction(async () => {
+      await deleteJourneySession(id);
+      if (id === sessionId) onNewJourney();
+    });
+  };
+
+  const handleShare = async (id) => {
+    try {
+      await navigator.clipboard.writeText(getJourneyShareUrl(id));
+      setCopiedId(id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      // Clipboard access can be denied; show the link so it can be copied by hand
+      window.prompt('Copy this link to share the journey:', getJourneyShareUrl(id));
+    }
+  };
+
+  return (
+    <div className={styles.sessionPanel}>
+      <div className={styles.currentSession}>
+        <input
+          className={styles.titleInput}
+          value={title}
+          onChange={(e) => onTitleChange(e.target.value)}
+          placeholder="Untitled journey"
+          aria-label="Journey title"
+        />
+        <span className={`${styles.saveStatus} ${saveStatus === 'error' ? styles.saveError : ''}`}>
+          {SAVE_STATUS_LABELS[saveStatus] || SAVE_STATUS_LABELS.idle}
+        </span>
+        {sessionId && (
+          <button className={styles.actionButton} onClick={() => handleShare(sessionId)}>
+            {copiedId === sessionId ? 'Link copied' : '🔗 Share'}
+          </button>
+        )}
+        <button className={styles.toggleButton} onClick={() => setIsOpen(!isOpen)}>
+          📂 Saved journeys {isOpen ? '▲' : '▼'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className={styles.sessionList}>
+          {error && <div className={styles.error}>{error}</div>}
+
+          {sessions.length === 0 && !error && (
+            <p className={styles.empty}>No saved journeys yet. Journeys save automatically once you enter an idea.</p>
+          )}
+
+          {sessions.map(session => (
+            <div
+              key={session.id}
+              className={`${styles.sessionRow} ${session.id === sessionId ? styles.activeSession : ''}`}
+            >
+              <div className={styles.sessionInfo}>
+                <span className={styles.sessionTitle}>{session.title}</span>
+                <span className={styles.sessionMeta}>
+                  {session.currentAltitude || '—'} · {session.iterations} iteration{session.iterations === 1 ? '' : 's'} · updated {formatUpdated(session.updatedAt)}
+                </span>
+              </div>
+              <div className={styles.sessionActions}>
+                {session.id !== sessionId && (
+                  <button className={styles.actionButton} onClick={() => onResume(session.id)}>
+                    Resume
+                  </button>
+                )}
+                <button className={styles.actionButton} onClick={() => handleDuplicate(session.id)}>
+                  Duplicate
+                </button>
+                <button className={styles.actionButton} onClick={() => handleShare(session.id)}>
+                  {copiedId === session.id ? 'Link copied' : 'Share'}
+                </button>
+                <button className={`${styles.actionButton} ${styles.deleteButton}`} onClick={() => handleDelete(session.id)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionManager;
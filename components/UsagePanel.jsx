@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styles from '../styles/UsagePanel.module.css';
+import { getClientSessionId } from '../utils/clientSession.js';
+
+// How often the panel refreshes while it is open
+const REFRESH_INTERVAL_MS = 15000;
+
+const formatCost = (costUsd) => `$${costUsd.toFixed(costUsd < 0.01 ? 4 : 2)}`;
+
+const formatTokens = (tokens) => tokens.toLocaleString();
+
+/**
+ * Token usage and estimated cost for this session, today and overall
+ */
+const UsagePanel = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/usage?sessionId=${encodeURIComponent(getClientSessionId() || '')}`);
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error?.message || 'Failed to load usage');
+      }
+      setUsage(data.usage);
+      setError(null);
+    } catch (err) {
+      console.warn('Usage load error:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    loadUsage();
+    const intervalId = setInterval(loadUsage, REFRESH_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [isOpen, loadUsage]);
+
+  const renderTotals = (label, totals) => (
+    <div className={styles.totalsCard} key={label}>
+      <div className={styles.totalsLabel}>{label}</div>
+      <div className={styles.totalsCost}>{formatCost(totals.costUsd)}</div>
+      <div className={styles.totalsDetail}>
+        {formatTokens(totals.totalTokens)} tokens · {totals.calls} call{totals.calls === 1 ? '' : 's'}
+      </div>
+      {(totals.estimatedCalls > 0 || totals.unpricedCalls > 0) && (
+        <div className={styles.totalsNote}>
+          {totals.estimatedCalls > 0 && `${totals.estimatedCalls} estimated`}
+          {totals.estimatedCalls > 0 && totals.unpricedCalls > 0 && ' · '}
+          {totals.unpricedCalls > 0 && `${totals.unpricedCalls} unpriced`}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className={styles.usagePanel}>
+      <button className={styles.toggleButton} onClick={() => setIsOpen(!isOpen)}>
+        📊 Token Usage {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className={styles.panelBody}>
+          {error && <div className={styles.error}>{error}</div>}
+
+          {usage && (
+            <>
+              <div className={styles.totalsRow}>
+                {usage.session && renderTotals('This session', usage.session)}
+                {renderTotals('Today', usage.today)}
+                {renderTotals('Since server start', usage.totals)}
+              </div>
+
+              {Object.keys(usage.byProvider).length > 0 && (
+                <table className={styles.providerTable}>
+                  <thead>
+                    <tr>
+                      <th>Provider</th>
+                      <th>Calls</th>
+                      <th>Prompt</th>
+                      <th>Completion</th>
+                      <th>Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(usage.byProvider).map(([provider, totals]) => (
+                      <tr key={provider}>
+                        <td>{provider}</td>
+                        <td>{totals.calls}</td>
+                        <td>{formatTokens(totals.promptTokens)}</td>
+                        <td>{formatTokens(totals.completionTokens)}</td>
+                        <td>{formatCost(totals.costUsd)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <div className={styles.footer}>
+                <span>Estimated counts are used when a provider does not report usage.</span>
+                <button className={styles.refreshButton} onClick={loadUsage}>Refresh</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsagePanel;
@@ -3,6 +3,14 @@ const nextConfig = {
   reactStrictMode: true,
   swcMinify: true,
   // Using pages directory for cleaner structure (no experimental config needed)
+  webpack: (config, { isServer }) => {
+    // The template builder page reaches llmProviders.js through a dynamic import;
+    // its file-backed response cache only ever runs on the server
+    if (!isServer) {
+      config.resolve.fallback = { ...config.resolve.fallback, fs: false };
+    }
+    return config;
+  },
 }
 
-module.exports = nextConfig 
\ No newline at end of file
+module.exports = nextConfig
@@ -0,0 +1,72 @@
+/**
+ * API endpoint for analysing drift across a whole journey
+ * Takes the blocks along one line of the journey, top-down, and compares each
+ * level with the 30k vision and with the level above it (see
+ * analyzeJourneyDrift in semanticDrift.js), so a slow slide shows up even when
+ * no single step crosses a threshold. Returns per-level results for the drift
+ * timeline and a journey alignment score.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateDriftHistory, validateLLMRequestContext } from '../../utils/validation.js';
+import { analyzeJourneyDrift } from '../../utils/semanticDrift.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const validation = validateDriftHistory(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid block history',
+        code: 'INVALID_BLOCK_HISTORY',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { blocks, vision } = validation.sanitized;
+  const analysis = await analyzeJourneyDrift(blocks, {
+    vision,
+    sessionId: contextValidation.sanitized.sessionId,
+    llmSelection: contextValidation.sanitized.llmSelection,
+    signal: createClientAbortSignal(req, res)
+  });
+
+  res.status(200).json({
+    success: true,
+    alignment_score: analysis.alignmentScore,
+    engine: analysis.engine,
+    embedding_model: analysis.embeddingModel,
+    thresholds: analysis.thresholds,
+    levels: analysis.levels,
+    embedding_metadata: analysis.embedding_metadata,
+    timestamp: new Date().toISOString()
+  });
+});
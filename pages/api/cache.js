@@ -0,0 +1,35 @@
+/**
+ * API endpoint for the LLM response cache
+ * GET returns hit/miss statistics and the entry count; DELETE clears the cache.
+ * Send `x-llm-cache: bypass` to an LLM route to skip cached responses.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { clearResponseCache, getCacheStats } from '../../utils/responseCache.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method === 'DELETE') {
+    await clearResponseCache();
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    cache: await getCacheStats(),
+    timestamp: new Date().toISOString()
+  });
+});
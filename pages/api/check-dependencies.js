@@ -0,0 +1,112 @@
+/**
+ * API endpoint for checking a level's text against its altitude dependency rules
+ * Runs the word and pattern rules and has the LLM judge the semantic ones (see
+ * dependencyRules.js). mode is optional and picks the mode profile whose rule
+ * overrides apply.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateApiRequest, validatePrompt, validateAltitude, validateModeProfile, validateLLMRequestContext } from '../../utils/validation.js';
+import { judgeDependencyRules } from '../../utils/dependencyRules.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { APP_CONFIG } from '../../utils/config.js';
+
+export default withErrorHandling(async (req, res) => {
+  // Validate request method
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate required fields
+  const validation = validateApiRequest(req.body, ['content', 'altitude']);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { content, altitude, mode = APP_CONFIG.defaultMode } = req.body;
+
+  // Validate content
+  const contentValidation = validatePrompt(content);
+  if (!contentValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid content',
+        code: 'INVALID_CONTENT',
+        details: contentValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate altitude
+  const altitudeValidation = validateAltitude(altitude);
+  if (!altitudeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid altitude level',
+        code: 'INVALID_ALTITUDE',
+        details: altitudeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate mode profile
+  const modeValidation = validateModeProfile(mode);
+  if (!modeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid mode profile',
+        code: 'INVALID_MODE',
+        details: modeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const dependencies = await judgeDependencyRules(altitudeValidation.sanitized, contentValidation.sanitized, {
+    mode: modeValidation.sanitized,
+    sessionId: contextValidation.sanitized.sessionId,
+    llmSelection: contextValidation.sanitized.llmSelection,
+    signal: createClientAbortSignal(req, res)
+  });
+
+  res.status(200).json({
+    success: true,
+    dependencies,
+    altitude: altitudeValidation.sanitized,
+    timestamp: new Date().toISOString()
+  });
+});
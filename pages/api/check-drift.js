@@ -0,0 +1,105 @@
+/**
+ * API endpoint for checking an altitude summary for drift
+ * Compares the current summary with the 30k vision and the level before (see
+ * semanticDrift.js). vision and previous are optional; without either there
+ * is nothing to compare with and no drift is reported.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateApiRequest, validatePrompt, validateAltitude, validateLLMRequestContext } from '../../utils/validation.js';
+import { analyzeSemanticDrift } from '../../utils/semanticDrift.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+
+export default withErrorHandling(async (req, res) => {
+  // Validate request method
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate required fields
+  const validation = validateApiRequest(req.body, ['current', 'altitude']);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { vision, previous, current, altitude } = req.body;
+
+  // Validate the summaries being compared
+  const summaries = {};
+  for (const [field, value] of Object.entries({ current, vision, previous })) {
+    if (field !== 'current' && (value === undefined || value === null || value === '')) continue;
+
+    const summaryValidation = validatePrompt(value);
+    if (!summaryValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid ${field} summary`,
+          code: 'INVALID_CONTENT',
+          details: summaryValidation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    summaries[field] = summaryValidation.sanitized;
+  }
+
+  // Validate altitude
+  const altitudeValidation = validateAltitude(altitude);
+  if (!altitudeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid altitude level',
+        code: 'INVALID_ALTITUDE',
+        details: altitudeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const drift = await analyzeSemanticDrift(
+    { ...summaries, altitude: altitudeValidation.sanitized },
+    {
+      sessionId: contextValidation.sanitized.sessionId,
+      llmSelection: contextValidation.sanitized.llmSelection,
+      signal: createClientAbortSignal(req, res)
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    drift,
+    altitude: altitudeValidation.sanitized,
+    timestamp: new Date().toISOString()
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * API endpoint for the checklist a mode profile shows at one altitude
+ * GET returns it stamped with the altitude; `fallback` says why the level's
+ * default checklist is shown instead of the profile's own, when it is.
+ */
+
+import { withErrorHandling } from '../../../../utils/errorHandler.js';
+import { validateAltitude, validateModeProfile } from '../../../../utils/validation.js';
+import { getModeChecklist } from '../../../../utils/checklistProfiles.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const idValidation = validateModeProfile(req.query.id);
+  if (!idValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid profile id',
+        code: 'INVALID_MODE',
+        details: idValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const altitudeValidation = validateAltitude(req.query.altitude);
+  if (!altitudeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid altitude level',
+        code: 'INVALID_ALTITUDE',
+        details: altitudeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { checklist, fallback } = await getModeChecklist(idValidation.sanitized, altitudeValidation.sanitized);
+  if (!checklist) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: `No checklist for ${altitudeValidation.sanitized}`,
+        code: 'CHECKLIST_NOT_FOUND',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    checklist,
+    fallback,
+    timestamp: new Date().toISOString()
+  });
+});
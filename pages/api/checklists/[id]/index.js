@@ -0,0 +1,100 @@
+/**
+ * API endpoint for a single checklist profile
+ * GET loads it with the checklist in effect at every level (?version=n loads
+ * an earlier save), PUT saves a new version, DELETE removes an authored
+ * profile (for a customised built-in, restoring the shipped one).
+ */
+
+import { withErrorHandling } from '../../../../utils/errorHandler.js';
+import { validateChecklistProfile, validateModeProfile } from '../../../../utils/validation.js';
+import { deleteChecklistProfile, getChecklistProfile, saveChecklistProfile } from '../../../../utils/checklistProfiles.js';
+
+const sendNotFound = (res, message = 'Checklist profile not found') => res.status(404).json({
+  success: false,
+  error: {
+    message,
+    code: 'PROFILE_NOT_FOUND',
+    timestamp: new Date().toISOString()
+  }
+});
+
+export default withErrorHandling(async (req, res) => {
+  const idValidation = validateModeProfile(req.query.id);
+  if (!idValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid profile id',
+        code: 'INVALID_MODE',
+        details: idValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  const id = idValidation.sanitized;
+
+  if (req.method === 'GET') {
+    const version = req.query.version === undefined ? null : parseInt(req.query.version, 10);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Version must be a number',
+          code: 'INVALID_VERSION',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const profile = await getChecklistProfile(id, { version });
+    if (!profile) return sendNotFound(res, version === null ? undefined : `Version ${version} not found`);
+
+    return res.status(200).json({
+      success: true,
+      profile,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method === 'PUT') {
+    const validation = validateChecklistProfile(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid checklist profile',
+          code: 'INVALID_CHECKLIST_PROFILE',
+          details: validation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const profile = await saveChecklistProfile(id, validation.sanitized);
+    if (!profile) return sendNotFound(res);
+
+    return res.status(200).json({
+      success: true,
+      profile,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!await deleteChecklistProfile(id)) return sendNotFound(res);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(405).json({
+    success: false,
+    error: {
+      message: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * API endpoint for checklist profiles
+ * GET lists every mode profile, built-in and authored (summaries only); POST
+ * creates an authored profile with its per-altitude checklists.
+ */
+
+import { withErrorHandling } from '../../../utils/errorHandler.js';
+import { validateChecklistProfile } from '../../../utils/validation.js';
+import { listChecklistProfiles, saveChecklistProfile } from '../../../utils/checklistProfiles.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      profiles: await listChecklistProfiles(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const validation = validateChecklistProfile(req.body, { requireId: true });
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid checklist profile',
+        code: 'INVALID_CHECKLIST_PROFILE',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { id, ...profile } = validation.sanitized;
+  res.status(201).json({
+    success: true,
+    profile: await saveChecklistProfile(id, profile, { create: true }),
+    timestamp: new Date().toISOString()
+  });
+});
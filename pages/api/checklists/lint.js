@@ -0,0 +1,29 @@
+/**
+ * API endpoint for linting checklist profiles
+ * GET checks every mode profile for missing or malformed checklist files and
+ * checklists that fail validation (see lintChecklistProfiles).
+ */
+
+import { withErrorHandling } from '../../../utils/errorHandler.js';
+import { lintChecklistProfiles } from '../../../utils/checklistProfiles.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const report = await lintChecklistProfiles();
+  res.status(200).json({
+    success: true,
+    valid: report.valid,
+    profiles: report.profiles,
+    timestamp: new Date().toISOString()
+  });
+});
@@ -1,7 +1,8 @@
-import { callLLM } from '../../utils/llmProviders.js';
 import { withErrorHandling } from '../../utils/errorHandler.js';
-import { validateApiRequest, validateAltitude, validateChecklist } from '../../utils/validation.js';
-import { APP_CONFIG } from '../../utils/config.js';
+import { validateApiRequest, validateAltitude, validateChecklist, validateLLMRequestContext } from '../../utils/validation.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+import { evaluateChecklist } from '../../utils/checklistEvaluator.js';
 
 export default withErrorHandling(async (req, res) => {
   // Validate request method
@@ -59,113 +60,31 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
-  // Create evaluation prompt for LLM
-  const evaluationPrompt = createEvaluationPrompt(altitude, checklist, userPrompt, ideaTree);
-
-  // Call LLM for evaluation with timeout
-  const llmResponse = await callLLM(
-    'You are an expert altitude-based thinking assistant. Evaluate checklist items based on the user\'s prompt and provide JSON responses.',
-    evaluationPrompt,
-    { 
-      fallbackToMock: true,
-      timeout: APP_CONFIG.requestTimeout
-    }
-  );
-
-  // Parse LLM response
-  let evaluation = {};
-  try {
-    if (typeof llmResponse === 'string') {
-      evaluation = JSON.parse(llmResponse);
-    } else {
-      evaluation = llmResponse;
-    }
-  } catch (parseError) {
-    console.error('Failed to parse LLM response:', parseError);
-    // Fallback to basic evaluation
-    evaluation = createFallbackEvaluation(checklist);
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
   }
 
+  const { evaluation, llm_metadata: llmMetadata } = await evaluateChecklist(altitude, checklist, userPrompt, ideaTree, {
+    llmSelection: contextValidation.sanitized.llmSelection,
+    sessionId: contextValidation.sanitized.sessionId,
+    signal: createClientAbortSignal(req, res),
+    bypassCache: shouldBypassCache(req)
+  });
+
   res.status(200).json({
     success: true,
     evaluation,
+    llm_metadata: llmMetadata,
     timestamp: new Date().toISOString()
   });
 });
-
-function createEvaluationPrompt(altitude, checklist, userPrompt, ideaTree) {
-  const altitudeContext = {
-    '30k': 'Vision level - high-level goals and aspirations',
-    '20k': 'Category level - industry and domain identification',
-    '10k': 'Specialization level - niche and specific approach',
-    '5k': 'Execution level - concrete actions and implementation'
-  };
-
-  return `Evaluate the following checklist items for a user at ${altitude} altitude (${altitudeContext[altitude]}).
-
-USER PROMPT: "${userPrompt}"
-
-IDEA TREE: ${JSON.stringify(ideaTree, null, 2)}
-
-CHECKLIST ITEMS:
-${checklist.checklist_items.map(item => 
-  `- ${item.id}: ${item.label} - ${item.description}`
-).join('\n')}
-
-For each checklist item, determine if the user's prompt demonstrates this quality/criterion. Consider:
-1. The specific altitude level context
-2. The user's prompt content
-3. The idea tree progression
-4. Whether the criterion is met, partially met, or not met
-
-RESPONSE FORMAT (JSON):
-{
-  "item_id": {
-    "checked": true/false,
-    "reason": "Brief explanation of why this item is checked or not",
-    "confidence": 0.0-1.0
-  }
-}
-
-EXAMPLE:
-{
-  "vision_clarity": {
-    "checked": true,
-    "reason": "User clearly states they want to become an insurance agent with specific goals",
-    "confidence": 0.8
-  }
-}
-
-Evaluate each item and respond with valid JSON:`;
-}
-
-function createFallbackEvaluation(checklist) {
-  const evaluation = {};
-  
-  checklist.checklist_items.forEach(item => {
-    // Basic fallback logic based on item ID patterns
-    const itemId = item.id.toLowerCase();
-    
-    if (itemId.includes('clarity') || itemId.includes('clear')) {
-      evaluation[item.id] = {
-        checked: true,
-        reason: 'Basic clarity detected in user prompt',
-        confidence: 0.6
-      };
-    } else if (itemId.includes('specific') || itemId.includes('defined')) {
-      evaluation[item.id] = {
-        checked: false,
-        reason: 'Specificity may need more detail',
-        confidence: 0.4
-      };
-    } else {
-      evaluation[item.id] = {
-        checked: false,
-        reason: 'Requires more information to evaluate',
-        confidence: 0.3
-      };
-    }
-  });
-  
-  return evaluation;
-} 
\ No newline at end of file
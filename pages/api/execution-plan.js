@@ -0,0 +1,113 @@
+/**
+ * API endpoint for generating the execution plan at the output layer
+ * Builds the plan from the idea, the idea tree above it and the user's answers;
+ * the client keeps and edits the returned plan.
+ */
+
+import { generateExecutionPlan } from '../../utils/executionPlanner.js';
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validatePrompt, validateIdeaTree, validateUserResponses, validateLLMRequestContext } from '../../utils/validation.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { idea, ideaTree = [], userResponses = {}, startDate } = req.body;
+
+  const ideaValidation = validatePrompt(idea);
+  if (!ideaValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid idea',
+        code: 'INVALID_PROMPT',
+        details: ideaValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const treeValidation = validateIdeaTree(ideaTree);
+  if (!treeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid idea tree',
+        code: 'INVALID_IDEA_TREE',
+        details: treeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // The user's answers, keyed by altitude
+  const responsesValidation = validateUserResponses(userResponses);
+  if (!responsesValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid user responses',
+        code: 'INVALID_RESPONSES',
+        details: responsesValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (startDate !== undefined && (typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) || Number.isNaN(Date.parse(startDate)))) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Start date must be a date in YYYY-MM-DD format',
+        code: 'INVALID_START_DATE',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const result = await generateExecutionPlan({
+    idea: ideaValidation.sanitized,
+    ideaTree: treeValidation.sanitized.filter(branch => branch.status !== 'archived'),
+    userResponses: responsesValidation.sanitized,
+    startDate
+  }, {
+    sessionId: contextValidation.sanitized.sessionId,
+    signal: createClientAbortSignal(req, res),
+    llmSelection: contextValidation.sanitized.llmSelection,
+    bypassCache: shouldBypassCache(req)
+  });
+
+  console.log('[Execution] Planned', result.execution_plan.milestones.length, `milestones (${result.method})`);
+
+  res.status(200).json({
+    success: true,
+    execution_plan: result.execution_plan,
+    method: result.method,
+    llm_metadata: result.llm_metadata,
+    timestamp: new Date().toISOString()
+  });
+});
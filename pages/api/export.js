@@ -0,0 +1,103 @@
+/**
+ * API endpoint for exporting a journey
+ * GET ?id=<session id>&format=<format> exports a saved journey; POST
+ * { title, journey, format } exports the journey in the request (e.g. one not
+ * saved yet). Responds with the file itself, as a download.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateJourneySession, validateSessionId } from '../../utils/validation.js';
+import { getSession } from '../../utils/sessionStore.js';
+import { buildExportDocument, renderExport, getExportFileName, EXPORT_FORMATS } from '../../utils/journeyExport.js';
+import { loadChecklistDefinition } from '../../utils/checklistEvaluator.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const format = (req.method === 'GET' ? req.query.format : req.body.format) || 'markdown';
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid export format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        code: 'INVALID_FORMAT',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  let session;
+  if (req.method === 'GET') {
+    const idValidation = validateSessionId(req.query.id);
+    if (!idValidation.valid || !idValidation.sanitized) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid session id',
+          code: 'INVALID_SESSION_ID',
+          details: idValidation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    session = await getSession(idValidation.sanitized);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Session not found',
+          code: 'SESSION_NOT_FOUND',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  } else {
+    const validation = validateJourneySession(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid journey',
+          code: 'INVALID_SESSION',
+          details: validation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    session = validation.sanitized;
+  }
+
+  const document = buildExportDocument(session, await loadChecklists(session.journey));
+  const fileName = getExportFileName(document, format);
+
+  console.log('[Export]', format, `"${document.title}"`, `${document.altitudes.length} altitudes`);
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.status(200).send(renderExport(document, format));
+});
+
+/**
+ * Checklist definitions for every altitude the journey visited, so checked
+ * items can be exported by name
+ */
+async function loadChecklists(journey) {
+  const altitudes = [...new Set((journey.blocks || []).map(block => block.altitude))];
+  const checklists = {};
+
+  for (const altitude of altitudes) {
+    const checklist = await loadChecklistDefinition(altitude, journey.mode);
+    if (checklist) checklists[altitude] = checklist;
+  }
+  return checklists;
+}
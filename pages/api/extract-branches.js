@@ -0,0 +1,98 @@
+/**
+ * API endpoint for proposing typed idea tree branches from a block's text
+ * Returns the proposals for the user to accept, edit or reject; nothing is saved here.
+ */
+
+import { extractBranches } from '../../utils/branchExtractor.js';
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validatePrompt, validateAltitude, validateIdeaTree, validateLLMRequestContext } from '../../utils/validation.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { text, altitude, ideaTree = [] } = req.body;
+
+  const textValidation = validatePrompt(text);
+  if (!textValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid text',
+        code: 'INVALID_PROMPT',
+        details: textValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const altitudeValidation = validateAltitude(altitude);
+  if (!altitudeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid altitude',
+        code: 'INVALID_ALTITUDE',
+        details: altitudeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Existing branches, so proposals do not repeat them
+  const treeValidation = validateIdeaTree(ideaTree);
+  if (!treeValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid idea tree',
+        code: 'INVALID_IDEA_TREE',
+        details: treeValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const extraction = await extractBranches(textValidation.sanitized, altitudeValidation.sanitized, treeValidation.sanitized, {
+    sessionId: contextValidation.sanitized.sessionId,
+    signal: createClientAbortSignal(req, res),
+    llmSelection: contextValidation.sanitized.llmSelection,
+    bypassCache: shouldBypassCache(req)
+  });
+
+  console.log('[Branches] Proposed', extraction.branches.length, `branches at ${altitudeValidation.sanitized} (${extraction.method})`);
+
+  res.status(200).json({
+    success: true,
+    altitude: altitudeValidation.sanitized,
+    proposals: extraction.branches,
+    method: extraction.method,
+    limit_reached: extraction.limit_reached,
+    llm_metadata: extraction.llm_metadata,
+    timestamp: new Date().toISOString()
+  });
+});
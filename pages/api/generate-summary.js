@@ -1,7 +1,10 @@
-import { callLLM } from '../../utils/llmProviders.js';
+import { callLLMWithMetadata, describeLLMResult, getLLMSelectionOptions } from '../../utils/llmProviders.js';
 import { withErrorHandling } from '../../utils/errorHandler.js';
-import { validateApiRequest, validatePrompt, validateAltitude } from '../../utils/validation.js';
+import { validateApiRequest, validatePrompt, validateAltitude, validateLLMRequestContext } from '../../utils/validation.js';
 import { APP_CONFIG } from '../../utils/config.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+import { getAltitudeIds, getAltitudeName, getAltitudeStage, getTopAltitude, getExecutionAltitude } from '../../utils/altitudeLadder.js';
 
 export default withErrorHandling(async (req, res) => {
   // Validate request method
@@ -60,18 +63,37 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
   // Create summary prompt based on altitude
   const summaryPrompt = createSummaryPrompt(contentValidation.sanitized, altitudeValidation.sanitized);
 
   // Call LLM for summary generation with timeout
-  const llmResponse = await callLLM(
+  const llmResult = await callLLMWithMetadata(
     'You are an expert altitude-based thinking assistant. Generate concise summaries that capture the essence of user content at specific altitude levels.',
     summaryPrompt,
     { 
+      ...getLLMSelectionOptions(contextValidation.sanitized.llmSelection),
       fallbackToMock: true,
-      timeout: APP_CONFIG.requestTimeout
+      timeout: APP_CONFIG.requestTimeout,
+      sessionId: contextValidation.sanitized.sessionId,
+      signal: createClientAbortSignal(req, res),
+      bypassCache: shouldBypassCache(req)
     }
   );
+  const llmResponse = llmResult.content;
 
   // Clean and return the summary
   const summary = cleanSummary(llmResponse, altitudeValidation.sanitized);
@@ -79,6 +101,7 @@ export default withErrorHandling(async (req, res) => {
   res.status(200).json({ 
     success: true,
     summary,
+    llm_metadata: describeLLMResult(llmResult),
     altitude: altitudeValidation.sanitized,
     content_length: contentValidation.sanitized.length,
     summary_length: summary.length,
@@ -88,15 +111,17 @@ export default withErrorHandling(async (req, res) => {
 
 function createSummaryPrompt(content, altitude) {
   const altitudeContext = {
-    '30k': 'Vision level - capture the high-level goals, dreams, and aspirations',
-    '20k': 'Category level - capture the industry, domain, and business type focus',
-    '10k': 'Specialization level - capture the specific niche, approach, and target focus',
-    '5k': 'Execution level - capture the concrete actions, timeline, and implementation details'
+    vision: 'capture the high-level goals, dreams, and aspirations',
+    category: 'capture the industry, domain, and business type focus',
+    specialization: 'capture the specific niche, approach, and target focus',
+    execution: 'capture the concrete actions, timeline, and implementation details'
   };
+  const levels = getAltitudeIds();
+  const half = Math.ceil(levels.length / 2);
 
   return `Generate a concise summary (2-3 sentences) of the following content for ${altitude} altitude level.
 
-ALTITUDE CONTEXT: ${altitudeContext[altitude]}
+ALTITUDE CONTEXT: ${getAltitudeName(altitude)} level - ${altitudeContext[getAltitudeStage(altitude)]}
 
 CONTENT TO SUMMARIZE:
 "${content}"
@@ -106,16 +131,16 @@ INSTRUCTIONS:
 2. Use clear, concise language
 3. Capture the essence without being too detailed or too vague
 4. Maintain the user's original intent and direction
-5. Avoid implementation details for higher altitudes (30k, 20k)
-6. Include specific actions and plans for lower altitudes (10k, 5k)
+5. Avoid implementation details for higher altitudes (${levels.slice(0, half).join(', ')})
+6. Include specific actions and plans for lower altitudes (${levels.slice(half).join(', ')})
 
 RESPONSE FORMAT:
 Provide only the summary text, no additional formatting or explanations.
 
-EXAMPLE FOR 30k:
+EXAMPLE FOR ${getTopAltitude()}:
 "User wants to build a successful insurance business helping families protect their financial future through personalized service and comprehensive coverage solutions."
 
-EXAMPLE FOR 5k:
+EXAMPLE FOR ${getExecutionAltitude()}:
 "User will get licensed in life insurance, join an independent agency, build a client base through networking, and implement CRM software for tracking leads and policies."
 
 Generate the summary:`;
@@ -0,0 +1,90 @@
+/**
+ * API endpoint for importing a document as a new journey
+ * Accepts pasted text or the text of an uploaded .md, .txt or .json file,
+ * places its chunks on the altitude ladder and returns the journey for the
+ * client to open (and save, like any new journey).
+ */
+
+import { readDocument, importDocument } from '../../utils/documentImporter.js';
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateImportDocument, validateLLMRequestContext } from '../../utils/validation.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const documentValidation = validateImportDocument(req.body);
+  if (!documentValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid document',
+        code: 'INVALID_DOCUMENT',
+        details: documentValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  let document;
+  try {
+    document = readDocument(documentValidation.sanitized.content, documentValidation.sanitized.fileName);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid JSON file: ${error.message}`,
+        code: 'INVALID_JSON',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (document.sections.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'The document has no text to import',
+        code: 'EMPTY_DOCUMENT',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const result = await importDocument(document, {
+    sessionId: contextValidation.sanitized.sessionId,
+    signal: createClientAbortSignal(req, res),
+    llmSelection: contextValidation.sanitized.llmSelection,
+    bypassCache: shouldBypassCache(req)
+  });
+
+  res.status(200).json({
+    success: true,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * API endpoint for the local OpenAI-compatible provider
+ * GET probes the configured server and returns its health and loaded models.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { llmFactory } from '../../utils/llmProviders.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const provider = llmFactory.createProvider('local');
+  const health = await provider.checkHealth();
+
+  console.log(`[Local LLM] Health probe of ${health.baseUrl || '(unset)'}: ${health.healthy ? 'healthy' : health.error}`);
+
+  res.status(200).json({
+    success: true,
+    configured: Boolean(provider.baseUrl && provider.model),
+    ...health,
+    timestamp: new Date().toISOString()
+  });
+});
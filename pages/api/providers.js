@@ -0,0 +1,27 @@
+/**
+ * API endpoint for LLM provider availability
+ * GET lists every registered provider with whether it is configured, its
+ * allowed models and circuit-breaker state, so the UI can disable the rest.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { getProviderAvailability } from '../../utils/llmProviders.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    providers: getProviderAvailability(),
+    timestamp: new Date().toISOString()
+  });
+});
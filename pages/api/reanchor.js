@@ -0,0 +1,114 @@
+/**
+ * API endpoint for re-anchoring a drifted block
+ * Rewrites the block so it serves the 30k vision again, using the drift found
+ * in it (see semanticDrift.js), and returns the proposal for the user to apply
+ * or discard; nothing is saved here.
+ */
+
+import { callLLMStructured, describeLLMResult, getLLMSelectionOptions } from '../../utils/llmProviders.js';
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateReanchor, validateLLMRequestContext } from '../../utils/validation.js';
+import { APP_CONFIG, ALTITUDE_CONFIG } from '../../utils/config.js';
+import { REDERIVATION_SCHEMA } from '../../utils/structuredOutput.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+import { getTopAltitude } from '../../utils/altitudeLadder.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const validation = validateReanchor(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid re-anchor request',
+        code: 'INVALID_REANCHOR',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { vision, block, drift } = validation.sanitized;
+  const llmResult = await callLLMStructured(
+    REDERIVATION_SCHEMA,
+    'You are an expert altitude-based thinking assistant. When a lower-altitude plan has drifted away from the vision it started from, you bring it back in line with the vision, keeping every decision that still serves it.',
+    createReanchorPrompt(vision, block, drift),
+    {
+      ...getLLMSelectionOptions(contextValidation.sanitized.llmSelection),
+      fallbackToMock: true,
+      timeout: APP_CONFIG.requestTimeout,
+      sessionId: contextValidation.sanitized.sessionId,
+      signal: createClientAbortSignal(req, res),
+      bypassCache: shouldBypassCache(req)
+    }
+  );
+
+  console.log(`[Reanchor] Rewrote ${block.altitude} towards the ${getTopAltitude()} vision`);
+
+  res.status(200).json({
+    success: true,
+    proposal: {
+      altitude: block.altitude,
+      prompt: llmResult.data.prompt.trim(),
+      refined_prompt: llmResult.data.refined_prompt.trim(),
+      changes: llmResult.data.changes,
+      llm_metadata: describeLLMResult(llmResult)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+function createReanchorPrompt(vision, block, drift) {
+  const topAltitude = getTopAltitude();
+  const describeLevel = altitude => `${altitude} (${ALTITUDE_CONFIG.names[altitude]}: ${ALTITUDE_CONFIG.descriptions[altitude]})`;
+  const driftLines = drift ? [
+    drift.details && `Found: ${drift.details}`,
+    drift.appeared.length > 0 && `Concepts that came in: ${drift.appeared.join(', ')}`,
+    drift.disappeared.length > 0 && `Concepts that were lost: ${drift.disappeared.join(', ')}`
+  ].filter(Boolean) : [];
+
+  return `The ${describeLevel(block.altitude)} block has drifted away from the ${describeLevel(topAltitude)} vision. Rewrite it so it serves the vision again.
+
+VISION:
+"${vision}"
+${driftLines.length > 0 ? `
+DRIFT:
+${driftLines.join('\n')}
+` : ''}
+CURRENT ${block.altitude} BLOCK
+Idea: "${block.prompt || '(none)'}"
+Refinement: "${block.refinedPrompt || '(none yet)'}"
+
+INSTRUCTIONS:
+1. Rewrite the idea and the refinement at ${block.altitude} level so they clearly serve the vision
+2. Drop or reframe what pulls away from the vision; bring back what the vision needs and the block lost
+3. Keep decisions, names and details from the current block wherever they still serve the vision
+4. Stay at ${block.altitude} level of detail
+5. List the changes you made in "changes", one short sentence each
+6. If the current block has no refinement, return an empty string for "refined_prompt"`;
+}
@@ -0,0 +1,115 @@
+/**
+ * API endpoint for re-deriving lower-altitude blocks after a higher one changed
+ * Rewrites each block, top-down, so it is consistent with the block above it,
+ * and returns the proposals for the user to review; nothing is saved here.
+ */
+
+import { callLLMStructured, describeLLMResult, getLLMSelectionOptions } from '../../utils/llmProviders.js';
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateRederivation, validateLLMRequestContext } from '../../utils/validation.js';
+import { APP_CONFIG, ALTITUDE_CONFIG } from '../../utils/config.js';
+import { REDERIVATION_SCHEMA } from '../../utils/structuredOutput.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const validation = validateRederivation(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid re-derivation request',
+        code: 'INVALID_REDERIVATION',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { upstream, blocks } = validation.sanitized;
+  const signal = createClientAbortSignal(req, res);
+  const proposals = [];
+  let parent = upstream;
+
+  // Each block is rewritten against the already rewritten block above it
+  for (const block of blocks) {
+    const llmResult = await callLLMStructured(
+      REDERIVATION_SCHEMA,
+      'You are an expert altitude-based thinking assistant. When a higher-altitude idea changes, you update the lower-altitude plan so it follows from the new idea, keeping every earlier decision that still fits.',
+      createRederivationPrompt(parent, block),
+      {
+        ...getLLMSelectionOptions(contextValidation.sanitized.llmSelection),
+        fallbackToMock: true,
+        timeout: APP_CONFIG.requestTimeout,
+        sessionId: contextValidation.sanitized.sessionId,
+        signal,
+        bypassCache: shouldBypassCache(req)
+      }
+    );
+
+    const proposal = {
+      altitude: block.altitude,
+      prompt: llmResult.data.prompt.trim(),
+      refined_prompt: llmResult.data.refined_prompt.trim(),
+      changes: llmResult.data.changes,
+      llm_metadata: describeLLMResult(llmResult)
+    };
+    proposals.push(proposal);
+    parent = { altitude: block.altitude, content: proposal.refined_prompt || proposal.prompt };
+  }
+
+  console.log('[Rederive] Rewrote', proposals.map(proposal => proposal.altitude).join(' → '), `from ${upstream.altitude}`);
+
+  res.status(200).json({
+    success: true,
+    upstream_altitude: upstream.altitude,
+    proposals,
+    timestamp: new Date().toISOString()
+  });
+});
+
+function createRederivationPrompt(parent, block) {
+  const describeLevel = altitude => `${altitude} (${ALTITUDE_CONFIG.names[altitude]}: ${ALTITUDE_CONFIG.descriptions[altitude]})`;
+
+  return `The ${describeLevel(parent.altitude)} block has changed. Update the ${describeLevel(block.altitude)} block so it follows from it.
+
+UPDATED ${parent.altitude} BLOCK:
+"${parent.content}"
+
+CURRENT ${block.altitude} BLOCK
+Idea: "${block.prompt}"
+Refinement: "${block.refinedPrompt || '(none yet)'}"
+
+INSTRUCTIONS:
+1. Rewrite the idea and the refinement at ${block.altitude} level so they are consistent with the updated ${parent.altitude} block
+2. Keep decisions, names and details from the current block wherever they still fit
+3. Change only what the update requires; do not add unrelated ideas
+4. Stay at ${block.altitude} level of detail
+5. List the changes you made in "changes", one short sentence each
+6. If the current block has no refinement, return an empty string for "refined_prompt"`;
+}
@@ -1,12 +1,17 @@
 /**
  * API endpoint for altitude-based prompt refinement
- * Implements altitude logic (30k, 20k, 10k, 5k) with tree growth
+ * Implements altitude logic over the configured altitude ladder with tree growth.
+ * With `yoloMode: true` every level down to the output layer is generated in one
+ * request; the levels come back in `yolo` for the user to review. A yolo run
+ * stops at a blocking dependency rule unless `overrideBlocks: true` is sent.
  */
 
-import { refinePromptWithAltitude, pruneTreeBranches, generateStructuredOutput } from '../../utils/altitudePromptRefiner';
+import { refinePromptWithAltitude, archiveDivergentBranches, generateStructuredOutput } from '../../utils/altitudePromptRefiner';
 import { withErrorHandling } from '../../utils/errorHandler.js';
-import { validateApiRequest, validatePrompt, validateIdeaTree } from '../../utils/validation.js';
+import { validateApiRequest, validatePrompt, validateIdeaTree, validateConversationHistory, validateLLMRequestContext } from '../../utils/validation.js';
 import { APP_CONFIG } from '../../utils/config.js';
+import { wantsEventStream, respondWithEventStream, createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
 
 export default withErrorHandling(async (req, res) => {
   // Validate request method
@@ -35,7 +40,7 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
-  const { prompt, ideaTree = [], coreIdea = '', isDirectionChange = false } = req.body;
+  const { prompt, ideaTree = [], coreIdea = '', isDirectionChange = false, yoloMode = false, overrideBlocks = false, history } = req.body;
 
   // Validate prompt
   const promptValidation = validatePrompt(prompt);
@@ -67,27 +72,89 @@ export default withErrorHandling(async (req, res) => {
     }
   }
 
+  // Validate conversation history
+  const historyValidation = validateConversationHistory(history);
+  if (!historyValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: 'Invalid conversation history',
+        code: 'INVALID_HISTORY',
+        details: historyValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
   console.log('Altitude refinement request:', {
     prompt: promptValidation.sanitized,
     ideaTreeLength: ideaTree.length,
     coreIdea,
-    isDirectionChange
+    isDirectionChange,
+    yoloMode
   });
 
-  // If user is changing direction, prune the tree first
+  // If user is changing direction, archive the branches that no longer fit
   let currentTree = ideaTree;
   if (isDirectionChange && ideaTree.length > 0) {
-    currentTree = pruneTreeBranches(ideaTree, promptValidation.sanitized);
-    console.log('Pruned tree:', currentTree);
+    currentTree = archiveDivergentBranches(ideaTree, promptValidation.sanitized);
+    console.log('Archived divergent branches:', currentTree.filter(branch => branch.status === 'archived').length);
   }
 
+  // Cancel the upstream LLM call if the client goes away
+  const signal = createClientAbortSignal(req, res);
+
+  const refine = (onToken) => buildAltitudeRefinement(
+    promptValidation.sanitized,
+    currentTree,
+    coreIdea,
+    yoloMode === true,
+    {
+      history: historyValidation.sanitized,
+      sessionId: contextValidation.sanitized.sessionId,
+      signal,
+      bypassCache: shouldBypassCache(req),
+      llmSelection: contextValidation.sanitized.llmSelection,
+      overrideBlocks: overrideBlocks === true
+    },
+    onToken
+  );
+
+  if (wantsEventStream(req)) {
+    return respondWithEventStream(res, refine);
+  }
+
+  return res.status(200).json(await refine(null));
+});
+
+/**
+ * Run the altitude refinement and assemble the response payload
+ */
+async function buildAltitudeRefinement(prompt, currentTree, coreIdea, yoloMode, llmOptions, onToken) {
   // Perform altitude-based refinement
-  const result = await refinePromptWithAltitude(promptValidation.sanitized, currentTree);
+  const result = await refinePromptWithAltitude(prompt, currentTree, yoloMode, {
+    ...llmOptions,
+    onToken: onToken || undefined
+  });
   
   // Generate structured output
   const structuredOutput = generateStructuredOutput(
     result.idea_tree,
-    coreIdea || promptValidation.sanitized,
+    coreIdea || prompt,
     result.readiness_status
   );
 
@@ -96,14 +163,15 @@ export default withErrorHandling(async (req, res) => {
     newAltitude: result.new_altitude,
     readinessStatus: result.readiness_status,
     treeSize: result.tree_size,
-    newBranches: result.new_branches_count
+    newBranches: result.new_branches_count,
+    yoloLevels: result.yolo?.levels.length
   });
 
-  return res.status(200).json({
+  return {
     success: true,
     ...result,
     structured_output: structuredOutput,
     source: 'Altitude-Based Refiner',
     timestamp: new Date().toISOString()
-  });
-}); 
\ No newline at end of file
+  };
+}
@@ -3,18 +3,23 @@
  * Uses conversational prompts to guide users through altitude levels naturally
  */
 
-import { refinePromptWithAltitude, pruneTreeBranches, generateStructuredOutput } from '../../utils/altitudePromptRefiner';
-import { getTemplate, generateSystemPrompt, generateUserPrompt, generateConversationalQuestions } from '../../utils/altitudeTemplates';
-import { callLLM } from '../../utils/llmProviders';
+import { refinePromptWithAltitude, archiveDivergentBranches, generateStructuredOutput } from '../../utils/altitudePromptRefiner';
+import { getTemplate, getFrameworkLevel, generateSystemPrompt, generateUserPrompt, generateConversationalQuestions } from '../../utils/altitudeTemplates';
+import { getAltitudeStage, getAltitudeForStage, getTopAltitude } from '../../utils/altitudeLadder';
+import { callLLMWithMetadata, describeLLMResult, getLLMSelectionOptions } from '../../utils/llmProviders';
 import { getRelevantQuestions, getLevelInfo, getNextAltitude, isReadyForNextLevel } from '../../utils/altitudeJourney';
-import { withErrorHandling } from '../../utils/errorHandler.js';
-import { validateApiRequest, validatePrompt } from '../../utils/validation.js';
+import { withErrorHandling, RequestCancelledError } from '../../utils/errorHandler.js';
+import { validateApiRequest, validatePrompt, validateConversationHistory, validateLLMRequestContext } from '../../utils/validation.js';
 import { APP_CONFIG } from '../../utils/config.js';
+import { wantsEventStream, respondWithEventStream, createJsonFieldStreamer, createClientAbortSignal } from '../../utils/streaming.js';
+import { shouldBypassCache } from '../../utils/responseCache.js';
 
 /**
  * Call LLM API for conversational refinement
+ *
+ * @returns {Promise<Object>} { content, metadata } where metadata records which provider answered
  */
-async function callLLMForConversationalRefinement(prompt, altitude, context, ideaTree, templateName = 'career', userResponses = null) {
+async function callLLMForConversationalRefinement(prompt, altitude, context, ideaTree, templateName = 'career', userResponses = null, { onToken = null, history = [], sessionId = null, signal = null, bypassCache = false, llmSelection = null } = {}) {
   try {
     // Create conversational system prompt based on altitude and template
     const systemPrompt = createConversationalSystemPrompt(altitude, context, ideaTree, templateName);
@@ -24,18 +29,36 @@ async function callLLMForConversationalRefinement(prompt, altitude, context, ide
     console.log(`[LLM] Altitude: ${altitude}, Template: ${templateName}`);
 
     // Use the unified LLM calling function (provider configured via env vars)
-    const conversationalResponse = await callLLM(systemPrompt, userPrompt, {
+    const result = await callLLMWithMetadata(systemPrompt, userPrompt, {
+      ...getLLMSelectionOptions(llmSelection), // Provider and model picked in the UI
       fallbackToMock: true, // Fallback to mock if provider fails
-      timeout: APP_CONFIG.requestTimeout
+      timeout: APP_CONFIG.requestTimeout,
+      history, // Earlier turns of this block's conversation
+      sessionId, // Token usage is tallied per session
+      signal, // Aborted when the client disconnects
+      bypassCache, // Client sent the cache bypass header
+      // Stream only the refined_prompt text, not the surrounding JSON
+      onToken: onToken ? createJsonFieldStreamer('refined_prompt', onToken) : undefined
     });
 
-    console.log('[LLM] Response received successfully');
-    return conversationalResponse;
+    console.log(`[LLM] Response received successfully from ${result.providerName}`);
+    return { content: result.content, metadata: describeLLMResult(result) };
     
   } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+
     console.error('[LLM] API call failed:', error);
     console.log('[LLM] Falling back to local refinement');
-    return generateConversationalFallback(prompt, altitude, context);
+    return {
+      content: generateConversationalFallback(prompt, altitude, context),
+      metadata: {
+        provider: 'local_fallback',
+        provider_name: 'Local Fallback',
+        is_mock: true,
+        fallback_used: true,
+        attempts: error.details?.attempts || []
+      }
+    };
   }
 }
 
@@ -80,11 +103,9 @@ function createConversationalUserPrompt(prompt, altitude, context, templateName
   if (userResponses) {
     // If user provided responses, create a detailed follow-up prompt
     const template = getTemplate(templateName);
-    const currentLevel = template.altitudeFramework[altitude];
-    const altitudeOrder = ['30k', '20k', '10k', '5k'];
-    const currentIndex = altitudeOrder.indexOf(altitude);
-    const nextAltitude = altitudeOrder[Math.min(currentIndex + 1, altitudeOrder.length - 1)];
-    const nextLevel = template.altitudeFramework[nextAltitude];
+    const currentLevel = getFrameworkLevel(template, altitude);
+    const nextAltitude = getNextAltitude(altitude) || altitude;
+    const nextLevel = getFrameworkLevel(template, nextAltitude);
     
     return `You are helping someone refine their idea through altitude-based thinking.
 
@@ -127,32 +148,32 @@ RESPONSE FORMAT:
  */
 function generateConversationalFallback(prompt, altitude, context) {
   const fallbackResponses = {
-    '30k': `That's an exciting vision! I'd love to help you explore this further. 
+    vision: `That's an exciting vision! I'd love to help you explore this further. 
 
 What aspects of this goal are most important to you? And what kind of impact are you hoping to make?`,
     
-    '20k': `Great! We're getting more specific. 
+    category: `Great! We're getting more specific. 
 
 What industry or category does this fall into? And what type of approach or model appeals to you most?`,
     
-    '10k': `Perfect! Now let's find your unique angle. 
+    specialization: `Perfect! Now let's find your unique angle. 
 
 What specific specialization or niche within this area interests you? And what would make your approach different?`,
     
-    '5k': `Excellent! Time to get practical. 
+    execution: `Excellent! Time to get practical. 
 
 What specific actions would you like to take first? And what resources or tools do you think you'll need?`
   };
 
-  return fallbackResponses[altitude] || `Let's continue exploring your idea: "${prompt}". What would you like to focus on next?`;
+  return fallbackResponses[getAltitudeStage(altitude)] || `Let's continue exploring your idea: "${prompt}". What would you like to focus on next?`;
 }
 
 /**
  * Generate conversational questions based on altitude, context, and template
  */
-async function getConversationalQuestions(altitude, prompt, context, templateName = 'career', userResponses = null) {
+async function getConversationalQuestions(altitude, prompt, context, templateName = 'career', userResponses = null, llmOptions = {}) {
   // Use the structured altitude journey to get relevant questions
-  const relevantQuestions = await getRelevantQuestions(altitude, prompt, userResponses, templateName);
+  const relevantQuestions = await getRelevantQuestions(altitude, prompt, userResponses, templateName, llmOptions);
   
   // Convert to the format expected by the frontend
   return relevantQuestions.map(q => q.text);
@@ -185,7 +206,7 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
-  const { prompt, ideaTree = [], coreIdea = '', isDirectionChange = false, altitude, template, userResponses } = req.body;
+  const { prompt, ideaTree = [], coreIdea = '', isDirectionChange = false, altitude, template, userResponses, history } = req.body;
 
   // Validate prompt
   const promptValidation = validatePrompt(prompt);
@@ -201,21 +222,50 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
+  // Validate the session id and the requested provider and model
+  const contextValidation = validateLLMRequestContext(req.body);
+  if (!contextValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: contextValidation.message,
+        code: contextValidation.code,
+        details: contextValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate conversation history
+  const historyValidation = validateConversationHistory(history);
+  if (!historyValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: 'Invalid conversation history',
+        code: 'INVALID_HISTORY',
+        details: historyValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
   console.log('LLM altitude refinement request:', {
     prompt: promptValidation.sanitized,
     ideaTreeLength: ideaTree.length,
     coreIdea,
     isDirectionChange,
     altitude,
-    template
+    template,
+    historyTurns: historyValidation.sanitized.length
   });
 
-  // If user is changing direction, prune the tree first
-  let currentTree = ideaTree;
-  if (isDirectionChange && ideaTree.length > 0) {
-    currentTree = pruneTreeBranches(ideaTree, promptValidation.sanitized);
-    console.log('Pruned tree:', currentTree);
-  }
+  // If user is changing direction, archive the branches that no longer fit;
+  // only active branches shape the conversation
+  const currentTree = (isDirectionChange && ideaTree.length > 0
+    ? archiveDivergentBranches(ideaTree, promptValidation.sanitized)
+    : ideaTree
+  ).filter(branch => branch.status !== 'archived');
 
   // Get current altitude if not provided
   const currentAltitude = altitude || determineAltitude(promptValidation.sanitized, currentTree);
@@ -227,15 +277,44 @@ export default withErrorHandling(async (req, res) => {
 
   // Get template from request, environment variable, or use default
   const templateName = template || process.env.DEFAULT_TEMPLATE || 'career';
-  
+
+  // Cancel the upstream LLM call if the client goes away
+  const signal = createClientAbortSignal(req, res);
+
+  const refine = (onToken) => buildConversationalRefinement({
+    prompt: promptValidation.sanitized,
+    currentAltitude,
+    context,
+    currentTree,
+    templateName,
+    userResponses,
+    history: historyValidation.sanitized,
+    sessionId: contextValidation.sanitized.sessionId,
+    signal,
+    bypassCache: shouldBypassCache(req),
+    llmSelection: contextValidation.sanitized.llmSelection
+  }, onToken);
+
+  if (wantsEventStream(req)) {
+    return respondWithEventStream(res, refine);
+  }
+
+  return res.status(200).json(await refine(null));
+});
+
+/**
+ * Run the conversational refinement and assemble the response payload
+ */
+async function buildConversationalRefinement({ prompt, currentAltitude, context, currentTree, templateName, userResponses, history, sessionId, signal, bypassCache, llmSelection }, onToken) {
   // Get conversational refinement from LLM API (provider configured via env vars)
-  const conversationalResponse = await callLLMForConversationalRefinement(
-    promptValidation.sanitized, 
+  const { content: conversationalResponse, metadata: llmMetadata } = await callLLMForConversationalRefinement(
+    prompt, 
     currentAltitude, 
     context, 
     currentTree, 
     templateName, 
-    userResponses
+    userResponses,
+    { onToken, history, sessionId, signal, bypassCache, llmSelection }
   );
 
   // Parse the response
@@ -257,33 +336,41 @@ export default withErrorHandling(async (req, res) => {
   // Get conversational questions
   const questions = await getConversationalQuestions(
     currentAltitude, 
-    promptValidation.sanitized, 
+    prompt, 
     context, 
     templateName, 
-    userResponses
+    userResponses,
+    { llmSelection, sessionId, signal, bypassCache }
   );
 
-  // Determine readiness status
-  const readinessStatus = isReadyForNextLevel(currentAltitude, promptValidation.sanitized, currentTree);
+  // Grade how ready the user's idea (and answers so far) is to leave this altitude
+  const readiness = await isReadyForNextLevel(
+    currentAltitude,
+    [prompt, userResponses].filter(Boolean).join('\n\n'),
+    { sessionId, signal, llmSelection }
+  );
 
   console.log('LLM altitude refinement result:', {
     currentAltitude,
-    readinessStatus,
+    readinessStatus: readiness.status,
+    readinessMethod: readiness.method,
     hasRefinedPrompt: !!parsedResponse.refined_prompt,
     questionsCount: questions.length
   });
 
-  return res.status(200).json({
+  return {
     success: true,
     conversational_response: parsedResponse.refined_prompt || conversationalResponse,
     conversational_questions: parsedResponse.questions || questions,
     altitude_context: context,
-    readiness_status: readinessStatus,
+    readiness_status: readiness.status,
+    readiness,
     current_altitude: currentAltitude,
     template: templateName,
+    llm_metadata: llmMetadata,
     timestamp: new Date().toISOString()
-  });
-});
+  };
+}
 
 /**
  * Determine altitude level based on prompt content and idea tree
@@ -293,15 +380,15 @@ function determineAltitude(prompt, ideaTree) {
   const promptLower = prompt.toLowerCase();
   
   if (promptLower.includes('vision') || promptLower.includes('dream') || promptLower.includes('goal')) {
-    return '30k';
+    return getAltitudeForStage('vision');
   } else if (promptLower.includes('industry') || promptLower.includes('category') || promptLower.includes('business')) {
-    return '20k';
+    return getAltitudeForStage('category');
   } else if (promptLower.includes('specialization') || promptLower.includes('niche') || promptLower.includes('specific')) {
-    return '10k';
+    return getAltitudeForStage('specialization');
   } else if (promptLower.includes('action') || promptLower.includes('plan') || promptLower.includes('implement')) {
-    return '5k';
+    return getAltitudeForStage('execution');
   }
   
   // Default based on idea tree depth
-  return ideaTree.length === 0 ? '30k' : '20k';
+  return ideaTree.length === 0 ? getTopAltitude() : getAltitudeForStage('category');
 } 
\ No newline at end of file
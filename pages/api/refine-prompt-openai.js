@@ -1,6 +1,8 @@
 import { withErrorHandling } from '../../utils/errorHandler.js';
-import { validateApiRequest, validatePrompt } from '../../utils/validation.js';
+import { validateApiRequest, validatePrompt, validateConversationHistory, validateSessionId } from '../../utils/validation.js';
 import { APP_CONFIG, LLM_CONFIG } from '../../utils/config.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
+import { createUsage, recordUsage } from '../../utils/usageTracker.js';
 
 const SYSTEM_PROMPT = `You are a helpful conversational AI assistant. Your job is to have natural, engaging conversations with users and provide helpful, informative responses.
 
@@ -49,7 +51,7 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
-  const { prompt } = req.body;
+  const { prompt, history, sessionId } = req.body;
 
   // Validate prompt
   const promptValidation = validatePrompt(prompt);
@@ -65,6 +67,34 @@ export default withErrorHandling(async (req, res) => {
     });
   }
 
+  // Validate conversation history
+  const historyValidation = validateConversationHistory(history);
+  if (!historyValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: 'Invalid conversation history',
+        code: 'INVALID_HISTORY',
+        details: historyValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  // Validate session id (groups token usage per session)
+  const sessionValidation = validateSessionId(sessionId);
+  if (!sessionValidation.valid) {
+    return res.status(400).json({ 
+      success: false,
+      error: {
+        message: 'Invalid session id',
+        code: 'INVALID_SESSION_ID',
+        details: sessionValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
   console.log('Refining prompt with OpenAI:', promptValidation.sanitized);
 
   // Get OpenAI API key from environment
@@ -102,6 +132,7 @@ export default withErrorHandling(async (req, res) => {
     model: openaiConfig.model,
     messages: [
       { role: 'system', content: SYSTEM_PROMPT },
+      ...historyValidation.sanitized,
       { role: 'user', content: promptValidation.sanitized }
     ],
     max_tokens: openaiConfig.maxTokens,
@@ -113,6 +144,8 @@ export default withErrorHandling(async (req, res) => {
   // Create timeout controller
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), APP_CONFIG.requestTimeout);
+  // Also cancel the upstream call if the client goes away
+  createClientAbortSignal(req, res).addEventListener('abort', () => controller.abort());
 
   try {
     const response = await fetch(openaiConfig.apiUrl, {
@@ -152,6 +185,16 @@ export default withErrorHandling(async (req, res) => {
 
     if (data.choices && data.choices[0] && data.choices[0].message) {
       const content = data.choices[0].message.content;
+
+      if (data.usage) {
+        recordUsage({
+          sessionId: sessionValidation.sanitized,
+          provider: 'openai',
+          model: data.model || openaiConfig.model,
+          usage: createUsage(data.usage.prompt_tokens, data.usage.completion_tokens)
+        });
+      }
+
       return res.status(200).json({
         success: true,
         refined_prompt: content,
@@ -6,6 +6,7 @@
 import { withErrorHandling } from '../../utils/errorHandler.js';
 import { validateApiRequest, validatePrompt } from '../../utils/validation.js';
 import { APP_CONFIG, LLM_CONFIG } from '../../utils/config.js';
+import { createClientAbortSignal } from '../../utils/streaming.js';
 
 const SYSTEM_PROMPT = `You are an Expert Prompt Refiner. Your job is to take user prompts and make them more effective and actionable for AI systems.
 
@@ -94,6 +95,8 @@ export default withErrorHandling(async (req, res) => {
     // Create timeout controller
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), APP_CONFIG.requestTimeout);
+    // Also cancel the upstream call if the client goes away
+    createClientAbortSignal(req, res).addEventListener('abort', () => controller.abort());
 
     try {
       const response = await fetch(openaiConfig.apiUrl, {
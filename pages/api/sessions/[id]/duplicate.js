@@ -0,0 +1,52 @@
+/**
+ * API endpoint for copying a saved journey session
+ * POST creates a copy under a new id and returns it.
+ */
+
+import { withErrorHandling } from '../../../../utils/errorHandler.js';
+import { validateSessionId } from '../../../../utils/validation.js';
+import { duplicateSession } from '../../../../utils/sessionStore.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const idValidation = validateSessionId(req.query.id);
+  if (!idValidation.valid || !idValidation.sanitized) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid session id',
+        code: 'INVALID_SESSION_ID',
+        details: idValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const session = await duplicateSession(idValidation.sanitized);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    session,
+    timestamp: new Date().toISOString()
+  });
+});
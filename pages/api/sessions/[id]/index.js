@@ -0,0 +1,86 @@
+/**
+ * API endpoint for a single saved journey session
+ * GET loads it, PUT updates its title and/or journey, DELETE removes it.
+ */
+
+import { withErrorHandling } from '../../../../utils/errorHandler.js';
+import { validateJourneySession, validateSessionId } from '../../../../utils/validation.js';
+import { deleteSession, getSession, updateSession } from '../../../../utils/sessionStore.js';
+
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Session not found',
+    code: 'SESSION_NOT_FOUND',
+    timestamp: new Date().toISOString()
+  }
+});
+
+export default withErrorHandling(async (req, res) => {
+  const idValidation = validateSessionId(req.query.id);
+  if (!idValidation.valid || !idValidation.sanitized) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid session id',
+        code: 'INVALID_SESSION_ID',
+        details: idValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  const id = idValidation.sanitized;
+
+  if (req.method === 'GET') {
+    const session = await getSession(id);
+    if (!session) return sendNotFound(res);
+
+    return res.status(200).json({
+      success: true,
+      session,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method === 'PUT') {
+    const validation = validateJourneySession(req.body, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid session',
+          code: 'INVALID_SESSION',
+          details: validation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const session = await updateSession(id, validation.sanitized);
+    if (!session) return sendNotFound(res);
+
+    return res.status(200).json({
+      success: true,
+      session,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!await deleteSession(id)) return sendNotFound(res);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(405).json({
+    success: false,
+    error: {
+      message: 'Method not allowed',
+      code: 'METHOD_NOT_ALLOWED',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * API endpoint for saved journey sessions
+ * GET ?ids=a,b lists those sessions (summaries only; the browser keeps the ids
+ * of the journeys it saved); POST saves a new one.
+ */
+
+import { withErrorHandling } from '../../../utils/errorHandler.js';
+import { validateJourneySession, validateSessionIdList } from '../../../utils/validation.js';
+import { createSession, getSessionSummaries } from '../../../utils/sessionStore.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method === 'GET') {
+    const idsValidation = validateSessionIdList(req.query.ids);
+    if (!idsValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid session ids',
+          code: 'INVALID_SESSION_IDS',
+          details: idsValidation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      sessions: await getSessionSummaries(idsValidation.sanitized),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const validation = validateJourneySession(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid session',
+        code: 'INVALID_SESSION',
+        details: validation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    session: await createSession(validation.sanitized),
+    timestamp: new Date().toISOString()
+  });
+});
@@ -2,7 +2,8 @@
  * Test endpoint for LLM integration
  */
 
-import { callLLM } from '../../utils/llmProviders';
+import { callLLMWithMetadata, describeLLMResult } from '../../utils/llmProviders';
+import { getCircuitBreakerStatus } from '../../utils/providerFailover';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -16,16 +17,18 @@ export default async function handler(req, res) {
     const userPrompt = 'Say hello and provide a simple test response.';
     
     console.log('[TEST] Making LLM request...');
-    const response = await callLLM(systemPrompt, userPrompt, {
+    const result = await callLLMWithMetadata(systemPrompt, userPrompt, {
       fallbackToMock: true
     });
     
-    console.log('[TEST] LLM response received:', response);
+    console.log('[TEST] LLM response received:', result.content);
     
     return res.status(200).json({
       success: true,
-      response: response,
-      provider: process.env.DEFAULT_LLM_PROVIDER || 'mock',
+      response: result.content,
+      provider: result.provider,
+      llm_metadata: describeLLMResult(result),
+      circuit_breakers: getCircuitBreakerStatus(),
       timestamp: new Date().toISOString()
     });
     
@@ -34,7 +37,9 @@ export default async function handler(req, res) {
     return res.status(500).json({
       error: 'LLM test failed',
       message: error.message,
-      provider: process.env.DEFAULT_LLM_PROVIDER || 'mock'
+      provider: process.env.DEFAULT_LLM_PROVIDER || 'mock',
+      attempts: error.details?.attempts || [],
+      circuit_breakers: getCircuitBreakerStatus()
     });
   }
 } 
\ No newline at end of file
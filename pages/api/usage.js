@@ -0,0 +1,49 @@
+/**
+ * API endpoint for token usage and cost totals
+ * GET returns per-call, per-session, per-day, per-provider and per-model totals;
+ * pass ?sessionId= to include that session's totals. DELETE clears all usage.
+ */
+
+import { withErrorHandling } from '../../utils/errorHandler.js';
+import { validateSessionId } from '../../utils/validation.js';
+import { getUsageSummary, resetUsage } from '../../utils/usageTracker.js';
+
+export default withErrorHandling(async (req, res) => {
+  if (req.method === 'DELETE') {
+    resetUsage();
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const sessionValidation = validateSessionId(req.query.sessionId);
+  if (!sessionValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid session id',
+        code: 'INVALID_SESSION_ID',
+        details: sessionValidation.errors,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    usage: getUsageSummary({ sessionId: sessionValidation.sanitized }),
+    timestamp: new Date().toISOString()
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Checklist Builder Page
+ *
+ * Author mode profiles and the guardrail checklist each one shows per altitude.
+ */
+
+import Head from 'next/head';
+import Link from 'next/link';
+import ChecklistProfileEditor from '../components/ChecklistProfileEditor';
+
+export default function ChecklistBuilder() {
+  return (
+    <div style={{ padding: '20px', maxWidth: '1200px', margin: '0 auto' }}>
+      <Head>
+        <title>Checklist Builder - Ping-Pong Prompt</title>
+      </Head>
+
+      <h1>Checklist Builder</h1>
+      <p>
+        Create and edit mode profiles and their checklists. Every save is kept as a version.{' '}
+        <Link href="/">Back to the app</Link>
+      </p>
+
+      <ChecklistProfileEditor />
+    </div>
+  );
+}
@@ -5,13 +5,27 @@
  * Now includes both original and altitude-based refinement modes.
  */
 
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import Head from 'next/head';
 import PingPongForm from '../components/PingPongForm';
 import AltitudePingPongForm from '../components/AltitudePingPongForm';
+import UsagePanel from '../components/UsagePanel';
+import LLMProviderSelector from '../components/LLMProviderSelector';
+import { getClientLLMSelection, saveClientLLMSelection } from '../utils/clientSession.js';
 
 export default function Home() {
   const [activeTab, setActiveTab] = useState('altitude'); // Default to altitude mode
+  const [llmSelection, setLLMSelection] = useState(null);
+
+  // The selection lives in localStorage; LLM requests read it from there
+  useEffect(() => {
+    setLLMSelection(getClientLLMSelection());
+  }, []);
+
+  const handleLLMSelectionChange = useCallback((selection) => {
+    saveClientLLMSelection(selection);
+    setLLMSelection(selection);
+  }, []);
 
   return (
     <>
@@ -373,6 +387,12 @@ export default function Home() {
           </div>
         </div>
 
+        {/* Provider and model for LLM requests */}
+        <LLMProviderSelector selection={llmSelection} onSelectionChange={handleLLMSelectionChange} />
+
+        {/* Token usage and cost */}
+        <UsagePanel />
+
         {/* Tab Content */}
         {activeTab === 'altitude' ? (
           <AltitudePingPongForm />
@@ -5,13 +5,17 @@
  * LLM selects the most relevant questions based on user context
  */
 
+import { createQuestionSelectionSchema } from './structuredOutput.js';
+import { evaluateReadiness } from './readinessEvaluator.js';
+import { getAltitudeLevel, getAltitudeStage, getNextAltitude as getNextLadderAltitude } from './altitudeLadder.js';
+
 /**
  * Altitude Journey Structure
- * Each level has specific questions designed to move users to the next level
+ * Each stage has specific questions designed to move users to the next level.
+ * Levels of the altitude ladder pick up the questions of their stage.
  */
 export const ALTITUDE_JOURNEY = {
-  '30k': {
-    name: 'Vision Level',
+  vision: {
     description: 'High-level vision and goals - the big picture',
     focus: 'Explore the user\'s overarching vision, values, and long-term aspirations',
     questions: [
@@ -46,12 +50,10 @@ export const ALTITUDE_JOURNEY = {
         category: 'scope'
       }
     ],
-    nextLevel: '20k',
     transition: 'Moving from vision to specific categories and industries'
   },
   
-  '20k': {
-    name: 'Category Level',
+  category: {
     description: 'Specific categories and industries - narrowing down from vision',
     focus: 'Identify the specific industry, sector, or category that aligns with their vision',
     questions: [
@@ -86,12 +88,10 @@ export const ALTITUDE_JOURNEY = {
         category: 'location'
       }
     ],
-    nextLevel: '10k',
     transition: 'Moving from category to specific specializations and niches'
   },
   
-  '10k': {
-    name: 'Specialization Level',
+  specialization: {
     description: 'Specific specializations and niches - finding their unique angle',
     focus: 'Discover their unique specialization, niche, or approach within the chosen category',
     questions: [
@@ -126,12 +126,10 @@ export const ALTITUDE_JOURNEY = {
         category: 'method'
       }
     ],
-    nextLevel: '5k',
     transition: 'Moving from specialization to concrete execution and implementation'
   },
   
-  '5k': {
-    name: 'Execution Level',
+  execution: {
     description: 'Concrete actions, timeline, and resources - getting things done',
     focus: 'Identify the core modules, components, or building blocks that make up the specialization',
     questions: [
@@ -166,7 +164,6 @@ export const ALTITUDE_JOURNEY = {
         category: 'measurement'
       }
     ],
-    nextLevel: null,
     transition: 'Ready to execute and implement your refined plan'
   }
 };
@@ -175,7 +172,7 @@ export const ALTITUDE_JOURNEY = {
  * Get questions for a specific altitude level
  */
 export function getAltitudeQuestions(altitude, context = {}) {
-  const level = ALTITUDE_JOURNEY[altitude];
+  const level = getLevelInfo(altitude);
   if (!level) {
     return [];
   }
@@ -186,8 +183,9 @@ export function getAltitudeQuestions(altitude, context = {}) {
 /**
  * Get the most relevant questions based on user context
  * This is where the LLM can be used to select the best questions
+ * @param {Object} options - `llmSelection`, `sessionId`, `signal` and `bypassCache` for the LLM call
  */
-export async function getRelevantQuestions(altitude, userPrompt, userResponses = null, template = 'career') {
+export async function getRelevantQuestions(altitude, userPrompt, userResponses = null, template = 'career', options = {}) {
   const allQuestions = getAltitudeQuestions(altitude);
   
   // If no user responses, return the first 2 questions as a starting point
@@ -197,7 +195,7 @@ export async function getRelevantQuestions(altitude, userPrompt, userResponses =
   
   // Try to use LLM for intelligent question selection
   try {
-    const selectedQuestions = await selectQuestionsWithLLM(allQuestions, userPrompt, userResponses, template, altitude);
+    const selectedQuestions = await selectQuestionsWithLLM(allQuestions, userPrompt, userResponses, template, altitude, options);
     if (selectedQuestions && selectedQuestions.length > 0) {
       return selectedQuestions;
     }
@@ -212,10 +210,10 @@ export async function getRelevantQuestions(altitude, userPrompt, userResponses =
 /**
  * Use LLM to intelligently select the most relevant questions
  */
-async function selectQuestionsWithLLM(allQuestions, userPrompt, userResponses, template, altitude) {
+async function selectQuestionsWithLLM(allQuestions, userPrompt, userResponses, template, altitude, options = {}) {
   try {
     // Import LLM provider dynamically to avoid circular dependencies
-    const { callLLM } = await import('./llmProviders.js');
+    const { callLLMStructured, getLLMSelectionOptions } = await import('./llmProviders.js');
     
     const levelInfo = getLevelInfo(altitude);
     const nextAltitude = getNextAltitude(altitude);
@@ -248,18 +246,20 @@ RESPONSE FORMAT:
 
 Return only the JSON response.`;
 
-    const response = await callLLM(systemPrompt, 'Select the 2 most relevant questions.', {
-      fallbackToMock: true
-    });
-    
-    if (typeof response === 'string') {
-      const parsed = JSON.parse(response);
-      if (parsed.selected_questions && Array.isArray(parsed.selected_questions)) {
-        return parsed.selected_questions.map(index => allQuestions[index - 1]).filter(Boolean);
+    const result = await callLLMStructured(
+      createQuestionSelectionSchema(allQuestions.length),
+      systemPrompt,
+      'Select the 2 most relevant questions.',
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        sessionId: options.sessionId,
+        signal: options.signal,
+        bypassCache: options.bypassCache,
+        fallbackToMock: true
       }
-    }
+    );
     
-    return null;
+    return result.data.selected_questions.map(index => allQuestions[index - 1]).filter(Boolean);
   } catch (error) {
     console.error('[Altitude Journey] Error in LLM question selection:', error);
     return null;
@@ -307,15 +307,14 @@ function selectQuestionsByContext(questions, userPrompt, userResponses, template
  * Get the next altitude level
  */
 export function getNextAltitude(currentAltitude) {
-  const level = ALTITUDE_JOURNEY[currentAltitude];
-  return level ? level.nextLevel : null;
+  return getNextLadderAltitude(currentAltitude);
 }
 
 /**
  * Get transition guidance between levels
  */
 export function getTransitionGuidance(currentAltitude) {
-  const level = ALTITUDE_JOURNEY[currentAltitude];
+  const level = getLevelInfo(currentAltitude);
   return level ? level.transition : '';
 }
 
@@ -323,19 +322,26 @@ export function getTransitionGuidance(currentAltitude) {
  * Get level information
  */
 export function getLevelInfo(altitude) {
-  return ALTITUDE_JOURNEY[altitude] || null;
+  const level = getAltitudeLevel(altitude);
+  if (!level) return null;
+
+  return {
+    ...ALTITUDE_JOURNEY[getAltitudeStage(altitude)],
+    name: `${level.name} Level`,
+    nextLevel: getNextLadderAltitude(altitude)
+  };
 }
 
 /**
  * Check if user is ready to move to next level
+ * @param {Object} options - Passed to evaluateReadiness
+ * @returns {Promise<Object>} The readiness evaluation plus `ready`, true once it is green
  */
-export function isReadyForNextLevel(altitude, userResponses) {
-  // Simple heuristic: if user has provided substantial responses, they're ready
-  if (!userResponses) return false;
-  
-  const responseLength = userResponses.trim().length;
-  const wordCount = userResponses.trim().split(/\s+/).length;
-  
-  // Ready if they've provided at least 50 characters or 10 words
-  return responseLength >= 50 || wordCount >= 10;
-} 
\ No newline at end of file
+export async function isReadyForNextLevel(altitude, userResponses, options = {}) {
+  if (!userResponses?.trim()) {
+    return { ready: false, status: 'red', score: 0, factors: null, rationale: 'Nothing to assess yet', method: 'keywords', llm_metadata: null };
+  }
+
+  const readiness = await evaluateReadiness(userResponses, altitude, options);
+  return { ...readiness, ready: readiness.status === 'green' };
+}
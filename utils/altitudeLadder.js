@@ -0,0 +1,110 @@
+/**
+ * Altitude Ladder
+ *
+ * Lookups over the selected altitude ladder (see ALTITUDE_LADDERS in config.js).
+ * Safe to import from both API routes and components.
+ */
+
+import { ALTITUDE_CONFIG, ALTITUDE_STAGES } from './config.js';
+
+/**
+ * All levels of the selected ladder, highest altitude first
+ */
+export function getAltitudeLevels() {
+  return ALTITUDE_CONFIG.definitions;
+}
+
+/**
+ * Ids of all levels, highest altitude first
+ */
+export function getAltitudeIds() {
+  return ALTITUDE_CONFIG.levels;
+}
+
+/**
+ * Level definition for an altitude id, or null when it is not on the ladder
+ */
+export function getAltitudeLevel(altitude) {
+  return ALTITUDE_CONFIG.definitions.find(level => level.id === altitude) || null;
+}
+
+/**
+ * The stage ('vision', 'category', 'specialization' or 'execution') of an altitude.
+ * Unknown altitudes fall back to the top level's stage.
+ */
+export function getAltitudeStage(altitude) {
+  return (getAltitudeLevel(altitude) || ALTITUDE_CONFIG.definitions[0]).stage;
+}
+
+export function getTopAltitude() {
+  return ALTITUDE_CONFIG.levels[0];
+}
+
+/**
+ * The execution (output) level at the bottom of the ladder
+ */
+export function getExecutionAltitude() {
+  return ALTITUDE_CONFIG.levels[ALTITUDE_CONFIG.levels.length - 1];
+}
+
+export function isExecutionAltitude(altitude) {
+  return altitude === getExecutionAltitude();
+}
+
+/**
+ * The next level down, or null at the execution level
+ */
+export function getNextAltitude(altitude) {
+  const index = ALTITUDE_CONFIG.levels.indexOf(altitude);
+  return index >= 0 && index < ALTITUDE_CONFIG.levels.length - 1 ? ALTITUDE_CONFIG.levels[index + 1] : null;
+}
+
+/**
+ * The next level up, or null at the top
+ */
+export function getPreviousAltitude(altitude) {
+  const index = ALTITUDE_CONFIG.levels.indexOf(altitude);
+  return index > 0 ? ALTITUDE_CONFIG.levels[index - 1] : null;
+}
+
+/**
+ * Position of an altitude on the ladder, 0 at the top; -1 when not on it
+ */
+export function getAltitudeIndex(altitude) {
+  return ALTITUDE_CONFIG.levels.indexOf(altitude);
+}
+
+/**
+ * The highest level of a stage. When the ladder has no level of that stage,
+ * the first level of a later stage is used, so lean ladders still resolve.
+ */
+export function getAltitudeForStage(stage) {
+  const stageIndex = ALTITUDE_STAGES.indexOf(stage);
+  const level = ALTITUDE_CONFIG.definitions.find(candidate => ALTITUDE_STAGES.indexOf(candidate.stage) >= stageIndex);
+  return (level || ALTITUDE_CONFIG.definitions[ALTITUDE_CONFIG.definitions.length - 1]).id;
+}
+
+export function getAltitudeName(altitude) {
+  return getAltitudeLevel(altitude)?.name || altitude;
+}
+
+export function getAltitudeColor(altitude) {
+  return getAltitudeLevel(altitude)?.color || '#999';
+}
+
+/**
+ * Checklist file for an altitude: the mode profile's own file when it has one,
+ * otherwise the level's default checklist
+ */
+export function getChecklistFile(altitude, modeProfile) {
+  return modeProfile?.altitudes?.[altitude] || getAltitudeLevel(altitude)?.checklist || null;
+}
+
+/**
+ * One line per level for LLM prompts, e.g. "- 30k ft: Vision (High-level user vision and goals)"
+ */
+export function describeAltitudeLadder() {
+  return ALTITUDE_CONFIG.definitions
+    .map(level => `- ${level.id} ft: ${level.name} (${level.description})${isExecutionAltitude(level.id) ? ' - THIS IS THE OUTPUT LAYER' : ''}`)
+    .join('\n');
+}
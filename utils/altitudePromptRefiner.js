@@ -1,15 +1,35 @@
 /**
  * Altitude-Based Prompt Refinement Engine
  * 
- * Implements altitude-based logic (30k, 20k, 10k, 5k) with tree growth
+ * Implements altitude-based logic over the configured altitude ladder with tree growth
  * and readiness status assessment. Uses local logic that mimics ChatGPT's
  * altitude-based thinking without external API calls.
  */
 
-// Template data - embedded directly to avoid import issues
+import { createJsonFieldStreamer } from './streaming.js';
+import { REFINEMENT_SCHEMA } from './structuredOutput.js';
+import { evaluateReadiness } from './readinessEvaluator.js';
+import { extractBranches } from './branchExtractor.js';
+import { generateExecutionPlan } from './executionPlanner.js';
+import { answerWithAssumptions, formatAssumptions, appendAssumptions, checkChainStep } from './yoloChain.js';
+import { READINESS_CONFIG, IDEA_TREE_CONFIG } from './config.js';
+import {
+  getAltitudeIds,
+  getAltitudeLevel,
+  getAltitudeStage,
+  getAltitudeForStage,
+  getTopAltitude,
+  getExecutionAltitude,
+  isExecutionAltitude,
+  getNextAltitude,
+  getAltitudeName,
+  describeAltitudeLadder
+} from './altitudeLadder.js';
+
+// Template data - embedded directly to avoid import issues; altitude levels are keyed by stage
 const pingPongTemplate = {
   "altitude_levels": {
-    "30k": {
+    "vision": {
       "name": "Vision",
       "description": "High-level user vision and goals",
       "questions": [
@@ -23,7 +43,7 @@ const pingPongTemplate = {
         "green": "Clear, actionable vision with measurable outcomes"
       }
     },
-    "20k": {
+    "category": {
       "name": "Category",
       "description": "Broad category or domain",
       "questions": [
@@ -37,7 +57,7 @@ const pingPongTemplate = {
         "green": "Specific category with clear boundaries"
       }
     },
-    "10k": {
+    "specialization": {
       "name": "Specialization",
       "description": "Specific specialization within category",
       "questions": [
@@ -51,7 +71,7 @@ const pingPongTemplate = {
         "green": "Clear specialization with defined scope"
       }
     },
-    "5k": {
+    "execution": {
       "name": "Execution",
       "description": "Specific execution details and implementation",
       "questions": [
@@ -67,160 +87,51 @@ const pingPongTemplate = {
     }
   },
   "tree_structure": {
-    "max_branches": 10,
-    "branch_types": [
-      "Market",
-      "Focus", 
-      "Product Type",
-      "Target Audience",
-      "Revenue Model",
-      "Technology",
-      "Partnerships",
-      "Timeline",
-      "Resources",
-      "Success Metrics"
-    ]
+    // Branches are proposed by branchExtractor.js
+    "max_branches": IDEA_TREE_CONFIG.maxBranches,
+    "branch_types": IDEA_TREE_CONFIG.branchTypes
   },
   "readiness_assessment": {
     "red_threshold": 0.3,
     "yellow_threshold": 0.7,
     "green_threshold": 0.9,
-    "factors": [
-      "specificity",
-      "actionability", 
-      "measurability",
-      "clarity",
-      "completeness"
-    ]
+    // Graded by readinessEvaluator.js
+    "factors": READINESS_CONFIG.factors
   }
 };
 
-/**
- * Assess readiness status based on prompt quality and altitude level
- */
-function assessReadiness(prompt, altitude) {
-  let score = 0;
-  const promptLower = prompt.toLowerCase();
-  const wordCount = prompt.split(' ').length;
-  
-  // Base score from word count (longer prompts tend to be more complete)
-  score += Math.min(wordCount / 30, 0.3);
-  
-  // Altitude-specific assessment
-  if (altitude === '30k') {
-    // At 30k, look for vision and goal clarity
-    const visionWords = promptLower.match(/\b(goal|vision|dream|aspire|achieve|become|create|build|start|pursue)\b/gi);
-    const vagueWords = promptLower.match(/\b(something|anything|maybe|possibly|kind of|sort of|general|broad)\b/gi);
-    score += (visionWords?.length || 0) * 0.2;
-    score -= (vagueWords?.length || 0) * 0.3;
-    
-    // Bonus for having a clear subject
-    if (promptLower.includes('i want') || promptLower.includes('i need') || promptLower.includes('i would like')) {
-      score += 0.2;
-    }
-  } else if (altitude === '20k') {
-    // At 20k, look for industry/category specificity
-    const industryWords = promptLower.match(/\b(industry|sector|field|domain|category|type|business|market)\b/gi);
-    const specificIndustries = promptLower.match(/\b(tech|healthcare|finance|insurance|retail|education|manufacturing|services)\b/gi);
-    score += (industryWords?.length || 0) * 0.15;
-    score += (specificIndustries?.length || 0) * 0.25;
-    
-    // Bonus for mentioning specific business models or roles
-    if (promptLower.includes('agent') || promptLower.includes('consultant') || promptLower.includes('entrepreneur') || 
-        promptLower.includes('developer') || promptLower.includes('manager')) {
-      score += 0.2;
-    }
-  } else if (altitude === '10k') {
-    // At 10k, look for specialization and niche details
-    const specializationWords = promptLower.match(/\b(specialize|niche|focus|specific|particular|target|segment|approach)\b/gi);
-    const actionWords = promptLower.match(/\b(develop|create|build|design|implement|launch|start|establish)\b/gi);
-    score += (specializationWords?.length || 0) * 0.2;
-    score += (actionWords?.length || 0) * 0.15;
-    
-    // Bonus for mentioning specific specializations
-    if (promptLower.includes('life insurance') || promptLower.includes('health insurance') || 
-        promptLower.includes('property insurance') || promptLower.includes('auto insurance') ||
-        promptLower.includes('web development') || promptLower.includes('mobile app') ||
-        promptLower.includes('saas') || promptLower.includes('ecommerce')) {
-      score += 0.3;
-    }
-  } else if (altitude === '5k') {
-    // At 5k, look for execution details and concrete plans
-    const executionWords = promptLower.match(/\b(plan|timeline|milestone|action|step|resource|tool|budget|schedule)\b/gi);
-    const concreteWords = promptLower.match(/\b(first|next|then|finally|specific|concrete|definite|exact|precise)\b/gi);
-    score += (executionWords?.length || 0) * 0.25;
-    score += (concreteWords?.length || 0) * 0.2;
-    
-    // Bonus for mentioning specific actions or resources
-    if (promptLower.includes('get licensed') || promptLower.includes('join agency') || 
-        promptLower.includes('build client') || promptLower.includes('crm software') ||
-        promptLower.includes('market research') || promptLower.includes('product development') ||
-        promptLower.includes('team building') || promptLower.includes('funding')) {
-      score += 0.3;
-    }
-  }
-  
-  // Penalty for very short prompts
-  if (wordCount < 5) score -= 0.3;
-  if (wordCount < 10) score -= 0.1;
-  
-  // Normalize score to 0-1 range
-  score = Math.max(0, Math.min(1, score));
-  
-  // Determine status based on altitude-appropriate thresholds
-  let redThreshold = 0.3;
-  let yellowThreshold = 0.6;
-  let greenThreshold = 0.8;
-  
-  // Adjust thresholds based on altitude (higher altitudes can be more lenient)
-  if (altitude === '30k') {
-    redThreshold = 0.2;
-    yellowThreshold = 0.5;
-    greenThreshold = 0.7;
-  } else if (altitude === '5k') {
-    redThreshold = 0.4;
-    yellowThreshold = 0.7;
-    greenThreshold = 0.9;
-  }
-  
-  if (score < redThreshold) return 'red';
-  if (score < yellowThreshold) return 'yellow';
-  if (score < greenThreshold) return 'yellow';
-  return 'green';
-}
-
 /**
  * Determine current altitude based on prompt content and context
  */
-function determineAltitude(prompt, ideaTree) {
+export function determineAltitude(prompt, ideaTree) {
   const promptLower = prompt.toLowerCase();
   
   // Check for altitude indicators in the prompt
   if (promptLower.includes('vision') || promptLower.includes('goal') || promptLower.includes('dream') || 
       promptLower.includes('ultimate') || promptLower.includes('big picture')) {
-    return '30k';
+    return getAltitudeForStage('vision');
   }
   
   if (promptLower.includes('category') || promptLower.includes('industry') || promptLower.includes('type') ||
       promptLower.includes('domain') || promptLower.includes('field')) {
-    return '20k';
+    return getAltitudeForStage('category');
   }
   
   if (promptLower.includes('specialization') || promptLower.includes('niche') || promptLower.includes('specific') ||
       promptLower.includes('focus') || promptLower.includes('segment')) {
-    return '10k';
+    return getAltitudeForStage('specialization');
   }
   
   if (promptLower.includes('execute') || promptLower.includes('implement') || promptLower.includes('action') ||
       promptLower.includes('plan') || promptLower.includes('timeline') || promptLower.includes('resource')) {
-    return '5k';
+    return getAltitudeForStage('execution');
   }
   
   // If no clear indicators, determine based on tree depth
-  if (ideaTree.length === 0) return '30k';
-  if (ideaTree.length <= 2) return '20k';
-  if (ideaTree.length <= 5) return '10k';
-  return '5k';
+  if (ideaTree.length === 0) return getTopAltitude();
+  if (ideaTree.length <= 2) return getAltitudeForStage('category');
+  if (ideaTree.length <= 5) return getAltitudeForStage('specialization');
+  return getExecutionAltitude();
 }
 
 /**
@@ -228,8 +139,9 @@ function determineAltitude(prompt, ideaTree) {
  */
 function generateAltitudeQuestions(altitude, currentPrompt) {
   const promptLower = currentPrompt.toLowerCase();
+  const stage = getAltitudeStage(altitude);
   
-  if (altitude === '30k') {
+  if (stage === 'vision') {
     // Questions to help move from vision to category
     if (promptLower.includes('insurance')) {
       return [
@@ -252,7 +164,7 @@ function generateAltitudeQuestions(altitude, currentPrompt) {
         "What type of activity or pursuit is this?"
       ];
     }
-  } else if (altitude === '20k') {
+  } else if (stage === 'category') {
     // Questions to help move from category to specialization
     if (promptLower.includes('insurance')) {
       return [
@@ -275,7 +187,7 @@ function generateAltitudeQuestions(altitude, currentPrompt) {
         "What unique approach or angle will you take?"
       ];
     }
-  } else if (altitude === '10k') {
+  } else if (stage === 'specialization') {
     // Questions to help move from specialization to execution
     if (promptLower.includes('insurance')) {
       return [
@@ -303,151 +215,39 @@ function generateAltitudeQuestions(altitude, currentPrompt) {
   return [];
 }
 
-/**
- * Extract potential tree branches from the prompt (ChatGPT-style analysis)
- */
-function extractTreeBranches(prompt, altitude) {
-  const branches = [];
-  const promptLower = prompt.toLowerCase();
-  
-  // Altitude-specific branch extraction
-  if (altitude === '30k') {
-    // At 30k, extract high-level vision elements
-    if (promptLower.includes('insurance')) {
-      branches.push({ label: 'Industry', value: 'Insurance', altitude: altitude });
-    }
-    if (promptLower.includes('business') || promptLower.includes('start')) {
-      branches.push({ label: 'Goal Type', value: 'Business Creation', altitude: altitude });
-    }
-    if (promptLower.includes('career') || promptLower.includes('job')) {
-      branches.push({ label: 'Goal Type', value: 'Career Development', altitude: altitude });
-    }
-    if (promptLower.includes('agent') || promptLower.includes('sales')) {
-      branches.push({ label: 'Role Type', value: 'Sales/Service', altitude: altitude });
-    }
-  } else if (altitude === '20k') {
-    // At 20k, extract category and industry details
-    if (promptLower.includes('insurance')) {
-      branches.push({ label: 'Industry', value: 'Insurance', altitude: altitude });
-    }
-    if (promptLower.includes('tech') || promptLower.includes('technology')) {
-      branches.push({ label: 'Industry', value: 'Technology', altitude: altitude });
-    }
-    if (promptLower.includes('healthcare') || promptLower.includes('health')) {
-      branches.push({ label: 'Industry', value: 'Healthcare', altitude: altitude });
-    }
-    if (promptLower.includes('finance') || promptLower.includes('financial')) {
-      branches.push({ label: 'Industry', value: 'Finance', altitude: altitude });
-    }
-    if (promptLower.includes('agent')) {
-      branches.push({ label: 'Role', value: 'Insurance Agent', altitude: altitude });
-    }
-    if (promptLower.includes('entrepreneur') || promptLower.includes('business owner')) {
-      branches.push({ label: 'Role', value: 'Entrepreneur', altitude: altitude });
-    }
-    if (promptLower.includes('developer') || promptLower.includes('programmer')) {
-      branches.push({ label: 'Role', value: 'Developer', altitude: altitude });
-    }
-  } else if (altitude === '10k') {
-    // At 10k, extract specialization details
-    if (promptLower.includes('life insurance')) {
-      branches.push({ label: 'Specialization', value: 'Life Insurance', altitude: altitude });
-    }
-    if (promptLower.includes('health insurance')) {
-      branches.push({ label: 'Specialization', value: 'Health Insurance', altitude: altitude });
-    }
-    if (promptLower.includes('property insurance')) {
-      branches.push({ label: 'Specialization', value: 'Property Insurance', altitude: altitude });
-    }
-    if (promptLower.includes('auto insurance')) {
-      branches.push({ label: 'Specialization', value: 'Auto Insurance', altitude: altitude });
-    }
-    if (promptLower.includes('web development')) {
-      branches.push({ label: 'Specialization', value: 'Web Development', altitude: altitude });
-    }
-    if (promptLower.includes('mobile app')) {
-      branches.push({ label: 'Specialization', value: 'Mobile Development', altitude: altitude });
-    }
-    if (promptLower.includes('saas') || promptLower.includes('software as a service')) {
-      branches.push({ label: 'Business Model', value: 'SaaS', altitude: altitude });
-    }
-    if (promptLower.includes('ecommerce') || promptLower.includes('online store')) {
-      branches.push({ label: 'Business Model', value: 'E-commerce', altitude: altitude });
-    }
-    if (promptLower.includes('individual') || promptLower.includes('family')) {
-      branches.push({ label: 'Target Market', value: 'Individual/Family', altitude: altitude });
-    }
-    if (promptLower.includes('business') || promptLower.includes('corporate')) {
-      branches.push({ label: 'Target Market', value: 'Business/Corporate', altitude: altitude });
-    }
-  } else if (altitude === '5k') {
-    // At 5k, extract execution details
-    if (promptLower.includes('get licensed') || promptLower.includes('license')) {
-      branches.push({ label: 'Action', value: 'Get Licensed', altitude: altitude });
-    }
-    if (promptLower.includes('join agency') || promptLower.includes('agency')) {
-      branches.push({ label: 'Action', value: 'Join Agency', altitude: altitude });
-    }
-    if (promptLower.includes('build client') || promptLower.includes('client base')) {
-      branches.push({ label: 'Action', value: 'Build Client Base', altitude: altitude });
-    }
-    if (promptLower.includes('crm software') || promptLower.includes('software')) {
-      branches.push({ label: 'Resource', value: 'CRM Software', altitude: altitude });
-    }
-    if (promptLower.includes('market research')) {
-      branches.push({ label: 'Action', value: 'Market Research', altitude: altitude });
-    }
-    if (promptLower.includes('product development')) {
-      branches.push({ label: 'Action', value: 'Product Development', altitude: altitude });
-    }
-    if (promptLower.includes('team building')) {
-      branches.push({ label: 'Action', value: 'Team Building', altitude: altitude });
-    }
-    if (promptLower.includes('funding') || promptLower.includes('investment')) {
-      branches.push({ label: 'Resource', value: 'Funding', altitude: altitude });
-    }
-    if (promptLower.includes('timeline') || promptLower.includes('schedule')) {
-      branches.push({ label: 'Timeline', value: 'Implementation Schedule', altitude: altitude });
-    }
-    if (promptLower.includes('milestone') || promptLower.includes('goal')) {
-      branches.push({ label: 'Success Metric', value: 'Milestones', altitude: altitude });
-    }
-  }
-  
-  return branches;
-}
-
 /**
  * Call LLM API for refinement
+ * @param {string} instructionPrompt
+ * @param {Object} options - `onToken` streams the refined_prompt text as it is generated;
+ *   `history` carries earlier conversation turns; `sessionId` groups token usage;
+ *   `signal` cancels the call; `bypassCache` skips cached responses; `llmSelection` picks the provider and model
+ * @returns {Object|null} Validated { refined_prompt, questions } with `llm_metadata` describing
+ *   which provider answered, or null when no valid response could be obtained
  */
-export async function callLLMForRefinement(instructionPrompt) {
+export async function callLLMForRefinement(instructionPrompt, options = {}) {
   try {
     // Import the LLM provider dynamically to avoid circular dependencies
-    const { callLLM } = await import('./llmProviders.js');
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
     
     // Create a simple system prompt for the LLM
-    const systemPrompt = `You are an expert altitude-based thinking assistant. Your job is to help users drill down from high-level vision (30k ft) to specific execution (5k ft). Always respond with valid JSON in the exact format requested.`;
+    const systemPrompt = `You are an expert altitude-based thinking assistant. Your job is to help users drill down from high-level vision (${getTopAltitude()} ft) to specific execution (${getExecutionAltitude()} ft). Always respond with valid JSON in the exact format requested.`;
     
     console.log('[LLM] Making refinement request');
     
-    // Use the unified LLM calling function
-    const response = await callLLM(systemPrompt, instructionPrompt, {
-      fallbackToMock: true
+    // Schema-validated call; invalid JSON is repaired before we give up
+    const result = await callLLMStructured(REFINEMENT_SCHEMA, systemPrompt, instructionPrompt, {
+      fallbackToMock: true,
+      ...getLLMSelectionOptions(options.llmSelection),
+      history: options.history,
+      sessionId: options.sessionId,
+      signal: options.signal,
+      bypassCache: options.bypassCache,
+      onToken: options.onToken ? createJsonFieldStreamer('refined_prompt', options.onToken) : undefined
     });
     
-    console.log('[LLM] Refinement response received');
-    
-    // Try to parse the response as JSON
-    if (typeof response === 'string') {
-      try {
-        return JSON.parse(response);
-      } catch (parseError) {
-        console.error('[LLM] Failed to parse JSON response:', parseError);
-        return null;
-      }
-    }
+    console.log(`[LLM] Refinement response received from ${result.providerName}`);
     
-    return response;
+    return { ...result.data, llm_metadata: describeLLMResult(result) };
     
   } catch (error) {
     console.error('Error in callLLMForRefinement:', error);
@@ -455,136 +255,53 @@ export async function callLLMForRefinement(instructionPrompt) {
   }
 }
 
-/**
- * Generate execution-level output when user reaches 5k ft
- * This is the final output layer that produces actionable results
- */
-export function generateExecutionOutput(userPrompt, ideaTree, userResponses = {}) {
-  const executionContext = {
-    core_goal: userPrompt,
-    refined_approach: '',
-    key_components: [],
-    immediate_actions: [],
-    timeline: '',
-    success_metrics: [],
-    resources_needed: []
-  };
-
-  // Extract key information from the idea tree
-  const specializationBranches = ideaTree.filter(branch => branch.altitude === '10k');
-  const categoryBranches = ideaTree.filter(branch => branch.altitude === '20k');
-  const visionBranches = ideaTree.filter(branch => branch.altitude === '30k');
-
-  // Build execution context from the journey
-  if (specializationBranches.length > 0) {
-    executionContext.refined_approach = specializationBranches.map(b => b.value).join(' + ');
-  }
-
-  if (categoryBranches.length > 0) {
-    executionContext.key_components = categoryBranches.map(b => b.value);
-  }
-
-  // Generate immediate actions based on the specialization
-  if (specializationBranches.length > 0) {
-    const specialization = specializationBranches[0].value.toLowerCase();
-    
-    if (specialization.includes('insurance')) {
-      executionContext.immediate_actions = [
-        'Research state licensing requirements',
-        'Choose insurance company to work with',
-        'Complete pre-licensing education',
-        'Schedule licensing exam',
-        'Prepare business cards and marketing materials'
-      ];
-    } else if (specialization.includes('consulting')) {
-      executionContext.immediate_actions = [
-        'Define your consulting niche and services',
-        'Create a professional website and portfolio',
-        'Set up business structure and legal requirements',
-        'Develop pricing strategy and service packages',
-        'Start networking in your target market'
-      ];
-    } else {
-      executionContext.immediate_actions = [
-        'Research market and competition',
-        'Define your unique value proposition',
-        'Create a business plan or action plan',
-        'Set up necessary infrastructure',
-        'Start building your network'
-      ];
-    }
-  }
-
-  // Generate timeline
-  executionContext.timeline = 'Week 1-2: Research and planning\nWeek 3-4: Setup and preparation\nMonth 2: Launch and initial execution\nMonth 3+: Iterate and scale';
-
-  // Generate success metrics
-  executionContext.success_metrics = [
-    'Complete initial setup and preparation',
-    'Achieve first milestone or goal',
-    'Establish consistent progress tracking',
-    'Build initial network or client base',
-    'Measure and adjust based on results'
-  ];
-
-  // Generate resources needed
-  executionContext.resources_needed = [
-    'Time for daily/weekly execution',
-    'Financial resources for startup costs',
-    'Skills and knowledge development',
-    'Support network and mentors',
-    'Tools and technology needed'
-  ];
-
-  return {
-    execution_plan: executionContext,
-    is_execution_ready: true,
-    next_steps: executionContext.immediate_actions.slice(0, 3),
-    success_criteria: executionContext.success_metrics.slice(0, 3)
-  };
-}
-
 /**
  * Main altitude-based prompt refinement function
  * @param {string} userPrompt
  * @param {Array} ideaTree
- * @param {boolean} yoloMode - If true, always push to the lowest possible altitude
+ * @param {boolean} yoloMode - If true, refine down every altitude to the output layer in one go
+ *   (see runYoloChain); the result carries the generated levels in `yolo`
+ * @param {Object} options - `onToken` receives refined prompt text while the LLM is still generating it;
+ *   `history` carries earlier conversation turns
  */
-export async function refinePromptWithAltitude(userPrompt, ideaTree = [], yoloMode = false) {
+export async function refinePromptWithAltitude(userPrompt, ideaTree = [], yoloMode = false, options = {}) {
   try {
     // Determine current altitude based on tree progression and prompt content
-    let currentAltitude = '30k';
-    const altitudeOrder = ['30k', '20k', '10k', '5k'];
+    let currentAltitude = getTopAltitude();
+    const altitudeOrder = getAltitudeIds();
     
+    // Archived branches are kept for the user but no longer steer the refinement
+    const activeTree = ideaTree.filter(isActiveBranch);
+
     // If we have an idea tree, determine altitude based on progression
-    if (ideaTree.length > 0) {
+    if (activeTree.length > 0) {
       // Find the highest altitude level we've reached
-      const uniqueAltitudes = [...new Set(ideaTree.map(branch => branch.altitude))];
-      const maxAltitudeIndex = Math.max(...uniqueAltitudes.map(alt => altitudeOrder.indexOf(alt)));
+      const uniqueAltitudes = [...new Set(activeTree.map(branch => branch.altitude))];
+      const maxAltitudeIndex = Math.max(0, ...uniqueAltitudes.map(alt => altitudeOrder.indexOf(alt)));
       currentAltitude = altitudeOrder[Math.min(maxAltitudeIndex, altitudeOrder.length - 1)];
     } else {
       // For first prompt, determine based on content
-      currentAltitude = determineAltitude(userPrompt, ideaTree);
+      currentAltitude = determineAltitude(userPrompt, activeTree);
     }
     
-    let nextAltitude = currentAltitude;
     if (yoloMode) {
-      nextAltitude = '5k';
-    } else {
-      const idx = altitudeOrder.indexOf(currentAltitude);
-      if (idx < altitudeOrder.length - 1) {
-        nextAltitude = altitudeOrder[idx + 1];
-      }
+      return await runYoloChain(userPrompt, ideaTree, currentAltitude, options);
     }
 
-    // Check if we're at execution level (5k ft) - this is the output layer
-    if (currentAltitude === '5k' || nextAltitude === '5k') {
-      const executionOutput = generateExecutionOutput(userPrompt, ideaTree);
+    const nextAltitude = getNextAltitude(currentAltitude) || currentAltitude;
+
+    // Check if we're at the execution level - this is the output layer
+    if (isExecutionAltitude(currentAltitude) || isExecutionAltitude(nextAltitude)) {
+      const executionOutput = await generateExecutionPlan({ idea: userPrompt, ideaTree: activeTree }, {
+        sessionId: options.sessionId,
+        signal: options.signal,
+        llmSelection: options.llmSelection
+      });
       return {
         original_prompt: userPrompt,
         refined_prompt: userPrompt,
-        current_altitude: '5k',
-        new_altitude: '5k',
+        current_altitude: getExecutionAltitude(),
+        new_altitude: getExecutionAltitude(),
         readiness_status: 'green',
         idea_tree: ideaTree,
         new_branches: [],
@@ -595,36 +312,64 @@ export async function refinePromptWithAltitude(userPrompt, ideaTree = [], yoloMo
       };
     }
 
-    // Assess readiness
-    const readinessStatus = assessReadiness(userPrompt, currentAltitude);
+    return await refineToAltitude(userPrompt, ideaTree, currentAltitude, nextAltitude, options);
+  } catch (error) {
+    console.error('Error in altitude-based refinement:', error);
+    return {
+      original_prompt: userPrompt,
+      refined_prompt: userPrompt,
+      current_altitude: getTopAltitude(),
+      new_altitude: getTopAltitude(),
+      readiness_status: 'red',
+      idea_tree: ideaTree,
+      new_branches: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * One refinement step: the user's text at `currentAltitude`, refined for
+ * `nextAltitude`, with suggested questions, new tree branches and readiness
+ */
+async function refineToAltitude(userPrompt, ideaTree, currentAltitude, nextAltitude, options) {
+  const activeTree = ideaTree.filter(isActiveBranch);
 
-    // Generate altitude-specific questions for the CURRENT altitude (to help move to next)
-    let questions = generateAltitudeQuestions(currentAltitude, userPrompt);
+  // Generate altitude-specific questions for the CURRENT altitude (to help move to next)
+  let questions = generateAltitudeQuestions(currentAltitude, userPrompt);
 
-    // Extract potential tree branches for the NEXT altitude (where we're moving to)
-    const newBranches = extractTreeBranches(userPrompt, nextAltitude);
+  // Extract potential tree branches for the NEXT altitude (where we're moving to)
+  const { branches: newBranches } = await extractBranches(userPrompt, nextAltitude, activeTree, {
+    sessionId: options.sessionId,
+    signal: options.signal,
+    llmSelection: options.llmSelection
+  });
 
-    // Only add unique branches
-    const updatedTree = [
-      ...ideaTree,
-      ...newBranches.filter(
-        newBranch => !ideaTree.some(
-          branch => branch.label === newBranch.label && branch.value === newBranch.value
-        )
-      )
-    ];
+  // Only add unique branches; a direction that comes back restores its archived branch
+  const updatedTree = [
+    ...ideaTree.map(branch => (
+      newBranches.some(newBranch => isSameBranch(branch, newBranch))
+        ? { ...branch, status: 'active' }
+        : branch
+    )),
+    ...newBranches
+      .filter(newBranch => !ideaTree.some(branch => isSameBranch(branch, newBranch)))
+      .map(newBranch => ({ ...newBranch, status: 'active' }))
+  ];
 
-    // Use the context for the NEXT altitude (where we're moving to)
-    const altitudeContext = pingPongTemplate.altitude_levels[nextAltitude];
+  // Use the context for the NEXT altitude (where we're moving to)
+  const nextLevel = getAltitudeLevel(nextAltitude);
+  const altitudeContext = {
+    ...pingPongTemplate.altitude_levels[nextLevel.stage],
+    name: nextLevel.name,
+    description: nextLevel.description
+  };
 
-    // Create comprehensive LLM prompt for altitude-based refinement
-    const instructionPrompt = `You are an expert altitude-based thinking assistant. Your job is to help users drill down from high-level vision (30k ft) to specific execution (5k ft).
+  // Create comprehensive LLM prompt for altitude-based refinement
+  const instructionPrompt = `You are an expert altitude-based thinking assistant. Your job is to help users drill down from high-level vision (${getTopAltitude()} ft) to specific execution (${getExecutionAltitude()} ft).
 
 ALTITUDE LEVELS:
-- 30k ft: Vision (high-level goals, dreams, big picture)
-- 20k ft: Category (industry, domain, business type)  
-- 10k ft: Specialization (niche, focus, specific approach)
-- 5k ft: Execution (concrete actions, timeline, resources) - THIS IS THE OUTPUT LAYER
+${describeAltitudeLadder()}
 
 CURRENT ALTITUDE: ${currentAltitude}
 USER PROMPT: "${userPrompt}"
@@ -636,7 +381,7 @@ RULES FOR REFINEMENT:
 2. Include concrete examples, industries, specializations, or actions
 3. Keep it concise but detailed enough to be useful
 4. Focus on what the user should DO next, not just what they should think about
-5. If moving to 5k ft (execution), focus on concrete, immediate actions
+5. If moving to ${getExecutionAltitude()} ft (execution), focus on concrete, immediate actions
 
 RULES FOR QUESTIONS:
 1. Make them SPECIFIC to the user's current prompt and next altitude
@@ -653,7 +398,7 @@ RESPONSE FORMAT:
   ]
 }
 
-EXAMPLE FOR INSURANCE AGENT AT 30k:
+EXAMPLE FOR INSURANCE AGENT AT ${getTopAltitude()}:
 {
   "refined_prompt": "I want to become an insurance agent specializing in life insurance for families and small businesses. I'll work with an independent agency that offers multiple insurance products, focusing on helping clients understand their coverage needs and providing personalized service.",
   "questions": [
@@ -664,87 +409,205 @@ EXAMPLE FOR INSURANCE AGENT AT 30k:
 
 Now provide a refinement and questions for: "${userPrompt}" at ${currentAltitude} altitude.`;
 
-    // Call LLM for intelligent refinement and questions
-    let refinedPrompt = userPrompt;
-    let llmQuestions = [];
+  // Call LLM for intelligent refinement and questions
+  let refinedPrompt = userPrompt;
+  let llmQuestions = [];
+  let llmMetadata = {
+    provider: 'local_fallback',
+    provider_name: 'Local Fallback',
+    is_mock: true,
+    fallback_used: true,
+    attempts: []
+  };
+  
+  try {
+    // Try to call LLM API for intelligent refinement
+    const llmResponse = await callLLMForRefinement(instructionPrompt, options);
     
-    try {
-      // Try to call LLM API for intelligent refinement
-      const llmResponse = await callLLMForRefinement(instructionPrompt);
+    if (llmResponse && llmResponse.refined_prompt) {
+      refinedPrompt = llmResponse.refined_prompt;
+      llmMetadata = llmResponse.llm_metadata;
+      if (llmResponse.questions && llmResponse.questions.length > 0) {
+        questions = llmResponse.questions;
+      }
+    } else {
+      // Fallback to our existing logic if LLM fails
+      console.log('LLM call failed, using fallback logic');
+      const promptLower = userPrompt.toLowerCase();
       
-      if (llmResponse && llmResponse.refined_prompt) {
-        refinedPrompt = llmResponse.refined_prompt;
-        if (llmResponse.questions && llmResponse.questions.length > 0) {
-          questions = llmResponse.questions;
-        }
-      } else {
-        // Fallback to our existing logic if LLM fails
-        console.log('LLM call failed, using fallback logic');
-        const promptLower = userPrompt.toLowerCase();
-        
-        if (currentAltitude === '30k') {
-          if (promptLower.includes('insurance') && promptLower.includes('agent')) {
-            refinedPrompt = `I want to become an insurance agent specializing in life insurance for families and small businesses. I'll work with an independent agency that offers multiple insurance products, focusing on helping clients understand their coverage needs and providing personalized service.`;
-            questions = [
-              "What type of insurance do you want to specialize in? (life, health, property, auto, etc.)",
-              "What kind of agency structure appeals to you? (independent, captive, direct insurer)"
-            ];
-          }
+      if (getAltitudeStage(currentAltitude) === 'vision') {
+        if (promptLower.includes('insurance') && promptLower.includes('agent')) {
+          refinedPrompt = `I want to become an insurance agent specializing in life insurance for families and small businesses. I'll work with an independent agency that offers multiple insurance products, focusing on helping clients understand their coverage needs and providing personalized service.`;
+          questions = [
+            "What type of insurance do you want to specialize in? (life, health, property, auto, etc.)",
+            "What kind of agency structure appeals to you? (independent, captive, direct insurer)"
+          ];
         }
       }
-      
-    } catch (error) {
-      console.error('Error calling LLM for refinement:', error);
-      // Fall back to our existing logic if LLM fails
     }
+    
+  } catch (error) {
+    console.error('Error calling LLM for refinement:', error);
+    // Fall back to our existing logic if LLM fails
+  }
 
-    // Determine new readiness after refinement
-    const newReadinessStatus = assessReadiness(refinedPrompt, nextAltitude);
+  // Determine new readiness after refinement
+  const readiness = await evaluateReadiness(refinedPrompt, nextAltitude, {
+    sessionId: options.sessionId,
+    signal: options.signal,
+    llmSelection: options.llmSelection
+  });
 
-    return {
-      original_prompt: userPrompt,
-      refined_prompt: refinedPrompt,
-      instruction_prompt: instructionPrompt,
-      current_altitude: currentAltitude,
-      new_altitude: nextAltitude,
-      readiness_status: newReadinessStatus,
-      idea_tree: updatedTree,
-      new_branches: newBranches,
-      altitude_context: altitudeContext,
-      suggested_questions: questions,
-      tree_size: updatedTree.length,
-      new_branches_count: newBranches.length
-    };
-  } catch (error) {
-    console.error('Error in altitude-based refinement:', error);
-    return {
-      original_prompt: userPrompt,
-      refined_prompt: userPrompt,
-      current_altitude: '30k',
-      new_altitude: '30k',
-      readiness_status: 'red',
-      idea_tree: ideaTree,
-      new_branches: [],
-      error: error.message
-    };
+  return {
+    original_prompt: userPrompt,
+    refined_prompt: refinedPrompt,
+    instruction_prompt: instructionPrompt,
+    current_altitude: currentAltitude,
+    new_altitude: nextAltitude,
+    readiness_status: readiness.status,
+    readiness,
+    idea_tree: updatedTree,
+    new_branches: newBranches,
+    altitude_context: altitudeContext,
+    suggested_questions: questions,
+    tree_size: updatedTree.length,
+    new_branches_count: newBranches.length,
+    llm_metadata: llmMetadata
+  };
+}
+
+/**
+ * Yolo mode: refine from `startAltitude` down to the output layer without
+ * stopping for the user. Each level's suggested questions are answered with
+ * labelled assumptions, which go into the next level's input, and each step is
+ * checked for drift and dependency violations (yoloChain.js). The chain stops
+ * at the first red flag; otherwise the output layer gets an execution plan.
+ * @returns {Promise<Object>} The last step's refinement plus `yolo`: { levels, stopped } where
+ *   each level is { altitude, prompt, refined_prompt, suggested_questions, readiness_status,
+ *   readiness, branches, assumptions, responses, drift, dependencies, red_flags, execution_plan }
+ *   and stopped is null or { altitude, reasons, blocked } (blocked: a blocking dependency
+ *   rule was broken, which `options.overrideBlocks` lets through on a rerun)
+ */
+async function runYoloChain(userPrompt, ideaTree, startAltitude, options) {
+  const levels = [];
+  let tree = ideaTree;
+  let prompt = userPrompt;
+  let altitude = startAltitude;
+  let branches = [];
+  let last = null;
+  let stopped = null;
+
+  while (!isExecutionAltitude(altitude)) {
+    const nextAltitude = getNextAltitude(altitude);
+    const result = await refineToAltitude(prompt, tree, altitude, nextAltitude, options);
+    const assumptions = await answerWithAssumptions(result.refined_prompt, getAltitudeName(altitude), result.suggested_questions, options);
+    const checks = await checkChainStep({
+      visionContent: levels[0]?.refined_prompt,
+      previousContent: levels[levels.length - 1]?.refined_prompt,
+      content: result.refined_prompt,
+      level: altitude,
+      readinessStatus: result.readiness_status
+    }, options);
+
+    levels.push({
+      altitude,
+      prompt,
+      refined_prompt: result.refined_prompt,
+      suggested_questions: result.suggested_questions,
+      readiness_status: result.readiness_status,
+      readiness: result.readiness,
+      branches,
+      assumptions,
+      responses: formatAssumptions(assumptions),
+      drift: checks.drift,
+      dependencies: checks.dependencies,
+      red_flags: checks.redFlags,
+      execution_plan: null,
+      llm_metadata: result.llm_metadata
+    });
+    console.log('[Yolo]', altitude, '->', nextAltitude, checks.redFlags.length > 0 ? `stopped: ${checks.redFlags.join('; ')}` : 'ok');
+
+    last = result;
+    tree = result.idea_tree;
+    if (checks.redFlags.length > 0) {
+      stopped = { altitude, reasons: checks.redFlags, blocked: checks.blocked };
+      break;
+    }
+
+    // The branches found for the next altitude belong to its level
+    branches = result.new_branches;
+    prompt = appendAssumptions(result.refined_prompt, assumptions);
+    altitude = nextAltitude;
   }
+
+  if (!stopped) {
+    const activeTree = tree.filter(isActiveBranch);
+    const { execution_plan: executionPlan } = await generateExecutionPlan({
+      idea: prompt,
+      ideaTree: activeTree,
+      userResponses: Object.fromEntries(levels.map(level => [level.altitude, level.responses]))
+    }, {
+      sessionId: options.sessionId,
+      signal: options.signal,
+      llmSelection: options.llmSelection
+    });
+    levels.push({
+      altitude,
+      prompt,
+      refined_prompt: '',
+      suggested_questions: [],
+      readiness_status: 'green',
+      readiness: null,
+      branches,
+      assumptions: [],
+      responses: '',
+      drift: null,
+      dependencies: null,
+      red_flags: [],
+      execution_plan: executionPlan,
+      llm_metadata: null
+    });
+  }
+
+  const deepest = levels[levels.length - 1];
+  return {
+    original_prompt: userPrompt,
+    refined_prompt: deepest.refined_prompt || deepest.prompt,
+    current_altitude: startAltitude,
+    new_altitude: deepest.altitude,
+    readiness_status: deepest.readiness_status,
+    readiness: deepest.readiness,
+    idea_tree: tree,
+    new_branches: levels.flatMap(level => level.branches),
+    suggested_questions: deepest.suggested_questions,
+    tree_size: tree.length,
+    new_branches_count: levels.reduce((count, level) => count + level.branches.length, 0),
+    llm_metadata: last?.llm_metadata || null,
+    yolo: { levels, stopped }
+  };
 }
 
+const isActiveBranch = branch => branch.status !== 'archived';
+
+const isSameBranch = (a, b) => a.label === b.label && a.value === b.value && a.altitude === b.altitude;
+
 /**
- * Prune tree branches when user changes direction
+ * Archive tree branches when user changes direction. Branches are marked
+ * `status: 'archived'` rather than removed, so the user can return to them.
  */
-export function pruneTreeBranches(ideaTree, newDirection) {
-  // Simple pruning: remove branches that don't align with new direction
+export function archiveDivergentBranches(ideaTree, newDirection) {
   const newDirectionLower = newDirection.toLowerCase();
   
-  return ideaTree.filter(branch => {
+  return ideaTree.map(branch => {
     const branchValueLower = branch.value.toLowerCase();
-    const branchLabelLower = branch.label.toLowerCase();
+    const branchLabelLower = (branch.label || '').toLowerCase();
     
     // Keep branches that are relevant to the new direction
-    return newDirectionLower.includes(branchValueLower) || 
-           newDirectionLower.includes(branchLabelLower) ||
+    const isRelevant = newDirectionLower.includes(branchValueLower) || 
+           (branchLabelLower && newDirectionLower.includes(branchLabelLower)) ||
            branchValueLower.includes(newDirectionLower);
+
+    return { ...branch, status: isRelevant ? 'active' : 'archived' };
   });
 }
 
@@ -757,7 +620,8 @@ export function generateStructuredOutput(ideaTree, coreIdea, readinessStatus) {
     branches: (ideaTree || []).map(branch => ({
       label: branch.label,
       value: branch.value,
-      altitude: branch.altitude
+      altitude: branch.altitude,
+      status: branch.status || 'active'
     })),
     readiness_status: readinessStatus
   };
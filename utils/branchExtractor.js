@@ -0,0 +1,202 @@
+/**
+ * Branch Extractor
+ *
+ * Maps the user's text onto the idea tree's branch types (IDEA_TREE_CONFIG.branchTypes).
+ * The LLM proposes typed branches, each with a confidence and the span of
+ * text it was taken from; proposals below minConfidence, duplicates of active
+ * branches and anything past maxBranches are dropped. Keyword matching
+ * proposes branches instead when no real provider is available.
+ */
+
+import { IDEA_TREE_CONFIG } from './config.js';
+import { getAltitudeLevel, getAltitudeStage } from './altitudeLadder.js';
+import { createBranchExtractionSchema } from './structuredOutput.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+// Confidence given to keyword matches: above minConfidence, below a confident LLM
+const KEYWORD_CONFIDENCE = 0.5;
+
+/**
+ * Keyword rules per stage: [keywords, branch type, value]. The first keyword
+ * found in the text becomes the source span.
+ */
+const KEYWORD_RULES = {
+  vision: [
+    [['insurance'], 'Market', 'Insurance'],
+    [['business', 'start'], 'Focus', 'Business Creation'],
+    [['career', 'job'], 'Focus', 'Career Development'],
+    [['agent', 'sales'], 'Focus', 'Sales/Service']
+  ],
+  category: [
+    [['insurance'], 'Market', 'Insurance'],
+    [['technology', 'tech'], 'Market', 'Technology'],
+    [['healthcare', 'health'], 'Market', 'Healthcare'],
+    [['financial', 'finance'], 'Market', 'Finance'],
+    [['agent'], 'Focus', 'Insurance Agent'],
+    [['entrepreneur', 'business owner'], 'Focus', 'Entrepreneur'],
+    [['developer', 'programmer'], 'Focus', 'Developer']
+  ],
+  specialization: [
+    [['life insurance'], 'Focus', 'Life Insurance'],
+    [['health insurance'], 'Focus', 'Health Insurance'],
+    [['property insurance'], 'Focus', 'Property Insurance'],
+    [['auto insurance'], 'Focus', 'Auto Insurance'],
+    [['web development'], 'Focus', 'Web Development'],
+    [['mobile app'], 'Focus', 'Mobile Development'],
+    [['saas', 'software as a service'], 'Revenue Model', 'SaaS'],
+    [['ecommerce', 'online store'], 'Revenue Model', 'E-commerce'],
+    [['individual', 'family'], 'Target Audience', 'Individual/Family'],
+    [['business', 'corporate'], 'Target Audience', 'Business/Corporate']
+  ],
+  execution: [
+    [['get licensed', 'license'], 'Focus', 'Get Licensed'],
+    [['join agency', 'agency'], 'Partnerships', 'Join Agency'],
+    [['build client', 'client base'], 'Focus', 'Build Client Base'],
+    [['crm software', 'software'], 'Technology', 'CRM Software'],
+    [['market research'], 'Focus', 'Market Research'],
+    [['product development'], 'Focus', 'Product Development'],
+    [['team building'], 'Resources', 'Team Building'],
+    [['funding', 'investment'], 'Resources', 'Funding'],
+    [['timeline', 'schedule'], 'Timeline', 'Implementation Schedule'],
+    [['milestone', 'goal'], 'Success Metrics', 'Milestones']
+  ]
+};
+
+/**
+ * Where a quote occurs in the text (case-insensitive)
+ * @returns {Object|null} { text, start, end }, with null offsets when the
+ *   quote is not found verbatim; null when there is no quote
+ */
+export function locateSourceSpan(text, quote) {
+  const trimmed = (quote || '').trim();
+  if (!trimmed) return null;
+
+  const start = text.toLowerCase().indexOf(trimmed.toLowerCase());
+  return start >= 0
+    ? { text: text.slice(start, start + trimmed.length), start, end: start + trimmed.length }
+    : { text: trimmed, start: null, end: null };
+}
+
+/**
+ * Keyword branch extraction (the offline fallback)
+ * @returns {Array} [{ label, value, altitude, confidence, source_span }]
+ */
+export function extractBranchesByKeywords(text, altitude) {
+  const textLower = text.toLowerCase();
+
+  return (KEYWORD_RULES[getAltitudeStage(altitude)] || []).flatMap(([keywords, type, value]) => {
+    const keyword = keywords.find(candidate => textLower.includes(candidate));
+    return keyword
+      ? [{ label: type, value, altitude, confidence: KEYWORD_CONFIDENCE, source_span: locateSourceSpan(text, keyword) }]
+      : [];
+  });
+}
+
+const branchKey = branch => `${(branch.label || '').toLowerCase()}|${branch.value.trim().toLowerCase()}`;
+
+/**
+ * Drop proposals that repeat an active branch or an earlier proposal, and cap
+ * the typed branches at maxBranches. Proposals matching an archived branch are
+ * kept so the direction can be restored.
+ * @returns {{ branches: Array, limitReached: boolean }}
+ */
+export function filterProposedBranches(proposals, existingTree = []) {
+  const activeTyped = existingTree.filter(branch => branch.status !== 'archived' && IDEA_TREE_CONFIG.branchTypes.includes(branch.label));
+  const seen = new Set(activeTyped.map(branchKey));
+  const room = Math.max(0, IDEA_TREE_CONFIG.maxBranches - activeTyped.length);
+
+  const unique = proposals
+    .filter(branch => branch.confidence >= IDEA_TREE_CONFIG.minConfidence)
+    .sort((a, b) => b.confidence - a.confidence)
+    .filter(branch => {
+      const key = branchKey(branch);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  return { branches: unique.slice(0, room), limitReached: unique.length > room };
+}
+
+/**
+ * Propose typed branches for the idea tree from the user's text
+ * @param {string} text - The user's idea or refinement
+ * @param {string} altitude - Altitude the branches belong to
+ * @param {Array} existingTree - Branches already on the tree ({ label, value, altitude, status })
+ * @param {Object} options - `sessionId`, `signal`, `llmSelection` and `bypassCache` are passed to the LLM call
+ * @returns {Promise<Object>} { branches, method, limit_reached, llm_metadata } where each branch is
+ *   { label, value, altitude, confidence, source_span } and method is 'llm' or 'keywords'
+ */
+export async function extractBranches(text, altitude, existingTree = [], options = {}) {
+  const keywordFallback = (llmMetadata = null) => {
+    const { branches, limitReached } = filterProposedBranches(extractBranchesByKeywords(text, altitude), existingTree);
+    return { branches, method: 'keywords', limit_reached: limitReached, llm_metadata: llmMetadata };
+  };
+
+  if (!text?.trim()) {
+    return { branches: [], method: 'keywords', limit_reached: false, llm_metadata: null };
+  }
+
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const result = await callLLMStructured(
+      createBranchExtractionSchema(IDEA_TREE_CONFIG.branchTypes, IDEA_TREE_CONFIG.maxBranches),
+      'You map ideas onto a fixed set of branch types for an idea tree. Only propose branches the text actually states or clearly implies, and quote the text each one comes from.',
+      createExtractionPrompt(text, altitude, existingTree),
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        sessionId: options.sessionId,
+        signal: options.signal,
+        bypassCache: options.bypassCache,
+        fallbackToMock: true
+      }
+    );
+
+    // The mock provider cannot read the text, so its proposals would be placeholders
+    if (result.isMock) {
+      return keywordFallback(describeLLMResult(result));
+    }
+
+    const proposals = result.data.branches.map(branch => ({
+      label: branch.type,
+      value: branch.value.trim(),
+      altitude,
+      confidence: Math.round(branch.confidence * 100) / 100,
+      source_span: locateSourceSpan(text, branch.source_span)
+    }));
+    const { branches, limitReached } = filterProposedBranches(proposals, existingTree);
+
+    return { branches, method: 'llm', limit_reached: limitReached, llm_metadata: describeLLMResult(result) };
+  } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+    console.log('[Branches] LLM extraction failed, using keyword fallback:', error.message);
+    return keywordFallback();
+  }
+}
+
+function createExtractionPrompt(text, altitude, existingTree) {
+  const level = getAltitudeLevel(altitude);
+  const existing = existingTree
+    .filter(branch => branch.status !== 'archived' && branch.label)
+    .map(branch => `- ${branch.label}: ${branch.value}`)
+    .join('\n');
+
+  return `ALTITUDE: ${altitude}${level ? ` (${level.name}: ${level.description})` : ''}
+
+TEXT:
+"${text}"
+
+BRANCH TYPES: ${IDEA_TREE_CONFIG.branchTypes.join(', ')}
+
+EXISTING BRANCHES:
+${existing || '(none)'}
+
+For each decision or direction in the text, propose one branch:
+1. "type" is the branch type it belongs to
+2. "value" names the choice in a few words (e.g. "Life insurance", "Small business owners")
+3. "confidence" is 0 to 1: how clearly the text states it
+4. "source_span" is the exact words from the text it comes from
+Do not repeat existing branches. Propose at most ${IDEA_TREE_CONFIG.maxBranches} branches.`;
+}
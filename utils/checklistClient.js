@@ -0,0 +1,81 @@
+/**
+ * Checklist Client
+ *
+ * Browser helpers for the /api/checklists routes: list, load, save and delete
+ * mode profiles, load the checklist a profile shows at a level, and lint them all.
+ */
+
+async function requestChecklists(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  });
+  const data = await response.json();
+
+  if (!data.success) {
+    const error = new Error(data.error?.message || 'Checklist request failed');
+    error.code = data.error?.code;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Summaries of every mode profile, built-in ones first
+ */
+export async function listChecklistProfiles() {
+  const data = await requestChecklists('/api/checklists');
+  return data.profiles;
+}
+
+/**
+ * Load a profile with the checklist in effect at every level
+ * @param {number|null} version - An earlier save to load instead of the latest
+ * @returns {Promise<Object>} { id, source, version, versions, profile, fallbacks }
+ */
+export async function loadChecklistProfile(id, version = null) {
+  const query = version === null ? '' : `?version=${encodeURIComponent(version)}`;
+  const data = await requestChecklists(`/api/checklists/${encodeURIComponent(id)}${query}`);
+  return data.profile;
+}
+
+/**
+ * Save a profile as its next version, creating it when `create` is set
+ * @param {Object} profile - { name, description, icon, color, tags, altitudes }, plus id when creating
+ * @returns {Promise<Object>} The saved profile
+ */
+export async function saveChecklistProfile(id, profile, { create = false } = {}) {
+  const data = await requestChecklists(
+    create ? '/api/checklists' : `/api/checklists/${encodeURIComponent(id)}`,
+    {
+      method: create ? 'POST' : 'PUT',
+      body: JSON.stringify(create ? { ...profile, id } : profile)
+    }
+  );
+  return data.profile;
+}
+
+/**
+ * Delete an authored profile (a customised built-in goes back to the shipped one)
+ */
+export async function deleteChecklistProfile(id) {
+  await requestChecklists(`/api/checklists/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * The checklist a profile shows at a level
+ * @returns {Promise<Object>} { checklist, fallback }
+ */
+export async function loadModeChecklist(mode, altitude) {
+  const data = await requestChecklists(`/api/checklists/${encodeURIComponent(mode)}/${encodeURIComponent(altitude)}`);
+  return { checklist: data.checklist, fallback: data.fallback };
+}
+
+/**
+ * Check every profile for missing or malformed checklists
+ * @returns {Promise<Object>} { valid, profiles: [{ id, name, source, issues }] }
+ */
+export async function lintChecklistProfiles() {
+  const data = await requestChecklists('/api/checklists/lint');
+  return { valid: data.valid, profiles: data.profiles };
+}
@@ -0,0 +1,147 @@
+/**
+ * Checklist Evaluator
+ *
+ * Loads the guardrail checklist for an altitude and asks the LLM which of its
+ * items the user's text already satisfies. Used by the checklist guardrail
+ * (through /api/evaluate-checklist), exports and document import.
+ */
+
+import { APP_CONFIG } from './config.js';
+import { getAltitudeName, getAltitudeStage } from './altitudeLadder.js';
+import { createChecklistEvaluationSchema } from './structuredOutput.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+/**
+ * The checklist shown at an altitude: the mode profile's own (built-in or
+ * authored, see checklistProfiles.js), then the level's default. Checklist
+ * files can be shared between ladder levels, so the result is stamped with
+ * the altitude.
+ * @returns {Promise<Object|null>} The checklist, or null when none is found
+ */
+export async function loadChecklistDefinition(altitude, mode = APP_CONFIG.defaultMode) {
+  // Imported dynamically: the profile store reads the file system
+  const { getModeChecklist } = await import('./checklistProfiles.js');
+  const { checklist } = await getModeChecklist(mode, altitude);
+  return checklist;
+}
+
+/**
+ * Evaluate which checklist items the user's text satisfies
+ * @param {Object} options - `llmSelection`, `sessionId`, `signal` and `bypassCache` are passed to the LLM call
+ * @returns {Promise<Object>} { evaluation, llm_metadata } where evaluation maps each item id to
+ *   { checked, reason, confidence }; a basic heuristic evaluation is returned when the LLM fails
+ */
+export async function evaluateChecklist(altitude, checklist, userPrompt, ideaTree = [], options = {}) {
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const llmResult = await callLLMStructured(
+      createChecklistEvaluationSchema(checklist),
+      'You are an expert altitude-based thinking assistant. Evaluate checklist items based on the user\'s prompt and provide JSON responses.',
+      createEvaluationPrompt(altitude, checklist, userPrompt, ideaTree),
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        fallbackToMock: true,
+        timeout: APP_CONFIG.requestTimeout,
+        sessionId: options.sessionId,
+        signal: options.signal,
+        bypassCache: options.bypassCache
+      }
+    );
+    return { evaluation: llmResult.data, llm_metadata: describeLLMResult(llmResult) };
+  } catch (llmError) {
+    // Client disconnected: nothing to send a fallback to
+    if (llmError instanceof RequestCancelledError) throw llmError;
+
+    console.error('LLM evaluation failed, using fallback:', llmError.message);
+    return {
+      evaluation: createFallbackEvaluation(checklist),
+      llm_metadata: {
+        provider: 'local_fallback',
+        provider_name: 'Local Fallback',
+        is_mock: true,
+        fallback_used: true,
+        attempts: llmError.details?.attempts || [],
+        validation_errors: llmError.details?.validationErrors || []
+      }
+    };
+  }
+}
+
+function createEvaluationPrompt(altitude, checklist, userPrompt, ideaTree) {
+  const altitudeContext = {
+    vision: 'high-level goals and aspirations',
+    category: 'industry and domain identification',
+    specialization: 'niche and specific approach',
+    execution: 'concrete actions and implementation'
+  };
+
+  return `Evaluate the following checklist items for a user at ${altitude} altitude (${getAltitudeName(altitude)} level - ${altitudeContext[getAltitudeStage(altitude)]}).
+
+USER PROMPT: "${userPrompt}"
+
+IDEA TREE: ${JSON.stringify(ideaTree, null, 2)}
+
+CHECKLIST ITEMS:
+${checklist.checklist_items.map(item => 
+  `- ${item.id}: ${item.label} - ${item.description}`
+).join('\n')}
+
+For each checklist item, determine if the user's prompt demonstrates this quality/criterion. Consider:
+1. The specific altitude level context
+2. The user's prompt content
+3. The idea tree progression
+4. Whether the criterion is met, partially met, or not met
+
+RESPONSE FORMAT (JSON):
+{
+  "item_id": {
+    "checked": true/false,
+    "reason": "Brief explanation of why this item is checked or not",
+    "confidence": 0.0-1.0
+  }
+}
+
+EXAMPLE:
+{
+  "vision_clarity": {
+    "checked": true,
+    "reason": "User clearly states they want to become an insurance agent with specific goals",
+    "confidence": 0.8
+  }
+}
+
+Evaluate each item and respond with valid JSON:`;
+}
+
+function createFallbackEvaluation(checklist) {
+  const evaluation = {};
+  
+  checklist.checklist_items.forEach(item => {
+    // Basic fallback logic based on item ID patterns
+    const itemId = item.id.toLowerCase();
+    
+    if (itemId.includes('clarity') || itemId.includes('clear')) {
+      evaluation[item.id] = {
+        checked: true,
+        reason: 'Basic clarity detected in user prompt',
+        confidence: 0.6
+      };
+    } else if (itemId.includes('specific') || itemId.includes('defined')) {
+      evaluation[item.id] = {
+        checked: false,
+        reason: 'Specificity may need more detail',
+        confidence: 0.4
+      };
+    } else {
+      evaluation[item.id] = {
+        checked: false,
+        reason: 'Requires more information to evaluate',
+        confidence: 0.3
+      };
+    }
+  });
+  
+  return evaluation;
+} 
\ No newline at end of file
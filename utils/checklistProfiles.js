@@ -0,0 +1,305 @@
+/**
+ * Checklist Profiles
+ *
+ * Mode profiles and the guardrail checklist each one shows per altitude. The
+ * built-in profiles are checklists/mode_profiles.json and the checklist files
+ * it names; profiles authored in the checklist builder are kept in a store
+ * (file or memory, like journey sessions) with their checklists inline and
+ * the last few saves as versions. An authored profile under a built-in id
+ * overrides the shipped one until it is deleted.
+ *
+ * A level a profile has no checklist for uses the level's default checklist.
+ * lintChecklistProfiles reports every profile whose files are missing or
+ * malformed instead of letting them fall back silently.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ALTITUDE_CONFIG, CHECKLIST_CONFIG } from './config.js';
+import { getChecklistFile } from './altitudeLadder.js';
+import { validateChecklist, validateChecklistProfile } from './validation.js';
+import { FileSessionStore, MemorySessionStore } from './sessionStore.js';
+import { AppError } from './errorHandler.js';
+
+const CHECKLIST_DIRECTORY = path.join(process.cwd(), 'checklists');
+
+let profileStore = null;
+
+// Sessions and profiles are both JSON documents by id, so they share the store classes
+function getStore() {
+  if (!profileStore) {
+    profileStore = CHECKLIST_CONFIG.store === 'memory'
+      ? new MemorySessionStore()
+      : new FileSessionStore({ directory: CHECKLIST_CONFIG.directory });
+  }
+  return profileStore;
+}
+
+/**
+ * An authored profile; ids that could not have been saved are not looked up,
+ * so a mode taken from a request never becomes a path
+ */
+async function getStoredProfile(id) {
+  return CHECKLIST_CONFIG.profileIdPattern.test(id || '') ? getStore().get(id) : null;
+}
+
+/**
+ * Read a checklist file
+ * @returns {Promise<Object>} { checklist } or { error } saying why it could not be read
+ */
+async function readChecklistFile(fileName) {
+  try {
+    return { checklist: JSON.parse(await fs.readFile(path.join(CHECKLIST_DIRECTORY, path.basename(fileName)), 'utf8')) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { error: `${fileName} does not exist` };
+    return { error: `${fileName} is not valid JSON: ${error.message}` };
+  }
+}
+
+async function readBuiltInProfiles() {
+  const { checklist: file, error } = await readChecklistFile('mode_profiles.json');
+  if (error) {
+    console.error('[Checklists] Could not read mode profiles:', error);
+    return { mode_profiles: {}, mode_metadata: {} };
+  }
+  return file;
+}
+
+/**
+ * The checklist shown at a level for a profile, given the profile's own
+ * checklist (or file name) for it
+ * @returns {Promise<Object>} { checklist, file, fallback } where fallback
+ *   says why the level's default was used instead, if it was
+ */
+async function resolveChecklist(altitude, own) {
+  let fallback = null;
+
+  if (own && typeof own === 'object') {
+    return { checklist: own, file: null, fallback };
+  }
+  if (own) {
+    const { checklist, error } = await readChecklistFile(own);
+    if (checklist && validateChecklist(checklist).valid) {
+      return { checklist, file: own, fallback };
+    }
+    fallback = error || `${own} is not a valid checklist`;
+  }
+
+  const defaultFile = getChecklistFile(altitude);
+  const { checklist } = defaultFile ? await readChecklistFile(defaultFile) : {};
+  return { checklist: checklist || null, file: defaultFile, fallback: fallback || (checklist ? null : `No checklist for ${altitude}`) };
+}
+
+function summariseProfile(id, profile, stored, builtIn) {
+  return {
+    id,
+    name: profile.name,
+    description: profile.description || '',
+    icon: profile.icon || '',
+    color: profile.color || '',
+    tags: profile.tags || [],
+    source: stored ? (builtIn ? 'customised' : 'custom') : 'built_in',
+    version: stored?.version || null,
+    updatedAt: stored?.updatedAt || null,
+    altitudes: Object.keys(profile.altitudes || {})
+  };
+}
+
+// Ids come from requests, so "constructor" and the like must not find Object's own properties
+function isBuiltIn(file, id) {
+  return Object.prototype.hasOwnProperty.call(file.mode_profiles, id);
+}
+
+function toBuiltInProfile(file, id) {
+  const profile = isBuiltIn(file, id) ? file.mode_profiles[id] : null;
+  return profile && {
+    name: profile.name,
+    description: profile.description,
+    ...file.mode_metadata?.[id],
+    altitudes: profile.altitudes || {}
+  };
+}
+
+/**
+ * Every profile, built-in and authored, built-in ones first
+ */
+export async function listChecklistProfiles() {
+  const [file, stored] = await Promise.all([readBuiltInProfiles(), getStore().list()]);
+  const storedById = new Map(stored.map(entry => [entry.id, entry]));
+
+  const builtIn = Object.keys(file.mode_profiles).map(id => {
+    const entry = storedById.get(id);
+    return summariseProfile(id, entry?.profile || toBuiltInProfile(file, id), entry, true);
+  });
+  const custom = stored
+    .filter(entry => !isBuiltIn(file, entry.id))
+    .sort((a, b) => a.profile.name.localeCompare(b.profile.name))
+    .map(entry => summariseProfile(entry.id, entry.profile, entry, false));
+
+  return [...builtIn, ...custom];
+}
+
+/**
+ * A profile with the checklist in effect at every level of the ladder
+ * @param {Object} options - { version } to load an earlier save of an authored profile
+ * @returns {Promise<Object|null>} { id, source, version, versions, profile, fallbacks } where
+ *   fallbacks maps the levels showing their default checklist to the reason;
+ *   null when there is no such profile or version
+ */
+export async function getChecklistProfile(id, { version = null } = {}) {
+  const [file, stored] = await Promise.all([readBuiltInProfiles(), getStoredProfile(id)]);
+  const builtIn = isBuiltIn(file, id);
+
+  let profile = stored?.profile || toBuiltInProfile(file, id);
+  if (stored && version !== null) {
+    profile = stored.versions.find(entry => entry.version === version)?.profile;
+  }
+  if (!profile) return null;
+
+  const altitudes = {};
+  const fallbacks = {};
+  for (const altitude of ALTITUDE_CONFIG.levels) {
+    const resolved = await resolveChecklist(altitude, profile.altitudes?.[altitude]);
+    altitudes[altitude] = resolved.checklist && { ...resolved.checklist, altitude };
+    if (!profile.altitudes?.[altitude]) {
+      fallbacks[altitude] = 'Uses the level\'s default checklist';
+    } else if (resolved.fallback) {
+      fallbacks[altitude] = resolved.fallback;
+    }
+  }
+
+  return {
+    id,
+    source: stored ? (builtIn ? 'customised' : 'custom') : 'built_in',
+    version: stored ? (version ?? stored.version) : null,
+    versions: (stored?.versions || []).map(entry => ({ version: entry.version, savedAt: entry.savedAt })),
+    profile: { ...profile, altitudes },
+    fallbacks
+  };
+}
+
+/**
+ * The checklist shown at a level in a mode; unknown modes use the defaults
+ * @returns {Promise<Object>} { checklist, fallback } where checklist is stamped
+ *   with the altitude (files can be shared between levels) or null when the
+ *   level has none, and fallback says why the level's default is shown
+ */
+export async function getModeChecklist(mode, altitude) {
+  const [file, stored] = await Promise.all([readBuiltInProfiles(), getStoredProfile(mode)]);
+  const profile = stored?.profile || toBuiltInProfile(file, mode);
+  const own = profile?.altitudes?.[altitude];
+
+  const { checklist, fallback } = await resolveChecklist(altitude, own);
+  if (fallback && own) {
+    console.warn(`[Checklists] ${mode} at ${altitude}: ${fallback}, using the default checklist`);
+  }
+  return { checklist: checklist && { ...checklist, altitude }, fallback: own ? fallback : null };
+}
+
+/**
+ * Save a profile as its next version
+ * @param {string} id - Profile id
+ * @param {Object} profile - Validated profile (see validateChecklistProfile)
+ * @param {Object} options - { create } to refuse ids already in use
+ * @returns {Promise<Object>} The saved profile (see getChecklistProfile)
+ */
+export async function saveChecklistProfile(id, profile, { create = false } = {}) {
+  const [file, existing] = await Promise.all([readBuiltInProfiles(), getStoredProfile(id)]);
+  if (create && (existing || isBuiltIn(file, id))) {
+    throw new AppError(`A profile with id "${id}" already exists`, 'PROFILE_EXISTS', 409);
+  }
+  if (!create && !existing && !isBuiltIn(file, id)) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const version = (existing?.version || 0) + 1;
+  await getStore().put({
+    id,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    version,
+    profile,
+    versions: [...(existing?.versions || []), { version, savedAt: now, profile }].slice(-CHECKLIST_CONFIG.maxVersions)
+  });
+
+  console.log(`[Checklists] Saved ${id} v${version}`);
+  return getChecklistProfile(id);
+}
+
+/**
+ * Delete an authored profile; for a customised built-in this restores the shipped one
+ * @returns {Promise<boolean>} Whether a profile was deleted
+ */
+export async function deleteChecklistProfile(id) {
+  const [file, existing] = await Promise.all([readBuiltInProfiles(), getStoredProfile(id)]);
+  if (!existing) {
+    if (isBuiltIn(file, id)) {
+      throw new AppError('Built-in profiles cannot be deleted', 'PROFILE_BUILT_IN', 409);
+    }
+    return false;
+  }
+
+  await getStore().delete(id);
+  console.log(`[Checklists] Deleted ${id}`);
+  return true;
+}
+
+/**
+ * Check every profile: files that are missing or not valid JSON, checklists
+ * that fail validation, levels not on the ladder and levels left to their
+ * default checklist
+ * @returns {Promise<Object>} { valid, profiles: [{ id, source, issues }] } where each
+ *   issue is { severity: 'error'|'warning'|'info', altitude, file, message }
+ */
+export async function lintChecklistProfiles() {
+  const [file, stored] = await Promise.all([readBuiltInProfiles(), getStore().list()]);
+  const storedById = new Map(stored.map(entry => [entry.id, entry]));
+  const ids = [...new Set([...Object.keys(file.mode_profiles), ...stored.map(entry => entry.id)])];
+
+  const profiles = [];
+  for (const id of ids) {
+    const entry = storedById.get(id);
+    const profile = entry?.profile || toBuiltInProfile(file, id);
+    const issues = [];
+
+    if (!entry) {
+      // Authored profiles were validated when saved; the built-in file was not
+      const profileValidation = validateChecklistProfile({ ...profile, altitudes: {} });
+      profileValidation.errors.forEach(error => issues.push({ severity: 'error', altitude: null, file: 'mode_profiles.json', message: error.message || `${error.field} is invalid` }));
+      if (!file.mode_metadata?.[id]) {
+        issues.push({ severity: 'warning', altitude: null, file: 'mode_profiles.json', message: 'No icon, color or tags in mode_metadata' });
+      }
+    }
+
+    for (const [altitude, own] of Object.entries(profile.altitudes || {})) {
+      const fileName = typeof own === 'string' ? own : null;
+      if (!ALTITUDE_CONFIG.levels.includes(altitude)) {
+        issues.push({ severity: 'warning', altitude, file: fileName, message: `${altitude} is not a level of the ${ALTITUDE_CONFIG.ladder} ladder and is never shown` });
+        continue;
+      }
+
+      const { checklist, error } = fileName ? await readChecklistFile(fileName) : { checklist: own };
+      if (error) {
+        issues.push({ severity: 'error', altitude, file: fileName, message: `${error}; the default checklist is shown instead` });
+        continue;
+      }
+      validateChecklist(checklist).errors.forEach(validationError => issues.push({
+        severity: 'error',
+        altitude,
+        file: fileName,
+        message: validationError.message
+      }));
+    }
+
+    ALTITUDE_CONFIG.levels
+      .filter(altitude => !profile.altitudes?.[altitude])
+      .forEach(altitude => issues.push({ severity: 'info', altitude, file: getChecklistFile(altitude), message: 'Uses the level\'s default checklist' }));
+
+    profiles.push({ id, name: profile.name, source: entry ? (isBuiltIn(file, id) ? 'customised' : 'custom') : 'built_in', issues });
+  }
+
+  const errorCount = profiles.reduce((count, profile) => count + profile.issues.filter(issue => issue.severity === 'error').length, 0);
+  console.log(`[Checklists] Linted ${profiles.length} profile(s), ${errorCount} error(s)`);
+  return { valid: errorCount === 0, profiles };
+}
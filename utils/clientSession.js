@@ -0,0 +1,91 @@
+/**
+ * Client Session
+ *
+ * A per-tab session id sent with LLM requests so the server can group token
+ * usage by session. Kept in sessionStorage so it survives reloads of the tab.
+ *
+ * Also holds the provider/model picked in the provider selector, and the ids
+ * of the journeys this browser saved (the server does not list journeys to
+ * anyone), both kept in localStorage so they apply to every tab.
+ */
+
+const SESSION_STORAGE_KEY = 'pingPongSessionId';
+const LLM_SELECTION_STORAGE_KEY = 'pingPongLLMSelection';
+const JOURNEY_IDS_STORAGE_KEY = 'pingPongJourneyIds';
+
+/**
+ * Get (or create) the session id for this browser tab
+ */
+export function getClientSessionId() {
+  if (typeof window === 'undefined') return null;
+
+  let sessionId = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!sessionId) {
+    sessionId = `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    window.sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }
+  return sessionId;
+}
+
+/**
+ * The saved LLM selection ({ provider, model, temperature, maxTokens }), or null
+ * to let the server use its default provider
+ */
+export function getClientLLMSelection() {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    return JSON.parse(window.localStorage.getItem(LLM_SELECTION_STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ids of the journeys saved from this browser, most recent first
+ */
+export function getClientJourneyIds() {
+  if (typeof window === 'undefined') return [];
+
+  try {
+    const ids = JSON.parse(window.localStorage.getItem(JOURNEY_IDS_STORAGE_KEY));
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveClientJourneyIds(ids) {
+  window.localStorage.setItem(JOURNEY_IDS_STORAGE_KEY, JSON.stringify(ids));
+}
+
+/**
+ * Remember a journey this browser saved, so it shows in the session list
+ */
+export function rememberClientJourney(id) {
+  if (typeof window === 'undefined') return;
+
+  saveClientJourneyIds([id, ...getClientJourneyIds().filter(known => known !== id)]);
+}
+
+/**
+ * Forget a journey, e.g. after deleting it
+ */
+export function forgetClientJourney(id) {
+  if (typeof window === 'undefined') return;
+
+  saveClientJourneyIds(getClientJourneyIds().filter(known => known !== id));
+}
+
+/**
+ * Save (or clear, with null) the LLM selection sent with LLM requests
+ */
+export function saveClientLLMSelection(selection) {
+  if (typeof window === 'undefined') return;
+
+  if (selection) {
+    window.localStorage.setItem(LLM_SELECTION_STORAGE_KEY, JSON.stringify(selection));
+  } else {
+    window.localStorage.removeItem(LLM_SELECTION_STORAGE_KEY);
+  }
+}
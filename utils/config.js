@@ -25,8 +25,17 @@ export const APP_CONFIG = {
   defaultLLMProvider: process.env.DEFAULT_LLM_PROVIDER || 'openai'
 };
 
+// Comma-separated env list
+function parseModelList(value) {
+  return (value || '').split(',').map(model => model.trim()).filter(Boolean);
+}
+
 /**
  * LLM Provider Configuration
+ * 
+ * allowedModels narrows per-request model selection to a subset of the model
+ * catalogue (see modelCatalogue.js), e.g. OPENAI_ALLOWED_MODELS=gpt-4o,gpt-4o-mini.
+ * When empty, every catalogued model is allowed.
  */
 export const LLM_CONFIG = {
   openai: {
@@ -34,7 +43,8 @@ export const LLM_CONFIG = {
     apiUrl: process.env.GPT4_API_URL || 'https://api.openai.com/v1/chat/completions',
     model: process.env.GPT4_MODEL || 'gpt-4',
     maxTokens: parseInt(process.env.GPT4_MAX_TOKENS) || 1000,
-    temperature: parseFloat(process.env.GPT4_TEMPERATURE) || 0.7
+    temperature: parseFloat(process.env.GPT4_TEMPERATURE) || 0.7,
+    allowedModels: parseModelList(process.env.OPENAI_ALLOWED_MODELS)
   },
   
   anthropic: {
@@ -42,7 +52,8 @@ export const LLM_CONFIG = {
     apiUrl: process.env.CLAUDE_API_URL || 'https://api.anthropic.com/v1/messages',
     model: process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229',
     maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS) || 4000,
-    temperature: parseFloat(process.env.CLAUDE_TEMPERATURE) || 0.7
+    temperature: parseFloat(process.env.CLAUDE_TEMPERATURE) || 0.7,
+    allowedModels: parseModelList(process.env.ANTHROPIC_ALLOWED_MODELS)
   },
   
   perplexity: {
@@ -50,7 +61,8 @@ export const LLM_CONFIG = {
     apiUrl: 'https://api.perplexity.ai/chat/completions',
     model: 'llama-3.1-sonar-small-128k-online',
     maxTokens: 1000,
-    temperature: 0.7
+    temperature: 0.7,
+    allowedModels: parseModelList(process.env.PERPLEXITY_ALLOWED_MODELS)
   },
   
   gemini: {
@@ -58,7 +70,8 @@ export const LLM_CONFIG = {
     apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
     model: 'gemini-pro',
     maxTokens: 1000,
-    temperature: 0.7
+    temperature: 0.7,
+    allowedModels: parseModelList(process.env.GEMINI_ALLOWED_MODELS)
   },
   
   abacus: {
@@ -67,61 +80,328 @@ export const LLM_CONFIG = {
     orgId: process.env.ABACUS_ORG_ID,
     model: process.env.ABACUS_MODEL || 'abacus-default',
     maxTokens: parseInt(process.env.ABACUS_MAX_TOKENS) || 4000,
-    temperature: parseFloat(process.env.ABACUS_TEMPERATURE) || 0.7
-  }
+    temperature: parseFloat(process.env.ABACUS_TEMPERATURE) || 0.7,
+    allowedModels: parseModelList(process.env.ABACUS_ALLOWED_MODELS)
+  },
+
+  // Self-hosted OpenAI-compatible server (llama.cpp, vLLM, Ollama, LM Studio)
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL,
+    maxTokens: parseInt(process.env.LOCAL_LLM_MAX_TOKENS) || 1000,
+    temperature: parseFloat(process.env.LOCAL_LLM_TEMPERATURE) || 0.7,
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true',
+    contextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW) || 8192,
+    healthTimeoutMs: parseInt(process.env.LOCAL_LLM_HEALTH_TIMEOUT_MS) || 3000,
+    embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL,
+    allowedModels: parseModelList(process.env.LOCAL_LLM_ALLOWED_MODELS)
+  },
 };
 
 /**
- * Altitude Configuration
+ * LLM Failover Configuration
+ * 
+ * The chain is tried in order after the requested provider, e.g.
+ * LLM_FAILOVER_CHAIN=anthropic,openai,gemini,mock
  */
-export const ALTITUDE_CONFIG = {
-  levels: ['30k', '20k', '10k', '5k'],
-  names: {
-    '30k': 'Vision',
-    '20k': 'Category', 
-    '10k': 'Specialization',
-    '5k': 'Execution'
+export const LLM_FAILOVER_CONFIG = {
+  chain: (process.env.LLM_FAILOVER_CHAIN || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3,
+  cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS) || 60000
+};
+
+/**
+ * Structured Output Configuration
+ */
+export const STRUCTURED_OUTPUT_CONFIG = {
+  // Re-prompts allowed when a JSON response fails schema validation
+  maxRepairAttempts: parseInt(process.env.LLM_JSON_REPAIR_ATTEMPTS) || 2
+};
+
+/**
+ * LLM Response Cache Configuration
+ * 
+ * store is 'memory' (LRU, lost on restart) or 'file' (one JSON file per entry)
+ */
+export const RESPONSE_CACHE_CONFIG = {
+  enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+  store: process.env.LLM_CACHE_STORE || 'memory',
+  ttlMs: parseInt(process.env.LLM_CACHE_TTL_MS) || 60 * 60 * 1000,
+  maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 500,
+  directory: process.env.LLM_CACHE_DIR || '.cache/llm-responses',
+  bypassHeader: 'x-llm-cache'
+};
+
+/**
+ * Journey Session Store Configuration
+ * 
+ * store is 'file' (one JSON file per session, survives restarts) or 'memory'
+ */
+export const SESSION_STORE_CONFIG = {
+  store: process.env.SESSION_STORE || 'file',
+  directory: process.env.SESSION_STORE_DIR || '.data/sessions',
+  // Largest serialised journey accepted, in bytes
+  maxJourneySize: parseInt(process.env.SESSION_MAX_SIZE_BYTES) || 512 * 1024,
+  maxTitleLength: 120,
+  // Most saved journeys one session list request can ask for
+  maxListIds: 100
+};
+
+/**
+ * Altitude Ladders
+ * 
+ * The altitude levels, highest first, are defined here and nowhere else;
+ * pick a ladder with NEXT_PUBLIC_ALTITUDE_LADDER (read by both the server and
+ * the browser). A level's `stage` selects the question sets, heuristics and
+ * prompt wording written for that kind of thinking, so a ladder can have any
+ * number of levels with any ids. `checklist` is the checklist file used when
+ * the selected mode profile has none for the level.
+ */
+export const ALTITUDE_STAGES = ['vision', 'category', 'specialization', 'execution'];
+
+const MISSION_LEVEL = {
+  id: '40k',
+  name: 'Mission',
+  stage: 'vision',
+  description: 'The enduring mission the vision serves',
+  color: '#9013FE',
+  readinessThresholds: { red: 0.2, yellow: 0.4, green: 0.6 },
+  scope: { minWords: 10, maxWords: 80 },
+  checklist: 'altitude_30k.json'
+};
+
+const VISION_LEVEL = {
+  id: '30k',
+  name: 'Vision',
+  stage: 'vision',
+  description: 'High-level user vision and goals',
+  color: '#4A90E2',
+  readinessThresholds: { red: 0.2, yellow: 0.5, green: 0.7 },
+  scope: { minWords: 20, maxWords: 100 },
+  checklist: 'altitude_30k.json'
+};
+
+const CATEGORY_LEVEL = {
+  id: '20k',
+  name: 'Category',
+  stage: 'category',
+  description: 'Broad category or domain',
+  color: '#7ED321',
+  readinessThresholds: { red: 0.3, yellow: 0.6, green: 0.8 },
+  scope: { minWords: 30, maxWords: 150 },
+  checklist: 'altitude_20k.json'
+};
+
+const SPECIALIZATION_LEVEL = {
+  id: '10k',
+  name: 'Specialization',
+  stage: 'specialization',
+  description: 'Specific specialization within category',
+  color: '#F5A623',
+  readinessThresholds: { red: 0.3, yellow: 0.6, green: 0.8 },
+  scope: { minWords: 40, maxWords: 200 },
+  checklist: 'altitude_10k.json'
+};
+
+const EXECUTION_LEVEL = {
+  id: '5k',
+  name: 'Execution',
+  stage: 'execution',
+  description: 'Specific execution details and implementation',
+  color: '#D0021B',
+  readinessThresholds: { red: 0.4, yellow: 0.7, green: 0.9 },
+  scope: { minWords: 50, maxWords: 300 },
+  checklist: 'altitude_5k.json'
+};
+
+const TASK_LEVEL = {
+  id: '1k',
+  name: 'Task',
+  stage: 'execution',
+  description: 'Individual tasks with an owner and a due date',
+  color: '#8B572A',
+  readinessThresholds: { red: 0.4, yellow: 0.7, green: 0.9 },
+  scope: { minWords: 30, maxWords: 400 },
+  checklist: 'altitude_5k.json'
+};
+
+export const ALTITUDE_LADDERS = {
+  standard: {
+    name: 'Standard',
+    description: 'Vision to execution in four levels',
+    levels: [VISION_LEVEL, CATEGORY_LEVEL, SPECIALIZATION_LEVEL, EXECUTION_LEVEL]
   },
-  descriptions: {
-    '30k': 'High-level user vision and goals',
-    '20k': 'Broad category or domain',
-    '10k': 'Specific specialization within category',
-    '5k': 'Specific execution details and implementation'
+  lean: {
+    name: 'Lean',
+    description: 'Three levels for small, fast-moving ideas',
+    levels: [
+      VISION_LEVEL,
+      {
+        ...SPECIALIZATION_LEVEL,
+        id: '15k',
+        name: 'Focus',
+        description: 'The domain and the specific angle taken within it',
+        scope: { minWords: 30, maxWords: 200 }
+      },
+      EXECUTION_LEVEL
+    ]
   },
-  readinessThresholds: {
-    '30k': { red: 0.2, yellow: 0.5, green: 0.7 },
-    '20k': { red: 0.3, yellow: 0.6, green: 0.8 },
-    '10k': { red: 0.3, yellow: 0.6, green: 0.8 },
-    '5k': { red: 0.4, yellow: 0.7, green: 0.9 }
+  extended: {
+    name: 'Extended',
+    description: 'Six levels, from mission down to individual tasks',
+    levels: [MISSION_LEVEL, VISION_LEVEL, CATEGORY_LEVEL, SPECIALIZATION_LEVEL, EXECUTION_LEVEL, TASK_LEVEL]
   }
 };
 
+const ALTITUDE_LADDER_NAME = ALTITUDE_LADDERS[process.env.NEXT_PUBLIC_ALTITUDE_LADDER]
+  ? process.env.NEXT_PUBLIC_ALTITUDE_LADDER
+  : 'standard';
+const ALTITUDE_LEVELS = ALTITUDE_LADDERS[ALTITUDE_LADDER_NAME].levels;
+
+const byLevelId = (pick) => Object.fromEntries(ALTITUDE_LEVELS.map(level => [level.id, pick(level)]));
+
+/**
+ * Altitude Configuration
+ * 
+ * Derived from the selected ladder; levels are ordered highest first
+ */
+export const ALTITUDE_CONFIG = {
+  ladder: ALTITUDE_LADDER_NAME,
+  levels: ALTITUDE_LEVELS.map(level => level.id),
+  definitions: ALTITUDE_LEVELS,
+  names: byLevelId(level => level.name),
+  descriptions: byLevelId(level => level.description),
+  readinessThresholds: byLevelId(level => level.readinessThresholds)
+};
+
+/**
+ * Readiness Scoring Configuration
+ *
+ * scoring is 'llm' (rubric-graded by the LLM, keyword heuristics when no real
+ * provider answers) or 'keywords' (heuristics only, no LLM call)
+ */
+export const READINESS_CONFIG = {
+  scoring: process.env.READINESS_SCORING || 'llm',
+  factors: ['specificity', 'actionability', 'measurability', 'clarity', 'completeness']
+};
+
+/**
+ * Idea Tree Configuration
+ *
+ * Branch extraction maps the user's text onto branchTypes; proposals below
+ * minConfidence are dropped and a branch holds at most maxBranches typed branches
+ */
+export const IDEA_TREE_CONFIG = {
+  maxBranches: parseInt(process.env.IDEA_TREE_MAX_BRANCHES) || 10,
+  minConfidence: parseFloat(process.env.BRANCH_MIN_CONFIDENCE) || 0.4,
+  branchTypes: [
+    'Market',
+    'Focus',
+    'Product Type',
+    'Target Audience',
+    'Revenue Model',
+    'Technology',
+    'Partnerships',
+    'Timeline',
+    'Resources',
+    'Success Metrics'
+  ]
+};
+
+/**
+ * Document Import Configuration
+ *
+ * Imported documents are split into chunks of about chunkSize characters (at
+ * most maxChunks) and each chunk is placed on the altitude ladder
+ */
+export const IMPORT_CONFIG = {
+  maxDocumentLength: parseInt(process.env.IMPORT_MAX_DOCUMENT_LENGTH) || 30000,
+  chunkSize: parseInt(process.env.IMPORT_CHUNK_SIZE) || 1200,
+  maxChunks: 24,
+  fileTypes: ['md', 'txt', 'json']
+};
+
 /**
  * Checklist Configuration
+ *
+ * Profiles authored in the checklist builder (see checklistProfiles.js) are
+ * kept in their own store, like journey sessions, with the last maxVersions
+ * saves of each. A profile saved under a built-in id overrides the shipped one.
  */
 export const CHECKLIST_CONFIG = {
   defaultMode: 'blueprint_logic',
   evaluationTimeout: 10000,
   maxRetries: 3,
-  fallbackEnabled: true
+  fallbackEnabled: true,
+  store: process.env.CHECKLIST_STORE || 'file',
+  directory: process.env.CHECKLIST_STORE_DIR || '.data/checklists',
+  maxVersions: parseInt(process.env.CHECKLIST_MAX_VERSIONS) || 20,
+  profileIdPattern: /^[a-z][a-z0-9_]{1,39}$/,
+  reservedProfileIds: ['lint'],
+  maxNameLength: 80,
+  maxDescriptionLength: 500,
+  maxTags: 10,
+  maxItems: 30
 };
 
 /**
  * Drift Detection Configuration
+ *
+ * engine picks how altitude summaries are compared (see semanticDrift.js):
+ * 'provider' embeds them with the provider's embedding endpoint, 'local' with
+ * the bundled hashed bag-of-words model, 'keywords' uses the keyword checks in
+ * driftDetector.js only. Each engine falls back to the next one down.
+ *
+ * A level drifts when the cosine distance of its summary to the 30k vision or
+ * to the level before exceeds the engine's threshold. The bundled model only
+ * sees shared words, so its distances run higher than a provider's.
+ *
+ * The remaining settings drive the keyword checks.
  */
 export const DRIFT_CONFIG = {
+  engine: process.env.DRIFT_ENGINE || 'provider',
+  embeddingProvider: process.env.DRIFT_EMBEDDING_PROVIDER || null,
+  embeddingModel: process.env.DRIFT_EMBEDDING_MODEL || null,
+  distanceThresholds: {
+    provider: {
+      vision: parseFloat(process.env.DRIFT_VISION_DISTANCE) || 0.6,
+      previous: parseFloat(process.env.DRIFT_PREVIOUS_DISTANCE) || 0.5
+    },
+    local: { vision: 0.92, previous: 0.88 }
+  },
+  localDimensions: 512,
+  maxConcepts: 8,
   similarityThreshold: 0.3,
   scopeChangeThreshold: 0.5,
   topicShiftConfidence: 0.8,
   goalMisalignmentConfidence: 0.6
 };
 
+/**
+ * Altitude Dependency Rules Configuration
+ *
+ * The rules themselves live in checklists/altitudeDependencies.json (see
+ * dependencyRules.js). semanticRules turns the LLM-judged rules on; when off,
+ * or when the LLM cannot be reached, they are reported as skipped.
+ */
+export const DEPENDENCY_RULES_CONFIG = {
+  semanticRules: process.env.DEPENDENCY_SEMANTIC_RULES !== 'false'
+};
+
 /**
  * Validation Configuration
  */
 export const VALIDATION_CONFIG = {
   maxPromptLength: 10000,
   minPromptLength: 5,
+  maxHistoryTurns: parseInt(process.env.MAX_HISTORY_TURNS) || 20,
+  // Bounds for per-request LLM settings
+  maxTemperature: 2,
+  maxTokensLimit: parseInt(process.env.MAX_TOKENS_LIMIT) || 8192,
   allowedFileTypes: ['json'],
   maxFileSize: 1024 * 1024 // 1MB
 };
@@ -137,6 +417,41 @@ export function getProviderConfig(providerName) {
   return config;
 }
 
+/**
+ * Validate an altitude ladder's levels
+ * @returns {string[]} Problems found; empty when the ladder is usable
+ */
+export function validateAltitudeLadder(levels) {
+  const errors = [];
+
+  if (!Array.isArray(levels) || levels.length < 2) {
+    return ['An altitude ladder must have at least 2 levels'];
+  }
+
+  const ids = new Set();
+  levels.forEach((level, index) => {
+    if (typeof level?.id !== 'string' || !/^[\w-]{1,20}$/.test(level.id)) {
+      errors.push(`Altitude level ${index + 1} needs an id of up to 20 letters, digits, "_" or "-"`);
+    } else if (ids.has(level.id)) {
+      errors.push(`Altitude level id "${level.id}" is used more than once`);
+    } else {
+      ids.add(level.id);
+    }
+    if (!level?.name) {
+      errors.push(`Altitude level ${level?.id || index + 1} needs a name`);
+    }
+    if (!ALTITUDE_STAGES.includes(level?.stage)) {
+      errors.push(`Altitude level ${level?.id || index + 1} has stage "${level?.stage}". Must be one of: ${ALTITUDE_STAGES.join(', ')}`);
+    }
+    const thresholds = level?.readinessThresholds;
+    if (!thresholds || !(thresholds.red <= thresholds.yellow && thresholds.yellow <= thresholds.green)) {
+      errors.push(`Altitude level ${level?.id || index + 1} needs readiness thresholds with red <= yellow <= green`);
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Validate configuration
  */
@@ -144,14 +459,15 @@ export function validateConfig() {
   const errors = [];
   
   // Check required environment variables
-  if (!LLM_CONFIG.openai.apiKey && !LLM_CONFIG.anthropic.apiKey) {
-    errors.push('At least one LLM provider API key must be configured');
+  if (!LLM_CONFIG.openai.apiKey && !LLM_CONFIG.anthropic.apiKey && !LLM_CONFIG.local.baseUrl) {
+    errors.push('At least one LLM provider API key or a local LLM base URL must be configured');
   }
   
   // Check altitude configuration
-  if (ALTITUDE_CONFIG.levels.length !== 4) {
-    errors.push('Altitude configuration must have exactly 4 levels');
+  if (process.env.NEXT_PUBLIC_ALTITUDE_LADDER && ALTITUDE_CONFIG.ladder !== process.env.NEXT_PUBLIC_ALTITUDE_LADDER) {
+    errors.push(`Unknown altitude ladder "${process.env.NEXT_PUBLIC_ALTITUDE_LADDER}". Must be one of: ${Object.keys(ALTITUDE_LADDERS).join(', ')}`);
   }
+  errors.push(...validateAltitudeLadder(ALTITUDE_CONFIG.definitions));
   
   return {
     valid: errors.length === 0,
@@ -0,0 +1,367 @@
+/**
+ * Altitude Dependency Rules
+ *
+ * What a level's text should and should not contain, read from
+ * checklists/altitudeDependencies.json. Rules are listed per altitude id or
+ * per stage (vision, category, specialization, execution); the altitude id
+ * wins. Each rule is one of:
+ *
+ *   forbid   - terms or a regex that must not appear (at least min_count times)
+ *   require  - terms or a regex that must appear at least min_count times
+ *   semantic - a criterion in plain words, judged by the LLM
+ *
+ * Terms match as whole words by default ("step" does not match "footsteps");
+ * `match: "stem"` also folds word endings ("tools", "tooling" match "tool")
+ * and `match: "substring"` is the old anywhere-in-the-text check. With
+ * `synonyms: true` each term also matches the words listed for it in the
+ * file's synonym table. Severity is info, warn or block; a block stops the
+ * journey at that level and stops yolo mode until the user overrides it. The
+ * shipped rules stop at warn, so blocking is opt-in per rule.
+ *
+ * `modes.<mode>.<altitude or stage>.rules` overrides rules per mode: an entry
+ * with an existing id is merged onto that rule (`enabled: false` turns it
+ * off), a new id adds a rule.
+ *
+ * Files in the old shape (flat must_include / must_not_include lists) still
+ * work: every required term must appear and every forbidden one must not,
+ * matched as substrings.
+ *
+ * Every violation cites the spans of text it is about ({ start, end, text }),
+ * so the text can be highlighted; a missing requirement has none.
+ */
+
+import dependencyFile from '../checklists/altitudeDependencies.json';
+import { APP_CONFIG, DEPENDENCY_RULES_CONFIG } from './config.js';
+import { getAltitudeLevel } from './altitudeLadder.js';
+import { createDependencyJudgementSchema } from './structuredOutput.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+export const SEVERITIES = ['info', 'warn', 'block'];
+
+const RULE_TYPES = ['forbid', 'require', 'semantic'];
+
+const VIOLATION_TYPES = {
+  forbid: 'forbidden_term',
+  require: 'missing_required_term',
+  semantic: 'semantic'
+};
+
+// Longest first; the replacement keeps the root the other forms fold onto
+const SUFFIXES = [
+  ['mentation', 'ment'], ['ational', 'ate'], ['ations', 'ate'], ['ation', 'ate'],
+  ['ingly', ''], ['edly', ''], ['ings', ''], ['ing', ''], ['ied', 'y'], ['ies', 'y'],
+  ['ers', ''], ['er', ''], ['ed', ''], ['ly', ''], ['es', ''], ['s', '']
+];
+
+/**
+ * Light suffix stemmer: enough to fold plurals and -ing/-ed/-er/-ation forms
+ * of the same word together, not a linguistic one
+ */
+function stem(word) {
+  let root = word.toLowerCase().replace(/'s$/, '');
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!root.endsWith(suffix) || root.length - suffix.length < 3) continue;
+    if (suffix === 's' && /(ss|us|is)$/.test(root)) break;
+
+    root = root.slice(0, -suffix.length) + replacement;
+    // planned -> plann -> plan, but not fill -> fil or process -> proces
+    if (replacement === '' && /([^aeiouylsz])\1$/.test(root)) {
+      root = root.slice(0, -1);
+    }
+    break;
+  }
+  return root.length > 3 ? root.replace(/e$/, '') : root;
+}
+
+/**
+ * Words with their offsets; hyphenated words are split so "step-by-step"
+ * matches as three words
+ */
+function tokenize(text) {
+  return Array.from(text.matchAll(/[a-z0-9]+(?:'[a-z]+)?/gi), match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function toSpan(text, start, end) {
+  return { start, end, text: text.slice(start, end) };
+}
+
+/**
+ * Every place a term occurs in the text
+ * @returns {Array} Spans, in order
+ */
+function findTerm(text, tokens, term, match) {
+  if (match === 'substring') {
+    const spans = [];
+    const haystack = text.toLowerCase();
+    const needle = term.toLowerCase();
+    for (let start = haystack.indexOf(needle); start >= 0; start = haystack.indexOf(needle, start + needle.length)) {
+      spans.push(toSpan(text, start, start + needle.length));
+    }
+    return spans;
+  }
+
+  const normalise = match === 'stem' ? stem : word => word;
+  const words = tokenize(term).map(token => normalise(token.word));
+  if (words.length === 0) return [];
+
+  const spans = [];
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (words.every((word, offset) => normalise(tokens[i + offset].word) === word)) {
+      spans.push(toSpan(text, tokens[i].start, tokens[i + words.length - 1].end));
+    }
+  }
+  return spans;
+}
+
+function compilePattern(rule) {
+  const flags = rule.flags || 'gi';
+  return new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`);
+}
+
+function isValidPattern(rule) {
+  try {
+    compilePattern(rule);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function findPattern(text, rule) {
+  return Array.from(text.matchAll(compilePattern(rule)))
+    .filter(match => match[0].trim().length > 0)
+    .map(match => {
+      // Leading whitespace or line breaks matched as context are not the offending text
+      const offset = match[0].length - match[0].trimStart().length;
+      return toSpan(text, match.index + offset, match.index + match[0].trimEnd().length);
+    });
+}
+
+/**
+ * The terms a rule looks for, with their synonyms when the rule asks for them
+ */
+function expandTerms(rule, synonyms) {
+  const terms = rule.terms || [];
+  if (!rule.synonyms) return terms;
+  return [...new Set(terms.flatMap(term => [term, ...(synonyms[term] || [])]))];
+}
+
+/**
+ * Old-shape rules (flat must_include / must_not_include) in the rule language
+ */
+function convertLegacyRules(altitudeRules, file) {
+  const forbidSeverity = file.validation_rules?.block_on_violation ? 'block' : 'warn';
+
+  return [
+    ...(altitudeRules.must_not_include || []).map(term => ({
+      id: `must-not-include:${term}`, type: 'forbid', match: 'substring', terms: [term], severity: forbidSeverity
+    })),
+    ...(altitudeRules.must_include || []).map(term => ({
+      id: `must-include:${term}`, type: 'require', match: 'substring', terms: [term], severity: 'warn'
+    }))
+  ];
+}
+
+function mergeRules(rules, overrides) {
+  const merged = rules.map(rule => ({ ...rule, ...overrides.find(override => override.id === rule.id) }));
+  const added = overrides.filter(override => !rules.some(rule => rule.id === override.id));
+  return [...merged, ...added];
+}
+
+/**
+ * The rules that apply to a level's text in a mode, defaults filled in and
+ * disabled or malformed rules left out
+ * @param {string} altitude - Altitude id
+ * @param {string} mode - Mode profile id
+ * @param {Object} file - Rules file (defaults to checklists/altitudeDependencies.json)
+ * @returns {Array} Rules
+ */
+export function getDependencyRules(altitude, mode = APP_CONFIG.defaultMode, file = dependencyFile) {
+  const stage = getAltitudeLevel(altitude)?.stage;
+  const altitudeRules = file[altitude] || file[stage];
+  const modeRules = file.modes?.[mode]?.[altitude] || file.modes?.[mode]?.[stage];
+  if (!altitudeRules && !modeRules) return [];
+
+  const baseRules = altitudeRules?.rules || (altitudeRules ? convertLegacyRules(altitudeRules, file) : []);
+  const defaults = { match: 'word', severity: 'warn', min_count: 1, ...file.defaults };
+
+  return mergeRules(baseRules, modeRules?.rules || [])
+    .map(rule => ({ ...defaults, ...rule }))
+    .filter(rule => {
+      if (rule.enabled === false) return false;
+      const wellFormed = RULE_TYPES.includes(rule.type) && SEVERITIES.includes(rule.severity) && (
+        rule.type === 'semantic' ? Boolean(rule.criterion) : (rule.pattern ? isValidPattern(rule) : rule.terms?.length > 0)
+      );
+      if (!wellFormed) console.warn('[DependencyRules] Skipping malformed rule:', rule.id);
+      return wellFormed;
+    });
+}
+
+function quoteList(items) {
+  return items.map(item => `"${item}"`).join(', ');
+}
+
+/**
+ * Check one forbid or require rule
+ * @returns {Object|null} The violation, or null when the rule holds
+ */
+function checkRule(rule, text, tokens, altitude, synonyms) {
+  const terms = expandTerms(rule, synonyms);
+  const spans = rule.pattern
+    ? findPattern(text, rule)
+    : terms.flatMap(term => findTerm(text, tokens, term, rule.match)).sort((a, b) => a.start - b.start);
+  const minCount = Math.max(1, rule.min_count);
+
+  if (rule.type === 'forbid') {
+    if (spans.length < minCount) return null;
+    const found = [...new Set(spans.map(span => span.text.toLowerCase()))];
+    return {
+      rule: rule.id,
+      type: VIOLATION_TYPES.forbid,
+      severity: rule.severity,
+      term: found.join(', '),
+      message: rule.message || `${quoteList(found)} should not be mentioned at ${altitude} level`,
+      spans
+    };
+  }
+
+  if (spans.length >= minCount) return null;
+  const wanted = rule.pattern ? [rule.label || rule.pattern] : rule.terms;
+  return {
+    rule: rule.id,
+    type: VIOLATION_TYPES.require,
+    severity: rule.severity,
+    term: wanted.join(', '),
+    message: rule.message || (minCount > 1
+      ? `Mention ${quoteList(wanted)} at least ${minCount} times at ${altitude} level (found ${spans.length})`
+      : `${wanted.length > 1 ? `One of ${quoteList(wanted)}` : quoteList(wanted)} should be mentioned at ${altitude} level`),
+    spans
+  };
+}
+
+function summarise(violations, extra) {
+  return {
+    isValid: !violations.some(violation => violation.severity !== 'info'),
+    blocked: violations.some(violation => violation.severity === 'block'),
+    violations,
+    ...extra
+  };
+}
+
+/**
+ * Check a level's text against its word and pattern rules. Semantic rules need
+ * the LLM (see judgeDependencyRules) and are listed as skipped.
+ * @param {string} altitude - Altitude id
+ * @param {string} content - The level's text
+ * @param {Object} options - { mode, file }
+ * @returns {Object} { isValid, blocked, violations, skipped } where isValid is
+ *   false when a warn or block rule is broken and skipped lists unjudged rule ids
+ */
+export function evaluateDependencyRules(altitude, content, { mode, file = dependencyFile } = {}) {
+  const text = content || '';
+  const tokens = tokenize(text);
+  const rules = getDependencyRules(altitude, mode, file);
+
+  const violations = rules
+    .filter(rule => rule.type !== 'semantic')
+    .map(rule => checkRule(rule, text, tokens, altitude, file.synonyms || {}))
+    .filter(Boolean);
+
+  return summarise(violations, {
+    skipped: rules.filter(rule => rule.type === 'semantic').map(rule => rule.id)
+  });
+}
+
+/**
+ * Where the LLM's quote occurs in the text, case-insensitively
+ */
+function locateQuote(text, quote) {
+  const trimmed = (quote || '').trim();
+  const start = trimmed ? text.toLowerCase().indexOf(trimmed.toLowerCase()) : -1;
+  return start >= 0 ? [toSpan(text, start, start + trimmed.length)] : [];
+}
+
+/**
+ * Check a level's text against all its rules, asking the LLM to judge the
+ * semantic ones. When the LLM cannot be reached the semantic rules are
+ * reported as skipped rather than passed or failed.
+ * @param {string} altitude - Altitude id
+ * @param {string} content - The level's text
+ * @param {Object} options - `mode`, plus `llmSelection`, `sessionId` and `signal` for the LLM call
+ * @returns {Promise<Object>} As evaluateDependencyRules, plus llm_metadata when the LLM was asked
+ */
+export async function judgeDependencyRules(altitude, content, options = {}) {
+  const result = evaluateDependencyRules(altitude, content, { mode: options.mode });
+  const semanticRules = getDependencyRules(altitude, options.mode)
+    .filter(rule => result.skipped.includes(rule.id));
+  if (semanticRules.length === 0 || !DEPENDENCY_RULES_CONFIG.semanticRules || !content?.trim()) {
+    return result;
+  }
+
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const llmResult = await callLLMStructured(
+      createDependencyJudgementSchema(semanticRules.map(rule => rule.id)),
+      'You review planning text against rules for its level of abstraction. Judge each rule strictly and quote the text exactly.',
+      createJudgementPrompt(altitude, content, semanticRules),
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        timeout: APP_CONFIG.requestTimeout,
+        sessionId: options.sessionId,
+        signal: options.signal
+      }
+    );
+
+    const judged = semanticRules
+      .filter(rule => llmResult.data[rule.id] && !llmResult.data[rule.id].satisfied)
+      .map(rule => ({
+        rule: rule.id,
+        type: VIOLATION_TYPES.semantic,
+        severity: rule.severity,
+        term: rule.criterion,
+        message: rule.message || llmResult.data[rule.id].reason,
+        reason: llmResult.data[rule.id].reason,
+        spans: locateQuote(content, llmResult.data[rule.id].quote)
+      }));
+
+    console.log(`[DependencyRules] ${altitude}: ${semanticRules.length} semantic rule(s) judged, ${judged.length} broken`);
+    return summarise([...result.violations, ...judged], {
+      skipped: [],
+      llm_metadata: describeLLMResult(llmResult)
+    });
+  } catch (error) {
+    // Client disconnected: nothing to send the result to
+    if (error instanceof RequestCancelledError) throw error;
+
+    console.error('[DependencyRules] Semantic rules could not be judged:', error.message);
+    return result;
+  }
+}
+
+function createJudgementPrompt(altitude, content, rules) {
+  return `The text below was written at the ${altitude} level of a planning journey (${getAltitudeLevel(altitude)?.stage || altitude} stage).
+
+TEXT:
+"""
+${content}
+"""
+
+RULES:
+${rules.map(rule => `- ${rule.id}: ${rule.criterion}`).join('\n')}
+
+For each rule, decide whether the text satisfies it. When it does not, quote
+the shortest passage of the text that breaks it, copied exactly; leave the
+quote empty when the problem is something missing rather than something said.
+
+RESPONSE FORMAT (JSON):
+{
+  "rule_id": { "satisfied": true/false, "reason": "One sentence", "quote": "exact words from the text or empty" }
+}`;
+}
@@ -0,0 +1,288 @@
+/**
+ * Document Importer
+ *
+ * Starts a journey from an existing document (a plan, brief or notes) instead
+ * of a blank idea. The document is split into chunks, each chunk is placed on
+ * the altitude ladder (keyword heuristics from determineAltitude, refined by
+ * the LLM when one is available), and the chunks at each altitude become one
+ * block of a new journey. Every block gets its typed branches, readiness and
+ * the checklist items the document already satisfies, so the user starts at
+ * the lowest altitude the document reaches rather than at the top.
+ *
+ * A journey exported as JSON (journeyExport.js) is read back with its
+ * altitudes, branches and execution plan as they were.
+ */
+
+import { IMPORT_CONFIG, VALIDATION_CONFIG } from './config.js';
+import { getAltitudeIds, getAltitudeLevel, getAltitudeName, isExecutionAltitude, describeAltitudeLadder } from './altitudeLadder.js';
+import { createTreeNode, addChildNode, toIdeaTree } from './ideaTree.js';
+import { determineAltitude } from './altitudePromptRefiner.js';
+import { extractBranches } from './branchExtractor.js';
+import { evaluateReadiness } from './readinessEvaluator.js';
+import { evaluateChecklist, loadChecklistDefinition } from './checklistEvaluator.js';
+import { EXPORT_SCHEMA_VERSION } from './journeyExport.js';
+import { createDocumentPlacementSchema } from './structuredOutput.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+const HEADING_PATTERN = /^#{1,6}\s+/;
+
+/**
+ * Split text into chunks of about `chunkSize` characters. Paragraphs are never
+ * split and a Markdown heading always starts a new chunk, so a section stays
+ * with its heading. Past `maxChunks`, the shortest neighbouring chunks are merged.
+ * @returns {string[]}
+ */
+export function chunkDocument(text, { chunkSize = IMPORT_CONFIG.chunkSize, maxChunks = IMPORT_CONFIG.maxChunks } = {}) {
+  const paragraphs = text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n|\n(?=#{1,6}\s)/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  paragraphs.forEach(paragraph => {
+    const last = chunks[chunks.length - 1];
+    if (last !== undefined && !HEADING_PATTERN.test(paragraph) && last.length + paragraph.length + 2 <= chunkSize) {
+      chunks[chunks.length - 1] = `${last}\n\n${paragraph}`;
+    } else {
+      chunks.push(paragraph);
+    }
+  });
+
+  while (chunks.length > maxChunks) {
+    let index = 0;
+    for (let i = 1; i < chunks.length - 1; i++) {
+      if (chunks[i].length + chunks[i + 1].length < chunks[index].length + chunks[index + 1].length) index = i;
+    }
+    chunks.splice(index, 2, `${chunks[index]}\n\n${chunks[index + 1]}`);
+  }
+
+  return chunks;
+}
+
+// "key.path: value" lines for every string, number and boolean in a JSON value
+function flattenJson(value, path = '') {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => flattenJson(item, path ? `${path}[${index}]` : `[${index}]`));
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => flattenJson(item, path ? `${path}.${key}` : key));
+  }
+  const text = String(value).trim();
+  if (!text) return [];
+  return [path ? `${path}: ${text}` : text];
+}
+
+function readJsonDocument(data) {
+  if (typeof data?.schema === 'string' && data.schema.split('/')[0] === EXPORT_SCHEMA_VERSION.split('/')[0] && Array.isArray(data.altitudes)) {
+    return {
+      title: typeof data.title === 'string' ? data.title : null,
+      sections: data.altitudes
+        .filter(entry => typeof entry?.idea === 'string' && entry.idea.trim())
+        .map(entry => ({
+          text: [entry.idea, entry.refinement].filter(Boolean).join('\n\n'),
+          // Altitudes of another ladder are placed again
+          altitude: getAltitudeLevel(entry.altitude) ? entry.altitude : null,
+          branches: (entry.branches || []).map(branch => ({ label: branch.type, value: branch.value, confidence: 1, source_span: null }))
+        })),
+      executionPlan: data.execution_plan || null
+    };
+  }
+
+  // One paragraph per top-level entry, so related values are chunked together
+  const entries = data && typeof data === 'object' && !Array.isArray(data) ? Object.entries(data) : [['', data]];
+  const text = entries.map(([key, value]) => flattenJson(value, key).join('\n')).filter(Boolean).join('\n\n');
+  return { title: null, sections: chunkDocument(text).map(chunk => ({ text: chunk, altitude: null })), executionPlan: null };
+}
+
+/**
+ * Read pasted text or an uploaded .md, .txt or .json file into sections to place
+ * @param {string} content - The document's text
+ * @param {string} fileName - Name of the uploaded file ('' for pasted text)
+ * @returns {Object} { title, sections, executionPlan } where each section is
+ *   { text, altitude, branches }; altitude is null until placed
+ * @throws {SyntaxError} When a .json file is not valid JSON
+ */
+export function readDocument(content, fileName = '') {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const fileTitle = fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || null;
+  const trimmed = content.trim();
+
+  if (extension === 'json' || (!extension && /^[[{]/.test(trimmed))) {
+    try {
+      const document = readJsonDocument(JSON.parse(trimmed));
+      return { ...document, title: document.title || fileTitle };
+    } catch (error) {
+      // Pasted text that only looks like JSON is read as text
+      if (extension === 'json') throw error;
+    }
+  }
+
+  const heading = trimmed.split('\n').find(line => HEADING_PATTERN.test(line));
+  return {
+    title: heading?.replace(HEADING_PATTERN, '').trim() || fileTitle || trimmed.split('\n')[0].slice(0, 60),
+    sections: chunkDocument(trimmed).map(chunk => ({ text: chunk, altitude: null })),
+    executionPlan: null
+  };
+}
+
+/**
+ * Place each section on the altitude ladder. Sections that already have an
+ * altitude keep it; the others are classified by the LLM, with determineAltitude
+ * as the fallback for anything it leaves out.
+ * @param {Object} options - `sessionId`, `signal`, `llmSelection` and `bypassCache` are passed to the LLM call
+ * @returns {Promise<Object>} { placements, method, llm_metadata } with one
+ *   { altitude, confidence, reason } per section; method is 'llm', 'keywords' or
+ *   'export' (nothing needed placing)
+ */
+export async function placeSections(sections, options = {}) {
+  // With no altitude words in a chunk, determineAltitude goes by tree depth;
+  // the chunks before it stand in for the tree, so later chunks sit lower
+  const placements = sections.map((section, index) => (section.altitude
+    ? { altitude: section.altitude, confidence: 1, reason: 'Altitude from the exported journey' }
+    : { altitude: determineAltitude(section.text, sections.slice(0, index)), confidence: 0.5, reason: 'Placed by keywords and position in the document' }));
+
+  const unplaced = sections.map((section, index) => index).filter(index => !sections[index].altitude);
+  if (unplaced.length === 0) {
+    return { placements, method: 'export', llm_metadata: null };
+  }
+
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const result = await callLLMStructured(
+      createDocumentPlacementSchema(getAltitudeIds(), unplaced.length),
+      'You place parts of a document on an altitude ladder, from the big-picture vision down to concrete execution. Judge each part by what it says, not by where it appears.',
+      createPlacementPrompt(unplaced.map(index => sections[index].text)),
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        sessionId: options.sessionId,
+        signal: options.signal,
+        bypassCache: options.bypassCache,
+        fallbackToMock: true,
+        validate: data => unplaced
+          .map((index, position) => position + 1)
+          .filter(chunk => !data.placements.some(placement => placement.chunk === chunk))
+          .map(chunk => `$.placements has no entry for chunk ${chunk}`)
+      }
+    );
+
+    // The mock provider cannot read the document, so its placements would be placeholders
+    if (result.isMock) {
+      return { placements, method: 'keywords', llm_metadata: describeLLMResult(result) };
+    }
+
+    result.data.placements.forEach(placement => {
+      const index = unplaced[placement.chunk - 1];
+      placements[index] = {
+        altitude: placement.altitude,
+        confidence: Math.round(placement.confidence * 100) / 100,
+        reason: placement.reason
+      };
+    });
+    return { placements, method: 'llm', llm_metadata: describeLLMResult(result) };
+  } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+    console.log('[Import] LLM placement failed, using keyword placement:', error.message);
+    return { placements, method: 'keywords', llm_metadata: null };
+  }
+}
+
+function createPlacementPrompt(chunks) {
+  return `ALTITUDE LADDER (highest first):
+${describeAltitudeLadder()}
+
+DOCUMENT, IN ${chunks.length} CHUNKS:
+${chunks.map((chunk, index) => `--- CHUNK ${index + 1} ---\n${chunk}`).join('\n\n')}
+
+For every chunk, give the altitude whose level of thinking it is written at: goals and purpose belong high, markets and categories below them, a specific niche or offer below that, and dated tasks, budgets and steps at the output layer. Give a confidence (0-1) and a one-sentence reason. Place every chunk exactly once.`;
+}
+
+/**
+ * Build a journey from a read document: one block per altitude the document
+ * reaches, chained top-down, each with its branches, readiness and pre-checked
+ * checklist items. The current block is the lowest one.
+ * @param {Object} document - { title, sections, executionPlan } from readDocument
+ * @param {Object} options - `mode` (checklist mode profile); `sessionId`, `signal`,
+ *   `llmSelection` and `bypassCache` are passed to the LLM calls
+ * @returns {Promise<Object>} { title, journey, placements, method, warnings, llm_metadata }
+ *   where journey has the shape the form saves and each placement is
+ *   { chunk, altitude, confidence, reason, preview }
+ */
+export async function importDocument(document, options = {}) {
+  const placed = await placeSections(document.sections, options);
+
+  const groups = new Map();
+  document.sections.forEach((section, index) => {
+    const { altitude } = placed.placements[index];
+    if (!groups.has(altitude)) groups.set(altitude, { texts: [], branches: [] });
+    groups.get(altitude).texts.push(section.text);
+    groups.get(altitude).branches.push(...(section.branches || []));
+  });
+
+  let nodes = [];
+  let parentId = null;
+  const checklistChecks = {};
+  const warnings = [];
+
+  for (const altitude of getAltitudeIds().filter(id => groups.has(id))) {
+    const group = groups.get(altitude);
+    let prompt = group.texts.join('\n\n');
+    if (prompt.length > VALIDATION_CONFIG.maxPromptLength) {
+      prompt = prompt.slice(0, VALIDATION_CONFIG.maxPromptLength);
+      warnings.push(`${getAltitudeName(altitude)} was cut to ${VALIDATION_CONFIG.maxPromptLength} characters`);
+    }
+
+    const branches = group.branches.length > 0
+      ? group.branches
+      : (await extractBranches(prompt, altitude, parentId === null ? [] : toIdeaTree(nodes, parentId), options)).branches
+        .map(({ label, value, confidence, source_span }) => ({ label, value, confidence, source_span }));
+    const readiness = await evaluateReadiness(prompt, altitude, options);
+
+    const fields = { altitude, prompt };
+    const node = {
+      ...(parentId === null ? createTreeNode(fields) : addChildNode(nodes, parentId, fields).node),
+      branches,
+      readiness: readiness.status,
+      readinessDetails: readiness,
+      executionPlan: isExecutionAltitude(altitude) ? document.executionPlan || null : null
+    };
+    nodes = [...nodes, node];
+    parentId = node.id;
+
+    const checklist = await loadChecklistDefinition(altitude, options.mode);
+    if (checklist) {
+      const { evaluation, llm_metadata: llmMetadata } = await evaluateChecklist(altitude, checklist, prompt, toIdeaTree(nodes, node.id), options);
+      // Only a real evaluation is evidence; mock placeholders and the offline heuristic tick nothing
+      checklistChecks[altitude] = llmMetadata.is_mock
+        ? []
+        : checklist.checklist_items.filter(item => evaluation[item.id]?.checked).map(item => item.id);
+    }
+  }
+
+  console.log('[Import]', `${document.sections.length} chunks`, `-> ${nodes.map(node => node.altitude).join(', ')}`, `(${placed.method})`);
+
+  return {
+    title: document.title || 'Imported document',
+    journey: {
+      blocks: nodes,
+      currentBlockId: parentId,
+      userResponses: {},
+      altitudeSummaries: {},
+      driftAnalysis: {},
+      dependencyViolations: {},
+      checklistChecks,
+      iterationLog: []
+    },
+    placements: placed.placements.map((placement, index) => ({
+      chunk: index + 1,
+      ...placement,
+      preview: document.sections[index].text.slice(0, 120)
+    })),
+    method: placed.method,
+    warnings,
+    llm_metadata: placed.llm_metadata
+  };
+}
@@ -3,13 +3,22 @@
  * 
  * Monitors changes in user direction and thinking patterns across altitude levels
  * to detect when users may be deviating from their established path.
+ *
+ * checkForDrift is the keyword-based check; the embedding-based engine in
+ * semanticDrift.js (reached from the browser through analyzeAltitudeDrift)
+ * falls back to it when it cannot run.
  */
 
+import { getClientSessionId, getClientLLMSelection } from './clientSession.js';
+import { getAltitudeLevel } from './altitudeLadder.js';
+import { DRIFT_CONFIG } from './config.js';
+import { evaluateDependencyRules } from './dependencyRules.js';
+
 /**
  * Check for drift between previous and current altitude summaries
  * @param {string} previousSummary - Summary from previous altitude level
  * @param {string} currentSummary - Summary from current altitude level
- * @param {string} altitude - Current altitude level (30k, 20k, 10k, 5k)
+ * @param {string} altitude - Current altitude level (an id on the altitude ladder)
  * @returns {Object} Drift analysis results
  */
 export function checkForDrift(previousSummary, currentSummary, altitude) {
@@ -103,8 +112,9 @@ function detectTopicDrift(prevSummary, currSummary) {
   const topicShift = prevTopics.length > 0 && currTopics.length > 0 && topicOverlap.length === 0;
 
   return {
+    type: 'topic_shift',
     hasDrift: topicShift,
-    confidence: topicShift ? 0.8 : 0,
+    confidence: topicShift ? DRIFT_CONFIG.topicShiftConfidence : 0,
     details: topicShift ? `Topic shift from ${prevTopics.join(', ')} to ${currTopics.join(', ')}` : ''
   };
 }
@@ -118,20 +128,15 @@ function detectScopeDrift(prevSummary, currSummary, altitude) {
   
   // Check for significant scope changes
   const scopeRatio = wordCountCurr / wordCountPrev;
-  const scopeChange = scopeRatio < 0.5 || scopeRatio > 2.0;
-
-  // Altitude-specific scope expectations
-  const altitudeScopeChecks = {
-    '30k': { minWords: 20, maxWords: 100 },
-    '20k': { minWords: 30, maxWords: 150 },
-    '10k': { minWords: 40, maxWords: 200 },
-    '5k': { minWords: 50, maxWords: 300 }
-  };
+  const scopeChange = scopeRatio < DRIFT_CONFIG.scopeChangeThreshold || scopeRatio > 1 / DRIFT_CONFIG.scopeChangeThreshold;
 
-  const expectedScope = altitudeScopeChecks[altitude];
-  const withinExpectedScope = wordCountCurr >= expectedScope.minWords && wordCountCurr <= expectedScope.maxWords;
+  // Altitude-specific scope expectations come from the altitude ladder
+  const expectedScope = getAltitudeLevel(altitude)?.scope;
+  const withinExpectedScope = !expectedScope ||
+    (wordCountCurr >= expectedScope.minWords && wordCountCurr <= expectedScope.maxWords);
 
   return {
+    type: 'scope_change',
     hasDrift: scopeChange || !withinExpectedScope,
     confidence: scopeChange ? 0.7 : (withinExpectedScope ? 0 : 0.6),
     details: scopeChange ? 
@@ -152,13 +157,14 @@ function detectGoalDrift(prevSummary, currSummary) {
   // Check if goals are mentioned in both but seem different
   const hasGoalMention = prevGoals.length > 0 && currGoals.length > 0;
   
-  // Simple semantic similarity check (can be enhanced with embeddings)
+  // Word overlap stands in for the embedding distance semanticDrift.js measures
   const similarityScore = calculateSimpleSimilarity(prevSummary, currSummary);
-  const lowSimilarity = similarityScore < 0.3;
+  const lowSimilarity = similarityScore < DRIFT_CONFIG.similarityThreshold;
 
   return {
+    type: 'goal_misalignment',
     hasDrift: hasGoalMention && lowSimilarity,
-    confidence: hasGoalMention && lowSimilarity ? 0.6 : 0,
+    confidence: hasGoalMention && lowSimilarity ? DRIFT_CONFIG.goalMisalignmentConfidence : 0,
     details: hasGoalMention && lowSimilarity ? 
       `Goal misalignment detected (similarity: ${similarityScore.toFixed(2)})` : ''
   };
@@ -192,57 +198,20 @@ function generateDriftDetails(flags) {
 }
 
 /**
- * Validate altitude dependencies
+ * Validate altitude dependencies against the word and pattern rules in
+ * checklists/altitudeDependencies.json (see dependencyRules.js); semantic
+ * rules need the server, see checkAltitudeDependencies
  * @param {string} altitude - Current altitude level
  * @param {string} content - Content to validate
- * @returns {Object} Validation results
+ * @param {string} mode - Mode profile whose rule overrides apply
+ * @returns {Object} Validation results: { isValid, blocked, violations, skipped }
  */
-export function validateAltitudeDependencies(altitude, content) {
+export function validateAltitudeDependencies(altitude, content, mode) {
   try {
-    const dependencies = require('../checklists/altitudeDependencies.json');
-    const altitudeRules = dependencies[altitude];
-    
-    if (!altitudeRules) {
-      return { isValid: true, violations: [] };
-    }
-
-    const violations = [];
-    const contentLower = content.toLowerCase();
-
-    // Check for forbidden terms
-    if (altitudeRules.must_not_include) {
-      altitudeRules.must_not_include.forEach(term => {
-        if (contentLower.includes(term.toLowerCase())) {
-          violations.push({
-            type: 'forbidden_term',
-            term: term,
-            message: `"${term}" should not be mentioned at ${altitude} level`
-          });
-        }
-      });
-    }
-
-    // Check for required terms
-    if (altitudeRules.must_include) {
-      altitudeRules.must_include.forEach(term => {
-        if (!contentLower.includes(term.toLowerCase())) {
-          violations.push({
-            type: 'missing_required_term',
-            term: term,
-            message: `"${term}" should be mentioned at ${altitude} level`
-          });
-        }
-      });
-    }
-
-    return {
-      isValid: violations.length === 0,
-      violations: violations
-    };
-
+    return evaluateDependencyRules(altitude, content, { mode });
   } catch (error) {
     console.error('Error validating altitude dependencies:', error);
-    return { isValid: true, violations: [] };
+    return { isValid: true, blocked: false, violations: [], skipped: [] };
   }
 }
 
@@ -257,7 +226,7 @@ export async function generateAltitudeSummary(content, altitude) {
     const response = await fetch('/api/generate-summary', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ content, altitude })
+      body: JSON.stringify({ content, altitude, sessionId: getClientSessionId(), llm: getClientLLMSelection() })
     });
 
     if (response.ok) {
@@ -273,10 +242,61 @@ export async function generateAltitudeSummary(content, altitude) {
   }
 }
 
+/**
+ * Check an altitude summary for drift from the 30k vision and the level before
+ * with the embedding-based engine, falling back to the keyword check
+ * @param {Object} summaries - { vision, previous, current, altitude }
+ * @returns {Promise<Object>} Drift analysis results (see analyzeSemanticDrift)
+ */
+export async function analyzeAltitudeDrift({ vision, previous, current, altitude }) {
+  try {
+    const response = await fetch('/api/check-drift', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ vision, previous, current, altitude, sessionId: getClientSessionId(), llm: getClientLLMSelection() })
+    });
+
+    if (response.ok) {
+      const result = await response.json();
+      return result.drift;
+    } else {
+      return { ...checkForDrift(previous || vision, current, altitude), engine: 'keywords' };
+    }
+  } catch (error) {
+    console.error('Error analyzing altitude drift:', error);
+    return { ...checkForDrift(previous || vision, current, altitude), engine: 'keywords' };
+  }
+}
+
 /**
  * Generate simple summary as fallback
  */
 function generateSimpleSummary(content, altitude) {
   const words = content.split(' ').slice(0, 20).join(' ');
   return `[${altitude}] ${words}...`;
-} 
\ No newline at end of file
+}
+
+/**
+ * Validate altitude dependencies with every rule, semantic ones judged by the
+ * LLM on the server, falling back to the word and pattern rules alone
+ * @returns {Promise<Object>} Validation results (see judgeDependencyRules)
+ */
+export async function checkAltitudeDependencies(altitude, content, mode) {
+  try {
+    const response = await fetch('/api/check-dependencies', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ altitude, content, mode, sessionId: getClientSessionId(), llm: getClientLLMSelection() })
+    });
+
+    if (response.ok) {
+      const result = await response.json();
+      return result.dependencies;
+    } else {
+      return validateAltitudeDependencies(altitude, content, mode);
+    }
+  } catch (error) {
+    console.error('Error checking altitude dependencies:', error);
+    return validateAltitudeDependencies(altitude, content, mode);
+  }
+}
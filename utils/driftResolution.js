@@ -0,0 +1,107 @@
+/**
+ * Drift Resolution
+ *
+ * What the user can do about a drift flag on a block (see semanticDrift.js):
+ * - revert: restore the block's text from before the change that drifted
+ * - accept_pivot: keep the change as intentional; the block is marked as a
+ *   pivot and the 30k anchor lower levels are checked against moves with it
+ * - reanchor: have the LLM rewrite the block back towards the vision
+ *   (/api/reanchor)
+ *
+ * Every decision is logged in the journey's iteration log, which is saved with
+ * the session. Helpers are pure and return new objects.
+ */
+
+import { getDerivationSource } from './ideaTree.js';
+
+export const DRIFT_ACTIONS = {
+  revert: 'Revert',
+  accept_pivot: 'Accept as intentional pivot',
+  reanchor: 'Re-anchor'
+};
+
+export const DRIFT_TYPE_LABELS = {
+  topic_shift: 'Topic shift',
+  scope_change: 'Scope change',
+  goal_misalignment: 'Goal misalignment'
+};
+
+/**
+ * The flag's drift type; flags saved before flags were typed fall back to the analysis'
+ */
+export function getFlagType(analysis, flag) {
+  return flag.type || analysis.driftType;
+}
+
+/**
+ * The block's text before its latest change, from the iteration log: the most
+ * recent logged version that differs from the current text and was not itself
+ * reverted away from. A block never refined differently goes back to its
+ * unrefined idea.
+ * @returns {{ prompt: string, refinedPrompt: string }|null} null when there is nothing to go back to
+ */
+export function getRevertTarget(block, iterationLog) {
+  const current = getDerivationSource(block);
+  const entries = iterationLog.filter(entry => entry.blockId === block.id);
+  const revertedFrom = new Set(entries
+    .filter(entry => entry.decision?.action === 'revert')
+    .map(entry => entry.decision.revertedFrom));
+
+  const previous = [...entries].reverse().find(entry => {
+    const text = entry.refinedPrompt || entry.input;
+    return text && text !== current && !revertedFrom.has(text);
+  });
+  if (previous) return { prompt: previous.input, refinedPrompt: previous.refinedPrompt || '' };
+
+  return block.refinedPrompt ? { prompt: block.prompt, refinedPrompt: '' } : null;
+}
+
+/**
+ * Mark drift flags as resolved. Revert and re-anchor replace the text every flag
+ * was about, so they resolve all of them; accepting a pivot resolves only the
+ * flag it was chosen for.
+ * @returns {Object} The analysis with `resolution: { action, at }` on resolved flags
+ *   and `resolved` set once none is left open
+ */
+export function resolveDriftFlags(analysis, flagIndex, action) {
+  const resolution = { action, at: new Date().toISOString() };
+  const flags = analysis.flags.map((flag, index) => (
+    !flag.resolution && (action !== 'accept_pivot' || index === flagIndex) ? { ...flag, resolution } : flag
+  ));
+
+  return { ...analysis, flags, resolved: flags.every(flag => flag.resolution) };
+}
+
+/**
+ * Record an accepted pivot on a block: the drift types accepted there, the text
+ * they were accepted for and the anchor before and after
+ */
+export function createPivot(block, driftType, { anchor, previousAnchor }) {
+  return {
+    driftTypes: [...new Set([...(block.pivot?.driftTypes || []), driftType])],
+    content: getDerivationSource(block),
+    anchor,
+    previousAnchor: block.pivot ? block.pivot.previousAnchor : previousAnchor,
+    acceptedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Iteration log entry for a decision
+ * @param {Object} block - The block as it was when the decision was made
+ * @param {Object} after - { prompt, refinedPrompt } the block has after the decision
+ * @param {Object} decision - { action, driftType, details, ... } plus action-specific fields
+ *   (revertedFrom, anchor, previousAnchor, changes)
+ */
+export function createDecisionEntry(block, after, decision) {
+  return {
+    blockId: block.id,
+    altitude: block.altitude,
+    input: after.prompt,
+    refinedPrompt: after.refinedPrompt,
+    questions: [],
+    readiness: block.readiness,
+    decision,
+    timestamp: new Date().toISOString()
+  };
+}
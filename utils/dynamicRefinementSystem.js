@@ -6,6 +6,9 @@
  */
 
 import { createTemplateFromBlueprint } from './dynamicTemplateSystem.js';
+import { REFINEMENT_SCHEMA } from './structuredOutput.js';
+import { evaluateReadiness } from './readinessEvaluator.js';
+import { answerWithAssumptions, formatAssumptions, appendAssumptions, checkChainStep } from './yoloChain.js';
 
 /**
  * Main dynamic refinement function
@@ -13,7 +16,7 @@ import { createTemplateFromBlueprint } from './dynamicTemplateSystem.js';
  * @param {string} userPrompt - User's current input
  * @param {Array} layerHistory - History of user's progression through layers
  * @param {Object} userResponses - User's responses to AI questions
- * @param {boolean} yoloMode - Skip to final layer
+ * @param {boolean} yoloMode - Refine every layer down to the output layer in one go (see runLayerChain)
  */
 export async function refineWithDynamicTemplate(blueprint, userPrompt, layerHistory = [], userResponses = null, yoloMode = false) {
   try {
@@ -30,82 +33,19 @@ export async function refineWithDynamicTemplate(blueprint, userPrompt, layerHist
       currentLayerId = template.layerOrder[Math.min(maxLayerIndex, template.layerOrder.length - 1)];
     }
     
-    // Determine next layer
-    let nextLayerId = currentLayerId;
     if (yoloMode) {
-      nextLayerId = template.layerOrder[template.layerOrder.length - 1]; // Final layer
-    } else {
-      nextLayerId = template.getNextLayer(currentLayerId);
+      return await runLayerChain(template, currentLayerId, userPrompt, layerHistory, userResponses);
     }
+
+    // Determine next layer
+    const nextLayerId = template.getNextLayer(currentLayerId);
     
     // Check if we're at the output layer
     if (template.isOutputLayer(currentLayerId) || template.isOutputLayer(nextLayerId)) {
-      const output = template.generateOutput(userPrompt, layerHistory, userResponses);
-      return {
-        original_prompt: userPrompt,
-        refined_prompt: userPrompt,
-        current_layer: currentLayerId,
-        next_layer: currentLayerId,
-        layer_info: template.getLayerInfo(currentLayerId),
-        readiness_status: 'green',
-        layer_history: layerHistory,
-        output: output,
-        is_output_layer: true,
-        template_name: template.name
-      };
-    }
-    
-    // Generate LLM prompt for refinement
-    const instructionPrompt = template.generateRefinementPrompt(currentLayerId, userPrompt, userResponses);
-    
-    // Call LLM for intelligent refinement
-    let refinedPrompt = userPrompt;
-    let questions = template.getLayerQuestions(currentLayerId).slice(0, 2); // Default questions
-    
-    try {
-      const llmResponse = await callLLMForRefinement(instructionPrompt);
-      
-      if (llmResponse && llmResponse.refined_prompt) {
-        refinedPrompt = llmResponse.refined_prompt;
-        if (llmResponse.questions && llmResponse.questions.length > 0) {
-          questions = llmResponse.questions;
-        }
-      }
-    } catch (error) {
-      console.error('Error calling LLM for refinement:', error);
-      // Fall back to template questions
+      return createOutputResult(template, currentLayerId, userPrompt, layerHistory, userResponses);
     }
     
-    // Assess readiness (simplified for dynamic templates)
-    const readinessStatus = assessDynamicReadiness(userPrompt, currentLayerId, template);
-    
-    // Create new layer history entry
-    const newHistoryEntry = {
-      layerId: currentLayerId,
-      prompt: userPrompt,
-      refinedPrompt: refinedPrompt,
-      responses: userResponses ? [userResponses] : [],
-      timestamp: new Date().toISOString()
-    };
-    
-    const updatedHistory = [...layerHistory, newHistoryEntry];
-    
-    return {
-      original_prompt: userPrompt,
-      refined_prompt: refinedPrompt,
-      instruction_prompt: instructionPrompt,
-      current_layer: currentLayerId,
-      next_layer: nextLayerId,
-      layer_info: template.getLayerInfo(currentLayerId),
-      next_layer_info: nextLayerId ? template.getLayerInfo(nextLayerId) : null,
-      readiness_status: readinessStatus,
-      layer_history: updatedHistory,
-      suggested_questions: questions,
-      transition_guidance: template.getTransitionGuidance(currentLayerId, nextLayerId),
-      template_name: template.name,
-      template_description: template.description
-    };
-    
+    return await refineLayer(template, currentLayerId, nextLayerId, userPrompt, layerHistory, userResponses);
   } catch (error) {
     console.error('Error in dynamic refinement:', error);
     return {
@@ -121,7 +61,136 @@ export async function refineWithDynamicTemplate(blueprint, userPrompt, layerHist
 }
 
 /**
- * Assess readiness for dynamic templates
+ * The output layer's result: the template's output from the layer history
+ */
+function createOutputResult(template, layerId, userPrompt, layerHistory, userResponses) {
+  const output = template.generateOutput(userPrompt, layerHistory, userResponses);
+  return {
+    original_prompt: userPrompt,
+    refined_prompt: userPrompt,
+    current_layer: layerId,
+    next_layer: layerId,
+    layer_info: template.getLayerInfo(layerId),
+    readiness_status: 'green',
+    layer_history: layerHistory,
+    output: output,
+    is_output_layer: true,
+    template_name: template.name
+  };
+}
+
+/**
+ * Refine the user's input for one layer, towards the next
+ */
+async function refineLayer(template, currentLayerId, nextLayerId, userPrompt, layerHistory, userResponses) {
+  // Generate LLM prompt for refinement
+  const instructionPrompt = template.generateRefinementPrompt(currentLayerId, userPrompt, userResponses);
+  
+  // Call LLM for intelligent refinement
+  let refinedPrompt = userPrompt;
+  let questions = template.getLayerQuestions(currentLayerId).slice(0, 2); // Default questions
+  
+  try {
+    const llmResponse = await callLLMForRefinement(instructionPrompt);
+    
+    if (llmResponse && llmResponse.refined_prompt) {
+      refinedPrompt = llmResponse.refined_prompt;
+      if (llmResponse.questions && llmResponse.questions.length > 0) {
+        questions = llmResponse.questions;
+      }
+    }
+  } catch (error) {
+    console.error('Error calling LLM for refinement:', error);
+    // Fall back to template questions
+  }
+  
+  // Grade readiness against the layer; the keyword check is the offline fallback
+  const layer = template.getLayerInfo(currentLayerId);
+  const readiness = await evaluateReadiness(userPrompt, currentLayerId, {
+    level: layer ? { name: layer.name, description: `${layer.description}. Focus: ${layer.focus}` } : null,
+    fallback: () => ({ status: assessDynamicReadiness(userPrompt, currentLayerId, template), score: null })
+  });
+  
+  // Create new layer history entry
+  const newHistoryEntry = {
+    layerId: currentLayerId,
+    prompt: userPrompt,
+    refinedPrompt: refinedPrompt,
+    responses: userResponses ? [userResponses] : [],
+    timestamp: new Date().toISOString()
+  };
+  
+  const updatedHistory = [...layerHistory, newHistoryEntry];
+  
+  return {
+    original_prompt: userPrompt,
+    refined_prompt: refinedPrompt,
+    instruction_prompt: instructionPrompt,
+    current_layer: currentLayerId,
+    next_layer: nextLayerId,
+    layer_info: template.getLayerInfo(currentLayerId),
+    next_layer_info: nextLayerId ? template.getLayerInfo(nextLayerId) : null,
+    readiness_status: readiness.status,
+    readiness,
+    layer_history: updatedHistory,
+    suggested_questions: questions,
+    transition_guidance: template.getTransitionGuidance(currentLayerId, nextLayerId),
+    template_name: template.name,
+    template_description: template.description
+  };
+}
+
+/**
+ * Yolo mode for templates: refine every layer from `startLayerId` to the output
+ * layer without stopping for the user. Each layer's questions are answered with
+ * labelled assumptions, passed on as the next layer's responses, and each step
+ * is checked for drift (yoloChain.js); the chain stops at the first red flag.
+ * @returns {Promise<Object>} The last layer's result plus `yolo`: { layers, stopped } where each
+ *   layer is { layerId, refined_prompt, readiness_status, assumptions, drift, red_flags } and
+ *   stopped is null or { layerId, reasons }
+ */
+async function runLayerChain(template, startLayerId, userPrompt, layerHistory, userResponses) {
+  const layers = [];
+  let layerId = startLayerId;
+  let prompt = userPrompt;
+  let history = layerHistory;
+  let responses = userResponses;
+
+  while (layerId && !template.isOutputLayer(layerId)) {
+    const result = await refineLayer(template, layerId, template.getNextLayer(layerId), prompt, history, responses);
+    const assumptions = await answerWithAssumptions(result.refined_prompt, template.getLayerInfo(layerId).name, result.suggested_questions);
+    const checks = await checkChainStep({
+      visionContent: layers[0]?.refined_prompt,
+      previousContent: layers[layers.length - 1]?.refined_prompt,
+      content: result.refined_prompt,
+      level: layerId,
+      readinessStatus: result.readiness_status
+    });
+
+    layers.push({
+      layerId,
+      refined_prompt: result.refined_prompt,
+      readiness_status: result.readiness_status,
+      assumptions,
+      drift: checks.drift,
+      red_flags: checks.redFlags
+    });
+
+    if (checks.redFlags.length > 0) {
+      return { ...result, yolo: { layers, stopped: { layerId, reasons: checks.redFlags } } };
+    }
+
+    history = result.layer_history;
+    prompt = appendAssumptions(result.refined_prompt, assumptions);
+    responses = formatAssumptions(assumptions) || null;
+    layerId = template.getNextLayer(layerId);
+  }
+
+  return { ...createOutputResult(template, layerId || startLayerId, prompt, history, responses), yolo: { layers, stopped: null } };
+}
+
+/**
+ * Keyword readiness check for dynamic templates (fallback when no LLM can grade)
  */
 function assessDynamicReadiness(userPrompt, layerId, template) {
   const layer = template.getLayerInfo(layerId);
@@ -138,12 +207,26 @@ function assessDynamicReadiness(userPrompt, layerId, template) {
 }
 
 /**
- * Call LLM for refinement (placeholder - would use your existing LLM system)
+ * Call LLM for refinement
+ * @returns {Object|null} Validated { refined_prompt, questions }, or null to use fallback logic
  */
 async function callLLMForRefinement(instructionPrompt) {
-  // This would integrate with your existing LLM provider system
-  // For now, return null to use fallback logic
-  return null;
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured } = await import('./llmProviders.js');
+
+    const systemPrompt = `You are an expert layer-by-layer thinking assistant. Refine the user's input for the current template layer and ask questions that move them to the next layer.`;
+
+    const result = await callLLMStructured(REFINEMENT_SCHEMA, systemPrompt, instructionPrompt, {
+      fallbackToMock: true
+    });
+
+    console.log(`[LLM] Dynamic refinement response received from ${result.providerName}`);
+    return result.data;
+  } catch (error) {
+    console.error('Error in dynamic callLLMForRefinement:', error);
+    return null;
+  }
 }
 
 /**
@@ -32,6 +32,16 @@ export class LLMError extends AppError {
   }
 }
 
+/**
+ * Request Cancelled Error (client disconnected or aborted the request)
+ */
+export class RequestCancelledError extends AppError {
+  constructor(message = 'Request cancelled', details = null) {
+    super(message, 'REQUEST_CANCELLED', 499, details);
+    this.name = 'RequestCancelledError';
+  }
+}
+
 /**
  * Validation Error
  */
@@ -246,6 +256,12 @@ export function withErrorHandling(handler) {
     try {
       await handler(req, res);
     } catch (error) {
+      // Nobody is left to receive an error response
+      if (error instanceof RequestCancelledError && res.destroyed) {
+        console.log(`[API] Request cancelled by client: ${req.method} ${req.url}`);
+        return;
+      }
+
       const errorResponse = globalErrorHandler.handleError(error, {
         method: req.method,
         url: req.url,
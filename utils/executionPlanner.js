@@ -0,0 +1,187 @@
+/**
+ * Execution Planner
+ *
+ * Produces the plan at the output layer (the bottom of the altitude ladder)
+ * from the journey itself: the idea, the idea tree above it and the user's
+ * answers at each altitude. The LLM writes dated milestones with dependencies,
+ * measurable success metrics, resources and a budget, risks and a first-week
+ * task list (EXECUTION_PLAN_SCHEMA). When no real provider is available a
+ * skeleton plan dated from the start date is built from the tree instead, for
+ * the user to fill in.
+ */
+
+import { EXECUTION_PLAN_SCHEMA, validateAgainstSchema } from './structuredOutput.js';
+import { getAltitudeName } from './altitudeLadder.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+/**
+ * A YYYY-MM-DD date some days after another (today when none is given)
+ */
+export function addDays(date, days) {
+  const base = date ? new Date(`${date}T00:00:00Z`) : new Date();
+  base.setUTCDate(base.getUTCDate() + days);
+  return base.toISOString().slice(0, 10);
+}
+
+/**
+ * Check a plan against EXECUTION_PLAN_SCHEMA and the rules the schema cannot
+ * express: real dates, unique milestone ids, dependencies on known milestones
+ * without cycles, and no milestone due before one it depends on
+ * @returns {Array<string>} Human-readable errors (empty when valid)
+ */
+export function checkExecutionPlan(plan) {
+  const errors = validateAgainstSchema(plan, EXECUTION_PLAN_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  const milestones = new Map();
+  plan.milestones.forEach((milestone, index) => {
+    if (milestones.has(milestone.id)) {
+      errors.push(`$.milestones[${index}].id "${milestone.id}" is used by another milestone`);
+    }
+    milestones.set(milestone.id, milestone);
+    if (!isValidDate(milestone.due_date)) {
+      errors.push(`$.milestones[${index}].due_date must be a date in YYYY-MM-DD format`);
+    }
+  });
+
+  plan.milestones.forEach((milestone, index) => {
+    milestone.depends_on.forEach(dependencyId => {
+      const dependency = milestones.get(dependencyId);
+      if (!dependency || dependencyId === milestone.id) {
+        errors.push(`$.milestones[${index}].depends_on refers to unknown milestone "${dependencyId}"`);
+      } else if (isValidDate(milestone.due_date) && isValidDate(dependency.due_date) && milestone.due_date < dependency.due_date) {
+        errors.push(`$.milestones[${index}] is due before "${dependencyId}", which it depends on`);
+      }
+    });
+  });
+
+  // Walk the dependencies from every milestone; meeting the start again is a cycle
+  const hasCycle = (id, visiting = new Set()) => {
+    if (visiting.has(id)) return true;
+    visiting.add(id);
+    const found = (milestones.get(id)?.depends_on || []).some(dependencyId => milestones.has(dependencyId) && hasCycle(dependencyId, visiting));
+    visiting.delete(id);
+    return found;
+  };
+  if ([...milestones.keys()].some(id => hasCycle(id))) {
+    errors.push('$.milestones dependencies must not form a cycle');
+  }
+
+  return errors;
+}
+
+/**
+ * Skeleton plan built from the idea tree (the offline fallback). Dates,
+ * dependencies and structure are real; costs and targets are left for the user.
+ */
+export function buildFallbackPlan({ idea, ideaTree = [], startDate }) {
+  const branchValues = label => ideaTree.filter(branch => branch.label === label).map(branch => branch.value);
+  const focus = branchValues('Focus')[0] || idea;
+  const metrics = branchValues('Success Metrics');
+  const resources = [...branchValues('Resources'), ...branchValues('Technology')];
+
+  return {
+    summary: idea,
+    milestones: [
+      { id: 'm1', title: `Plan: ${focus}`, due_date: addDays(startDate, 7), depends_on: [], deliverable: 'Written plan with scope, budget and targets' },
+      { id: 'm2', title: 'Set up what the plan needs', due_date: addDays(startDate, 21), depends_on: ['m1'], deliverable: 'Tools, accounts and people in place' },
+      { id: 'm3', title: 'Launch', due_date: addDays(startDate, 45), depends_on: ['m2'], deliverable: 'First version in front of real users or customers' },
+      { id: 'm4', title: 'Review results against targets', due_date: addDays(startDate, 75), depends_on: ['m3'], deliverable: 'Decision to continue, adjust or stop' }
+    ],
+    success_metrics: (metrics.length > 0 ? metrics : ['First results after launch']).map(metric => ({
+      metric,
+      target: 'Set a number in week 1',
+      measured_by: 'Weekly review'
+    })),
+    resources: resources.map(item => ({ item, category: 'tools', estimated_cost: 0 })),
+    budget: { total: 0, currency: 'USD', notes: 'Not estimated; add costs while planning' },
+    risks: [
+      { risk: 'Plan stalls without a weekly check-in', likelihood: 'medium', impact: 'medium', mitigation: 'Book a fixed weekly review' }
+    ],
+    first_week: [
+      { day: 1, task: `Write down what done looks like for: ${focus}`, hours: 1 },
+      { day: 2, task: 'List the resources and costs needed', hours: 2 },
+      { day: 3, task: 'Set a target number for each success metric', hours: 1 },
+      { day: 4, task: 'Identify the biggest risks and how to reduce them', hours: 1 },
+      { day: 5, task: 'Confirm milestone dates and book the first review', hours: 1 }
+    ]
+  };
+}
+
+/**
+ * Generate the execution plan for a journey
+ * @param {Object} journey - { idea, ideaTree, userResponses, startDate } where userResponses
+ *   maps an altitude to the user's answers there and startDate is YYYY-MM-DD (default today)
+ * @param {Object} options - `sessionId`, `signal`, `llmSelection` and `bypassCache` are passed to the LLM call
+ * @returns {Promise<Object>} { execution_plan, method, llm_metadata } where method is 'llm' or 'template'
+ */
+export async function generateExecutionPlan({ idea, ideaTree = [], userResponses = {}, startDate = addDays(null, 0) }, options = {}) {
+  const fallback = (llmMetadata = null) => ({
+    execution_plan: buildFallbackPlan({ idea, ideaTree, startDate }),
+    method: 'template',
+    llm_metadata: llmMetadata
+  });
+
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const result = await callLLMStructured(
+      EXECUTION_PLAN_SCHEMA,
+      'You turn a refined idea into an execution plan someone can start on Monday. Be concrete: real dates, numbers for every target and cost, and tasks small enough to finish in a day.',
+      createPlanPrompt(idea, ideaTree, userResponses, startDate),
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        sessionId: options.sessionId,
+        signal: options.signal,
+        bypassCache: options.bypassCache,
+        fallbackToMock: true,
+        validate: checkExecutionPlan
+      }
+    );
+
+    // The mock provider fills the schema with placeholders, not a plan
+    if (result.isMock) {
+      return fallback(describeLLMResult(result));
+    }
+
+    return { execution_plan: result.data, method: 'llm', llm_metadata: describeLLMResult(result) };
+  } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+    console.log('[Execution] LLM plan failed, using template:', error.message);
+    return fallback();
+  }
+}
+
+function createPlanPrompt(idea, ideaTree, userResponses, startDate) {
+  const tree = ideaTree
+    .map(branch => `- ${branch.altitude} ${getAltitudeName(branch.altitude)}${branch.label ? ` / ${branch.label}` : ''}: ${branch.value}`)
+    .join('\n');
+  const responses = Object.entries(userResponses)
+    .filter(([, answer]) => answer)
+    .map(([altitude, answer]) => `- ${altitude}: ${answer}`)
+    .join('\n');
+
+  return `IDEA:
+"${idea}"
+
+IDEA TREE (highest altitude first):
+${tree || '(none)'}
+
+USER'S ANSWERS BY ALTITUDE:
+${responses || '(none)'}
+
+START DATE: ${startDate}
+
+Write the execution plan:
+1. Milestones: ids "m1", "m2", ...; due dates (YYYY-MM-DD) on or after the start date; "depends_on" lists the ids that must finish first, and a milestone is never due before one it depends on
+2. Success metrics: each with a numeric target and how it is measured
+3. Resources: what is needed, its category and estimated cost; the budget total covers them
+4. Risks: likelihood and impact (low, medium or high) and a mitigation
+5. First week: tasks for days 1 to 7 with hours for each
+Use only what the idea, tree and answers support; do not switch to a different idea.`;
+}
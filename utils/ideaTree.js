@@ -0,0 +1,298 @@
+/**
+ * Idea Tree
+ *
+ * A journey is a tree of nodes, one per altitude iteration. Each node links to
+ * the node it was derived from (parentId), so exploring two alternatives at
+ * the same altitude is a fork: two siblings under one parent. Promoting a
+ * branch archives its siblings instead of deleting them, so any branch can be
+ * reopened later.
+ *
+ * A node remembers the text it was derived from (derivedFrom). When a higher
+ * node is edited after lower ones were derived from it, the lower ones no
+ * longer match and are reported as stale until re-derived or confirmed.
+ *
+ * Nodes are kept in a flat array; every helper is pure and returns new arrays.
+ */
+
+let nodeCounter = 0;
+
+/**
+ * Create a node
+ * @param {Object} fields - { parentId, altitude, prompt, history, derivedFrom }
+ */
+export function createTreeNode({ parentId = null, altitude, prompt = '', history = [], derivedFrom = null }) {
+  nodeCounter = (nodeCounter + 1) % 1000;
+
+  return {
+    // Date.now() alone collides when a fork and its parent are made in the same tick
+    id: Date.now() * 1000 + nodeCounter,
+    parentId,
+    altitude,
+    prompt,
+    refinedPrompt: '',
+    context: '',
+    suggestedQuestions: [],
+    readiness: 'red',
+    readinessDetails: null, // Per-factor breakdown from the readiness evaluator
+    branches: [], // Typed branches the user accepted: [{ label, value, confidence, source_span }]
+    executionPlan: null, // Output-layer plan (see executionPlanner.js), edited by the user
+    pivot: null, // Set when drift here was accepted as an intentional pivot (see driftResolution.js)
+    iterations: 0,
+    history,
+    derivedFrom,
+    status: 'active',
+    createdAt: new Date().toISOString()
+  };
+}
+
+export function findNode(nodes, nodeId) {
+  return nodes.find(node => node.id === nodeId) || null;
+}
+
+export function getChildren(nodes, nodeId) {
+  return nodes.filter(node => node.parentId === nodeId);
+}
+
+/**
+ * The text lower altitudes are derived from: the refinement, or the idea itself
+ */
+export function getDerivationSource(node) {
+  return node.refinedPrompt || node.prompt;
+}
+
+/**
+ * The most recently created active child, i.e. the way down the user last took
+ */
+export function getLatestChild(nodes, nodeId) {
+  return getChildren(nodes, nodeId)
+    .filter(node => node.status !== 'archived')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+}
+
+/**
+ * Nodes sharing a parent with the given node, the node itself included
+ */
+export function getSiblings(nodes, nodeId) {
+  const node = findNode(nodes, nodeId);
+  if (!node) return [];
+
+  return nodes.filter(other => other.parentId === node.parentId);
+}
+
+/**
+ * Nodes from the root down to the given node
+ */
+export function getNodePath(nodes, nodeId) {
+  const path = [];
+  let node = findNode(nodes, nodeId);
+
+  while (node) {
+    path.unshift(node);
+    node = node.parentId === null ? null : findNode(nodes, node.parentId);
+  }
+  return path;
+}
+
+/**
+ * Ids of a node and everything derived from it
+ */
+export function getSubtreeIds(nodes, nodeId) {
+  const ids = new Set([nodeId]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const node of nodes) {
+      if (!ids.has(node.id) && ids.has(node.parentId)) {
+        ids.add(node.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Add a node derived from an existing one (the next altitude down)
+ * @returns {{ nodes: Object[], node: Object }}
+ */
+export function addChildNode(nodes, parentId, fields) {
+  const parent = findNode(nodes, parentId);
+  const node = createTreeNode({ ...fields, parentId, derivedFrom: parent ? getDerivationSource(parent) : null });
+  return { nodes: [...nodes, node], node };
+}
+
+/**
+ * Add a line of nodes below a node, each derived from the one before
+ * @param {Array} chain - Fields for each node, top-down; fields createTreeNode does not take
+ *   (refinedPrompt, readiness, branches, ...) are copied onto the node
+ * @returns {{ nodes: Object[], node: Object }} node is the lowest one added
+ */
+export function addNodeChain(nodes, parentId, chain) {
+  return chain.reduce(({ nodes: current, node: parent }, { altitude, prompt, history, ...fields }) => {
+    const added = addChildNode(current, parent.id, { altitude, prompt, history });
+    const node = { ...added.node, ...fields };
+    return { nodes: [...current, node], node };
+  }, { nodes, node: findNode(nodes, parentId) });
+}
+
+/**
+ * Fork a node: a sibling at the same altitude starting from the same idea,
+ * so the two alternatives can be refined independently
+ * @returns {{ nodes: Object[], node: Object }}
+ */
+export function forkNode(nodes, nodeId) {
+  const source = findNode(nodes, nodeId);
+  if (!source) return { nodes, node: null };
+
+  const parent = source.parentId === null ? null : findNode(nodes, source.parentId);
+  const node = createTreeNode({
+    parentId: source.parentId,
+    altitude: source.altitude,
+    prompt: source.prompt,
+    // Start from the conversation the source started from, not its own refinements
+    history: parent?.history || [],
+    derivedFrom: source.derivedFrom
+  });
+
+  return { nodes: [...nodes, node], node };
+}
+
+/**
+ * Promote a branch: the node and its ancestors become active, and the
+ * alternatives at every altitude along that path are archived together with
+ * everything derived from them
+ */
+export function promoteNode(nodes, nodeId) {
+  const path = getNodePath(nodes, nodeId);
+  if (path.length === 0) return nodes;
+
+  const pathIds = new Set(path.map(pathNode => pathNode.id));
+  const archivedIds = new Set(
+    path
+      .flatMap(pathNode => getSiblings(nodes, pathNode.id))
+      .filter(sibling => !pathIds.has(sibling.id))
+      .flatMap(sibling => Array.from(getSubtreeIds(nodes, sibling.id)))
+  );
+
+  return nodes.map(other => {
+    if (pathIds.has(other.id) && other.status !== 'active') {
+      return { ...other, status: 'active' };
+    }
+    if (archivedIds.has(other.id) && other.status !== 'archived') {
+      return { ...other, status: 'archived' };
+    }
+    return other;
+  });
+}
+
+/**
+ * Ids of nodes whose parent changed after they were derived from it, and of
+ * everything below them. Nodes without a recorded source are never stale.
+ */
+export function getStaleNodeIds(nodes) {
+  const stale = new Set();
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const isStale = (node) => {
+    if (stale.has(node.id)) return true;
+    const parent = node.parentId === null ? null : byId.get(node.parentId);
+    if (!parent) return false;
+
+    const result = (node.derivedFrom !== null && node.derivedFrom !== undefined && node.derivedFrom !== getDerivationSource(parent))
+      || isStale(parent);
+    if (result) stale.add(node.id);
+    return result;
+  };
+
+  nodes.forEach(isStale);
+  return stale;
+}
+
+/**
+ * The line through a node: its path from the root plus the way down it last took
+ */
+export function getNodeLine(nodes, nodeId) {
+  const line = getNodePath(nodes, nodeId);
+  for (let child = getLatestChild(nodes, nodeId); child; child = getLatestChild(nodes, child.id)) {
+    line.push(child);
+  }
+  return line;
+}
+
+/**
+ * The stale part of the line through a node: its path from the root plus the
+ * way down it last took, from the first stale node to the bottom
+ * @returns {{ upstream: Object, chain: Object[] }|null} upstream is the changed
+ *   node the chain must be re-derived from; null when nothing on the line is stale
+ */
+export function getStaleLine(nodes, nodeId, staleIds = getStaleNodeIds(nodes)) {
+  const line = getNodeLine(nodes, nodeId);
+  const firstStale = line.findIndex(node => staleIds.has(node.id));
+  if (firstStale <= 0) return null;
+
+  return { upstream: line[firstStale - 1], chain: line.slice(firstStale) };
+}
+
+/**
+ * Apply re-derived content to a chain, top-down, and record each node as
+ * derived from its (possibly just rewritten) parent
+ * @param {Object[]} updates - Per chain node: { prompt, refinedPrompt }, or null
+ *   to keep its content and only confirm it still follows from its parent
+ */
+export function applyRederivation(nodes, upstreamId, chain, updates) {
+  let parentSource = getDerivationSource(findNode(nodes, upstreamId));
+  const changes = new Map();
+
+  chain.forEach((chainNode, index) => {
+    // Content may have been edited while the re-derivation was running
+    const node = findNode(nodes, chainNode.id) || chainNode;
+    const update = updates[index];
+    const next = update
+      ? { ...node, prompt: update.prompt, refinedPrompt: update.refinedPrompt, derivedFrom: parentSource, rederivedAt: new Date().toISOString() }
+      : { ...node, derivedFrom: parentSource };
+    changes.set(node.id, next);
+    parentSource = getDerivationSource(next);
+  });
+
+  return nodes.map(node => changes.get(node.id) || node);
+}
+
+/**
+ * The idea tree sent with LLM requests: the current branch only, so forks and
+ * archived alternatives do not leak into the prompt. Each node is followed by
+ * the typed branches accepted at its altitude.
+ * @returns {Array} [{ value, altitude }, { label, value, altitude }, ...]
+ */
+export function toIdeaTree(nodes, nodeId) {
+  return getNodePath(nodes, nodeId).flatMap(node => [
+    { value: node.prompt, altitude: node.altitude },
+    ...(node.branches || []).map(branch => ({ label: branch.label, value: branch.value, altitude: node.altitude }))
+  ]);
+}
+
+/**
+ * Upgrade blocks saved before the tree model (no parentId): the single block
+ * becomes a root node
+ */
+export function normaliseTreeNodes(nodes) {
+  return nodes.map(node => ({
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    branches: [],
+    ...node,
+    parentId: node.parentId ?? null
+  }));
+}
+
+/**
+ * Upgrade per-node state saved before it was keyed by node id (keyed by
+ * altitude): each altitude's entry moves to the node at that altitude on the
+ * current line. Entries already keyed by node id are kept as they are.
+ */
+export function keyByNodeId(nodes, currentId, entries = {}) {
+  const line = nodes.length > 0 ? getNodeLine(nodes, currentId) : [];
+  return Object.fromEntries(Object.entries(entries).map(([key, value]) => {
+    const node = line.find(candidate => candidate.altitude === key);
+    return [node ? node.id : key, value];
+  }));
+}
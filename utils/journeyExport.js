@@ -0,0 +1,272 @@
+/**
+ * Journey Export
+ *
+ * Turns a saved journey into files: a canonical JSON document, a Markdown
+ * brief, a printable HTML report (print it to PDF from the browser), and the
+ * execution plan's milestones and first-week tasks as CSV or as GitHub task
+ * lists. Everything is rendered from the canonical document, so every format
+ * carries the same content.
+ *
+ * The exported line is the one the user is on: the current block's path from
+ * the top altitude plus the way down it last took.
+ */
+
+import { ALTITUDE_CONFIG } from './config.js';
+import { getAltitudeName } from './altitudeLadder.js';
+import { getNodeLine, getSiblings, normaliseTreeNodes, keyByNodeId } from './ideaTree.js';
+
+export const EXPORT_SCHEMA_VERSION = 'ping-pong-journey/1';
+
+/**
+ * Export formats: file extension and content type of each
+ */
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON document', extension: 'json', contentType: 'application/json' },
+  markdown: { label: 'Markdown brief', extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { label: 'Printable report (PDF)', extension: 'html', contentType: 'text/html; charset=utf-8' },
+  csv: { label: 'Tasks (CSV)', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  github: { label: 'Tasks (GitHub task list)', extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+/**
+ * The canonical export document
+ * @param {Object} session - { id, title, journey } as saved by the session store
+ * @param {Object} checklists - Checklist definitions by altitude, used to name checked items
+ */
+export function buildExportDocument({ id = null, title, journey }, checklists = {}) {
+  const nodes = normaliseTreeNodes(journey.blocks || []);
+  const currentId = journey.currentBlockId ?? nodes[0]?.id;
+  const line = nodes.length > 0 ? getNodeLine(nodes, currentId) : [];
+  const executionNode = [...line].reverse().find(node => node.executionPlan);
+  const summaries = keyByNodeId(nodes, currentId, journey.altitudeSummaries);
+
+  return {
+    schema: EXPORT_SCHEMA_VERSION,
+    title: title || 'Untitled journey',
+    session_id: id,
+    exported_at: new Date().toISOString(),
+    ladder: ALTITUDE_CONFIG.ladder,
+    template: journey.template || null,
+    altitudes: line.map(node => ({
+      altitude: node.altitude,
+      name: getAltitudeName(node.altitude),
+      idea: node.prompt,
+      refinement: node.refinedPrompt || '',
+      readiness: {
+        status: node.readiness,
+        score: node.readinessDetails?.score ?? null,
+        method: node.readinessDetails?.method ?? null
+      },
+      branches: (node.branches || []).map(branch => ({ type: branch.label, value: branch.value })),
+      alternatives: getSiblings(nodes, node.id).length - 1,
+      summary: summaries[node.id] || null,
+      checklist: describeChecklist(checklists[node.altitude], journey.checklistChecks?.[node.altitude] || []),
+      iterations: node.iterations || 0
+    })),
+    execution_plan: executionNode?.executionPlan || null
+  };
+}
+
+function describeChecklist(checklist, checkedIds) {
+  if (!checklist) {
+    return checkedIds.map(itemId => ({ id: itemId, label: itemId, checked: true }));
+  }
+  return checklist.checklist_items.map(item => ({
+    id: item.id,
+    label: item.label,
+    checked: checkedIds.includes(item.id)
+  }));
+}
+
+/**
+ * The execution plan as a flat task list: milestones first, then the first week
+ * @returns {Array} [{ id, type, title, due, depends_on, details }]
+ */
+export function getExecutionTasks(document) {
+  const plan = document.execution_plan;
+  if (!plan) return [];
+
+  return [
+    ...plan.milestones.map(milestone => ({
+      id: milestone.id,
+      type: 'milestone',
+      title: milestone.title,
+      due: milestone.due_date,
+      depends_on: milestone.depends_on,
+      details: milestone.deliverable
+    })),
+    ...plan.first_week.map((task, index) => ({
+      id: `w${index + 1}`,
+      type: 'task',
+      title: task.task,
+      due: `Day ${task.day}`,
+      depends_on: [],
+      details: `${task.hours}h`
+    }))
+  ];
+}
+
+/**
+ * Render the document in an export format
+ * @returns {string}
+ */
+export function renderExport(document, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(document, null, 2);
+    case 'markdown': return renderMarkdown(document);
+    case 'html': return renderHtml(document);
+    case 'csv': return renderTasksCsv(document);
+    case 'github': return renderGithubTasks(document);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * File name for an export, from the journey title
+ */
+export function getExportFileName(document, format) {
+  const slug = document.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'journey';
+  return `${slug}${format === 'github' ? '-tasks' : ''}.${EXPORT_FORMATS[format].extension}`;
+}
+
+const tableCell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+export function renderMarkdown(document) {
+  const lines = [`# ${document.title}`, '', `_Exported ${document.exported_at.slice(0, 10)}_`, ''];
+
+  document.altitudes.forEach(level => {
+    lines.push(`## ${level.altitude} - ${level.name}`, '', `**Idea:** ${level.idea || '(none)'}`, '');
+    if (level.refinement) lines.push(`**Refinement:** ${level.refinement}`, '');
+    lines.push(`**Readiness:** ${level.readiness.status}${level.readiness.score !== null ? ` (${Math.round(level.readiness.score * 100)}%)` : ''}`, '');
+    if (level.branches.length > 0) {
+      lines.push('**Branches:**', ...level.branches.map(branch => `- ${branch.type}: ${branch.value}`), '');
+    }
+    if (level.summary) lines.push(`**Summary:** ${level.summary}`, '');
+    if (level.checklist.length > 0) {
+      lines.push('**Checklist:**', ...level.checklist.map(item => `- [${item.checked ? 'x' : ' '}] ${item.label}`), '');
+    }
+  });
+
+  const plan = document.execution_plan;
+  if (plan) {
+    lines.push('## Execution plan', '', plan.summary, '', '### Milestones', '',
+      '| Id | Milestone | Due | After | Deliverable |', '| --- | --- | --- | --- | --- |',
+      ...plan.milestones.map(m => `| ${tableCell(m.id)} | ${tableCell(m.title)} | ${tableCell(m.due_date)} | ${tableCell(m.depends_on.join(', ')) || '-'} | ${tableCell(m.deliverable)} |`), '',
+      '### Success metrics', '', ...plan.success_metrics.map(m => `- ${m.metric}: ${m.target} (${m.measured_by})`), '',
+      '### Resources and budget', '', ...plan.resources.map(r => `- ${r.item} (${r.category}): ${r.estimated_cost}`),
+      `- **Total:** ${plan.budget.total} ${plan.budget.currency}${plan.budget.notes ? ` - ${plan.budget.notes}` : ''}`, '',
+      '### Risks', '', ...plan.risks.map(r => `- ${r.risk} (likelihood ${r.likelihood}, impact ${r.impact}): ${r.mitigation}`), '',
+      '### First week', '', ...plan.first_week.map(t => `- [ ] Day ${t.day}: ${t.task} (${t.hours}h)`), '');
+  }
+
+  return lines.join('\n');
+}
+
+const escapeHtml = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const htmlList = items => (items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '');
+
+export function renderHtml(document) {
+  const levels = document.altitudes.map(level => `
+    <section>
+      <h2>${escapeHtml(level.altitude)} - ${escapeHtml(level.name)} <span class="readiness ${escapeHtml(level.readiness.status)}">${escapeHtml(level.readiness.status)}</span></h2>
+      <p><strong>Idea:</strong> ${escapeHtml(level.idea)}</p>
+      ${level.refinement ? `<p><strong>Refinement:</strong> ${escapeHtml(level.refinement)}</p>` : ''}
+      ${htmlList(level.branches.map(branch => `<strong>${escapeHtml(branch.type)}:</strong> ${escapeHtml(branch.value)}`))}
+      ${level.summary ? `<p><strong>Summary:</strong> ${escapeHtml(level.summary)}</p>` : ''}
+      ${htmlList(level.checklist.map(item => `${item.checked ? '☑' : '☐'} ${escapeHtml(item.label)}`))}
+    </section>`).join('');
+
+  const plan = document.execution_plan;
+  const planHtml = plan ? `
+    <section>
+      <h2>Execution plan</h2>
+      <p>${escapeHtml(plan.summary)}</p>
+      <h3>Milestones</h3>
+      <table>
+        <tr><th>Id</th><th>Milestone</th><th>Due</th><th>After</th><th>Deliverable</th></tr>
+        ${plan.milestones.map(m => `<tr><td>${escapeHtml(m.id)}</td><td>${escapeHtml(m.title)}</td><td>${escapeHtml(m.due_date)}</td><td>${escapeHtml(m.depends_on.join(', '))}</td><td>${escapeHtml(m.deliverable)}</td></tr>`).join('')}
+      </table>
+      <h3>Success metrics</h3>
+      ${htmlList(plan.success_metrics.map(m => `${escapeHtml(m.metric)}: ${escapeHtml(m.target)} (${escapeHtml(m.measured_by)})`))}
+      <h3>Resources and budget</h3>
+      ${htmlList(plan.resources.map(r => `${escapeHtml(r.item)} (${escapeHtml(r.category)}): ${escapeHtml(r.estimated_cost)}`))}
+      <p><strong>Total:</strong> ${escapeHtml(plan.budget.total)} ${escapeHtml(plan.budget.currency)} ${escapeHtml(plan.budget.notes)}</p>
+      <h3>Risks</h3>
+      ${htmlList(plan.risks.map(r => `${escapeHtml(r.risk)} (likelihood ${escapeHtml(r.likelihood)}, impact ${escapeHtml(r.impact)}): ${escapeHtml(r.mitigation)}`))}
+      <h3>First week</h3>
+      ${htmlList(plan.first_week.map(t => `Day ${escapeHtml(t.day)}: ${escapeHtml(t.task)} (${escapeHtml(t.hours)}h)`))}
+    </section>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 40px auto; color: #333; line-height: 1.5; }
+  h1 { border-bottom: 2px solid #667eea; padding-bottom: 8px; }
+  section { page-break-inside: avoid; margin-bottom: 24px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { border: 1px solid #e1e5e9; padding: 4px 8px; text-align: left; }
+  .readiness { font-size: 12px; padding: 2px 8px; border-radius: 4px; color: white; background: #999; }
+  .readiness.red { background: #D0021B; }
+  .readiness.yellow { background: #F5A623; }
+  .readiness.green { background: #7ED321; }
+  .print-note { color: #666; font-size: 13px; }
+  @media print { .print-note { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<p class="print-note">Use your browser's Print command and choose "Save as PDF" to keep a PDF copy.</p>
+<h1>${escapeHtml(document.title)}</h1>
+<p>Exported ${escapeHtml(document.exported_at.slice(0, 10))}</p>
+${levels}
+${planHtml}
+</body>
+</html>
+`;
+}
+
+const csvCell = value => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function renderTasksCsv(document) {
+  const rows = getExecutionTasks(document).map(task => [task.id, task.type, task.title, task.due, task.depends_on.join(' '), task.details]);
+  return [['id', 'type', 'title', 'due', 'depends_on', 'details'], ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * GitHub-flavoured task lists, one section per milestone plus the first week,
+ * ready to paste into an issue
+ */
+export function renderGithubTasks(document) {
+  const tasks = getExecutionTasks(document);
+  if (tasks.length === 0) {
+    return `# ${document.title}\n\nNo execution plan yet.\n`;
+  }
+
+  const milestones = tasks.filter(task => task.type === 'milestone');
+  const firstWeek = tasks.filter(task => task.type === 'task');
+
+  return [
+    `# ${document.title}`,
+    '',
+    '## Milestones',
+    '',
+    ...milestones.map(m => `- [ ] **${m.id}: ${m.title}** - due ${m.due}${m.depends_on.length > 0 ? `, after ${m.depends_on.join(', ')}` : ''}. ${m.details}`),
+    '',
+    '## First week',
+    '',
+    ...firstWeek.map(task => `- [ ] ${task.due}: ${task.title} (${task.details})`),
+    ''
+  ].join('\n');
+}
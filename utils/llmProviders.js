@@ -5,16 +5,91 @@
  * making it easy to swap between ChatGPT, Perplexity, Claude, etc.
  */
 
+import { LLMError, RequestCancelledError } from './errorHandler.js';
+import { getCircuitBreaker, getCircuitBreakerStatus, resolveFailoverChain } from './providerFailover.js';
+import {
+  buildRepairPrompt,
+  buildSampleFromSchema,
+  describeSchemaForPrompt,
+  parseJsonResponse,
+  validateAgainstSchema
+} from './structuredOutput.js';
+import { APP_CONFIG, LLM_CONFIG, STRUCTURED_OUTPUT_CONFIG } from './config.js';
+import { describeProviderModels, registerProviderCapabilities, resolveModelCapabilities } from './modelCatalogue.js';
+import { addUsage, createUsage, estimateUsage, recordUsage } from './usageTracker.js';
+import { createCacheKey, getCachedResponse, recordCacheBypass, setCachedResponse } from './responseCache.js';
+import { getAltitudeStage, getTopAltitude } from './altitudeLadder.js';
+
 /**
  * Base LLM Provider Interface
  */
 class BaseLLMProvider {
   constructor(config = {}) {
     this.config = config;
+    this.usage = null;
   }
 
+  /**
+   * Single-turn convenience wrapper around chat().
+   * Earlier conversation turns can be supplied through `options.history`.
+   */
   async call(systemPrompt, userPrompt, options = {}) {
-    throw new Error('call method must be implemented by provider');
+    return this.chat(buildMessages(systemPrompt, userPrompt, options.history), options);
+  }
+
+  /**
+   * Send a conversation and return the reply text.
+   * @param {Array<{role: 'system'|'user'|'assistant', content: string}>} messages
+   */
+  async chat(messages, options = {}) {
+    throw new Error('chat method must be implemented by provider');
+  }
+
+  /**
+   * Stream the completion as text chunks.
+   */
+  async *stream(systemPrompt, userPrompt, options = {}) {
+    yield* this.streamChat(buildMessages(systemPrompt, userPrompt, options.history), options);
+  }
+
+  /**
+   * Stream a conversation reply as text chunks.
+   * Providers without native streaming yield the full completion as a single chunk.
+   */
+  async *streamChat(messages, options = {}) {
+    yield await this.chat(messages, options);
+  }
+
+  /**
+   * Store the token usage the API reported for the last request.
+   * Left null when a provider does not report usage; callLLM then estimates it.
+   */
+  recordUsage(promptTokens, completionTokens) {
+    if (promptTokens === undefined && completionTokens === undefined) return;
+    this.usage = createUsage(promptTokens || 0, completionTokens || 0);
+  }
+
+  getModelName(options = {}) {
+    return options.model || this.model;
+  }
+
+  getEmbeddingModel(options = {}) {
+    return options.embeddingModel || this.embeddingModel;
+  }
+
+  /**
+   * Embed texts as vectors for semantic comparison (see semanticDrift.js)
+   * @returns {Promise<number[][]>} One vector per text, in order
+   */
+  async embed(texts, options = {}) {
+    throw new Error(`${this.getProviderName()} does not provide embeddings`);
+  }
+
+  /**
+   * Catalogue entry for the model this request will use (see modelCatalogue.js)
+   */
+  getModelCapabilities(options = {}) {
+    return resolveModelCapabilities(this.constructor.capabilities, this.getModelName(options));
   }
 
   validateConfig() {
@@ -26,17 +101,168 @@ class BaseLLMProvider {
   }
 }
 
+/**
+ * Build a message list from a system prompt, prior turns and the new user prompt
+ */
+function buildMessages(systemPrompt, userPrompt, history = []) {
+  const priorTurns = (history || []).filter(turn =>
+    turn && (turn.role === 'user' || turn.role === 'assistant') && typeof turn.content === 'string' && turn.content.trim()
+  );
+
+  return [
+    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+    ...priorTurns.map(turn => ({ role: turn.role, content: turn.content })),
+    { role: 'user', content: userPrompt }
+  ];
+}
+
+/**
+ * Separate system messages from the conversation and normalise the remaining
+ * turns to strictly alternate user/assistant, starting with the user, as the
+ * Anthropic, Gemini and Perplexity APIs require.
+ */
+function splitSystemMessages(messages) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const turns = [];
+  messages
+    .filter(message => message.role !== 'system' && message.content)
+    .forEach(message => {
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const previous = turns[turns.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.content += `\n\n${message.content}`;
+      } else if (!previous && role === 'assistant') {
+        // A conversation may not open with an assistant turn
+        turns.push({ role: 'user', content: '(continuing our conversation)' }, { role, content: message.content });
+      } else {
+        turns.push({ role, content: message.content });
+      }
+    });
+
+  return { system, turns };
+}
+
+/**
+ * Read a Server-Sent Events response body and yield each event's data payload
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      if (data && data !== '[DONE]') {
+        yield data;
+      }
+    }
+  }
+}
+
+/**
+ * Parse a streamed JSON payload, skipping keep-alives and malformed events
+ */
+function parseStreamPayload(data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve after `ms`, or reject as soon as `signal` aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Signal for one provider attempt: aborts when the caller's signal aborts or
+ * when `timeoutMs` passes, whichever comes first
+ */
+function createAttemptSignal(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const abortFromParent = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    abortFromParent();
+  } else {
+    parentSignal?.addEventListener('abort', abortFromParent, { once: true });
+  }
+
+  const timeoutId = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort(new Error(`Request timed out after ${timeoutMs}ms`));
+      }, timeoutMs)
+    : null;
+
+  return {
+    signal: controller.signal,
+    hasTimedOut: () => timedOut,
+    dispose() {
+      clearTimeout(timeoutId);
+      parentSignal?.removeEventListener('abort', abortFromParent);
+    }
+  };
+}
+
 /**
  * OpenAI/ChatGPT Provider
  */
 class OpenAIProvider extends BaseLLMProvider {
+  static capabilities = {
+    defaultModel: 'gpt-4',
+    defaults: { contextWindow: 8192, maxOutputTokens: 4096, jsonMode: null, streaming: true, maxTemperature: 2 },
+    models: {
+      'gpt-4': { contextWindow: 8192, maxOutputTokens: 8192, pricing: { inputPer1M: 30, outputPer1M: 60 } },
+      'gpt-4-turbo': { contextWindow: 128000, jsonMode: 'json_object', pricing: { inputPer1M: 10, outputPer1M: 30 } },
+      'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, jsonMode: 'json_object', pricing: { inputPer1M: 2.5, outputPer1M: 10 } },
+      'gpt-4o-mini': { contextWindow: 128000, maxOutputTokens: 16384, jsonMode: 'json_object', pricing: { inputPer1M: 0.15, outputPer1M: 0.6 } },
+      'gpt-3.5-turbo': { contextWindow: 16385, jsonMode: 'json_object', pricing: { inputPer1M: 0.5, outputPer1M: 1.5 } }
+    }
+  };
+
   constructor(config = {}) {
     super(config);
     this.apiKey = config.apiKey || process.env.GPT4_API_KEY || process.env.OPENAI_API_KEY;
     this.apiUrl = config.apiUrl || process.env.GPT4_API_URL || 'https://api.openai.com/v1/chat/completions';
     this.model = config.model || process.env.GPT4_MODEL || 'gpt-4';
     this.maxTokens = config.maxTokens || parseInt(process.env.GPT4_MAX_TOKENS) || 1000;
-    this.temperature = config.temperature || parseFloat(process.env.GPT4_TEMPERATURE) || 0.7;
+    this.temperature = config.temperature ?? (parseFloat(process.env.GPT4_TEMPERATURE) || 0.7);
+    this.embeddingModel = config.embeddingModel || 'text-embedding-3-small';
+    // The embeddings endpoint sits next to chat completions under the same API base
+    this.embeddingsUrl = config.embeddingsUrl || this.apiUrl.replace(/\/chat\/completions$/, '/embeddings');
   }
 
   validateConfig() {
@@ -50,28 +276,39 @@ class OpenAIProvider extends BaseLLMProvider {
     return 'OpenAI/ChatGPT';
   }
 
-  async call(systemPrompt, userPrompt, options = {}) {
-    this.validateConfig();
+  buildRequestBody(messages, options = {}) {
+    const { system, turns } = splitSystemMessages(messages);
 
-    const requestBody = {
+    return {
       model: options.model || this.model,
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...turns
       ],
       max_tokens: options.maxTokens || this.maxTokens,
-      temperature: options.temperature || this.temperature,
+      temperature: options.temperature ?? this.temperature,
+      // JSON mode is only accepted by newer chat models
+      ...(options.responseFormat && this.getModelCapabilities(options).jsonMode === 'json_object'
+        ? { response_format: { type: 'json_object' } }
+        : {})
     };
+  }
 
-    console.log(`[${this.getProviderName()}] Making request to: ${this.apiUrl}`);
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+    };
+  }
 
-    const response = await fetch(this.apiUrl, {
+  async request(requestBody, signal, url = this.apiUrl) {
+    console.log(`[${this.getProviderName()}] Making request to: ${url}`);
+
+    const response = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-      },
+      headers: this.getHeaders(),
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     if (!response.ok) {
@@ -79,6 +316,14 @@ class OpenAIProvider extends BaseLLMProvider {
       throw new Error(`${this.getProviderName()} API error: ${response.status} ${response.statusText} - ${errorText}`);
     }
 
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request(this.buildRequestBody(messages, options), options.signal);
+
     const data = await response.json();
     const content = data.choices?.[0]?.message?.content;
     
@@ -86,21 +331,190 @@ class OpenAIProvider extends BaseLLMProvider {
       throw new Error(`No valid response content from ${this.getProviderName()}`);
     }
 
+    this.recordUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens);
     return content.trim();
   }
+
+  async *streamChat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request({
+      ...this.buildRequestBody(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, options.signal);
+
+    for await (const data of readServerSentEvents(response)) {
+      const payload = parseStreamPayload(data);
+      // Usage arrives on the final chunk
+      if (payload?.usage) {
+        this.recordUsage(payload.usage.prompt_tokens, payload.usage.completion_tokens);
+      }
+      const text = payload?.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  async embed(texts, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request({ model: this.getEmbeddingModel(options), input: texts }, options.signal, this.embeddingsUrl);
+
+    const data = await response.json();
+    const vectors = [...(data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings from ${this.getProviderName()}, got ${vectors.length}`);
+    }
+
+    // Servers that report no usage leave it to embedTexts to estimate
+    if (data.usage) this.recordUsage(data.usage.prompt_tokens, 0);
+    return vectors;
+  }
+}
+
+/**
+ * Local OpenAI-compatible Provider
+ *
+ * Talks to any self-hosted server exposing the OpenAI chat completions API
+ * (llama.cpp server, vLLM, Ollama, LM Studio), configured by base URL and model.
+ */
+class LocalOpenAIProvider extends OpenAIProvider {
+  // Built from config: a local server's models and limits are whatever it was started with
+  static get capabilities() {
+    const localConfig = LLM_CONFIG.local;
+    const models = [localConfig.model, ...localConfig.allowedModels].filter(Boolean);
+
+    return {
+      defaultModel: localConfig.model,
+      defaults: {
+        contextWindow: localConfig.contextWindow,
+        maxOutputTokens: localConfig.contextWindow,
+        // Not every server accepts response_format, so JSON mode is opt-in
+        jsonMode: localConfig.jsonMode ? 'json_object' : null,
+        streaming: true,
+        // Runs on our own hardware, so calls are recorded at zero cost
+        pricing: { inputPer1M: 0, outputPer1M: 0 }
+      },
+      models: Object.fromEntries(models.map(model => [model, {}]))
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    const localConfig = LLM_CONFIG.local;
+    this.baseUrl = (config.baseUrl || localConfig.baseUrl || '').replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/chat/completions`;
+    this.embeddingsUrl = `${this.baseUrl}/embeddings`;
+    this.apiKey = config.apiKey || localConfig.apiKey;
+    this.model = config.model || localConfig.model;
+    // Servers that load a single model usually embed with it too
+    this.embeddingModel = config.embeddingModel || localConfig.embeddingModel || this.model;
+    this.maxTokens = config.maxTokens || localConfig.maxTokens;
+    this.temperature = config.temperature ?? localConfig.temperature;
+  }
+
+  validateConfig() {
+    if (!this.baseUrl) {
+      throw new Error('Local LLM base URL not configured');
+    }
+    if (!this.model) {
+      throw new Error('Local LLM model not configured');
+    }
+    return true;
+  }
+
+  getProviderName() {
+    return `Local (${this.model || 'unconfigured'})`;
+  }
+
+  getHeaders() {
+    // Most local servers run without auth; only send a key when one is set
+    return {
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+      'Content-Type': 'application/json',
+    };
+  }
+
+  /**
+   * List the models the server has loaded
+   * @returns {Promise<string[]>} Model ids from GET /models
+   */
+  async listModels(signal) {
+    if (!this.baseUrl) {
+      throw new Error('Local LLM base URL not configured');
+    }
+
+    const response = await fetch(`${this.baseUrl}/models`, {
+      headers: this.getHeaders(),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.getProviderName()} API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => model.id);
+  }
+
+  /**
+   * Probe the server and report whether the configured model is available
+   * @returns {Promise<Object>} { healthy, baseUrl, model, modelAvailable, models, latencyMs, error }
+   */
+  async checkHealth(timeoutMs = LLM_CONFIG.local.healthTimeoutMs) {
+    const startedAt = Date.now();
+    const attemptSignal = createAttemptSignal(null, timeoutMs);
+
+    try {
+      const models = await this.listModels(attemptSignal.signal);
+      return {
+        healthy: true,
+        baseUrl: this.baseUrl,
+        model: this.model || null,
+        modelAvailable: Boolean(this.model) && models.includes(this.model),
+        models,
+        latencyMs: Date.now() - startedAt,
+        error: null
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        baseUrl: this.baseUrl || null,
+        model: this.model || null,
+        modelAvailable: false,
+        models: [],
+        latencyMs: Date.now() - startedAt,
+        error: attemptSignal.hasTimedOut() ? `No response within ${timeoutMs}ms` : error.message
+      };
+    } finally {
+      attemptSignal.dispose();
+    }
+  }
 }
 
 /**
  * Perplexity Provider
  */
 class PerplexityProvider extends BaseLLMProvider {
+  static capabilities = {
+    defaultModel: 'llama-3.1-sonar-small-128k-online',
+    defaults: { contextWindow: 127072, maxOutputTokens: 4096, jsonMode: 'json_schema', streaming: true },
+    models: {
+      'llama-3.1-sonar-small-128k-online': { pricing: { inputPer1M: 0.2, outputPer1M: 0.2 } },
+      'llama-3.1-sonar-large-128k-online': { pricing: { inputPer1M: 1, outputPer1M: 1 } }
+    }
+  };
+
   constructor(config = {}) {
     super(config);
     this.apiKey = config.apiKey || process.env.PERPLEXITY_API_KEY;
     this.apiUrl = config.apiUrl || 'https://api.perplexity.ai/chat/completions';
     this.model = config.model || 'llama-3.1-sonar-small-128k-online';
     this.maxTokens = config.maxTokens || 1000;
-    this.temperature = config.temperature || 0.7;
+    this.temperature = config.temperature ?? 0.7;
   }
 
   validateConfig() {
@@ -114,19 +528,24 @@ class PerplexityProvider extends BaseLLMProvider {
     return 'Perplexity';
   }
 
-  async call(systemPrompt, userPrompt, options = {}) {
-    this.validateConfig();
+  buildRequestBody(messages, options = {}) {
+    const { system, turns } = splitSystemMessages(messages);
 
-    const requestBody = {
+    return {
       model: options.model || this.model,
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...turns
       ],
       max_tokens: options.maxTokens || this.maxTokens,
-      temperature: options.temperature || this.temperature,
+      temperature: options.temperature ?? this.temperature,
+      ...(options.responseFormat && this.getModelCapabilities(options).jsonMode === 'json_schema'
+        ? { response_format: { type: 'json_schema', json_schema: { schema: options.responseFormat.schema } } }
+        : {})
     };
+  }
 
+  async request(requestBody, signal) {
     console.log(`[${this.getProviderName()}] Making request to: ${this.apiUrl}`);
 
     const response = await fetch(this.apiUrl, {
@@ -136,6 +555,7 @@ class PerplexityProvider extends BaseLLMProvider {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     if (!response.ok) {
@@ -143,6 +563,14 @@ class PerplexityProvider extends BaseLLMProvider {
       throw new Error(`${this.getProviderName()} API error: ${response.status} ${response.statusText} - ${errorText}`);
     }
 
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request(this.buildRequestBody(messages, options), options.signal);
+
     const data = await response.json();
     const content = data.choices?.[0]?.message?.content;
     
@@ -150,21 +578,54 @@ class PerplexityProvider extends BaseLLMProvider {
       throw new Error(`No valid response content from ${this.getProviderName()}`);
     }
 
+    this.recordUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens);
     return content.trim();
   }
+
+  async *streamChat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request({
+      ...this.buildRequestBody(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, options.signal);
+
+    for await (const data of readServerSentEvents(response)) {
+      const payload = parseStreamPayload(data);
+      // Usage arrives on the final chunk
+      if (payload?.usage) {
+        this.recordUsage(payload.usage.prompt_tokens, payload.usage.completion_tokens);
+      }
+      const text = payload?.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
 }
 
 /**
  * Anthropic/Claude Provider
  */
 class AnthropicProvider extends BaseLLMProvider {
+  static capabilities = {
+    defaultModel: 'claude-3-sonnet-20240229',
+    // No native JSON mode; the schema is described in the system prompt
+    defaults: { contextWindow: 200000, maxOutputTokens: 4096, jsonMode: null, streaming: true, maxTemperature: 1 },
+    models: {
+      'claude-3-sonnet-20240229': { pricing: { inputPer1M: 3, outputPer1M: 15 } },
+      'claude-3-opus-20240229': { pricing: { inputPer1M: 15, outputPer1M: 75 } },
+      'claude-3-5-sonnet-20240620': { maxOutputTokens: 8192, pricing: { inputPer1M: 3, outputPer1M: 15 } },
+      'claude-3-haiku-20240307': { pricing: { inputPer1M: 0.25, outputPer1M: 1.25 } }
+    }
+  };
+
   constructor(config = {}) {
     super(config);
     this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
     this.apiUrl = config.apiUrl || 'https://api.anthropic.com/v1/messages';
     this.model = config.model || 'claude-3-sonnet-20240229';
     this.maxTokens = config.maxTokens || 1000;
-    this.temperature = config.temperature || 0.7;
+    this.temperature = config.temperature ?? 0.7;
   }
 
   validateConfig() {
@@ -178,19 +639,20 @@ class AnthropicProvider extends BaseLLMProvider {
     return 'Anthropic/Claude';
   }
 
-  async call(systemPrompt, userPrompt, options = {}) {
-    this.validateConfig();
+  buildRequestBody(messages, options = {}) {
+    const { system, turns } = splitSystemMessages(messages);
 
-    const requestBody = {
+    return {
       model: options.model || this.model,
       max_tokens: options.maxTokens || this.maxTokens,
-      temperature: options.temperature || this.temperature,
-      system: systemPrompt,
-      messages: [
-        { role: 'user', content: userPrompt }
-      ]
+      temperature: options.temperature ?? this.temperature,
+      ...(system ? { system } : {}),
+      // No native JSON mode: structured calls rely on the schema in the system prompt
+      messages: turns
     };
+  }
 
+  async request(requestBody, signal) {
     console.log(`[${this.getProviderName()}] Making request to: ${this.apiUrl}`);
 
     const response = await fetch(this.apiUrl, {
@@ -201,6 +663,7 @@ class AnthropicProvider extends BaseLLMProvider {
         'anthropic-version': '2023-06-01'
       },
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     if (!response.ok) {
@@ -208,6 +671,14 @@ class AnthropicProvider extends BaseLLMProvider {
       throw new Error(`${this.getProviderName()} API error: ${response.status} ${response.statusText} - ${errorText}`);
     }
 
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request(this.buildRequestBody(messages, options), options.signal);
+
     const data = await response.json();
     const content = data.content?.[0]?.text;
     
@@ -215,21 +686,60 @@ class AnthropicProvider extends BaseLLMProvider {
       throw new Error(`No valid response content from ${this.getProviderName()}`);
     }
 
+    this.recordUsage(data.usage?.input_tokens, data.usage?.output_tokens);
     return content.trim();
   }
+
+  async *streamChat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request({
+      ...this.buildRequestBody(messages, options),
+      stream: true
+    }, options.signal);
+
+    let inputTokens;
+    for await (const data of readServerSentEvents(response)) {
+      const event = parseStreamPayload(data);
+      // Input tokens come with message_start, output tokens with message_delta
+      if (event?.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens;
+      }
+      if (event?.type === 'message_delta' && event.usage) {
+        this.recordUsage(inputTokens, event.usage.output_tokens);
+      }
+      if (event?.type === 'error') {
+        throw new Error(`${this.getProviderName()} stream error: ${event.error?.message || 'unknown error'}`);
+      }
+      if (event?.type === 'content_block_delta' && event.delta?.text) {
+        yield event.delta.text;
+      }
+    }
+  }
 }
 
 /**
  * Google Gemini Provider
  */
 class GeminiProvider extends BaseLLMProvider {
+  static capabilities = {
+    defaultModel: 'gemini-pro',
+    defaults: { contextWindow: 30720, maxOutputTokens: 2048, jsonMode: null, streaming: true, maxTemperature: 1 },
+    models: {
+      'gemini-pro': { pricing: { inputPer1M: 0.5, outputPer1M: 1.5 } },
+      'gemini-1.5-pro': { contextWindow: 2097152, maxOutputTokens: 8192, jsonMode: 'mime_type', maxTemperature: 2, pricing: { inputPer1M: 1.25, outputPer1M: 5 } },
+      'gemini-1.5-flash': { contextWindow: 1048576, maxOutputTokens: 8192, jsonMode: 'mime_type', maxTemperature: 2, pricing: { inputPer1M: 0.075, outputPer1M: 0.3 } }
+    }
+  };
+
   constructor(config = {}) {
     super(config);
     this.apiKey = config.apiKey || process.env.GEMINI_API_KEY;
-    this.apiUrl = config.apiUrl || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
     this.model = config.model || 'gemini-pro';
+    this.apiUrl = config.apiUrl || `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
     this.maxTokens = config.maxTokens || 1000;
-    this.temperature = config.temperature || 0.7;
+    this.temperature = config.temperature ?? 0.7;
+    this.embeddingModel = config.embeddingModel || 'text-embedding-004';
   }
 
   validateConfig() {
@@ -243,25 +753,33 @@ class GeminiProvider extends BaseLLMProvider {
     return 'Google Gemini';
   }
 
-  async call(systemPrompt, userPrompt, options = {}) {
-    this.validateConfig();
+  buildRequestBody(messages, options = {}) {
+    const { system, turns } = splitSystemMessages(messages);
 
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            { text: `${systemPrompt}\n\n${userPrompt}` }
-          ]
-        }
-      ],
+    // gemini-pro has no system role, so the system prompt leads the first user turn
+    const contents = turns.map((turn, index) => ({
+      role: turn.role === 'assistant' ? 'model' : 'user',
+      parts: [
+        { text: index === 0 && system ? `${system}\n\n${turn.content}` : turn.content }
+      ]
+    }));
+
+    return {
+      contents,
       generationConfig: {
         maxOutputTokens: options.maxTokens || this.maxTokens,
-        temperature: options.temperature || this.temperature,
+        temperature: options.temperature ?? this.temperature,
+        // gemini-pro (1.0) rejects responseMimeType
+        ...(options.responseFormat && this.getModelCapabilities(options).jsonMode === 'mime_type'
+          ? { responseMimeType: 'application/json' }
+          : {})
       }
     };
+  }
 
-    const url = `${this.apiUrl}?key=${this.apiKey}`;
-    console.log(`[${this.getProviderName()}] Making request to: ${this.apiUrl}`);
+  async request(apiUrl, query, requestBody, signal) {
+    const url = `${apiUrl}?${query ? `${query}&` : ''}key=${this.apiKey}`;
+    console.log(`[${this.getProviderName()}] Making request to: ${apiUrl}`);
 
     const response = await fetch(url, {
       method: 'POST',
@@ -269,6 +787,7 @@ class GeminiProvider extends BaseLLMProvider {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     if (!response.ok) {
@@ -276,6 +795,14 @@ class GeminiProvider extends BaseLLMProvider {
       throw new Error(`${this.getProviderName()} API error: ${response.status} ${response.statusText} - ${errorText}`);
     }
 
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    this.validateConfig();
+
+    const response = await this.request(this.apiUrl, '', this.buildRequestBody(messages, options), options.signal);
+
     const data = await response.json();
     const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
     
@@ -283,22 +810,70 @@ class GeminiProvider extends BaseLLMProvider {
       throw new Error(`No valid response content from ${this.getProviderName()}`);
     }
 
+    this.recordUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount);
     return content.trim();
   }
+
+  async *streamChat(messages, options = {}) {
+    this.validateConfig();
+
+    // Gemini streams from a sibling endpoint; alt=sse switches it to Server-Sent Events
+    const streamUrl = this.apiUrl.replace(/:generateContent$/, ':streamGenerateContent');
+    const response = await this.request(streamUrl, 'alt=sse', this.buildRequestBody(messages, options), options.signal);
+
+    for await (const data of readServerSentEvents(response)) {
+      const payload = parseStreamPayload(data);
+      // Each chunk carries cumulative usage, so the last one wins
+      if (payload?.usageMetadata) {
+        this.recordUsage(payload.usageMetadata.promptTokenCount, payload.usageMetadata.candidatesTokenCount);
+      }
+      const text = payload?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (text) yield text;
+    }
+  }
+
+  async embed(texts, options = {}) {
+    this.validateConfig();
+
+    const model = this.getEmbeddingModel(options);
+    const embedUrl = this.apiUrl.replace(/models\/[^/:]+:generateContent$/, `models/${model}:batchEmbedContents`);
+    const response = await this.request(embedUrl, '', {
+      requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+    }, options.signal);
+
+    const data = await response.json();
+    const vectors = (data.embeddings || []).map(embedding => embedding.values);
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings from ${this.getProviderName()}, got ${vectors.length}`);
+    }
+
+    // The embedding endpoint reports no usage, so embedTexts estimates it
+    return vectors;
+  }
 }
 
 /**
  * Abacus.AI Provider (existing integration)
  */
 class AbacusProvider extends BaseLLMProvider {
+  static capabilities = {
+    defaultModel: 'gpt-4',
+    // Abacus routes to hosted models by llmName and has no streaming endpoint
+    defaults: { contextWindow: 8192, maxOutputTokens: 4096, jsonMode: null, streaming: false },
+    models: {
+      'gpt-4': {}
+    }
+  };
+
   constructor(config = {}) {
     super(config);
     this.apiKey = config.apiKey || process.env.ABACUS_API_KEY;
     this.apiUrl = config.apiUrl || process.env.ABACUS_API_URL || 'https://api.abacus.ai/api/v0/chat';
     this.orgId = config.orgId || process.env.ABACUS_ORG_ID;
-    this.llmName = config.llmName || 'gpt-4';
+    this.llmName = config.llmName || config.model || 'gpt-4';
     this.maxTokens = config.maxTokens || 4000;
-    this.temperature = config.temperature || 0.7;
+    this.temperature = config.temperature ?? 0.7;
   }
 
   validateConfig() {
@@ -315,18 +890,24 @@ class AbacusProvider extends BaseLLMProvider {
     return 'Abacus.AI';
   }
 
-  async call(systemPrompt, userPrompt, options = {}) {
-    this.validateConfig();
+  buildRequestBody(messages, options = {}) {
+    const { system, turns } = splitSystemMessages(messages);
 
-    const requestBody = {
+    return {
       llmName: options.llmName || this.llmName,
       maxTokens: options.maxTokens || this.maxTokens,
-      temperature: options.temperature || this.temperature,
+      temperature: options.temperature ?? this.temperature,
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...turns
       ]
     };
+  }
+
+  async chat(messages, options = {}) {
+    this.validateConfig();
+
+    const requestBody = this.buildRequestBody(messages, options);
 
     console.log(`[${this.getProviderName()}] Making request to: ${this.apiUrl}`);
 
@@ -338,6 +919,7 @@ class AbacusProvider extends BaseLLMProvider {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(requestBody),
+      signal: options.signal,
     });
 
     if (!response.ok) {
@@ -352,17 +934,33 @@ class AbacusProvider extends BaseLLMProvider {
       throw new Error(`No valid response content from ${this.getProviderName()}`);
     }
 
+    this.recordUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens);
     return content.trim();
   }
+
+  getModelName(options = {}) {
+    return options.llmName || this.llmName;
+  }
 }
 
 /**
  * Mock/Fallback Provider for testing
  */
 class MockProvider extends BaseLLMProvider {
+  static capabilities = {
+    defaultModel: 'mock',
+    // Answers schema-shaped requests with a sample document, which counts as native JSON
+    defaults: { contextWindow: 1000000, maxOutputTokens: 100000, jsonMode: 'json_schema', streaming: true },
+    models: {
+      'mock': { pricing: { inputPer1M: 0, outputPer1M: 0 } }
+    }
+  };
+
   constructor(config = {}) {
     super(config);
+    this.model = 'mock';
     this.responseDelay = config.responseDelay || 1000;
+    this.chunkDelay = config.chunkDelay || 40;
   }
 
   validateConfig() {
@@ -373,33 +971,57 @@ class MockProvider extends BaseLLMProvider {
     return 'Mock Provider';
   }
 
-  async call(systemPrompt, userPrompt, options = {}) {
+  async chat(messages, options = {}) {
     // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, this.responseDelay));
+    await wait(this.responseDelay, options.signal);
+
+    return this.getMockResponse(messages, options);
+  }
+
+  async *streamChat(messages, options = {}) {
+    const response = this.getMockResponse(messages, options);
+
+    // Emit word-sized chunks so the streaming UI can be exercised without an API key
+    for (const chunk of response.match(/\S+\s*/g) || []) {
+      await wait(this.chunkDelay, options.signal);
+      yield chunk;
+    }
+  }
 
-    // Generate a mock response based on the altitude level
-    const altitudeMatch = systemPrompt.match(/CURRENT ALTITUDE: (\d+k)/);
-    const altitude = altitudeMatch ? altitudeMatch[1] : '30k';
+  getMockResponse(messages, options = {}) {
+    const { system: systemPrompt, turns } = splitSystemMessages(messages);
+    const userPrompt = turns[turns.length - 1]?.content || '';
+
+    // Generate a mock response based on the altitude level's stage
+    const altitudeMatch = systemPrompt.match(/CURRENT ALTITUDE: ([\w-]+)/);
+    const altitude = altitudeMatch ? altitudeMatch[1] : getTopAltitude();
     
     const mockResponses = {
-      '30k': `That's an exciting vision! I'd love to help you explore this further. 
+      vision: `That's an exciting vision! I'd love to help you explore this further. 
 
 What aspects of this goal are most important to you? And what kind of impact are you hoping to make?`,
       
-      '20k': `Great! We're getting more specific. 
+      category: `Great! We're getting more specific. 
 
 What industry or category does this fall into? And what type of approach or model appeals to you most?`,
       
-      '10k': `Perfect! Now let's find your unique angle. 
+      specialization: `Perfect! Now let's find your unique angle. 
 
 What specific specialization or niche within this area interests you? And what would make your approach different?`,
       
-      '5k': `Excellent! Time to get practical. 
+      execution: `Excellent! Time to get practical. 
 
 What specific actions would you like to take first? And what resources or tools do you think you'll need?`
     };
 
-    return mockResponses[altitude] || `Let's continue exploring your idea: "${userPrompt}". What would you like to focus on next?`;
+    const text = mockResponses[getAltitudeStage(altitude)] || `Let's continue exploring your idea: "${userPrompt}". What would you like to focus on next?`;
+
+    // Honour JSON mode so structured calls can be exercised without an API key
+    if (options.responseFormat?.schema) {
+      return JSON.stringify(buildSampleFromSchema(options.responseFormat.schema, text));
+    }
+
+    return text;
   }
 }
 
@@ -417,11 +1039,15 @@ class LLMProviderFactory {
     this.registerProvider('anthropic', AnthropicProvider);
     this.registerProvider('gemini', GeminiProvider);
     this.registerProvider('abacus', AbacusProvider);
+    this.registerProvider('local', LocalOpenAIProvider);
     this.registerProvider('mock', MockProvider);
   }
 
   registerProvider(name, providerClass) {
     this.providers.set(name, providerClass);
+    if (providerClass.capabilities) {
+      registerProviderCapabilities(name, providerClass.capabilities);
+    }
   }
 
   createProvider(providerName, config = {}) {
@@ -451,29 +1077,441 @@ class LLMProviderFactory {
 // Create global factory instance
 const llmFactory = new LLMProviderFactory();
 
+/**
+ * Turn a validated per-request selection (see validateLLMSelection) into callLLM
+ * options. Model and sampling settings go through providerConfig so they only
+ * apply to the selected provider, not to failover providers.
+ */
+function getLLMSelectionOptions(selection) {
+  if (!selection) return {};
+
+  const providerConfig = {};
+  if (selection.model) providerConfig.model = selection.model;
+  if (selection.temperature !== null && selection.temperature !== undefined) providerConfig.temperature = selection.temperature;
+  if (selection.maxTokens) providerConfig.maxTokens = selection.maxTokens;
+
+  return { provider: selection.provider, providerConfig };
+}
+
+/**
+ * Which providers can be used right now, for the provider selector
+ * @returns {Object[]} { id, name, configured, reason, defaultModel, models, isDefault, circuitState }
+ */
+function getProviderAvailability() {
+  const defaultProvider = process.env.DEFAULT_LLM_PROVIDER || llmFactory.getDefaultProvider();
+  const breakers = getCircuitBreakerStatus();
+
+  return llmFactory.getAvailableProviders().map(id => {
+    const provider = llmFactory.createProvider(id);
+    let reason = null;
+    try {
+      provider.validateConfig();
+    } catch (error) {
+      reason = error.message;
+    }
+
+    return {
+      id,
+      name: provider.getProviderName(),
+      configured: reason === null,
+      reason,
+      defaultModel: provider.getModelName({}) || null,
+      models: describeProviderModels(id),
+      isDefault: id === defaultProvider,
+      circuitState: breakers.find(breaker => breaker.provider === id)?.state || 'closed'
+    };
+  });
+}
+
+/**
+ * Send one request to a single provider, streaming through `options.onToken` when given
+ */
+async function requestCompletion(provider, systemPrompt, userPrompt, options, onFirstToken) {
+  if (!options.onToken) {
+    return await provider.call(systemPrompt, userPrompt, options);
+  }
+
+  let content = '';
+  for await (const chunk of provider.stream(systemPrompt, userPrompt, options)) {
+    if (!content) onFirstToken();
+    content += chunk;
+    options.onToken(chunk);
+  }
+
+  if (!content.trim()) {
+    throw new Error(`No valid response content from ${provider.getProviderName()}`);
+  }
+
+  return content.trim();
+}
+
+/**
+ * Response cache key for a call to the requested provider, or null when the
+ * provider cannot be created (the failover loop reports that case)
+ */
+function getResponseCacheKey(primaryProvider, systemPrompt, userPrompt, options) {
+  try {
+    const provider = llmFactory.createProvider(primaryProvider, options.providerConfig || {});
+    return createCacheKey({
+      provider: primaryProvider,
+      model: provider.getModelName(options),
+      systemPrompt,
+      userPrompt,
+      history: options.history,
+      temperature: options.temperature ?? provider.temperature,
+      maxTokens: options.maxTokens ?? provider.maxTokens,
+      schema: options.responseFormat?.schema ?? null
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A cached answer shaped like a callLLMWithMetadata result, or null on a miss
+ * or when the caller asked to bypass the cache
+ */
+async function readCachedResult(cacheKey, options) {
+  if (!cacheKey) return null;
+  if (options.bypassCache) {
+    recordCacheBypass();
+    return null;
+  }
+
+  const cached = await getCachedResponse(cacheKey);
+  if (!cached) return null;
+
+  console.log(`[LLM] Cache hit for ${cached.providerName} (${cached.model})`);
+  options.onToken?.(cached.content);
+  return {
+    ...cached,
+    fallbackUsed: false,
+    attempts: [{ provider: cached.provider, status: 'cached', reason: null }],
+    // Served from cache, so nothing was spent
+    costUsd: 0,
+    cached: true
+  };
+}
+
+async function writeCachedResult(cacheKey, { content, provider, providerName, model, isMock, usage }, ttlMs) {
+  await setCachedResponse(cacheKey, { content, provider, providerName, model, isMock, usage }, ttlMs);
+}
+
+const getPrimaryProvider = options => options.provider || process.env.DEFAULT_LLM_PROVIDER || llmFactory.getDefaultProvider();
+
+/**
+ * Unified LLM calling function that also reports which provider answered
+ *
+ * Providers are tried in failover-chain order (see LLM_FAILOVER_CONFIG). A
+ * provider is skipped when it is not configured or its circuit breaker is open.
+ * Token usage is recorded against `options.sessionId` (see usageTracker.js).
+ *
+ * Providers whose model cannot fit the prompt plus the reply budget (per the
+ * model catalogue) are skipped without being called.
+ *
+ * Each provider attempt is limited to `options.timeout` ms (APP_CONFIG.requestTimeout
+ * by default); a timeout counts as a provider failure. Aborting `options.signal`
+ * cancels the call outright with a RequestCancelledError.
+ *
+ * Answers from the requested provider are cached (see responseCache.js) and
+ * served without a provider call until they expire. `options.bypassCache`
+ * skips the lookup but still refreshes the entry; `options.cacheTtlMs`
+ * overrides the TTL. `options.skipCache` leaves the cache alone entirely
+ * (callLLMStructured caches only answers that pass validation).
+ *
+ * @returns {Promise<Object>} { content, provider, providerName, model, isMock, fallbackUsed,
+ *   attempts, usage, costUsd, cached } where attempts lists every provider considered as
+ *   { provider, status, reason }
+ */
+async function callLLMWithMetadata(systemPrompt, userPrompt, options = {}) {
+  const primaryProvider = getPrimaryProvider(options);
+  const cacheKey = options.skipCache ? null : getResponseCacheKey(primaryProvider, systemPrompt, userPrompt, options);
+
+  const cachedResult = await readCachedResult(cacheKey, options);
+  if (cachedResult) return cachedResult;
+
+  const chain = resolveFailoverChain(primaryProvider, options);
+  const timeout = options.timeout ?? APP_CONFIG.requestTimeout;
+  const promptText = buildMessages(systemPrompt, userPrompt, options.history).map(message => message.content).join('\n');
+  const promptTokens = estimateUsage(promptText, '').promptTokens;
+  const attempts = [];
+  let streamedAnyToken = false;
+  let lastError = null;
+
+  for (const providerName of chain) {
+    if (options.signal?.aborted) {
+      throw new RequestCancelledError('LLM request cancelled', { attempts });
+    }
+
+    // Caller-supplied config only applies to the provider it was written for
+    const providerConfig = providerName === primaryProvider ? options.providerConfig || {} : {};
+    // The mock provider cannot go down, so it has no breaker
+    const breaker = providerName === 'mock' ? null : getCircuitBreaker(providerName);
+    let provider;
+
+    try {
+      provider = llmFactory.createProvider(providerName, providerConfig);
+      provider.validateConfig();
+    } catch (error) {
+      attempts.push({ provider: providerName, status: 'skipped', reason: error.message });
+      continue;
+    }
+
+    // A prompt the model cannot fit would only come back as an API error, so don't send it
+    const capabilities = provider.getModelCapabilities(options);
+    const reservedTokens = options.maxTokens || provider.maxTokens || 0;
+    if (capabilities && promptTokens + reservedTokens > capabilities.contextWindow) {
+      attempts.push({
+        provider: providerName,
+        status: 'skipped',
+        reason: `Prompt of ~${promptTokens} tokens plus ${reservedTokens} reserved for the reply exceeds the ` +
+          `${capabilities.contextWindow}-token context window of ${capabilities.model}`
+      });
+      continue;
+    }
+
+    // Checked last: in half_open this claims the provider's one trial request
+    if (breaker && !breaker.canRequest()) {
+      attempts.push({
+        provider: providerName,
+        status: 'skipped',
+        reason: breaker.state === 'half_open'
+          ? 'Circuit half-open with a trial request already in flight'
+          : `Circuit open after repeated failures (retry in ${Math.ceil(breaker.getRetryAfterMs() / 1000)}s)`
+      });
+      continue;
+    }
+
+    const attemptSignal = createAttemptSignal(options.signal, timeout);
+
+    try {
+      console.log(`[LLM] Using provider: ${provider.getProviderName()}`);
+      const content = await requestCompletion(
+        provider,
+        systemPrompt,
+        userPrompt,
+        { ...options, signal: attemptSignal.signal },
+        () => {
+          streamedAnyToken = true;
+        }
+      );
+
+      breaker?.recordSuccess();
+      attempts.push({ provider: providerName, status: 'success', reason: null });
+
+      const model = provider.getModelName(options);
+      const usage = provider.usage || estimateUsage(promptText, content);
+      const { costUsd } = recordUsage({ sessionId: options.sessionId, provider: providerName, model, usage });
+      const result = {
+        content,
+        provider: providerName,
+        providerName: provider.getProviderName(),
+        model,
+        isMock: providerName === 'mock',
+        fallbackUsed: providerName !== primaryProvider,
+        attempts,
+        usage,
+        costUsd,
+        cached: false
+      };
+
+      // Failover answers are a stand-in for the requested provider, so only its own are cached
+      if (cacheKey && !result.fallbackUsed) {
+        await writeCachedResult(cacheKey, result, options.cacheTtlMs);
+      }
+
+      return result;
+    } catch (caughtError) {
+      // The caller gave up: neither the provider's fault nor worth failing over
+      if (options.signal?.aborted) {
+        console.log(`[LLM] Request to ${providerName} cancelled by caller`);
+        breaker?.releaseTrial();
+        attempts.push({ provider: providerName, status: 'cancelled', reason: 'Cancelled by caller' });
+        throw new RequestCancelledError('LLM request cancelled', { attempts });
+      }
+
+      const error = attemptSignal.hasTimedOut()
+        ? new Error(`${provider.getProviderName()} timed out after ${timeout}ms`)
+        : caughtError;
+
+      console.error(`[LLM] Error with provider ${providerName}:`, error.message);
+      breaker?.recordFailure(error);
+      attempts.push({ provider: providerName, status: 'failed', reason: error.message });
+      lastError = error;
+
+      // Once tokens have reached the caller, failing over would splice another
+      // provider's answer onto a partial one, so stop here.
+      if (streamedAnyToken) break;
+
+      console.log('[LLM] Trying next provider in failover chain');
+    } finally {
+      attemptSignal.dispose();
+    }
+  }
+
+  throw new LLMError(
+    lastError ? `All LLM providers failed: ${lastError.message}` : 'No LLM provider available',
+    primaryProvider,
+    { attempts }
+  );
+}
+
 /**
  * Unified LLM calling function
+ *
+ * Pass `options.history` (an array of { role: 'user' | 'assistant', content })
+ * to send earlier conversation turns ahead of the new user prompt.
+ *
+ * Pass `options.onToken` to stream the completion: the callback receives each
+ * text chunk as it arrives and the full completion is still returned.
+ *
+ * Use callLLMWithMetadata to find out which provider answered.
  */
 async function callLLM(systemPrompt, userPrompt, options = {}) {
+  const result = await callLLMWithMetadata(systemPrompt, userPrompt, options);
+  return result.content;
+}
+
+/**
+ * Structured LLM calling function - returns JSON validated against a schema
+ *
+ * Native JSON mode is requested from providers that support it. A response that
+ * is not valid JSON or does not match the schema is sent back to the model with
+ * the validation errors, up to `options.maxRepairAttempts` times.
+ * `options.validate` adds checks the schema cannot express: it receives the
+ * parsed value and returns error strings, which are repaired the same way.
+ *
+ * Only a validated (or repaired) answer is cached, under the original request,
+ * so a response that failed validation is never replayed.
+ *
+ * @param {Object} schema - Response schema (see structuredOutput.js)
+ * @returns {Promise<Object>} callLLMWithMetadata result plus `data` and `repairAttempts`
+ * @throws {LLMError} When no provider answers or every repair attempt fails validation
+ */
+async function callLLMStructured(schema, systemPrompt, userPrompt, options = {}) {
+  const maxRepairAttempts = options.maxRepairAttempts ?? STRUCTURED_OUTPUT_CONFIG.maxRepairAttempts;
+  const structuredSystemPrompt = `${systemPrompt}\n\n${describeSchemaForPrompt(schema)}`;
+  const responseFormat = { type: 'json', schema };
+  const check = content => {
+    const parsed = parseJsonResponse(content);
+    let checkErrors = parsed.error ? [parsed.error] : validateAgainstSchema(parsed.value, schema);
+    if (checkErrors.length === 0 && options.validate) {
+      checkErrors = options.validate(parsed.value);
+    }
+    return { value: parsed.value, errors: checkErrors };
+  };
+
+  const primaryProvider = getPrimaryProvider(options);
+  const cacheKey = options.skipCache ? null : getResponseCacheKey(primaryProvider, structuredSystemPrompt, userPrompt, { ...options, responseFormat });
+  const cachedResult = await readCachedResult(cacheKey, options);
+  if (cachedResult) {
+    const cachedCheck = check(cachedResult.content);
+    if (cachedCheck.errors.length === 0) {
+      return { ...cachedResult, data: cachedCheck.value, repairAttempts: 0 };
+    }
+  }
+
+  let history = options.history || [];
+  let prompt = userPrompt;
+  let result;
+  let usage = null;
+  let costUsd = 0;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    result = await callLLMWithMetadata(structuredSystemPrompt, prompt, {
+      ...options,
+      history,
+      responseFormat,
+      skipCache: true,
+      // Only the first attempt streams; repairs replace it wholesale
+      onToken: attempt === 0 ? options.onToken : undefined
+    });
+
+    usage = addUsage(usage, result.usage);
+    costUsd = result.costUsd === null || costUsd === null ? null : costUsd + result.costUsd;
+
+    const parsed = check(result.content);
+    errors = parsed.errors;
+
+    if (errors.length === 0) {
+      if (cacheKey && !result.fallbackUsed) {
+        await writeCachedResult(cacheKey, { ...result, content: JSON.stringify(parsed.value), usage }, options.cacheTtlMs);
+      }
+      // Usage and cost cover the repair attempts as well
+      return { ...result, usage, costUsd, data: parsed.value, repairAttempts: attempt };
+    }
+
+    console.warn(`[LLM] Structured response from ${result.providerName} failed validation (attempt ${attempt + 1}):`, errors);
+
+    history = [
+      ...history,
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: result.content }
+    ];
+    prompt = buildRepairPrompt(errors);
+  }
+
+  throw new LLMError(
+    `Structured response did not match schema after ${maxRepairAttempts + 1} attempt(s)`,
+    result.provider,
+    { validationErrors: errors, attempts: result.attempts }
+  );
+}
+
+/**
+ * Strip a metadata result down to what API responses expose
+ */
+function describeLLMResult(result) {
+  return {
+    provider: result.provider,
+    provider_name: result.providerName,
+    is_mock: result.isMock,
+    fallback_used: result.fallbackUsed,
+    model: result.model,
+    usage: result.usage,
+    cost_usd: result.costUsd,
+    cached: Boolean(result.cached),
+    attempts: result.attempts,
+    ...(result.repairAttempts !== undefined ? { repair_attempts: result.repairAttempts } : {})
+  };
+}
+
+/**
+ * Embed texts with one provider's embedding endpoint. There is no failover:
+ * vectors from different models cannot be compared with each other, so a
+ * failure is the caller's to handle as a whole (semanticDrift.js switches to
+ * its bundled model).
+ *
+ * Pass `options.embeddingModel` to override the provider's default model.
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<Object>} { vectors, provider, providerName, model, usage, costUsd }
+ */
+async function embedTexts(texts, options = {}) {
   const providerName = options.provider || process.env.DEFAULT_LLM_PROVIDER || llmFactory.getDefaultProvider();
-  const providerConfig = options.providerConfig || {};
-  
+  const provider = llmFactory.createProvider(providerName, options.providerConfig || {});
+  const model = provider.getEmbeddingModel(options);
+  const timeout = options.timeout ?? APP_CONFIG.requestTimeout;
+  const attemptSignal = createAttemptSignal(options.signal, timeout);
+
   try {
-    const provider = llmFactory.createProvider(providerName, providerConfig);
-    console.log(`[LLM] Using provider: ${provider.getProviderName()}`);
-    
-    return await provider.call(systemPrompt, userPrompt, options);
+    console.log(`[LLM] Embedding ${texts.length} text(s) with ${provider.getProviderName()} (${model})`);
+    const vectors = await provider.embed(texts, { embeddingModel: model, signal: attemptSignal.signal });
+
+    const usage = provider.usage || estimateUsage(texts.join('\n'), '');
+    const { costUsd } = recordUsage({ sessionId: options.sessionId, provider: providerName, model, usage });
+
+    return { vectors, provider: providerName, providerName: provider.getProviderName(), model, usage, costUsd };
   } catch (error) {
-    console.error(`[LLM] Error with provider ${providerName}:`, error.message);
-    
-    // Fallback to mock provider if configured
-    if (options.fallbackToMock !== false) {
-      console.log('[LLM] Falling back to mock provider');
-      const mockProvider = llmFactory.createProvider('mock');
-      return await mockProvider.call(systemPrompt, userPrompt, options);
+    if (options.signal?.aborted) {
+      throw new RequestCancelledError('Embedding request cancelled');
     }
-    
-    throw error;
+    if (attemptSignal.hasTimedOut()) {
+      throw new LLMError(`${provider.getProviderName()} embeddings timed out after ${timeout}ms`, providerName);
+    }
+    throw new LLMError(error.message, providerName);
+  } finally {
+    attemptSignal.dispose();
   }
 }
 
@@ -485,10 +1523,18 @@ export {
   AnthropicProvider,
   GeminiProvider,
   AbacusProvider,
+  LocalOpenAIProvider,
   MockProvider,
   LLMProviderFactory,
   llmFactory,
-  callLLM
+  getLLMSelectionOptions,
+  getProviderAvailability,
+  buildMessages,
+  callLLM,
+  callLLMWithMetadata,
+  callLLMStructured,
+  describeLLMResult,
+  embedTexts
 };
 
 // Default export for convenience
@@ -0,0 +1,126 @@
+/**
+ * Model Catalogue
+ *
+ * What each provider's models can do: context window, output limit, JSON mode,
+ * streaming, highest accepted temperature and pricing. Provider classes declare a static `capabilities`
+ * object and LLMProviderFactory.registerProvider() adds it here, so the
+ * catalogue always matches the registered providers.
+ *
+ * jsonMode names the native mechanism a model supports for JSON output:
+ * 'json_object' (OpenAI response_format), 'json_schema' (schema-constrained
+ * response_format), 'mime_type' (Gemini responseMimeType) or null (prompt only).
+ */
+
+import { LLM_CONFIG, VALIDATION_CONFIG } from './config.js';
+
+const catalogue = new Map();
+
+/**
+ * Register a provider's capabilities
+ * @param {string} providerName - Factory name (e.g. 'openai')
+ * @param {Object} capabilities - { defaultModel, defaults, models } where defaults
+ *   apply to any model without its own entry and models maps model id to overrides
+ */
+export function registerProviderCapabilities(providerName, capabilities) {
+  catalogue.set(providerName, capabilities);
+}
+
+/**
+ * Find a model's entry, matching dated variants (e.g. gpt-4o-2024-08-06)
+ * by their longest catalogued prefix
+ */
+function findModelEntry(models, model) {
+  if (!model) return null;
+  if (models[model]) return models[model];
+
+  const prefix = Object.keys(models)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? models[prefix] : null;
+}
+
+/**
+ * Capabilities of a model from a provider's capabilities object
+ * @returns {Object} { model, contextWindow, maxOutputTokens, jsonMode, streaming, maxTemperature, pricing, catalogued }
+ */
+export function resolveModelCapabilities(capabilities, model) {
+  if (!capabilities) return null;
+
+  const models = capabilities.models || {};
+  const entry = findModelEntry(models, model);
+
+  return {
+    ...capabilities.defaults,
+    ...entry,
+    model,
+    catalogued: Boolean(entry)
+  };
+}
+
+/**
+ * Capabilities of a registered provider's model (its default model when omitted)
+ */
+export function getModelCapabilities(providerName, model = null) {
+  const capabilities = catalogue.get(providerName);
+  if (!capabilities) return null;
+
+  return resolveModelCapabilities(capabilities, model || capabilities.defaultModel);
+}
+
+/**
+ * Highest temperature a provider's model accepts (its default model when
+ * omitted); providers that do not declare one get the global limit
+ */
+export function getMaxTemperature(providerName, model = null) {
+  return getModelCapabilities(providerName, model)?.maxTemperature ?? VALIDATION_CONFIG.maxTemperature;
+}
+
+/**
+ * Models a request may select for a provider: the *_ALLOWED_MODELS override
+ * when set, otherwise every catalogued model
+ */
+export function getAllowedModels(providerName) {
+  const override = LLM_CONFIG[providerName]?.allowedModels;
+  if (override?.length > 0) return override;
+
+  return Object.keys(catalogue.get(providerName)?.models || {});
+}
+
+/**
+ * Price of a model in USD per 1M tokens, or null when unpriced.
+ * Without a provider, the first provider cataloguing the model is used.
+ */
+export function getModelPricing(model, providerName = null) {
+  const providerNames = providerName ? [providerName] : Array.from(catalogue.keys());
+
+  for (const name of providerNames) {
+    const capabilities = catalogue.get(name);
+    const entry = capabilities && findModelEntry(capabilities.models || {}, model);
+    const pricing = entry?.pricing ?? (providerName ? capabilities?.defaults?.pricing : null);
+    if (pricing) return pricing;
+  }
+
+  return null;
+}
+
+/**
+ * The catalogue for the provider selector: one entry per allowed model
+ * @returns {Object[]} { id, contextWindow, maxOutputTokens, jsonMode, streaming, maxTemperature, pricing }
+ */
+export function describeProviderModels(providerName) {
+  return getAllowedModels(providerName).map(model => {
+    const { contextWindow, maxOutputTokens, jsonMode, streaming, pricing, catalogued } =
+      getModelCapabilities(providerName, model);
+    return {
+      id: model,
+      contextWindow,
+      maxOutputTokens,
+      jsonMode,
+      streaming,
+      maxTemperature: getMaxTemperature(providerName, model),
+      pricing: pricing || null,
+      catalogued
+    };
+  });
+}
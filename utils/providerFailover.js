@@ -0,0 +1,139 @@
+/**
+ * Provider Failover System
+ * 
+ * Per-provider circuit breakers and failover chain resolution for callLLM.
+ * A provider that keeps failing is skipped for a cooldown period instead of
+ * being retried on every request.
+ */
+
+import { LLM_FAILOVER_CONFIG } from './config.js';
+
+/**
+ * Circuit Breaker for a single provider
+ * 
+ * closed    - requests flow normally
+ * open      - requests are skipped until the cooldown expires
+ * half_open - one trial request is allowed; success closes, failure re-opens.
+ *             Other requests are skipped while the trial is in flight.
+ */
+export class CircuitBreaker {
+  constructor(providerName, config = {}) {
+    this.providerName = providerName;
+    this.failureThreshold = config.failureThreshold || LLM_FAILOVER_CONFIG.failureThreshold;
+    this.cooldownMs = config.cooldownMs || LLM_FAILOVER_CONFIG.cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent to this provider right now. In half_open
+   * this claims the one trial request, so the caller must follow up with
+   * recordSuccess, recordFailure or releaseTrial.
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Give back a trial request that ended without a verdict (e.g. the caller cancelled it)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.trialInFlight = false;
+    this.consecutiveFailures++;
+    this.lastError = error?.message || String(error);
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`[Failover] Circuit opened for ${this.providerName} after ${this.consecutiveFailures} failure(s)`);
+    }
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial request
+   */
+  getRetryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.cooldownMs - (Date.now() - this.openedAt));
+  }
+
+  getStatus() {
+    return {
+      provider: this.providerName,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAfterMs: this.getRetryAfterMs(),
+      trialInFlight: this.trialInFlight,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Breakers live for the lifetime of the server process
+const circuitBreakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a provider
+ */
+export function getCircuitBreaker(providerName) {
+  if (!circuitBreakers.has(providerName)) {
+    circuitBreakers.set(providerName, new CircuitBreaker(providerName));
+  }
+  return circuitBreakers.get(providerName);
+}
+
+/**
+ * Get the status of every provider that has been called
+ */
+export function getCircuitBreakerStatus() {
+  return Array.from(circuitBreakers.values()).map(breaker => breaker.getStatus());
+}
+
+/**
+ * Reset all circuit breakers (e.g. after fixing credentials)
+ */
+export function resetCircuitBreakers() {
+  circuitBreakers.clear();
+}
+
+/**
+ * Resolve the ordered list of providers to try for a request
+ * @param {string} primaryProvider - Provider requested by the caller
+ * @param {Object} options - `failoverChain` overrides the configured chain;
+ *   `fallbackToMock: false` keeps the mock provider out of the chain
+ * @returns {Array<string>} Provider names, primary first, without duplicates
+ */
+export function resolveFailoverChain(primaryProvider, options = {}) {
+  const configuredChain = options.failoverChain || LLM_FAILOVER_CONFIG.chain;
+  const chain = [...new Set([primaryProvider, ...configuredChain])];
+
+  if (options.fallbackToMock === false) {
+    return chain.filter(name => name !== 'mock' || name === primaryProvider);
+  }
+
+  // The mock provider is always the last resort unless explicitly excluded
+  return chain.includes('mock') ? chain : [...chain, 'mock'];
+}
@@ -0,0 +1,235 @@
+/**
+ * Readiness Evaluator
+ *
+ * Decides whether a block is ready to leave its altitude. The LLM grades the
+ * text against a rubric for each readiness factor (READINESS_CONFIG.factors);
+ * the mean factor score is then banded red/yellow/green with the altitude
+ * level's readinessThresholds. Keyword heuristics score the text instead when
+ * scoring is set to 'keywords' or no real provider is available.
+ */
+
+import { READINESS_CONFIG } from './config.js';
+import { getAltitudeLevel, getAltitudeStage } from './altitudeLadder.js';
+import { createReadinessSchema } from './structuredOutput.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+const DEFAULT_THRESHOLDS = { red: 0.3, yellow: 0.6, green: 0.8 };
+
+/**
+ * What each factor measures, and what low and high scores look like
+ */
+export const READINESS_RUBRIC = {
+  specificity: {
+    label: 'Specificity',
+    question: 'Does it name concrete choices (industries, audiences, products, places) rather than generalities?',
+    low: 'Generic wording that could describe almost anyone\'s idea',
+    high: 'Names the exact domain, audience and approach'
+  },
+  actionability: {
+    label: 'Actionability',
+    question: 'Could someone act on it at this altitude without asking what to do next?',
+    low: 'Aspirations with no direction to act on',
+    high: 'The next decision or step at this altitude is obvious'
+  },
+  measurability: {
+    label: 'Measurability',
+    question: 'Does it say how progress or success would be recognised?',
+    low: 'No outcome that could be observed or counted',
+    high: 'Clear outcomes, targets or milestones'
+  },
+  clarity: {
+    label: 'Clarity',
+    question: 'Is it unambiguous and free of hedging such as "maybe" or "something"?',
+    low: 'Vague, hedged or contradictory',
+    high: 'One clear reading'
+  },
+  completeness: {
+    label: 'Completeness',
+    question: 'Does it cover everything this altitude level asks for?',
+    low: 'Most of what the level asks for is missing',
+    high: 'Nothing the level asks for is missing'
+  }
+};
+
+/**
+ * Band a 0-1 readiness score with an altitude level's thresholds
+ * @returns {'red'|'yellow'|'green'}
+ */
+export function classifyReadiness(score, altitude) {
+  const thresholds = getAltitudeLevel(altitude)?.readinessThresholds || DEFAULT_THRESHOLDS;
+
+  if (score < thresholds.red) return 'red';
+  if (score < thresholds.green) return 'yellow';
+  return 'green';
+}
+
+/**
+ * Keyword heuristic readiness score (the offline fallback)
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreReadinessByKeywords(prompt, altitude) {
+  let score = 0;
+  const stage = getAltitudeStage(altitude);
+  const promptLower = prompt.toLowerCase();
+  const wordCount = prompt.split(' ').length;
+  
+  // Base score from word count (longer prompts tend to be more complete)
+  score += Math.min(wordCount / 30, 0.3);
+  
+  // Altitude-specific assessment
+  if (stage === 'vision') {
+    // At the vision stage, look for vision and goal clarity
+    const visionWords = promptLower.match(/\b(goal|vision|dream|aspire|achieve|become|create|build|start|pursue)\b/gi);
+    const vagueWords = promptLower.match(/\b(something|anything|maybe|possibly|kind of|sort of|general|broad)\b/gi);
+    score += (visionWords?.length || 0) * 0.2;
+    score -= (vagueWords?.length || 0) * 0.3;
+    
+    // Bonus for having a clear subject
+    if (promptLower.includes('i want') || promptLower.includes('i need') || promptLower.includes('i would like')) {
+      score += 0.2;
+    }
+  } else if (stage === 'category') {
+    // At the category stage, look for industry/category specificity
+    const industryWords = promptLower.match(/\b(industry|sector|field|domain|category|type|business|market)\b/gi);
+    const specificIndustries = promptLower.match(/\b(tech|healthcare|finance|insurance|retail|education|manufacturing|services)\b/gi);
+    score += (industryWords?.length || 0) * 0.15;
+    score += (specificIndustries?.length || 0) * 0.25;
+    
+    // Bonus for mentioning specific business models or roles
+    if (promptLower.includes('agent') || promptLower.includes('consultant') || promptLower.includes('entrepreneur') || 
+        promptLower.includes('developer') || promptLower.includes('manager')) {
+      score += 0.2;
+    }
+  } else if (stage === 'specialization') {
+    // At the specialization stage, look for specialization and niche details
+    const specializationWords = promptLower.match(/\b(specialize|niche|focus|specific|particular|target|segment|approach)\b/gi);
+    const actionWords = promptLower.match(/\b(develop|create|build|design|implement|launch|start|establish)\b/gi);
+    score += (specializationWords?.length || 0) * 0.2;
+    score += (actionWords?.length || 0) * 0.15;
+    
+    // Bonus for mentioning specific specializations
+    if (promptLower.includes('life insurance') || promptLower.includes('health insurance') || 
+        promptLower.includes('property insurance') || promptLower.includes('auto insurance') ||
+        promptLower.includes('web development') || promptLower.includes('mobile app') ||
+        promptLower.includes('saas') || promptLower.includes('ecommerce')) {
+      score += 0.3;
+    }
+  } else if (stage === 'execution') {
+    // At the execution stage, look for execution details and concrete plans
+    const executionWords = promptLower.match(/\b(plan|timeline|milestone|action|step|resource|tool|budget|schedule)\b/gi);
+    const concreteWords = promptLower.match(/\b(first|next|then|finally|specific|concrete|definite|exact|precise)\b/gi);
+    score += (executionWords?.length || 0) * 0.25;
+    score += (concreteWords?.length || 0) * 0.2;
+    
+    // Bonus for mentioning specific actions or resources
+    if (promptLower.includes('get licensed') || promptLower.includes('join agency') || 
+        promptLower.includes('build client') || promptLower.includes('crm software') ||
+        promptLower.includes('market research') || promptLower.includes('product development') ||
+        promptLower.includes('team building') || promptLower.includes('funding')) {
+      score += 0.3;
+    }
+  }
+  
+  // Penalty for very short prompts
+  if (wordCount < 5) score -= 0.3;
+  if (wordCount < 10) score -= 0.1;
+  
+  // Normalize score to 0-1 range
+  score = Math.max(0, Math.min(1, score));
+
+  return score;
+}
+
+/**
+ * Score how ready a block's text is to move on from its altitude
+ * @param {string} text - The block's idea or refinement
+ * @param {string} altitude - Altitude the text was written for
+ * @param {Object} options - `level` ({ name, description }) describes levels that are not on
+ *   the altitude ladder; `fallback` replaces the keyword heuristic and returns { status, score };
+ *   `sessionId`, `signal` and `llmSelection` are passed to the LLM call
+ * @returns {Promise<Object>} { status, score, factors, rationale, method, llm_metadata } where
+ *   factors maps each factor to { score, rationale } (null for the keyword fallback) and
+ *   method is 'llm' or 'keywords'
+ */
+export async function evaluateReadiness(text, altitude, options = {}) {
+  const level = options.level || getAltitudeLevel(altitude);
+  const keywordFallback = (reason) => {
+    const { status, score } = options.fallback
+      ? options.fallback()
+      : { score: scoreReadinessByKeywords(text, altitude), status: null };
+    return {
+      status: status || classifyReadiness(score, altitude),
+      score: typeof score === 'number' ? Math.round(score * 100) / 100 : null,
+      factors: null,
+      rationale: reason,
+      method: 'keywords',
+      llm_metadata: null
+    };
+  };
+
+  if (READINESS_CONFIG.scoring === 'keywords' || !text?.trim()) {
+    return keywordFallback('Scored from keywords');
+  }
+
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, describeLLMResult, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const result = await callLLMStructured(
+      createReadinessSchema(READINESS_CONFIG.factors),
+      createReadinessSystemPrompt(),
+      createReadinessPrompt(text, altitude, level),
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        sessionId: options.sessionId,
+        signal: options.signal,
+        fallbackToMock: true
+      }
+    );
+
+    // The mock provider cannot grade, so its scores would mean nothing
+    if (result.isMock) {
+      return { ...keywordFallback('No LLM available; scored from keywords'), llm_metadata: describeLLMResult(result) };
+    }
+
+    const factors = Object.fromEntries(READINESS_CONFIG.factors.map(factor => [factor, {
+      score: result.data.factors[factor].score,
+      rationale: result.data.factors[factor].rationale
+    }]));
+    const score = READINESS_CONFIG.factors.reduce((sum, factor) => sum + factors[factor].score, 0) / READINESS_CONFIG.factors.length;
+
+    return {
+      status: classifyReadiness(score, altitude),
+      score: Math.round(score * 100) / 100,
+      factors,
+      rationale: result.data.rationale,
+      method: 'llm',
+      llm_metadata: describeLLMResult(result)
+    };
+  } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+    console.log('[Readiness] LLM grading failed, using keyword fallback:', error.message);
+    return keywordFallback('LLM grading failed; scored from keywords');
+  }
+}
+
+function createReadinessSystemPrompt() {
+  return `You grade how ready an idea is to move from one altitude level to the next in altitude-based thinking. Grade strictly against the rubric; an idea that is clear but generic still scores low on specificity.`;
+}
+
+function createReadinessPrompt(text, altitude, level) {
+  const rubric = READINESS_CONFIG.factors.map(factor => {
+    const entry = READINESS_RUBRIC[factor];
+    return `- ${factor}: ${entry.question}\n  0 = ${entry.low}; 1 = ${entry.high}`;
+  }).join('\n');
+
+  return `ALTITUDE: ${altitude}${level ? ` (${level.name}: ${level.description})` : ''}
+
+TEXT TO GRADE:
+"${text}"
+
+RUBRIC:
+${rubric}
+
+Score each factor from 0 to 1 for what this altitude level asks for, not for later levels, with a one-sentence rationale. Then give a one-sentence overall rationale saying what would most improve readiness.`;
+}
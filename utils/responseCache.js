@@ -0,0 +1,281 @@
+/**
+ * Response Cache
+ *
+ * Caches LLM responses so re-running the same prompt at the same altitude
+ * returns instantly without paying for another call. Entries are keyed by a
+ * hash of everything that shapes the response: provider, model, prompts,
+ * conversation history, temperature, reply token budget and requested
+ * output schema.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { RESPONSE_CACHE_CONFIG } from './config.js';
+
+/**
+ * In-memory LRU store. A Map keeps insertion order, so re-inserting on read
+ * moves an entry to the back and the first key is always the least recent.
+ */
+export class MemoryCacheStore {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || RESPONSE_CACHE_CONFIG.maxEntries;
+    this.entries = new Map();
+    this.onEvict = config.onEvict || null;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.onEvict?.();
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * File-backed store, one JSON file per entry. Survives restarts, so demos and
+ * walkthroughs stay free across deploys that keep the directory.
+ *
+ * Each file's mtime is set to its entry's expiry, so every write can sweep
+ * expired entries, then the soonest to expire beyond maxEntries, from file
+ * stats alone.
+ */
+export class FileCacheStore {
+  constructor(config = {}) {
+    this.directory = path.resolve(config.directory || RESPONSE_CACHE_CONFIG.directory);
+    this.maxEntries = config.maxEntries || RESPONSE_CACHE_CONFIG.maxEntries;
+    this.onEvict = config.onEvict || null;
+  }
+
+  getPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Cache] Could not read entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.getPath(key), JSON.stringify(entry));
+    await fs.utimes(this.getPath(key), new Date(), new Date(entry.expiresAt));
+    await this.prune();
+  }
+
+  async prune() {
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const entries = (await Promise.all(files.map(async file => {
+      const filePath = path.join(this.directory, file);
+      try {
+        return { filePath, expiresAt: (await fs.stat(filePath)).mtimeMs };
+      } catch {
+        // Removed by a concurrent prune
+        return null;
+      }
+    }))).filter(Boolean).sort((a, b) => a.expiresAt - b.expiresAt);
+
+    const now = Date.now();
+    const expired = entries.filter(entry => entry.expiresAt <= now);
+    const live = entries.filter(entry => entry.expiresAt > now);
+    const evicted = live.slice(0, Math.max(0, live.length - this.maxEntries));
+
+    await Promise.all([...expired, ...evicted].map(entry => fs.rm(entry.filePath, { force: true })));
+    evicted.forEach(() => this.onEvict?.());
+  }
+
+  async delete(key) {
+    await fs.rm(this.getPath(key), { force: true });
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  async size() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(file => file.endsWith('.json')).length;
+    } catch {
+      return 0;
+    }
+  }
+}
+
+// Stores selectable through LLM_CACHE_STORE; registerCacheStore adds more
+// (e.g. a SQLite or Redis store) without touching callLLM
+const storeFactories = new Map([
+  ['memory', config => new MemoryCacheStore(config)],
+  ['file', config => new FileCacheStore(config)]
+]);
+
+const cacheState = {
+  store: null,
+  storeName: null,
+  stats: createStats()
+};
+
+function createStats() {
+  return { hits: 0, misses: 0, writes: 0, expired: 0, evictions: 0, bypassed: 0 };
+}
+
+/**
+ * Register a cache store implementation
+ * @param {string} name - Value of LLM_CACHE_STORE that selects it
+ * @param {Function} factory - (config) => store with async get/set/delete/clear/size
+ */
+export function registerCacheStore(name, factory) {
+  storeFactories.set(name, factory);
+}
+
+function getStore() {
+  if (!cacheState.store) {
+    const factory = storeFactories.get(RESPONSE_CACHE_CONFIG.store);
+    if (!factory) {
+      console.warn(`[Cache] Unknown store "${RESPONSE_CACHE_CONFIG.store}", using memory`);
+    }
+    cacheState.storeName = factory ? RESPONSE_CACHE_CONFIG.store : 'memory';
+    cacheState.store = (factory || storeFactories.get('memory'))({
+      ...RESPONSE_CACHE_CONFIG,
+      onEvict: () => cacheState.stats.evictions++
+    });
+  }
+  return cacheState.store;
+}
+
+// Whitespace differences should not cause misses
+const normaliseText = text => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Hash the parts of a request that determine its response
+ * @param {Object} request - { provider, model, systemPrompt, userPrompt, history, temperature, maxTokens, schema }
+ * @returns {string} Hex SHA-256 digest
+ */
+export function createCacheKey({ provider, model, systemPrompt, userPrompt, history = [], temperature, maxTokens, schema = null }) {
+  const normalised = JSON.stringify({
+    provider,
+    model,
+    systemPrompt: normaliseText(systemPrompt),
+    userPrompt: normaliseText(userPrompt),
+    history: history.map(turn => ({ role: turn.role, content: normaliseText(turn.content) })),
+    temperature: temperature ?? null,
+    // A reply cut short by a small budget must not be replayed for a larger one
+    maxTokens: maxTokens ?? null,
+    schema
+  });
+
+  return createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Whether the client asked to skip cached responses, via `x-llm-cache: bypass`
+ * or `Cache-Control: no-cache`
+ */
+export function shouldBypassCache(req) {
+  const cacheHeader = String(req.headers[RESPONSE_CACHE_CONFIG.bypassHeader] || '').toLowerCase();
+  const cacheControl = String(req.headers['cache-control'] || '').toLowerCase();
+  return cacheHeader === 'bypass' || cacheControl.includes('no-cache');
+}
+
+/**
+ * Look up a cached response
+ * @returns {Promise<Object|null>} The cached value, or null on a miss or expiry
+ */
+export async function getCachedResponse(key) {
+  if (!RESPONSE_CACHE_CONFIG.enabled) return null;
+
+  const store = getStore();
+  const entry = await store.get(key);
+
+  if (entry && entry.expiresAt <= Date.now()) {
+    cacheState.stats.expired++;
+    cacheState.stats.misses++;
+    await store.delete(key);
+    return null;
+  }
+
+  cacheState.stats[entry ? 'hits' : 'misses']++;
+  return entry ? entry.value : null;
+}
+
+/**
+ * Store a response
+ * @param {number} ttlMs - Overrides LLM_CACHE_TTL_MS for this entry
+ */
+export async function setCachedResponse(key, value, ttlMs = RESPONSE_CACHE_CONFIG.ttlMs) {
+  if (!RESPONSE_CACHE_CONFIG.enabled) return;
+
+  try {
+    await getStore().set(key, {
+      value,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttlMs
+    });
+    cacheState.stats.writes++;
+  } catch (error) {
+    // A cache that cannot be written should never fail the request
+    console.warn('[Cache] Could not store response:', error.message);
+  }
+}
+
+/**
+ * Count a request that skipped the cache lookup
+ */
+export function recordCacheBypass() {
+  cacheState.stats.bypassed++;
+}
+
+/**
+ * Hit/miss statistics for the cache route
+ */
+export async function getCacheStats() {
+  const { hits, misses } = cacheState.stats;
+  const store = getStore();
+
+  return {
+    enabled: RESPONSE_CACHE_CONFIG.enabled,
+    store: cacheState.storeName,
+    ttlMs: RESPONSE_CACHE_CONFIG.ttlMs,
+    entries: await store.size(),
+    ...cacheState.stats,
+    hitRate: hits + misses > 0 ? hits / (hits + misses) : null
+  };
+}
+
+/**
+ * Remove every cached response and reset the statistics
+ */
+export async function clearResponseCache() {
+  await getStore().clear();
+  cacheState.stats = createStats();
+}
@@ -0,0 +1,392 @@
+/**
+ * Semantic Drift Detection
+ *
+ * Compares altitude summaries by meaning instead of by keyword lists: each
+ * summary is embedded and its cosine distance measured against the 30k vision
+ * and against the level before. Embeddings come from the provider's embedding
+ * endpoint or, when it has none or fails, from a bundled model: hashed bag of
+ * words and word pairs, which needs no download or API call but only sees
+ * shared wording. The keyword checks in driftDetector.js stay as the offline
+ * fallback and still supply the scope check, which distances do not measure.
+ *
+ * Every analysis also lists the key concepts that appeared in or disappeared
+ * from the level, so the user can see what changed rather than just a score.
+ */
+
+import { DRIFT_CONFIG } from './config.js';
+import { checkForDrift } from './driftDetector.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'and', 'any', 'are', 'because', 'been', 'before', 'being', 'between', 'both', 'but',
+  'can', 'could', 'does', 'doing', 'down', 'each', 'for', 'from', 'further', 'get', 'had', 'has', 'have', 'having',
+  'her', 'here', 'him', 'his', 'how', 'into', 'its', 'just', 'like', 'make', 'more', 'most', 'much', 'must', 'need',
+  'not', 'now', 'off', 'once', 'only', 'other', 'our', 'out', 'over', 'own', 'same', 'she', 'should', 'some', 'such',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'too',
+  'under', 'until', 'upon', 'user', 'users', 'very', 'want', 'wants', 'was', 'way', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'without', 'would', 'you', 'your'
+]);
+
+/**
+ * Summaries are stored with an "[altitude] " prefix, which is not content
+ */
+function stripAltitudeTag(text) {
+  return (text || '').replace(/^\s*\[[^\]]+\]\s*/, '');
+}
+
+/**
+ * Content words in order, lowercased, with plurals folded onto the singular
+ */
+function extractTerms(text) {
+  return (stripAltitudeTag(text).toLowerCase().match(/[a-z][a-z0-9'-]*[a-z0-9]/g) || [])
+    .map(word => word.replace(/'s$/, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => {
+      if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+      if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us') && word.length > 3) return word.slice(0, -1);
+      return word;
+    })
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * The bundled model: words and adjacent word pairs hashed into a fixed number
+ * of signed buckets, log-weighted by frequency and L2-normalised
+ */
+export function embedLocally(text, dimensions = DRIFT_CONFIG.localDimensions) {
+  const terms = extractTerms(text);
+  const features = [
+    ...terms.map(term => [term, 1]),
+    ...terms.slice(1).map((term, index) => [`${terms[index]} ${term}`, 0.5])
+  ];
+
+  const counts = new Map();
+  features.forEach(([feature, weight]) => counts.set(feature, (counts.get(feature) || 0) + weight));
+
+  const vector = new Array(dimensions).fill(0);
+  counts.forEach((count, feature) => {
+    const hash = hashFeature(feature);
+    // A second hash bit picks the sign, so collisions tend to cancel out
+    vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * 1 - cosine similarity; 1 when either vector is empty
+ */
+export function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 1;
+  return 1 - dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * The most frequent content words of a text, earliest first on ties
+ */
+function getKeyConcepts(text, limit = DRIFT_CONFIG.maxConcepts) {
+  const counts = new Map();
+  extractTerms(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+/**
+ * Key concepts of `after` not mentioned in `before`, and the other way round
+ * @returns {Object} { appeared: string[], disappeared: string[] }
+ */
+export function diffConcepts(before, after, limit = DRIFT_CONFIG.maxConcepts) {
+  const beforeTerms = new Set(extractTerms(before));
+  const afterTerms = new Set(extractTerms(after));
+
+  return {
+    appeared: getKeyConcepts(after, limit).filter(term => !beforeTerms.has(term)),
+    disappeared: getKeyConcepts(before, limit).filter(term => !afterTerms.has(term))
+  };
+}
+
+/**
+ * Embed texts with the configured engine, falling back to the bundled model
+ * @returns {Promise<Object>} { engine: 'provider'|'local', vectors, model, metadata }
+ */
+async function embedSummaries(texts, options) {
+  if (DRIFT_CONFIG.engine === 'provider') {
+    try {
+      // Import the LLM provider dynamically to avoid circular dependencies
+      const { embedTexts } = await import('./llmProviders.js');
+
+      const result = await embedTexts(texts, {
+        provider: DRIFT_CONFIG.embeddingProvider || options.llmSelection?.provider,
+        embeddingModel: DRIFT_CONFIG.embeddingModel || undefined,
+        sessionId: options.sessionId,
+        signal: options.signal
+      });
+
+      return {
+        engine: 'provider',
+        vectors: result.vectors,
+        model: result.model,
+        metadata: { provider: result.provider, provider_name: result.providerName, model: result.model, usage: result.usage, cost_usd: result.costUsd }
+      };
+    } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
+      console.log('[Drift] Provider embeddings unavailable, using the bundled model:', error.message);
+    }
+  }
+
+  return {
+    engine: 'local',
+    vectors: texts.map(text => embedLocally(text)),
+    model: `hashed-bow-${DRIFT_CONFIG.localDimensions}`,
+    metadata: null
+  };
+}
+
+function describeConcepts({ appeared, disappeared }) {
+  return [
+    appeared.length > 0 ? `new: ${appeared.join(', ')}` : null,
+    disappeared.length > 0 ? `dropped: ${disappeared.join(', ')}` : null
+  ].filter(Boolean).join('; ');
+}
+
+function roundDistance(distance) {
+  return distance === null ? null : Number(distance.toFixed(3));
+}
+
+/**
+ * Turn a level's distances into drift flags. A jump from the level before is a
+ * topic shift; a level close to the one before but far from the vision has
+ * slid away from it step by step, which is goal misalignment.
+ * @returns {Object} { hasDrift, driftType, confidence, details, flags }
+ */
+function assessDistances(distances, thresholds, { keywordAnalysis, concepts, visionConcepts }) {
+  const flags = [];
+  if (distances.previous !== null && distances.previous > thresholds.previous) {
+    const changes = describeConcepts(concepts);
+    flags.push({
+      type: 'topic_shift',
+      hasDrift: true,
+      confidence: Math.min(1, distances.previous),
+      details: `Meaning moved away from the level before (distance ${distances.previous.toFixed(2)})${changes ? `: ${changes}` : ''}`
+    });
+  } else if (distances.vision !== null && distances.vision > thresholds.vision) {
+    // Each step stayed close to the one before, but together they wandered off
+    const changes = describeConcepts(visionConcepts);
+    flags.push({
+      type: 'goal_misalignment',
+      hasDrift: true,
+      confidence: Math.min(1, distances.vision),
+      details: `Meaning moved away from the 30k vision (distance ${distances.vision.toFixed(2)})${changes ? `: ${changes}` : ''}`
+    });
+  }
+  // Distances say nothing about how much was written, so keep the word-count check
+  flags.push(...(keywordAnalysis.flags || []).filter(flag => flag.type === 'scope_change'));
+
+  const hasDrift = flags.length > 0;
+  return {
+    hasDrift,
+    driftType: flags.length > 1 ? 'multiple' : flags[0]?.type || null,
+    confidence: Number(Math.max(0, ...flags.map(flag => flag.confidence)).toFixed(2)),
+    details: hasDrift ? flags.map(flag => flag.details).join('; ') : 'No drift detected',
+    flags
+  };
+}
+
+/**
+ * Check one altitude summary for drift from the 30k vision and from the level before
+ * @param {Object} summaries - { vision, previous, current, altitude }; vision and previous
+ *   may be the same text (the level right below the vision) and either may be missing
+ * @param {Object} options - `sessionId`, `signal` and `llmSelection` (whose provider is used
+ *   for embeddings unless DRIFT_EMBEDDING_PROVIDER is set)
+ * @returns {Promise<Object>} checkForDrift's { hasDrift, driftType, confidence, details, flags }
+ *   plus { engine, embeddingModel, distances: { vision, previous }, thresholds, concepts, visionConcepts,
+ *   embedding_metadata } where concepts compares with the level before and visionConcepts with the vision
+ */
+export async function analyzeSemanticDrift({ vision, previous, current, altitude }, options = {}) {
+  const reference = previous || vision;
+  const keywordAnalysis = checkForDrift(reference, current, altitude);
+  const keywordResult = {
+    ...keywordAnalysis,
+    engine: 'keywords',
+    embeddingModel: null,
+    distances: { vision: null, previous: null },
+    thresholds: null,
+    concepts: diffConcepts(reference, current),
+    visionConcepts: diffConcepts(vision, current),
+    embedding_metadata: null
+  };
+
+  if (!reference || !current || DRIFT_CONFIG.engine === 'keywords') {
+    return keywordResult;
+  }
+
+  // The level right below the vision has the vision as its previous level
+  const compareWithVision = Boolean(vision);
+  const compareWithPrevious = Boolean(previous) && previous !== vision;
+  const texts = [current, compareWithVision ? vision : null, compareWithPrevious ? previous : null]
+    .filter(Boolean)
+    .map(stripAltitudeTag);
+
+  let embedded;
+  try {
+    embedded = await embedSummaries(texts, options);
+  } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+    console.log('[Drift] Embedding failed, using keyword checks:', error.message);
+    return keywordResult;
+  }
+
+  const [currentVector, ...referenceVectors] = embedded.vectors;
+  const visionDistance = compareWithVision ? cosineDistance(currentVector, referenceVectors.shift()) : null;
+  const previousDistance = compareWithPrevious ? cosineDistance(currentVector, referenceVectors.shift()) : visionDistance;
+  const distances = { vision: roundDistance(visionDistance), previous: roundDistance(previousDistance) };
+  const thresholds = DRIFT_CONFIG.distanceThresholds[embedded.engine];
+
+  const result = {
+    ...assessDistances(distances, thresholds, {
+      keywordAnalysis,
+      concepts: keywordResult.concepts,
+      visionConcepts: keywordResult.visionConcepts
+    }),
+    engine: embedded.engine,
+    embeddingModel: embedded.model,
+    distances,
+    thresholds,
+    concepts: keywordResult.concepts,
+    visionConcepts: keywordResult.visionConcepts,
+    embedding_metadata: embedded.metadata
+  };
+
+  if (result.hasDrift) {
+    console.log(`[Drift] ${altitude}: ${result.driftType} (${embedded.engine}, distances ${JSON.stringify(distances)})`);
+  }
+
+  return result;
+}
+
+/**
+ * How much of its drift allowance a level has left: 1 at the vision, 0 at
+ * the vision distance threshold and beyond
+ */
+function getAlignment(visionDistance, threshold) {
+  if (visionDistance === null) return null;
+  return Number(Math.min(1, Math.max(0, 1 - visionDistance / threshold)).toFixed(2));
+}
+
+/**
+ * Check every level of a journey at once, each against the vision and the
+ * level above it, so a slow slide that never jumps between neighbours still
+ * shows up as distance from the vision. All texts are embedded in one call.
+ * @param {Array} levels - [{ altitude, content }] top-down, the vision level first;
+ *   levels without content are reported with null distances and skipped as neighbours
+ * @param {Object} options - As for analyzeSemanticDrift, plus `vision` to measure against
+ *   instead of the first level's content (the anchor after an accepted pivot)
+ * @returns {Promise<Object>} { alignmentScore, engine, embeddingModel, thresholds, levels, embedding_metadata }
+ *   where each level is { altitude, distances, alignment, hasDrift, driftType, confidence, details,
+ *   flags, concepts, visionConcepts } and alignmentScore is the mean alignment of the levels below
+ *   the vision (null when none has content)
+ */
+export async function analyzeJourneyDrift(levels, options = {}) {
+  const vision = options.vision || levels[0]?.content || '';
+  const below = levels.slice(1);
+  const withContent = below.filter(level => level.content);
+
+  let embedded = null;
+  if (vision && withContent.length > 0 && DRIFT_CONFIG.engine !== 'keywords') {
+    try {
+      embedded = await embedSummaries([vision, ...levels.map(level => level.content)]
+        .filter(Boolean)
+        .map(stripAltitudeTag), options);
+    } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
+      console.log('[Drift] Embedding failed, using keyword checks:', error.message);
+    }
+  }
+
+  const vectors = embedded ? [...embedded.vectors] : [];
+  const visionVector = vectors.shift();
+  const levelVectors = levels.map(level => (level.content && embedded ? vectors.shift() : null));
+  const thresholds = embedded ? DRIFT_CONFIG.distanceThresholds[embedded.engine] : null;
+
+  let previous = levels[0] ? { content: levels[0].content, vector: levelVectors[0] } : null;
+  const results = below.map((level, index) => {
+    const vector = levelVectors[index + 1];
+    if (!level.content) {
+      return {
+        altitude: level.altitude,
+        distances: { vision: null, previous: null },
+        alignment: null,
+        hasDrift: false,
+        driftType: null,
+        confidence: 0,
+        details: 'Nothing written at this level yet',
+        flags: [],
+        concepts: { appeared: [], disappeared: [] },
+        visionConcepts: { appeared: [], disappeared: [] }
+      };
+    }
+
+    const reference = previous?.content ? previous : { content: vision, vector: visionVector };
+    const keywordAnalysis = checkForDrift(reference.content, level.content, level.altitude);
+    const concepts = diffConcepts(reference.content, level.content);
+    const visionConcepts = diffConcepts(vision, level.content);
+    previous = { content: level.content, vector };
+
+    if (!embedded) {
+      return { altitude: level.altitude, distances: { vision: null, previous: null }, alignment: null, ...keywordAnalysis, concepts, visionConcepts };
+    }
+
+    const distances = {
+      vision: roundDistance(cosineDistance(vector, visionVector)),
+      previous: roundDistance(cosineDistance(vector, reference.vector || visionVector))
+    };
+    return {
+      altitude: level.altitude,
+      distances,
+      alignment: getAlignment(distances.vision, thresholds.vision),
+      ...assessDistances(distances, thresholds, { keywordAnalysis, concepts, visionConcepts }),
+      concepts,
+      visionConcepts
+    };
+  });
+
+  const alignments = results.map(result => result.alignment).filter(alignment => alignment !== null);
+  const alignmentScore = alignments.length > 0
+    ? Number((alignments.reduce((sum, alignment) => sum + alignment, 0) / alignments.length).toFixed(2))
+    : null;
+
+  console.log(`[Drift] Journey of ${levels.length} levels: alignment ${alignmentScore ?? 'n/a'} (${embedded?.engine || 'keywords'})`);
+
+  return {
+    alignmentScore,
+    engine: embedded?.engine || 'keywords',
+    embeddingModel: embedded?.model || null,
+    thresholds,
+    levels: results,
+    embedding_metadata: embedded?.metadata || null
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Session Client
+ *
+ * Browser helpers for the /api/sessions routes: list, load, save, duplicate
+ * and delete saved journeys, and build the URL that shares one. The list only
+ * holds the journeys this browser created (see clientSession.js).
+ */
+
+import { getClientJourneyIds, rememberClientJourney, forgetClientJourney } from './clientSession.js';
+
+async function requestSessions(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  });
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error?.message || 'Session request failed');
+  }
+  return data;
+}
+
+/**
+ * Summaries of the journeys saved from this browser, most recently updated first
+ */
+export async function listJourneySessions() {
+  const ids = getClientJourneyIds();
+  if (ids.length === 0) return [];
+
+  const data = await requestSessions(`/api/sessions?ids=${ids.map(encodeURIComponent).join(',')}`);
+  return data.sessions;
+}
+
+/**
+ * Load a saved journey
+ * @returns {Promise<Object>} { id, title, createdAt, updatedAt, journey }
+ */
+export async function loadJourneySession(id) {
+  const data = await requestSessions(`/api/sessions/${encodeURIComponent(id)}`);
+  return data.session;
+}
+
+/**
+ * Save a journey, creating the session when there is no id yet
+ * @param {string|null} id - Session id, or null to create one
+ * @param {Object} data - { title, journey }
+ * @returns {Promise<Object>} The saved session
+ */
+export async function saveJourneySession(id, { title, journey }) {
+  const data = await requestSessions(
+    id ? `/api/sessions/${encodeURIComponent(id)}` : '/api/sessions',
+    {
+      method: id ? 'PUT' : 'POST',
+      body: JSON.stringify({ title, journey })
+    }
+  );
+  if (!id) rememberClientJourney(data.session.id);
+  return data.session;
+}
+
+/**
+ * Copy a saved journey under a new id
+ */
+export async function duplicateJourneySession(id) {
+  const data = await requestSessions(`/api/sessions/${encodeURIComponent(id)}/duplicate`, { method: 'POST' });
+  rememberClientJourney(data.session.id);
+  return data.session;
+}
+
+/**
+ * Delete a saved journey
+ */
+export async function deleteJourneySession(id) {
+  await requestSessions(`/api/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  forgetClientJourney(id);
+}
+
+/**
+ * URL that opens a saved journey
+ */
+export function getJourneyShareUrl(id) {
+  if (typeof window === 'undefined') return null;
+
+  return `${window.location.origin}${window.location.pathname}?journey=${encodeURIComponent(id)}`;
+}
@@ -0,0 +1,218 @@
+/**
+ * Journey Session Store
+ *
+ * Saved altitude journeys: the idea tree, every block iteration, checklist
+ * checks and altitude summaries, so a journey survives a refresh and can be
+ * resumed, duplicated or shared by URL. Storage is pluggable; the file store
+ * is the default and registerSessionStore adds others (e.g. SQLite).
+ */
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { SESSION_STORE_CONFIG } from './config.js';
+
+/**
+ * In-memory store (lost on restart; useful for tests and demos)
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+
+  async get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async put(session) {
+    this.sessions.set(session.id, session);
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+}
+
+/**
+ * File-backed store, one JSON file per session
+ */
+export class FileSessionStore {
+  constructor(config = {}) {
+    this.directory = path.resolve(config.directory || SESSION_STORE_CONFIG.directory);
+  }
+
+  getPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(path.basename(file, '.json')))
+    );
+    return sessions.filter(Boolean);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Sessions] Could not read session ${id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async put(session) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written session; the temp
+    // name is unique so overlapping saves of one session do not share a file
+    const tempPath = `${this.getPath(session.id)}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(session));
+    await fs.rename(tempPath, this.getPath(session.id));
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.getPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+const storeFactories = new Map([
+  ['memory', () => new MemorySessionStore()],
+  ['file', config => new FileSessionStore(config)]
+]);
+
+let sessionStore = null;
+
+/**
+ * Register a session store implementation
+ * @param {string} name - Value of SESSION_STORE that selects it
+ * @param {Function} factory - (config) => store with async list/get/put/delete
+ */
+export function registerSessionStore(name, factory) {
+  storeFactories.set(name, factory);
+}
+
+function getStore() {
+  if (!sessionStore) {
+    const factory = storeFactories.get(SESSION_STORE_CONFIG.store);
+    if (!factory) {
+      console.warn(`[Sessions] Unknown store "${SESSION_STORE_CONFIG.store}", using file`);
+    }
+    sessionStore = (factory || storeFactories.get('file'))(SESSION_STORE_CONFIG);
+  }
+  return sessionStore;
+}
+
+/**
+ * Summary shown in the session list (the journey itself can be large)
+ */
+function summariseSession(session) {
+  const blocks = session.journey?.blocks || [];
+  const currentBlock = blocks.find(block => block.id === session.journey?.currentBlockId) || blocks[blocks.length - 1];
+  return {
+    id: session.id,
+    title: session.title,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    currentAltitude: currentBlock?.altitude || null,
+    iterations: (session.journey?.iterationLog || []).length
+  };
+}
+
+/**
+ * Summaries of the given saved sessions, most recently updated first. There is
+ * no listing of every session: a journey is only found by whoever has its id.
+ * Ids that do not exist (any more) are left out.
+ */
+export async function getSessionSummaries(ids) {
+  const sessions = await Promise.all(ids.map(id => getStore().get(id)));
+  return sessions
+    .filter(Boolean)
+    .map(summariseSession)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a session, or null when it does not exist
+ */
+export async function getSession(id) {
+  return getStore().get(id);
+}
+
+/**
+ * Create a session
+ * @param {Object} data - { title, journey }
+ */
+export async function createSession({ title, journey }) {
+  const now = new Date().toISOString();
+  const session = {
+    id: randomUUID(),
+    title,
+    createdAt: now,
+    updatedAt: now,
+    journey
+  };
+
+  await getStore().put(session);
+  console.log(`[Sessions] Created ${session.id}`);
+  return session;
+}
+
+/**
+ * Update a session's title and/or journey
+ * @returns {Promise<Object|null>} The updated session, or null when it does not exist
+ */
+export async function updateSession(id, { title, journey }) {
+  const existing = await getStore().get(id);
+  if (!existing) return null;
+
+  const session = {
+    ...existing,
+    ...(title !== undefined ? { title } : {}),
+    ...(journey !== undefined ? { journey } : {}),
+    updatedAt: new Date().toISOString()
+  };
+
+  await getStore().put(session);
+  return session;
+}
+
+/**
+ * Copy a session under a new id
+ * @returns {Promise<Object|null>} The copy, or null when the source does not exist
+ */
+export async function duplicateSession(id) {
+  const source = await getStore().get(id);
+  if (!source) return null;
+
+  return createSession({ title: `${source.title} (copy)`, journey: source.journey });
+}
+
+/**
+ * Delete a session
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+export async function deleteSession(id) {
+  return getStore().delete(id);
+}
@@ -0,0 +1,209 @@
+/**
+ * Streaming Utilities
+ *
+ * Server-Sent Events helpers shared by the API routes that stream LLM output
+ * and the components that render it while it is still being generated, plus
+ * client-disconnect detection for cancelling upstream calls.
+ */
+
+/**
+ * Check whether a request asked for a streamed response
+ */
+export function wantsEventStream(req) {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * AbortSignal that fires when the client disconnects before the response is
+ * complete, so routes can cancel upstream LLM calls nobody will read
+ */
+export function createClientAbortSignal(req, res) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log(`[Stream] Client disconnected: ${req.method} ${req.url}`);
+      controller.abort();
+    }
+  });
+
+  return controller.signal;
+}
+
+/**
+ * Open a Server-Sent Events response
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  return {
+    send(event, data) {
+      if (res.destroyed) return; // Client already disconnected
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      res.end();
+    }
+  };
+}
+
+/**
+ * Run a streamed API handler: token events while it works, then a single
+ * `done` event carrying the same payload the JSON response would have had.
+ * Errors after the stream is open are reported as an `error` event because
+ * the status code has already been sent.
+ */
+export async function respondWithEventStream(res, handler) {
+  const stream = openEventStream(res);
+
+  try {
+    const result = await handler(text => stream.send('token', { text }));
+    stream.send('done', result);
+  } catch (error) {
+    if (res.destroyed) {
+      console.log('[Stream] Handler stopped after client disconnected:', error.message);
+      return;
+    }
+    console.error('[Stream] Handler failed:', error);
+    stream.send('error', {
+      success: false,
+      error: {
+        message: error.message || 'Streaming failed',
+        code: error.code || 'STREAM_ERROR',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * Track the value of one string field inside a JSON document that is still
+ * being streamed, so `{"refined_prompt": "..."}` can be shown as plain text.
+ * Plain-text completions are passed through unchanged.
+ */
+export function createJsonFieldStreamer(fieldName, onText) {
+  let buffer = '';
+  let emittedLength = 0;
+  const fieldPattern = new RegExp(`"${fieldName}"\\s*:\\s*"`);
+
+  return (chunk) => {
+    buffer += chunk;
+
+    const trimmed = buffer.trimStart();
+    if (!trimmed) return;
+
+    let visible;
+    if (trimmed.startsWith('{') || trimmed.startsWith('```')) {
+      const match = fieldPattern.exec(buffer);
+      if (!match) return;
+      visible = decodePartialJsonString(buffer.slice(match.index + match[0].length));
+    } else {
+      visible = buffer;
+    }
+
+    if (visible.length > emittedLength) {
+      onText(visible.slice(emittedLength));
+      emittedLength = visible.length;
+    }
+  };
+}
+
+/**
+ * Decode a JSON string body up to its closing quote (or as far as it has arrived)
+ */
+function decodePartialJsonString(raw) {
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+  let text = '';
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      text += char;
+      continue;
+    }
+
+    const next = raw[i + 1];
+    if (next === undefined) break; // Escape sequence split across chunks
+    if (next === 'u') {
+      const hex = raw.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      text += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * POST to a streaming endpoint and dispatch its events (browser side).
+ * Resolves with the `done` payload; rejects on an `error` event or when the
+ * stream ends without a `done` event.
+ * Aborting `signal` cancels the request and rejects with an AbortError.
+ */
+export async function fetchEventStream(url, body, { onToken, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+  }
+
+  // Servers that ignore the stream flag still answer with plain JSON
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    return response.json();
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+      const data = rawEvent.match(/^data: (.*)$/m)?.[1];
+      if (!event || !data) continue;
+
+      const payload = JSON.parse(data);
+      if (event === 'token' && onToken) {
+        onToken(payload.text);
+      } else if (event === 'done') {
+        result = payload;
+      } else if (event === 'error') {
+        throw new Error(payload.error?.message || 'Streaming failed');
+      }
+    }
+  }
+
+  // A stream cut off before its done event has no result to use, only partial text
+  if (!result) {
+    throw new Error('The response stream ended before it was complete');
+  }
+  return result;
+}
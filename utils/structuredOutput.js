@@ -0,0 +1,468 @@
+/**
+ * Structured Output System
+ *
+ * Response schemas for LLM calls that must return JSON, plus the helpers
+ * callLLMStructured uses to parse, validate and repair model output.
+ * Schemas use a small subset of JSON Schema (type, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, minimum,
+ * maximum, enum) so they can also be sent to providers with native JSON mode.
+ */
+
+/**
+ * Refinement response: a refined prompt plus follow-up questions
+ */
+export const REFINEMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    refined_prompt: { type: 'string', minLength: 1 },
+    questions: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      maxItems: 5
+    }
+  },
+  required: ['refined_prompt', 'questions']
+};
+
+/**
+ * Question selection response: 1-based indexes into the offered questions
+ * @param {number} questionCount - Number of questions offered to the model
+ */
+export function createQuestionSelectionSchema(questionCount) {
+  return {
+    type: 'object',
+    properties: {
+      selected_questions: {
+        type: 'array',
+        items: { type: 'integer', minimum: 1, maximum: questionCount },
+        minItems: 1,
+        maxItems: 2
+      },
+      reasoning: { type: 'string' }
+    },
+    required: ['selected_questions']
+  };
+}
+
+/**
+ * Checklist evaluation response: one verdict per checklist item id
+ * @param {Object} checklist - Checklist with `checklist_items`
+ */
+export function createChecklistEvaluationSchema(checklist) {
+  const itemIds = checklist.checklist_items.map(item => item.id);
+  const verdictSchema = {
+    type: 'object',
+    properties: {
+      checked: { type: 'boolean' },
+      reason: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    required: ['checked', 'reason', 'confidence']
+  };
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(itemIds.map(id => [id, verdictSchema])),
+    required: itemIds
+  };
+}
+
+/**
+ * Dependency rule judgement: per semantic rule whether the text satisfies it,
+ * why, and the exact words that break it
+ * @param {string[]} ruleIds - Ids of the semantic rules to judge
+ */
+export function createDependencyJudgementSchema(ruleIds) {
+  const judgementSchema = {
+    type: 'object',
+    properties: {
+      satisfied: { type: 'boolean' },
+      reason: { type: 'string', minLength: 1 },
+      quote: { type: 'string' }
+    },
+    required: ['satisfied', 'reason', 'quote']
+  };
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(ruleIds.map(id => [id, judgementSchema])),
+    required: ruleIds
+  };
+}
+
+/**
+ * Re-derivation response: a block's content rewritten to fit a changed
+ * higher-altitude block, plus what changed and why
+ */
+export const REDERIVATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    prompt: { type: 'string', minLength: 1 },
+    refined_prompt: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      maxItems: 5
+    }
+  },
+  required: ['prompt', 'refined_prompt', 'changes']
+};
+
+/**
+ * Readiness response: a 0-1 score and rationale per readiness factor, plus an
+ * overall rationale
+ * @param {string[]} factors - Factor ids to grade
+ */
+export function createReadinessSchema(factors) {
+  const factorSchema = {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      rationale: { type: 'string', minLength: 1 }
+    },
+    required: ['score', 'rationale']
+  };
+
+  return {
+    type: 'object',
+    properties: {
+      factors: {
+        type: 'object',
+        properties: Object.fromEntries(factors.map(factor => [factor, factorSchema])),
+        required: factors
+      },
+      rationale: { type: 'string', minLength: 1 }
+    },
+    required: ['factors', 'rationale']
+  };
+}
+
+/**
+ * Branch extraction response: typed branches found in the user's text, each
+ * with a confidence and the exact text it was taken from
+ * @param {string[]} branchTypes - Allowed branch types
+ * @param {number} maxBranches - Most branches the model may propose
+ */
+export function createBranchExtractionSchema(branchTypes, maxBranches) {
+  return {
+    type: 'object',
+    properties: {
+      branches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: branchTypes },
+            value: { type: 'string', minLength: 1 },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            source_span: { type: 'string' }
+          },
+          required: ['type', 'value', 'confidence', 'source_span']
+        },
+        maxItems: maxBranches
+      }
+    },
+    required: ['branches']
+  };
+}
+
+/**
+ * Document placement response: the altitude each numbered chunk of an
+ * imported document belongs at
+ * @param {string[]} altitudes - Altitude ids of the ladder
+ * @param {number} chunkCount - Number of chunks; chunks are numbered from 1
+ */
+export function createDocumentPlacementSchema(altitudes, chunkCount) {
+  return {
+    type: 'object',
+    properties: {
+      placements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            chunk: { type: 'integer', minimum: 1, maximum: chunkCount },
+            altitude: { type: 'string', enum: altitudes },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            reason: { type: 'string' }
+          },
+          required: ['chunk', 'altitude', 'confidence', 'reason']
+        },
+        maxItems: chunkCount
+      }
+    },
+    required: ['placements']
+  };
+}
+
+/**
+ * Assumed answers to a level's suggested questions, given in yolo mode where
+ * the user is not asked
+ * @param {number} questionCount - One answer per question, in order
+ */
+export function createAssumptionAnswersSchema(questionCount) {
+  return {
+    type: 'object',
+    properties: {
+      answers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            question: { type: 'string', minLength: 1 },
+            answer: { type: 'string', minLength: 1 }
+          },
+          required: ['question', 'answer']
+        },
+        minItems: questionCount,
+        maxItems: questionCount
+      }
+    },
+    required: ['answers']
+  };
+}
+
+const LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Execution plan for the output layer. Dates are YYYY-MM-DD and milestone
+ * dependencies refer to other milestone ids; executionPlanner.js checks both,
+ * since the schema subset cannot.
+ */
+export const EXECUTION_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    milestones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          title: { type: 'string', minLength: 1 },
+          due_date: { type: 'string', minLength: 1 },
+          depends_on: { type: 'array', items: { type: 'string', minLength: 1 } },
+          deliverable: { type: 'string', minLength: 1 }
+        },
+        required: ['id', 'title', 'due_date', 'depends_on', 'deliverable']
+      },
+      minItems: 2,
+      maxItems: 10
+    },
+    success_metrics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          metric: { type: 'string', minLength: 1 },
+          target: { type: 'string', minLength: 1 },
+          measured_by: { type: 'string', minLength: 1 }
+        },
+        required: ['metric', 'target', 'measured_by']
+      },
+      minItems: 1,
+      maxItems: 8
+    },
+    resources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          item: { type: 'string', minLength: 1 },
+          category: { type: 'string', enum: ['people', 'tools', 'money', 'time', 'knowledge'] },
+          estimated_cost: { type: 'number', minimum: 0 }
+        },
+        required: ['item', 'category', 'estimated_cost']
+      },
+      maxItems: 12
+    },
+    budget: {
+      type: 'object',
+      properties: {
+        total: { type: 'number', minimum: 0 },
+        currency: { type: 'string', minLength: 1 },
+        notes: { type: 'string' }
+      },
+      required: ['total', 'currency', 'notes']
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          risk: { type: 'string', minLength: 1 },
+          likelihood: { type: 'string', enum: LEVELS },
+          impact: { type: 'string', enum: LEVELS },
+          mitigation: { type: 'string', minLength: 1 }
+        },
+        required: ['risk', 'likelihood', 'impact', 'mitigation']
+      },
+      maxItems: 8
+    },
+    first_week: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          day: { type: 'integer', minimum: 1, maximum: 7 },
+          task: { type: 'string', minLength: 1 },
+          hours: { type: 'number', minimum: 0, maximum: 24 }
+        },
+        required: ['day', 'task', 'hours']
+      },
+      minItems: 1,
+      maxItems: 21
+    }
+  },
+  required: ['summary', 'milestones', 'success_metrics', 'resources', 'budget', 'risks', 'first_week']
+};
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<string>} Human-readable errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${schema.type}`);
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, propertyValue] of Object.entries(value)) {
+        const propertySchema = schema.properties?.[key];
+        if (propertySchema) {
+          errors.push(...validateAgainstSchema(propertyValue, propertySchema, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+      break;
+    }
+
+    case 'array': {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+    }
+
+    case 'string':
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be <= ${schema.maximum}`);
+      }
+      break;
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Parse JSON from model text, tolerating code fences and surrounding prose
+ * @returns {Object} { value } on success, { error } otherwise
+ */
+export function parseJsonResponse(text) {
+  const unfenced = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return { value: JSON.parse(unfenced) };
+  } catch (error) {
+    // Fall back to the outermost JSON object or array in the text
+    const start = unfenced.search(/[[{]/);
+    const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(unfenced.slice(start, end + 1)) };
+      } catch {
+        // Report the original error below
+      }
+    }
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Instructions appended to the system prompt for a structured call
+ */
+export function describeSchemaForPrompt(schema) {
+  return `Respond with a single JSON value that matches this JSON Schema. Do not wrap it in code fences or add any other text.
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Follow-up prompt asking the model to fix a response that failed validation
+ */
+export function buildRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON Schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON.`;
+}
+
+/**
+ * Build a value that satisfies a schema (used by the mock provider)
+ * @param {Object} schema
+ * @param {string} text - Text to use for string fields
+ */
+export function buildSampleFromSchema(schema, text = '') {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, propertySchema]) => [
+          key,
+          buildSampleFromSchema(propertySchema, text)
+        ])
+      );
+    case 'array':
+      return Array.from({ length: schema.minItems || 1 }, () => buildSampleFromSchema(schema.items || {}, text));
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return text;
+  }
+}
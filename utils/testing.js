@@ -5,7 +5,7 @@
  * of concerns, consistent test patterns, and proper test data management.
  */
 
-import { APP_CONFIG, LLM_CONFIG, ALTITUDE_CONFIG } from './config.js';
+import { APP_CONFIG, LLM_CONFIG, ALTITUDE_CONFIG, ALTITUDE_LADDERS, validateAltitudeLadder } from './config.js';
 import { validatePrompt, validateAltitude, validateModeProfile } from './validation.js';
 import { globalErrorHandler } from './errorHandler.js';
 
@@ -75,7 +75,7 @@ export class MockDataGenerator {
   /**
    * Generate mock checklist
    */
-  generateMockChecklist(altitude = '30k', mode = 'blueprint_logic') {
+  generateMockChecklist(altitude = ALTITUDE_CONFIG.levels[0], mode = 'blueprint_logic') {
     return {
       altitude,
       name: `${ALTITUDE_CONFIG.names[altitude]} Checklist`,
@@ -336,7 +336,7 @@ export const TestSuites = {
     });
 
     runner.addTest('validateAltitude - valid altitude', async () => {
-      const result = validateAltitude('30k');
+      const result = validateAltitude(ALTITUDE_CONFIG.levels[0]);
       TestUtils.assertTrue(result.valid, 'Valid altitude should pass validation');
     });
 
@@ -367,9 +367,16 @@ export const TestSuites = {
     });
 
     runner.addTest('ALTITUDE_CONFIG - has correct levels', async () => {
-      TestUtils.assertEquals(ALTITUDE_CONFIG.levels.length, 4);
-      TestUtils.assertContains(ALTITUDE_CONFIG.levels, '30k');
-      TestUtils.assertContains(ALTITUDE_CONFIG.levels, '5k');
+      TestUtils.assertEquals(ALTITUDE_CONFIG.levels.length, ALTITUDE_LADDERS[ALTITUDE_CONFIG.ladder].levels.length);
+      TestUtils.assertTrue(ALTITUDE_CONFIG.levels.length >= 2, 'Ladder should have at least 2 levels');
+      ALTITUDE_CONFIG.levels.forEach(level => TestUtils.assertHasProperty(ALTITUDE_CONFIG.names, level));
+    });
+
+    runner.addTest('ALTITUDE_LADDERS - every ladder is valid', async () => {
+      Object.entries(ALTITUDE_LADDERS).forEach(([name, ladder]) => {
+        const errors = validateAltitudeLadder(ladder.levels);
+        TestUtils.assertEquals(errors.length, 0, `Ladder ${name}: ${errors.join('; ')}`);
+      });
     });
   },
 
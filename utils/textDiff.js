@@ -0,0 +1,64 @@
+/**
+ * Text Diff
+ *
+ * Word-level diff used to show what a re-derivation changed before the user
+ * accepts it. Longest-common-subsequence over words, whitespace kept with the
+ * word before it so the parts join back into the original text.
+ */
+
+const tokenize = text => (text || '').match(/\S+\s*|\s+/g) || [];
+
+/**
+ * Diff two texts by word
+ * @returns {Array<{ type: 'equal'|'added'|'removed', text: string }>} Consecutive
+ *   parts of the same type are merged
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i].trim() === b[j].trim()
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].trim() === b[j].trim()) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+/**
+ * Whether a diff changes anything
+ */
+export function hasChanges(parts) {
+  return parts.some(part => part.type !== 'equal');
+}
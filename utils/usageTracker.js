@@ -0,0 +1,174 @@
+/**
+ * Usage Tracker
+ *
+ * Token usage and cost accounting for LLM calls. Totals are kept per session,
+ * per day, per provider and per model for the lifetime of the server process
+ * (per session only for the most recently active sessions).
+ */
+
+import { getModelPricing } from './modelCatalogue.js';
+
+// Most recent calls kept for the per-call view
+const MAX_RECENT_CALLS = 100;
+
+// Sessions whose totals are kept; the least recently active is dropped first
+const MAX_SESSIONS = 1000;
+
+// Rough average for English text; used when a provider does not report usage
+const CHARS_PER_TOKEN = 4;
+
+const usageState = {
+  recentCalls: [],
+  totals: createTotals(),
+  sessions: new Map(),
+  days: new Map(),
+  providers: new Map(),
+  models: new Map()
+};
+
+function createTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    estimatedCalls: 0,
+    unpricedCalls: 0
+  };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.promptTokens += entry.usage.promptTokens;
+  totals.completionTokens += entry.usage.completionTokens;
+  totals.totalTokens += entry.usage.totalTokens;
+  if (entry.usage.estimated) totals.estimatedCalls++;
+  if (entry.costUsd === null) {
+    totals.unpricedCalls++;
+  } else {
+    totals.costUsd += entry.costUsd;
+  }
+}
+
+function addToGroup(group, key, entry) {
+  if (!group.has(key)) group.set(key, createTotals());
+  addToTotals(group.get(key), entry);
+}
+
+/**
+ * Build a usage record from token counts
+ */
+export function createUsage(promptTokens, completionTokens, estimated = false) {
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated
+  };
+}
+
+/**
+ * Combine two usage records (e.g. a structured call and its repair attempts)
+ */
+export function addUsage(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return createUsage(
+    a.promptTokens + b.promptTokens,
+    a.completionTokens + b.completionTokens,
+    a.estimated || b.estimated
+  );
+}
+
+/**
+ * Estimate token counts for providers that do not report usage
+ */
+export function estimateUsage(promptText, completionText) {
+  const estimateTokens = text => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  return createUsage(estimateTokens(promptText), estimateTokens(completionText), true);
+}
+
+/**
+ * Cost in USD for a usage record, or null when the model has no price
+ * in the model catalogue
+ */
+export function calculateCost(model, usage, provider = null) {
+  const price = getModelPricing(model, provider);
+  if (!price) return null;
+
+  return (usage.promptTokens * price.inputPer1M + usage.completionTokens * price.outputPer1M) / 1_000_000;
+}
+
+/**
+ * Record one completed LLM call
+ * @param {Object} call - { sessionId, provider, model, usage }
+ * @returns {Object} The stored entry, including its cost
+ */
+export function recordUsage({ sessionId = null, provider, model, usage }) {
+  const timestamp = new Date().toISOString();
+  const entry = {
+    sessionId,
+    provider,
+    model,
+    usage,
+    costUsd: calculateCost(model, usage, provider),
+    timestamp
+  };
+
+  usageState.recentCalls.unshift(entry);
+  usageState.recentCalls.length = Math.min(usageState.recentCalls.length, MAX_RECENT_CALLS);
+
+  addToTotals(usageState.totals, entry);
+  addToGroup(usageState.days, timestamp.slice(0, 10), entry);
+  addToGroup(usageState.providers, provider, entry);
+  addToGroup(usageState.models, model, entry);
+  if (sessionId) recordSessionUsage(sessionId, entry);
+
+  return entry;
+}
+
+// Session ids come from every client, so the map is kept in LRU order and capped
+function recordSessionUsage(sessionId, entry) {
+  const totals = usageState.sessions.get(sessionId) || createTotals();
+  usageState.sessions.delete(sessionId);
+  usageState.sessions.set(sessionId, totals);
+  addToTotals(totals, entry);
+
+  while (usageState.sessions.size > MAX_SESSIONS) {
+    usageState.sessions.delete(usageState.sessions.keys().next().value);
+  }
+}
+
+/**
+ * Usage summary for the usage route and panel
+ * @param {Object} filters - `sessionId` narrows the session totals and recent calls
+ */
+export function getUsageSummary({ sessionId = null } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const recentCalls = sessionId
+    ? usageState.recentCalls.filter(entry => entry.sessionId === sessionId)
+    : usageState.recentCalls;
+
+  return {
+    totals: usageState.totals,
+    today: usageState.days.get(today) || createTotals(),
+    session: sessionId ? usageState.sessions.get(sessionId) || createTotals() : null,
+    byDay: Object.fromEntries(usageState.days),
+    byProvider: Object.fromEntries(usageState.providers),
+    byModel: Object.fromEntries(usageState.models),
+    recentCalls: recentCalls.slice(0, 20)
+  };
+}
+
+/**
+ * Clear all recorded usage
+ */
+export function resetUsage() {
+  usageState.recentCalls = [];
+  usageState.totals = createTotals();
+  usageState.sessions.clear();
+  usageState.days.clear();
+  usageState.providers.clear();
+  usageState.models.clear();
+}
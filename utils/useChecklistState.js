@@ -1,14 +1,36 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getClientSessionId, getClientLLMSelection } from './clientSession.js';
+import { getChecklistFile } from './altitudeLadder.js';
+import { loadModeChecklist } from './checklistClient.js';
 
 /**
  * Custom hook to manage checklist state for altitude-based guardrails
+ * @param {string[]} savedUserChecks - Item ids the user already checked at this
+ *   altitude (e.g. from a resumed session); re-applied whenever the checklist reloads
  */
-export function useChecklistState(altitude, userPrompt, ideaTree = [], selectedMode = 'blueprint_logic') {
+export function useChecklistState(altitude, userPrompt, ideaTree = [], selectedMode = 'blueprint_logic', savedUserChecks = null) {
   const [checklist, setChecklist] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [llmEvaluation, setLlmEvaluation] = useState(null);
 
+  // Read at load time, so restoring checks does not itself trigger a reload
+  const savedUserChecksRef = useRef(savedUserChecks);
+  savedUserChecksRef.current = savedUserChecks;
+
+  // Callers build ideaTree inline, so compare it by value rather than identity
+  const ideaTreeKey = JSON.stringify(ideaTree);
+
+  // Checklist files can be shared between ladder levels, so stamp the level being shown
+  const withSavedUserChecks = (checklistData) => ({
+    ...checklistData,
+    altitude,
+    checklist_items: checklistData.checklist_items.map(item => ({
+      ...item,
+      user_checked: savedUserChecksRef.current?.includes(item.id) || false
+    }))
+  });
+
   // Load checklist data for the specified altitude and mode
   useEffect(() => {
     const loadChecklist = async () => {
@@ -16,32 +38,25 @@ export function useChecklistState(altitude, userPrompt, ideaTree = [], selectedM
         setLoading(true);
         setError(null);
         
-        // Load mode profiles to get the correct checklist file
-        const modeProfiles = await import(`../checklists/mode_profiles.json`);
-        const profiles = modeProfiles.default || modeProfiles;
-        const modeProfile = profiles.mode_profiles[selectedMode];
-        
-        if (!modeProfile || !modeProfile.altitudes[altitude]) {
-          throw new Error(`No checklist found for mode ${selectedMode} at altitude ${altitude}`);
+        // Profiles can be authored, so the server resolves the checklist; levels
+        // a profile does not cover, or whose checklist is broken, get the level's default
+        const { checklist: checklistData, fallback } = await loadModeChecklist(selectedMode, altitude);
+        if (fallback) {
+          console.warn(`Checklist for ${selectedMode} at ${altitude}: ${fallback}`);
         }
-        
-        const checklistFileName = modeProfile.altitudes[altitude];
-        
-        // Import the mode-specific checklist data dynamically
-        const checklistData = await import(`../checklists/${checklistFileName}`);
-        setChecklist(checklistData.default || checklistData);
+        setChecklist(withSavedUserChecks(checklistData));
         
         // Evaluate checklist items with LLM
-        await evaluateChecklistWithLLM(checklistData.default || checklistData, userPrompt, ideaTree);
+        await evaluateChecklistWithLLM(checklistData, userPrompt, ideaTree);
         
       } catch (err) {
         console.error('Error loading checklist:', err);
         setError('Failed to load checklist data');
         
-        // Fallback to default checklist
+        // Fallback to the default checklist bundled with the app
         try {
-          const fallbackData = await import(`../checklists/altitude_${altitude}.json`);
-          setChecklist(fallbackData.default || fallbackData);
+          const fallbackData = await import(`../checklists/${getChecklistFile(altitude)}`);
+          setChecklist(withSavedUserChecks(fallbackData.default || fallbackData));
         } catch (fallbackErr) {
           console.error('Fallback checklist also failed:', fallbackErr);
         }
@@ -53,7 +68,7 @@ export function useChecklistState(altitude, userPrompt, ideaTree = [], selectedM
     if (altitude && selectedMode) {
       loadChecklist();
     }
-  }, [altitude, userPrompt, ideaTree, selectedMode]);
+  }, [altitude, userPrompt, ideaTreeKey, selectedMode]);
 
   // Evaluate checklist items with LLM
   const evaluateChecklistWithLLM = async (checklistData, prompt, tree) => {
@@ -65,14 +80,16 @@ export function useChecklistState(altitude, userPrompt, ideaTree = [], selectedM
         },
         body: JSON.stringify({
           altitude,
-          checklist: checklistData,
+          checklist: { ...checklistData, altitude },
           userPrompt: prompt,
-          ideaTree: tree
+          ideaTree: tree,
+          sessionId: getClientSessionId(),
+          llm: getClientLLMSelection()
         }),
       });
 
       if (response.ok) {
-        const evaluation = await response.json();
+        const { evaluation = {} } = await response.json();
         setLlmEvaluation(evaluation);
         
         // Update checklist with LLM evaluations
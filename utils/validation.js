@@ -5,7 +5,8 @@
  * consistent error handling, and comprehensive input sanitization.
  */
 
-import { VALIDATION_CONFIG, ALTITUDE_CONFIG } from './config.js';
+import { VALIDATION_CONFIG, ALTITUDE_CONFIG, SESSION_STORE_CONFIG, IMPORT_CONFIG, CHECKLIST_CONFIG } from './config.js';
+import { getAllowedModels, getModelCapabilities, getMaxTemperature } from './modelCatalogue.js';
 
 /**
  * Validation Error Class
@@ -97,16 +98,13 @@ export function validateModeProfile(mode) {
   
   if (!mode || typeof mode !== 'string') {
     errors.push(new ValidationError('Mode profile is required', 'mode', 'REQUIRED'));
-  } else {
-    // This would need to be updated when new modes are added
-    const validModes = ['blueprint_logic', 'search_prep', 'startup_foundation', 'project_management', 'learning_path'];
-    if (!validModes.includes(mode)) {
-      errors.push(new ValidationError(
-        `Invalid mode profile. Must be one of: ${validModes.join(', ')}`,
-        'mode',
-        'INVALID_MODE'
-      ));
-    }
+  } else if (!CHECKLIST_CONFIG.profileIdPattern.test(mode)) {
+    // Profiles can be authored (see checklistProfiles.js), so only the id's shape is checked here
+    errors.push(new ValidationError(
+      'Invalid mode profile. Must be lowercase letters, digits and underscores, starting with a letter',
+      'mode',
+      'INVALID_MODE'
+    ));
   }
   
   return {
@@ -162,7 +160,7 @@ function validateTreeBranch(branch, index) {
     return { valid: false, errors, sanitized: null };
   }
   
-  const { value, altitude, label } = branch;
+  const { value, altitude, label, status } = branch;
   
   // Validate value
   if (!value || typeof value !== 'string') {
@@ -191,13 +189,23 @@ function validateTreeBranch(branch, index) {
     ));
   }
   
+  // Validate status (optional; archived branches are kept but not built on)
+  if (status !== undefined && !['active', 'archived'].includes(status)) {
+    errors.push(new ValidationError(
+      `Branch status at index ${index} must be "active" or "archived"`,
+      `ideaTree[${index}].status`,
+      'INVALID_VALUE'
+    ));
+  }
+  
   return {
     valid: errors.length === 0,
     errors,
     sanitized: errors.length === 0 ? {
       value: value?.trim(),
       altitude: altitudeValidation.sanitized,
-      label: label?.trim()
+      label: label?.trim(),
+      status: status || 'active'
     } : null
   };
 }
@@ -243,6 +251,500 @@ export function validateUserResponses(responses) {
   };
 }
 
+/**
+ * Validate a document to import ({ content, fileName }): pasted text or the
+ * text of an uploaded file of one of the importable types
+ */
+export function validateImportDocument(data) {
+  const errors = [];
+  const { content, fileName = '' } = data || {};
+
+  if (typeof content !== 'string' || !content.trim()) {
+    errors.push(new ValidationError('Document content is required', 'content', 'REQUIRED'));
+  } else if (content.length > IMPORT_CONFIG.maxDocumentLength) {
+    errors.push(new ValidationError(
+      `Document must be no more than ${IMPORT_CONFIG.maxDocumentLength} characters`,
+      'content',
+      'MAX_LENGTH'
+    ));
+  } else if (containsHarmfulContent(content)) {
+    errors.push(new ValidationError('Document contains potentially harmful content', 'content', 'HARMFUL_CONTENT'));
+  }
+
+  if (typeof fileName !== 'string') {
+    errors.push(new ValidationError('File name must be a string', 'fileName', 'INVALID_TYPE'));
+  } else if (fileName && !IMPORT_CONFIG.fileTypes.includes(fileName.split('.').pop().toLowerCase())) {
+    errors.push(new ValidationError(
+      `File must be one of: ${IMPORT_CONFIG.fileTypes.map(type => `.${type}`).join(', ')}`,
+      'fileName',
+      'INVALID_FILE_TYPE'
+    ));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? { content, fileName: fileName.trim() } : null
+  };
+}
+
+/**
+ * Validate an optional client session id (used to group usage per session)
+ */
+export function validateSessionId(sessionId) {
+  const errors = [];
+  
+  if (sessionId === undefined || sessionId === null || sessionId === '') {
+    return { valid: true, errors, sanitized: null };
+  }
+  
+  if (typeof sessionId !== 'string' || !/^[\w-]{1,100}$/.test(sessionId)) {
+    errors.push(new ValidationError(
+      'Session id must be up to 100 letters, digits, underscores or dashes',
+      'sessionId',
+      'INVALID_VALUE'
+    ));
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sessionId : null
+  };
+}
+
+/**
+ * Validate the comma-separated ids of the saved journeys a session list asks for
+ * @returns {Object} { valid, errors, sanitized } with sanitized an array of ids
+ */
+export function validateSessionIdList(value) {
+  const errors = [];
+  const ids = typeof value === 'string' ? value.split(',').filter(Boolean) : [];
+
+  if (value !== undefined && typeof value !== 'string') {
+    errors.push(new ValidationError('Session ids must be a comma-separated string', 'ids', 'INVALID_TYPE'));
+  } else if (ids.length > SESSION_STORE_CONFIG.maxListIds) {
+    errors.push(new ValidationError(
+      `At most ${SESSION_STORE_CONFIG.maxListIds} session ids can be listed at once`,
+      'ids',
+      'TOO_MANY'
+    ));
+  } else if (ids.some(id => !validateSessionId(id).valid)) {
+    errors.push(new ValidationError(
+      'Session ids must be up to 100 letters, digits, underscores or dashes',
+      'ids',
+      'INVALID_VALUE'
+    ));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? [...new Set(ids)] : null
+  };
+}
+
+/**
+ * Validate a saved journey session ({ title, journey })
+ * With `partial`, omitted fields are left out of the sanitized result (for updates).
+ */
+export function validateJourneySession(data, { partial = false } = {}) {
+  const errors = [];
+  const sanitized = {};
+  
+  if (!data || typeof data !== 'object') {
+    errors.push(new ValidationError('Session data must be an object', 'body', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+  
+  const { title, journey } = data;
+  
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) {
+      errors.push(new ValidationError('Title must be a non-empty string', 'title', 'INVALID_VALUE'));
+    } else {
+      sanitized.title = title.trim().slice(0, SESSION_STORE_CONFIG.maxTitleLength);
+    }
+  } else if (!partial) {
+    sanitized.title = 'Untitled journey';
+  }
+  
+  if (journey !== undefined) {
+    if (!journey || typeof journey !== 'object' || !Array.isArray(journey.blocks)) {
+      errors.push(new ValidationError('Journey must be an object with a blocks array', 'journey', 'INVALID_TYPE'));
+    } else if (JSON.stringify(journey).length > SESSION_STORE_CONFIG.maxJourneySize) {
+      errors.push(new ValidationError(
+        `Journey exceeds ${SESSION_STORE_CONFIG.maxJourneySize} bytes`,
+        'journey',
+        'TOO_LARGE'
+      ));
+    } else {
+      sanitized.journey = journey;
+    }
+  } else if (!partial) {
+    errors.push(new ValidationError('Journey is required', 'journey', 'REQUIRED'));
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validate a re-derivation request ({ upstream, blocks }): the changed block's
+ * altitude and content, and the lower blocks to rewrite, top-down, each below
+ * the one before it
+ */
+export function validateRederivation(data) {
+  const errors = [];
+  
+  if (!data || typeof data !== 'object') {
+    errors.push(new ValidationError('Request body must be an object', 'body', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+  
+  const { upstream, blocks } = data;
+  
+  if (!upstream || typeof upstream !== 'object') {
+    errors.push(new ValidationError('Upstream block is required', 'upstream', 'REQUIRED'));
+    return { valid: false, errors, sanitized: null };
+  }
+  
+  const upstreamAltitude = validateAltitude(upstream.altitude);
+  const upstreamContent = validatePrompt(upstream.content);
+  errors.push(...upstreamAltitude.errors, ...upstreamContent.errors.map(err => ({ ...err, field: 'upstream.content' })));
+  
+  if (!Array.isArray(blocks) || blocks.length === 0 || blocks.length >= ALTITUDE_CONFIG.levels.length) {
+    errors.push(new ValidationError(
+      `Blocks must be an array of 1 to ${ALTITUDE_CONFIG.levels.length - 1} lower-altitude blocks`,
+      'blocks',
+      'INVALID_VALUE'
+    ));
+    return { valid: false, errors, sanitized: null };
+  }
+  
+  let previousIndex = ALTITUDE_CONFIG.levels.indexOf(upstreamAltitude.sanitized);
+  const sanitizedBlocks = blocks.map((block, index) => {
+    const altitudeIndex = ALTITUDE_CONFIG.levels.indexOf(block?.altitude);
+    if (altitudeIndex <= previousIndex) {
+      errors.push(new ValidationError(
+        `Block at index ${index} must be at a lower altitude than the block above it`,
+        `blocks[${index}].altitude`,
+        'INVALID_VALUE'
+      ));
+    }
+    previousIndex = altitudeIndex;
+    
+    const { prompt = '', refinedPrompt = '' } = block || {};
+    if (typeof prompt !== 'string' || typeof refinedPrompt !== 'string') {
+      errors.push(new ValidationError(`Block at index ${index} must have string content`, `blocks[${index}]`, 'INVALID_TYPE'));
+    } else if (prompt.length + refinedPrompt.length > VALIDATION_CONFIG.maxPromptLength) {
+      errors.push(new ValidationError(
+        `Block at index ${index} must be no more than ${VALIDATION_CONFIG.maxPromptLength} characters`,
+        `blocks[${index}]`,
+        'MAX_LENGTH'
+      ));
+    }
+    
+    return { altitude: block?.altitude, prompt: String(prompt).trim(), refinedPrompt: String(refinedPrompt).trim() };
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? {
+      upstream: { altitude: upstreamAltitude.sanitized, content: upstreamContent.sanitized },
+      blocks: sanitizedBlocks
+    } : null
+  };
+}
+
+/**
+ * Validate a re-anchor request ({ vision, block, drift }): the 30k vision, the
+ * drifted block to rewrite and, optionally, the drift found in it
+ */
+export function validateReanchor(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    errors.push(new ValidationError('Request body must be an object', 'body', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+
+  const { vision, block, drift = null } = data;
+
+  const visionValidation = validatePrompt(vision);
+  errors.push(...visionValidation.errors.map(err => ({ ...err, field: 'vision' })));
+
+  if (!block || typeof block !== 'object') {
+    errors.push(new ValidationError('Block is required', 'block', 'REQUIRED'));
+    return { valid: false, errors, sanitized: null };
+  }
+
+  const altitudeValidation = validateAltitude(block.altitude);
+  errors.push(...altitudeValidation.errors);
+
+  const { prompt = '', refinedPrompt = '' } = block;
+  if (typeof prompt !== 'string' || typeof refinedPrompt !== 'string') {
+    errors.push(new ValidationError('Block must have string content', 'block', 'INVALID_TYPE'));
+  } else if (!prompt.trim() && !refinedPrompt.trim()) {
+    errors.push(new ValidationError('Block has no content to re-anchor', 'block', 'REQUIRED'));
+  } else if (prompt.length + refinedPrompt.length > VALIDATION_CONFIG.maxPromptLength) {
+    errors.push(new ValidationError(
+      `Block must be no more than ${VALIDATION_CONFIG.maxPromptLength} characters`,
+      'block',
+      'MAX_LENGTH'
+    ));
+  }
+
+  // The drift is context for the prompt, so only its text is kept
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  if (drift !== null && (typeof drift !== 'object' || typeof (drift.details ?? '') !== 'string' ||
+      !isStringList(drift.concepts?.appeared ?? []) || !isStringList(drift.concepts?.disappeared ?? []))) {
+    errors.push(new ValidationError('Drift must be an object with details and concepts', 'drift', 'INVALID_TYPE'));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? {
+      vision: visionValidation.sanitized,
+      block: { altitude: altitudeValidation.sanitized, prompt: prompt.trim(), refinedPrompt: refinedPrompt.trim() },
+      drift: drift && {
+        details: sanitizeHtml(drift.details || '').slice(0, 1000),
+        appeared: (drift.concepts?.appeared || []).slice(0, 20),
+        disappeared: (drift.concepts?.disappeared || []).slice(0, 20)
+      }
+    } : null
+  };
+}
+
+/**
+ * Validate a journey drift request ({ blocks, vision }): the blocks along one
+ * line of the journey, top-down, each below the one before it, and optionally
+ * the vision anchor to measure them against
+ */
+export function validateDriftHistory(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    errors.push(new ValidationError('Request body must be an object', 'body', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+
+  const { blocks, vision = null } = data;
+
+  if (!Array.isArray(blocks) || blocks.length < 2 || blocks.length > ALTITUDE_CONFIG.levels.length) {
+    errors.push(new ValidationError(
+      `Blocks must be an array of 2 to ${ALTITUDE_CONFIG.levels.length} blocks, top-down`,
+      'blocks',
+      'INVALID_VALUE'
+    ));
+    return { valid: false, errors, sanitized: null };
+  }
+
+  let previousIndex = -1;
+  const sanitizedBlocks = blocks.map((block, index) => {
+    const altitudeIndex = ALTITUDE_CONFIG.levels.indexOf(block?.altitude);
+    if (altitudeIndex <= previousIndex) {
+      errors.push(new ValidationError(
+        `Block at index ${index} must be at a lower altitude than the block above it`,
+        `blocks[${index}].altitude`,
+        'INVALID_VALUE'
+      ));
+    }
+    previousIndex = altitudeIndex;
+
+    const { prompt = '', refinedPrompt = '' } = block || {};
+    if (typeof prompt !== 'string' || typeof refinedPrompt !== 'string') {
+      errors.push(new ValidationError(`Block at index ${index} must have string content`, `blocks[${index}]`, 'INVALID_TYPE'));
+      return null;
+    }
+    if (prompt.length + refinedPrompt.length > VALIDATION_CONFIG.maxPromptLength) {
+      errors.push(new ValidationError(
+        `Block at index ${index} must be no more than ${VALIDATION_CONFIG.maxPromptLength} characters`,
+        `blocks[${index}]`,
+        'MAX_LENGTH'
+      ));
+    }
+
+    // Drift is measured on what the block says now: its refinement, or the idea itself
+    return { altitude: block.altitude, content: sanitizeHtml((refinedPrompt || prompt).trim()) };
+  });
+
+  let sanitizedVision = null;
+  if (vision !== null && vision !== '') {
+    const visionValidation = validatePrompt(vision);
+    errors.push(...visionValidation.errors.map(err => ({ ...err, field: 'vision' })));
+    sanitizedVision = visionValidation.sanitized;
+  } else if (errors.length === 0 && !sanitizedBlocks[0].content) {
+    errors.push(new ValidationError('The top block needs content to measure drift against', 'blocks[0]', 'REQUIRED'));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? { blocks: sanitizedBlocks, vision: sanitizedVision } : null
+  };
+}
+
+/**
+ * Validate an optional per-request LLM selection ({ provider, model, temperature, maxTokens })
+ * The model must be on the provider's allow-list (see modelCatalogue.js); omitted
+ * fields use the provider's defaults.
+ */
+export function validateLLMSelection(selection) {
+  const errors = [];
+  
+  if (selection === undefined || selection === null) {
+    return { valid: true, errors, sanitized: null };
+  }
+  
+  if (typeof selection !== 'object' || Array.isArray(selection)) {
+    errors.push(new ValidationError('LLM selection must be an object', 'llm', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+  
+  const { provider, model, temperature, maxTokens } = selection;
+  
+  if (typeof provider !== 'string' || !getModelCapabilities(provider)) {
+    errors.push(new ValidationError(`Unknown LLM provider: ${provider}`, 'llm.provider', 'INVALID_VALUE'));
+  } else if (model !== undefined && model !== null && !getAllowedModels(provider).includes(model)) {
+    errors.push(new ValidationError(
+      `Model ${model} is not allowed for ${provider}. Allowed: ${getAllowedModels(provider).join(', ')}`,
+      'llm.model',
+      'MODEL_NOT_ALLOWED'
+    ));
+  }
+  
+  if (temperature !== undefined && temperature !== null) {
+    // Providers accept different ranges (e.g. Anthropic stops at 1)
+    const maxTemperature = errors.length === 0 ? getMaxTemperature(provider, model) : VALIDATION_CONFIG.maxTemperature;
+
+    if (typeof temperature !== 'number' || temperature < 0 || temperature > maxTemperature) {
+      errors.push(new ValidationError(
+        `Temperature must be a number between 0 and ${maxTemperature}`,
+        'llm.temperature',
+        'OUT_OF_RANGE'
+      ));
+    }
+  }
+  
+  if (maxTokens !== undefined && maxTokens !== null) {
+    // The model's own output limit applies when the catalogue knows it
+    const modelLimit = errors.length === 0 ? getModelCapabilities(provider, model)?.maxOutputTokens : null;
+    const limit = Math.min(VALIDATION_CONFIG.maxTokensLimit, modelLimit || Infinity);
+    
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > limit) {
+      errors.push(new ValidationError(
+        `Max tokens must be a whole number between 1 and ${limit}`,
+        'llm.maxTokens',
+        'OUT_OF_RANGE'
+      ));
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0
+      ? {
+          provider,
+          model: model ?? null,
+          temperature: temperature ?? null,
+          maxTokens: maxTokens ?? null
+        }
+      : null
+  };
+}
+
+/**
+ * Validate what every LLM route takes besides its own input: the session id
+ * (groups token usage per session) and the requested provider and model
+ * (server-side allow-list)
+ * @param {Object} body - Request body with optional `sessionId` and `llm`
+ * @returns {Object} { valid, errors, sanitized: { sessionId, llmSelection }, message, code }
+ *   where message and code describe the part that failed, for the 400 response
+ */
+export function validateLLMRequestContext(body) {
+  const { sessionId, llm } = body || {};
+
+  const sessionValidation = validateSessionId(sessionId);
+  if (!sessionValidation.valid) {
+    return { valid: false, errors: sessionValidation.errors, sanitized: null, message: 'Invalid session id', code: 'INVALID_SESSION_ID' };
+  }
+
+  const llmValidation = validateLLMSelection(llm);
+  if (!llmValidation.valid) {
+    return { valid: false, errors: llmValidation.errors, sanitized: null, message: 'Invalid LLM selection', code: 'INVALID_LLM_SELECTION' };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    sanitized: { sessionId: sessionValidation.sanitized, llmSelection: llmValidation.sanitized },
+    message: null,
+    code: null
+  };
+}
+
+/**
+ * Validate conversation history ({ role: 'user' | 'assistant', content })
+ * Older turns beyond VALIDATION_CONFIG.maxHistoryTurns are dropped.
+ */
+export function validateConversationHistory(history) {
+  const errors = [];
+  
+  if (history === undefined || history === null) {
+    return { valid: true, errors, sanitized: [] };
+  }
+  
+  if (!Array.isArray(history)) {
+    errors.push(new ValidationError('History must be an array', 'history', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+  
+  const sanitizedHistory = [];
+  history.forEach((turn, index) => {
+    if (!turn || typeof turn !== 'object') {
+      errors.push(new ValidationError(`History turn at index ${index} must be an object`, `history[${index}]`, 'INVALID_TYPE'));
+      return;
+    }
+    
+    if (turn.role !== 'user' && turn.role !== 'assistant') {
+      errors.push(new ValidationError(
+        `History turn role at index ${index} must be "user" or "assistant"`,
+        `history[${index}].role`,
+        'INVALID_VALUE'
+      ));
+      return;
+    }
+    
+    if (typeof turn.content !== 'string') {
+      errors.push(new ValidationError(`History turn content at index ${index} must be a string`, `history[${index}].content`, 'INVALID_TYPE'));
+      return;
+    }
+    
+    const content = turn.content.trim();
+    if (content.length > VALIDATION_CONFIG.maxPromptLength) {
+      errors.push(new ValidationError(`History turn at index ${index} is too long`, `history[${index}].content`, 'MAX_LENGTH'));
+      return;
+    }
+    
+    if (content) {
+      sanitizedHistory.push({ role: turn.role, content });
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? sanitizedHistory.slice(-VALIDATION_CONFIG.maxHistoryTurns) : null
+  };
+}
+
 /**
  * Validate checklist data
  */
@@ -364,7 +866,7 @@ function validateChecklistItem(item, index) {
 /**
  * Validate promotion criteria
  */
-function validatePromotionCriteria(criteria) {
+export function validatePromotionCriteria(criteria) {
   const errors = [];
   
   const { required_checks, minimum_llm_confidence, user_override_allowed } = criteria;
@@ -405,6 +907,132 @@ function validatePromotionCriteria(criteria) {
   };
 }
 
+/**
+ * Validate an authored checklist profile ({ id, name, description, icon,
+ * color, tags, altitudes }) where altitudes maps ladder levels to checklists.
+ * Levels left out use their default checklist. Each checklist goes through
+ * validateChecklist (and so validatePromotionCriteria), must be for the level
+ * it is listed under, have unique item ids and not require more checks than
+ * it has items.
+ * @param {Object} options - { requireId } for new profiles, whose id is in the body
+ */
+export function validateChecklistProfile(data, { requireId = false } = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    errors.push(new ValidationError('Profile must be an object', 'profile', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+
+  const { id, name, description = '', icon = '', color = '', tags = [], altitudes = {} } = data;
+
+  if (requireId) {
+    const idValidation = validateModeProfile(id);
+    errors.push(...idValidation.errors.map(err => ({ ...err, message: err.message, field: 'id' })));
+    if (CHECKLIST_CONFIG.reservedProfileIds.includes(id)) {
+      errors.push(new ValidationError(`"${id}" cannot be used as a profile id`, 'id', 'RESERVED'));
+    }
+  }
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push(new ValidationError('Profile name is required', 'name', 'REQUIRED'));
+  } else if (name.length > CHECKLIST_CONFIG.maxNameLength) {
+    errors.push(new ValidationError(`Profile name must be no more than ${CHECKLIST_CONFIG.maxNameLength} characters`, 'name', 'MAX_LENGTH'));
+  }
+
+  if (typeof description !== 'string' || description.length > CHECKLIST_CONFIG.maxDescriptionLength) {
+    errors.push(new ValidationError(
+      `Profile description must be a string of at most ${CHECKLIST_CONFIG.maxDescriptionLength} characters`,
+      'description',
+      'INVALID_VALUE'
+    ));
+  }
+
+  if (typeof icon !== 'string' || icon.length > 8) {
+    errors.push(new ValidationError('Profile icon must be a short string, e.g. an emoji', 'icon', 'INVALID_VALUE'));
+  }
+
+  if (typeof color !== 'string' || (color && !/^#[0-9a-f]{6}$/i.test(color))) {
+    errors.push(new ValidationError('Profile color must be a hex color such as #3498db', 'color', 'INVALID_VALUE'));
+  }
+
+  if (!Array.isArray(tags) || tags.length > CHECKLIST_CONFIG.maxTags || !tags.every(tag => typeof tag === 'string' && tag.trim())) {
+    errors.push(new ValidationError(`Profile tags must be a list of at most ${CHECKLIST_CONFIG.maxTags} words`, 'tags', 'INVALID_VALUE'));
+  }
+
+  if (!altitudes || typeof altitudes !== 'object' || Array.isArray(altitudes)) {
+    errors.push(new ValidationError('Profile altitudes must map altitude levels to checklists', 'altitudes', 'INVALID_TYPE'));
+    return { valid: false, errors, sanitized: null };
+  }
+
+  const sanitizedAltitudes = {};
+  Object.entries(altitudes).forEach(([altitude, checklist]) => {
+    const field = `altitudes.${altitude}`;
+    if (!ALTITUDE_CONFIG.levels.includes(altitude)) {
+      errors.push(new ValidationError(`"${altitude}" is not a level of the altitude ladder`, field, 'INVALID_ALTITUDE'));
+      return;
+    }
+
+    const checklistValidation = validateChecklist(checklist);
+    errors.push(...checklistValidation.errors.map(err => ({ ...err, message: err.message, field: `${field}.${err.field}` })));
+    if (!checklistValidation.valid) return;
+
+    if (checklist.altitude !== altitude) {
+      errors.push(new ValidationError(`Checklist for ${altitude} is marked as ${checklist.altitude}`, `${field}.altitude`, 'INVALID_VALUE'));
+    }
+
+    const itemIds = checklist.checklist_items.map(item => item.id);
+    const duplicates = itemIds.filter((itemId, index) => itemIds.indexOf(itemId) !== index);
+    if (duplicates.length > 0) {
+      errors.push(new ValidationError(`Duplicate checklist item ids: ${[...new Set(duplicates)].join(', ')}`, `${field}.checklist_items`, 'DUPLICATE_ID'));
+    }
+    if (itemIds.length > CHECKLIST_CONFIG.maxItems) {
+      errors.push(new ValidationError(`A checklist can have at most ${CHECKLIST_CONFIG.maxItems} items`, `${field}.checklist_items`, 'MAX_LENGTH'));
+    }
+    if (checklist.promotion_criteria.required_checks > itemIds.length) {
+      errors.push(new ValidationError(
+        `Checklist for ${altitude} requires ${checklist.promotion_criteria.required_checks} checks but has ${itemIds.length} items`,
+        `${field}.promotion_criteria.required_checks`,
+        'INVALID_VALUE'
+      ));
+    }
+
+    // Only the authored fields are kept; check state is added when the checklist is shown
+    sanitizedAltitudes[altitude] = {
+      altitude,
+      name: sanitizeHtml(checklist.name.trim()),
+      description: sanitizeHtml((checklist.description || '').trim()),
+      checklist_items: checklist.checklist_items.map(item => ({
+        id: item.id.trim(),
+        label: sanitizeHtml(item.label.trim()),
+        description: sanitizeHtml((item.description || '').trim()),
+        category: (item.category || '').trim()
+      })),
+      promotion_criteria: {
+        required_checks: checklist.promotion_criteria.required_checks,
+        ...(checklist.promotion_criteria.minimum_llm_confidence !== undefined
+          ? { minimum_llm_confidence: checklist.promotion_criteria.minimum_llm_confidence } : {}),
+        ...(checklist.promotion_criteria.user_override_allowed !== undefined
+          ? { user_override_allowed: checklist.promotion_criteria.user_override_allowed } : {})
+      }
+    };
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    sanitized: errors.length === 0 ? {
+      ...(requireId ? { id } : {}),
+      name: sanitizeHtml(name.trim()),
+      description: sanitizeHtml(description.trim()),
+      icon,
+      color,
+      tags: tags.map(tag => tag.trim()),
+      altitudes: sanitizedAltitudes
+    } : null
+  };
+}
+
 /**
  * Check for potentially harmful content
  */
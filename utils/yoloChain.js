@@ -0,0 +1,124 @@
+/**
+ * Yolo Chain
+ *
+ * Shared steps for yolo mode, where a journey is refined down every level in
+ * one go instead of one level at a time with the user. The questions the user
+ * would have answered at each level are answered with assumptions, labelled as
+ * such so they can be reviewed, and every step is checked for drift and
+ * altitude dependency violations. A red flag stops the chain: the user takes
+ * over from the level that raised it.
+ *
+ * The chains themselves live with their refiners (altitudePromptRefiner.js for
+ * the altitude ladder, dynamicRefinementSystem.js for template layers).
+ */
+
+import { createAssumptionAnswersSchema } from './structuredOutput.js';
+import { judgeDependencyRules } from './dependencyRules.js';
+import { analyzeSemanticDrift } from './semanticDrift.js';
+import { RequestCancelledError } from './errorHandler.js';
+
+/**
+ * Offline stand-in for an answer: the first option the question offers in
+ * parentheses, e.g. "(life, health, property)" assumes life
+ */
+function assumeFromQuestion(question) {
+  const option = /\(([^)]+)\)/.exec(question)?.[1].split(/,|\bor\b/)[0].trim();
+  return option ? `${option} (first option offered)` : 'Left open; decide when reviewing';
+}
+
+/**
+ * Answer a level's suggested questions with assumptions
+ * @param {string} text - The refined text the questions were asked about
+ * @param {string} levelName - Name of the level, for the prompt
+ * @param {string[]} questions - The suggested questions
+ * @param {Object} options - `sessionId`, `signal`, `llmSelection` and `bypassCache` are passed to the LLM call
+ * @returns {Promise<Array>} [{ question, answer, assumption: true }], one per question
+ */
+export async function answerWithAssumptions(text, levelName, questions, options = {}) {
+  if (questions.length === 0) return [];
+
+  const fallback = () => questions.map(question => ({ question, answer: assumeFromQuestion(question), assumption: true }));
+
+  try {
+    // Import the LLM provider dynamically to avoid circular dependencies
+    const { callLLMStructured, getLLMSelectionOptions } = await import('./llmProviders.js');
+
+    const result = await callLLMStructured(
+      createAssumptionAnswersSchema(questions.length),
+      'You answer planning questions on the user\'s behalf so their plan can be drafted without them. Pick the most plausible answer the text supports and keep each answer to one sentence; the user will review every answer as an assumption.',
+      `LEVEL: ${levelName}
+
+TEXT:
+"${text}"
+
+QUESTIONS:
+${questions.map((question, index) => `${index + 1}. ${question}`).join('\n')}
+
+Answer every question, in order, repeating each question as asked.`,
+      {
+        ...getLLMSelectionOptions(options.llmSelection),
+        sessionId: options.sessionId,
+        signal: options.signal,
+        bypassCache: options.bypassCache,
+        fallbackToMock: true
+      }
+    );
+
+    // The mock provider's answers would be placeholders
+    if (result.isMock) return fallback();
+
+    return questions.map((question, index) => ({ question, answer: result.data.answers[index].answer.trim(), assumption: true }));
+  } catch (error) {
+    if (error instanceof RequestCancelledError) throw error;
+    console.log('[Yolo] Assumed answers failed, using the questions\' options:', error.message);
+    return fallback();
+  }
+}
+
+/**
+ * Assumed answers as the text of a level's responses box
+ */
+export function formatAssumptions(answers) {
+  return answers.map(({ question, answer }) => `ASSUMPTION: ${question} → ${answer}`).join('\n');
+}
+
+/**
+ * The input for the next level: the refinement plus the answers assumed for it
+ */
+export function appendAssumptions(text, answers) {
+  if (answers.length === 0) return text;
+  return `${text}\n\nAssumed, not confirmed by the user:\n${answers.map(({ question, answer }) => `- ${question} → ${answer}`).join('\n')}`;
+}
+
+/**
+ * Check one step of the chain. Red flags are a red readiness, drift in topic or
+ * goal from the step before or from the first step (see semanticDrift.js), and
+ * broken dependency rules of block severity (see dependencyRules.js) unless the
+ * user chose to override them; a change of scope and info or warn rules are
+ * reported but do not stop it.
+ * @param {Object} step - { visionContent, previousContent, content, level, readinessStatus } where
+ *   level is the altitude (or template layer) id the content belongs to
+ * @param {Object} options - `sessionId`, `signal` and `llmSelection` are passed to the drift and
+ *   dependency checks, `mode` picks the dependency rule overrides and `overrideBlocks`
+ *   lets blocking rules through
+ * @returns {Promise<Object>} { drift, dependencies, redFlags, blocked } where redFlags lists
+ *   human-readable reasons and blocked says whether a blocking rule is among them
+ */
+export async function checkChainStep({ visionContent, previousContent, content, level, readinessStatus }, options = {}) {
+  const drift = await analyzeSemanticDrift({ vision: visionContent, previous: previousContent, current: content, altitude: level }, options);
+  const dependencies = await judgeDependencyRules(level, content, options);
+
+  const redFlags = [];
+  if (readinessStatus === 'red') {
+    redFlags.push('Readiness is red');
+  }
+  if (drift.hasDrift && drift.driftType !== 'scope_change') {
+    redFlags.push(`Drift: ${drift.details}`);
+  }
+  const blocking = dependencies.violations.filter(violation => violation.severity === 'block');
+  if (!options.overrideBlocks) {
+    blocking.forEach(violation => redFlags.push(violation.message));
+  }
+
+  return { drift, dependencies, redFlags, blocked: blocking.length > 0 && !options.overrideBlocks };
+}